@@ -5,6 +5,7 @@ import android.content.BroadcastReceiver
 import android.content.Context
 import android.content.Intent
 import android.content.IntentFilter
+import android.hardware.usb.UsbConfiguration
 import android.hardware.usb.UsbDevice
 import android.hardware.usb.UsbDeviceConnection
 import android.hardware.usb.UsbInterface
@@ -12,28 +13,52 @@ import android.hardware.usb.UsbEndpoint
 import android.hardware.usb.UsbConstants
 import android.hardware.usb.UsbManager
 import android.os.Build
+import android.os.SystemClock
 import android.util.Log
+import expo.modules.kotlin.Promise
 import expo.modules.kotlin.modules.Module
 import expo.modules.kotlin.modules.ModuleDefinition
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.CopyOnWriteArrayList
 
 class ExpoUsbConectedModule : Module() {
 
   companion object {
     private const val TAG = "ExpoUsbConectedModule"
     private const val ACTION_USB_PERMISSION = "expo.modules.usbconected.USB_PERMISSION"
+
+    // Peticiones de clase HID (HID 1.11, sección 7.2) y tipos de report para wValue
+    private const val HID_GET_REPORT = 0x01
+    private const val HID_SET_REPORT = 0x09
+    private const val HID_REPORT_TYPE_OUTPUT = 0x02
+    private const val HID_REPORT_TYPE_FEATURE = 0x03
+    private const val HID_REPORT_DESCRIPTOR_TYPE = 0x22
   }
 
   private var usbViewModel: UsbDeviceViewModel? = null
   private var usbPermissionReceiver: BroadcastReceiver? = null
+  private var usbAttachReceiver: BroadcastReceiver? = null
   
+  // Los mapas se leen también desde los hilos de transferencia (UsbTransferExecutor)
   // Almacenar conexiones USB activas: deviceName -> Connection
-  private val activeConnections = mutableMapOf<String, UsbDeviceConnection>()
+  private val activeConnections = ConcurrentHashMap<String, UsbDeviceConnection>()
   // Almacenar interfaces reclamadas: deviceName -> List<UsbInterface>
-  private val claimedInterfaces = mutableMapOf<String, MutableList<UsbInterface>>()
+  private val claimedInterfaces = ConcurrentHashMap<String, MutableList<UsbInterface>>()
+  // Bucles de lectura continua activos: deviceName -> Reader
+  private val inputReaders = ConcurrentHashMap<String, UsbInputReader>()
+  // Puertos serie abiertos sobre puentes USB-serie: deviceName -> Port
+  private val serialPorts = ConcurrentHashMap<String, UsbSerialPort>()
+  // Cancelación de transferencias por llamada (cancelTransfer) o por dispositivo (cancelTransfers)
+  private val cancellation = UsbCancellation()
+  // Hilo de transferencias de cada dispositivo
+  private val transfers = UsbTransferExecutor()
 
   override fun definition() = ModuleDefinition {
     Name("ExpoUsbConected")
 
+    // Eventos emitidos hacia JavaScript
+    Events("onDeviceAttached", "onDeviceDetached", "onPermissionChanged", "onData")
+
     // Inicializar ViewModel cuando se carga el módulo
     OnCreate {
       val reactContext = appContext.reactContext
@@ -43,6 +68,9 @@ class ExpoUsbConectedModule : Module() {
         
         // Registrar BroadcastReceiver para permisos USB
         registerUsbPermissionReceiver()
+
+        // Registrar BroadcastReceiver para conexión/desconexión de dispositivos
+        registerUsbAttachReceiver()
       } else {
         Log.e(TAG, "No se pudo obtener ReactContext")
       }
@@ -50,6 +78,14 @@ class ExpoUsbConectedModule : Module() {
 
     // Limpiar recursos cuando se destruye el módulo
     OnDestroy {
+      transfers.shutdown()
+
+      // Detener lecturas continuas antes de cerrar las conexiones
+      inputReaders.values.forEach { it.stop() }
+      inputReaders.clear()
+      serialPorts.values.forEach { it.close() }
+      serialPorts.clear()
+
       // Cerrar todas las conexiones activas
       activeConnections.values.forEach { connection ->
         try {
@@ -62,6 +98,7 @@ class ExpoUsbConectedModule : Module() {
       claimedInterfaces.clear()
       
       unregisterUsbPermissionReceiver()
+      unregisterUsbAttachReceiver()
       usbViewModel = null
       Log.d(TAG, "Recursos limpiados y referencias eliminadas")
     }
@@ -71,18 +108,18 @@ class ExpoUsbConectedModule : Module() {
       try {
         val reactContext = appContext.reactContext ?: return@AsyncFunction emptyList<Map<String, Any?>>()
         val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
-        
+
         Log.d(TAG, "=== INICIANDO ESCANEO DE DISPOSITIVOS USB ===")
         Log.d(TAG, "Contexto disponible: ${reactContext != null}")
         Log.d(TAG, "UsbManager disponible: ${usbManager != null}")
-        
+
         // Verificar soporte USB Host
         val hasUsbHost = reactContext.packageManager.hasSystemFeature("android.hardware.usb.host")
         Log.d(TAG, "Soporte USB Host: $hasUsbHost")
-        
+
         val deviceList = usbManager.deviceList
         Log.d(TAG, "Total dispositivos USB encontrados: ${deviceList.size}")
-        
+
         if (deviceList.isEmpty()) {
           Log.w(TAG, "No se encontraron dispositivos USB")
           return@AsyncFunction emptyList<Map<String, Any?>>()
@@ -92,7 +129,7 @@ class ExpoUsbConectedModule : Module() {
           Log.d(TAG, "Procesando dispositivo: ${device.deviceName}")
           Log.d(TAG, "  - Vendor ID: ${device.vendorId}")
           Log.d(TAG, "  - Product ID: ${device.productId}")
-          
+
           val hasPermission = try {
             val permission = usbManager.hasPermission(device)
             Log.d(TAG, "  - Permisos: $permission")
@@ -105,31 +142,8 @@ class ExpoUsbConectedModule : Module() {
             false
           }
 
-          val deviceInfo = mapOf(
-            "deviceName" to device.deviceName,
-            "vendorId" to device.vendorId,
-            "productId" to device.productId,
-            "manufacturerName" to try { 
-              if (hasPermission) device.manufacturerName else null 
-            } catch (e: Exception) { 
-              Log.w(TAG, "  - Error al obtener manufacturerName: ${e.message}")
-              null 
-            },
-            "productName" to try { 
-              if (hasPermission) device.productName else null 
-            } catch (e: Exception) { 
-              Log.w(TAG, "  - Error al obtener productName: ${e.message}")
-              null 
-            },
-            "serialNumber" to try { 
-              if (hasPermission) device.serialNumber else null 
-            } catch (e: Exception) { 
-              Log.w(TAG, "  - Error al obtener serialNumber: ${e.message}")
-              null 
-            },
-            "hasPermission" to hasPermission
-          )
-          
+          val deviceInfo = buildDeviceMap(device, hasPermission)
+
           Log.d(TAG, "  - Dispositivo procesado exitosamente")
           deviceInfo
         }
@@ -138,84 +152,63 @@ class ExpoUsbConectedModule : Module() {
         Log.d(TAG, "Dispositivos procesados: ${result.size}")
         return@AsyncFunction result
 
-      } catch (e: SecurityException) {
-        Log.e(TAG, "Error de seguridad al escanear dispositivos", e)
-        Log.e(TAG, "Stack trace: ${e.stackTrace.joinToString("\n")}")
-        return@AsyncFunction emptyList<Map<String, Any?>>()
       } catch (e: Exception) {
         Log.e(TAG, "Error al escanear dispositivos", e)
         Log.e(TAG, "Stack trace: ${e.stackTrace.joinToString("\n")}")
-        throw e
+        throw e.toUsbException("Error al escanear dispositivos")
       }
     }
 
     // Solicitar permisos
     AsyncFunction("requestPermission") { deviceName: String ->
       try {
-        val reactContext = appContext.reactContext ?: return@AsyncFunction false
+        val reactContext = appContext.reactContext
+          ?: throw UsbException(UsbErrorCode.NOT_SUPPORTED, "ReactContext no disponible")
         val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
-        
+
         Log.d(TAG, "=== INICIANDO SOLICITUD DE PERMISOS ===")
         Log.d(TAG, "Dispositivo solicitado: $deviceName")
-        Log.d(TAG, "Contexto disponible: ${reactContext != null}")
-        Log.d(TAG, "UsbManager disponible: ${usbManager != null}")
-        
+
         // Listar todos los dispositivos disponibles
         val allDevices = usbManager.deviceList
         Log.d(TAG, "Total dispositivos USB encontrados: ${allDevices.size}")
         allDevices.forEach { (name, device) ->
           Log.d(TAG, "  - Dispositivo: $name (${device.vendorId}:${device.productId})")
         }
-        
+
         // Buscar el dispositivo específico
-        val device = allDevices.values.find { it.deviceName == deviceName }
-        
-        if (device != null) {
-          Log.d(TAG, "Dispositivo encontrado: ${device.deviceName}")
-          Log.d(TAG, "Vendor ID: ${device.vendorId}, Product ID: ${device.productId}")
-          
-          // Verificar si ya tiene permisos
-          val hasPermission = try {
-            usbManager.hasPermission(device)
-          } catch (e: Exception) {
-            Log.e(TAG, "Error al verificar permisos existentes", e)
-            false
-          }
-          
-          Log.d(TAG, "¿Ya tiene permisos?: $hasPermission")
-          
-          if (hasPermission) {
-            Log.d(TAG, "Dispositivo $deviceName ya tiene permisos - retornando true")
-            return@AsyncFunction true
-          }
-          
-          // Crear PendingIntent para la solicitud de permisos
-          Log.d(TAG, "Creando PendingIntent para solicitud de permisos...")
-          val permissionIntent = PendingIntent.getBroadcast(
-            reactContext, 
-            0, 
-            Intent(ACTION_USB_PERMISSION), 
-            PendingIntent.FLAG_IMMUTABLE
-          )
-          
-          Log.d(TAG, "PendingIntent creado: ${permissionIntent != null}")
-          
-          // Solicitar permiso
-          Log.d(TAG, "Llamando a usbManager.requestPermission()...")
-          usbManager.requestPermission(device, permissionIntent)
-          Log.d(TAG, "Solicitud de permiso enviada exitosamente para: $deviceName")
-          Log.d(TAG, "=== SOLICITUD DE PERMISOS COMPLETADA ===")
+        val device = requireDevice(deviceName)
+        Log.d(TAG, "Dispositivo encontrado: ${device.deviceName}")
+        Log.d(TAG, "Vendor ID: ${device.vendorId}, Product ID: ${device.productId}")
+
+        // Verificar si ya tiene permisos
+        val hasPermission = usbManager.hasPermission(device)
+        Log.d(TAG, "¿Ya tiene permisos?: $hasPermission")
+
+        if (hasPermission) {
+          Log.d(TAG, "Dispositivo $deviceName ya tiene permisos - retornando true")
           return@AsyncFunction true
-        } else {
-          Log.w(TAG, "Dispositivo no encontrado en la lista: $deviceName")
-          Log.w(TAG, "Dispositivos disponibles: ${allDevices.keys.joinToString(", ")}")
-          return@AsyncFunction false
         }
 
+        // Crear PendingIntent para la solicitud de permisos
+        Log.d(TAG, "Creando PendingIntent para solicitud de permisos...")
+        val permissionIntent = PendingIntent.getBroadcast(
+          reactContext,
+          0,
+          Intent(ACTION_USB_PERMISSION),
+          PendingIntent.FLAG_IMMUTABLE
+        )
+
+        // Solicitar permiso (la respuesta llega con el evento onPermissionChanged)
+        Log.d(TAG, "Llamando a usbManager.requestPermission()...")
+        usbManager.requestPermission(device, permissionIntent)
+        Log.d(TAG, "Solicitud de permiso enviada exitosamente para: $deviceName")
+        Log.d(TAG, "=== SOLICITUD DE PERMISOS COMPLETADA ===")
+        return@AsyncFunction true
+
       } catch (e: Exception) {
         Log.e(TAG, "Error al solicitar permisos para $deviceName", e)
-        Log.e(TAG, "Stack trace: ${e.stackTrace.joinToString("\n")}")
-        return@AsyncFunction false
+        throw e.toUsbException("Error al solicitar permisos para $deviceName")
       }
     }
 
@@ -223,16 +216,14 @@ class ExpoUsbConectedModule : Module() {
     AsyncFunction("setAutoRequestPermissions") { enabled: Boolean ->
       try {
         val viewModel = usbViewModel
-        if (viewModel == null) {
-          Log.e(TAG, "ViewModel no inicializado para setAutoRequestPermissions")
-          return@AsyncFunction
-        }
+          ?: throw UsbException(UsbErrorCode.NOT_SUPPORTED, "ViewModel no inicializado para setAutoRequestPermissions")
 
         Log.d(TAG, "Configurando solicitud automática: $enabled")
         viewModel.setAutoRequestPermissions(enabled)
 
       } catch (e: Exception) {
         Log.e(TAG, "Error al configurar solicitud automática", e)
+        throw e.toUsbException("Error al configurar solicitud automática")
       }
     }
 
@@ -240,10 +231,7 @@ class ExpoUsbConectedModule : Module() {
     AsyncFunction("clearPermissionRequests") {
       try {
         val viewModel = usbViewModel
-        if (viewModel == null) {
-          Log.e(TAG, "ViewModel no inicializado para clearPermissionRequests")
-          return@AsyncFunction null
-        }
+          ?: throw UsbException(UsbErrorCode.NOT_SUPPORTED, "ViewModel no inicializado para clearPermissionRequests")
 
         Log.d(TAG, "Limpiando solicitudes de permisos pendientes")
         viewModel.clearPermissionRequests()
@@ -251,6 +239,38 @@ class ExpoUsbConectedModule : Module() {
 
       } catch (e: Exception) {
         Log.e(TAG, "Error al limpiar solicitudes", e)
+        throw e.toUsbException("Error al limpiar solicitudes de permisos")
+      }
+    }
+
+    // Obtener descriptores completos (configuraciones, interfaces y endpoints)
+    AsyncFunction("getDeviceDescriptor") { deviceName: String ->
+      try {
+        Log.d(TAG, "=== OBTENIENDO DESCRIPTORES USB ===")
+        Log.d(TAG, "Dispositivo: $deviceName")
+
+        val device = requireDevice(deviceName)
+
+        val configurations = (0 until device.configurationCount).map { i ->
+          buildConfigurationMap(device.getConfiguration(i))
+        }
+
+        Log.d(TAG, "Configuraciones encontradas: ${configurations.size}")
+
+        return@AsyncFunction mapOf(
+          "deviceName" to device.deviceName,
+          "vendorId" to device.vendorId,
+          "productId" to device.productId,
+          "deviceClass" to device.deviceClass,
+          "deviceSubclass" to device.deviceSubclass,
+          "deviceProtocol" to device.deviceProtocol,
+          "version" to device.version,
+          "configurations" to configurations
+        )
+
+      } catch (e: Exception) {
+        Log.e(TAG, "Error al obtener descriptores de $deviceName", e)
+        throw e.toUsbException("Error al obtener descriptores de $deviceName")
       }
     }
 
@@ -259,77 +279,48 @@ class ExpoUsbConectedModule : Module() {
     // Abrir conexión con dispositivo USB
     AsyncFunction("openDevice") { deviceName: String ->
       try {
-        val reactContext = appContext.reactContext ?: return@AsyncFunction false
-        val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
+        val usbManager = requireUsbManager()
 
         Log.d(TAG, "=== ABRIENDO DISPOSITIVO USB ===")
         Log.d(TAG, "Dispositivo: $deviceName")
 
         // Buscar el dispositivo
-        val device = usbManager.deviceList.values.find { it.deviceName == deviceName }
-        if (device == null) {
-          Log.e(TAG, "Dispositivo no encontrado: $deviceName")
-          return@AsyncFunction false
-        }
+        val device = requireDevice(deviceName)
 
         // Verificar permisos
         if (!usbManager.hasPermission(device)) {
-          Log.e(TAG, "Sin permisos para el dispositivo: $deviceName")
-          return@AsyncFunction false
+          throw UsbException(UsbErrorCode.NO_PERMISSION, "Sin permisos para el dispositivo: $deviceName")
         }
 
-        // Abrir conexión
+        // Abrir conexión. Con permisos concedidos, un null indica que el dispositivo quedó
+        // en un estado inconsistente (p. ej. otro proceso lo retiene): desconectar y reintentar
         val connection = usbManager.openDevice(device)
-        if (connection == null) {
-          Log.e(TAG, "No se pudo abrir conexión con: $deviceName")
-          return@AsyncFunction false
-        }
+          ?: throw UsbException(UsbErrorCode.UNPLUG_AND_RETRY, "No se pudo abrir conexión con: $deviceName")
 
         activeConnections[deviceName] = connection
-        claimedInterfaces[deviceName] = mutableListOf()
-        
+        claimedInterfaces[deviceName] = CopyOnWriteArrayList()
+
         Log.d(TAG, "✅ Dispositivo abierto exitosamente: $deviceName")
         Log.d(TAG, "File descriptor: ${connection.fileDescriptor}")
         return@AsyncFunction true
 
       } catch (e: Exception) {
         Log.e(TAG, "Error al abrir dispositivo $deviceName", e)
-        return@AsyncFunction false
+        throw e.toUsbException("Error al abrir dispositivo $deviceName")
       }
     }
 
-    // Cerrar conexión con dispositivo USB
+    // Cerrar conexión con dispositivo USB. Cerrar un dispositivo no abierto no es un error
     AsyncFunction("closeDevice") { deviceName: String ->
       try {
         Log.d(TAG, "=== CERRANDO DISPOSITIVO USB ===")
         Log.d(TAG, "Dispositivo: $deviceName")
 
-        val connection = activeConnections[deviceName]
-        if (connection == null) {
-          Log.w(TAG, "No hay conexión activa para: $deviceName")
-          return@AsyncFunction false
-        }
-
-        // Liberar todas las interfaces reclamadas
-        claimedInterfaces[deviceName]?.forEach { iface ->
-          try {
-            connection.releaseInterface(iface)
-            Log.d(TAG, "Interfaz ${iface.id} liberada")
-          } catch (e: Exception) {
-            Log.e(TAG, "Error al liberar interfaz ${iface.id}", e)
-          }
-        }
-
-        connection.close()
-        activeConnections.remove(deviceName)
-        claimedInterfaces.remove(deviceName)
-
-        Log.d(TAG, "✅ Dispositivo cerrado exitosamente: $deviceName")
-        return@AsyncFunction true
+        return@AsyncFunction closeConnection(deviceName)
 
       } catch (e: Exception) {
         Log.e(TAG, "Error al cerrar dispositivo $deviceName", e)
-        return@AsyncFunction false
+        throw e.toUsbException("Error al cerrar dispositivo $deviceName")
       }
     }
 
@@ -339,42 +330,29 @@ class ExpoUsbConectedModule : Module() {
         Log.d(TAG, "=== RECLAMANDO INTERFAZ USB ===")
         Log.d(TAG, "Dispositivo: $deviceName, Interfaz: $interfaceNumber")
 
-        val connection = activeConnections[deviceName]
-        if (connection == null) {
-          Log.e(TAG, "No hay conexión activa para: $deviceName")
-          return@AsyncFunction false
-        }
-
-        val reactContext = appContext.reactContext ?: return@AsyncFunction false
-        val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
-        val device = usbManager.deviceList.values.find { it.deviceName == deviceName }
-        
-        if (device == null) {
-          Log.e(TAG, "Dispositivo no encontrado: $deviceName")
-          return@AsyncFunction false
-        }
+        val connection = requireConnection(deviceName)
+        val device = requireDevice(deviceName)
 
-        if (interfaceNumber >= device.interfaceCount) {
-          Log.e(TAG, "Número de interfaz inválido: $interfaceNumber (máximo: ${device.interfaceCount - 1})")
-          return@AsyncFunction false
+        if (interfaceNumber < 0 || interfaceNumber >= device.interfaceCount) {
+          throw UsbException(
+            UsbErrorCode.INTERFACE_NOT_FOUND,
+            "Número de interfaz inválido: $interfaceNumber (máximo: ${device.interfaceCount - 1})"
+          )
         }
 
         val usbInterface = device.getInterface(interfaceNumber)
-        val claimed = connection.claimInterface(usbInterface, true)
-
-        if (claimed) {
-          claimedInterfaces[deviceName]?.add(usbInterface)
-          Log.d(TAG, "✅ Interfaz $interfaceNumber reclamada exitosamente")
-          Log.d(TAG, "Endpoints disponibles: ${usbInterface.endpointCount}")
-        } else {
-          Log.e(TAG, "❌ No se pudo reclamar la interfaz $interfaceNumber")
+        if (!connection.claimInterface(usbInterface, true)) {
+          throw UsbException(UsbErrorCode.INTERFACE_BUSY, "No se pudo reclamar la interfaz $interfaceNumber")
         }
 
-        return@AsyncFunction claimed
+        claimedInterfaces[deviceName]?.add(usbInterface)
+        Log.d(TAG, "✅ Interfaz $interfaceNumber reclamada exitosamente")
+        Log.d(TAG, "Endpoints disponibles: ${usbInterface.endpointCount}")
+        return@AsyncFunction true
 
       } catch (e: Exception) {
         Log.e(TAG, "Error al reclamar interfaz $interfaceNumber para $deviceName", e)
-        return@AsyncFunction false
+        throw e.toUsbException("Error al reclamar interfaz $interfaceNumber para $deviceName")
       }
     }
 
@@ -384,241 +362,744 @@ class ExpoUsbConectedModule : Module() {
         Log.d(TAG, "=== LIBERANDO INTERFAZ USB ===")
         Log.d(TAG, "Dispositivo: $deviceName, Interfaz: $interfaceNumber")
 
-        val connection = activeConnections[deviceName]
-        if (connection == null) {
-          Log.e(TAG, "No hay conexión activa para: $deviceName")
-          return@AsyncFunction false
+        val connection = requireConnection(deviceName)
+        val usbInterface = claimedInterfaces[deviceName]?.find { it.id == interfaceNumber }
+          ?: throw UsbException(UsbErrorCode.INTERFACE_NOT_FOUND, "La interfaz $interfaceNumber no está reclamada")
+
+        if (!connection.releaseInterface(usbInterface)) {
+          throw UsbException(UsbErrorCode.TRANSFER_FAILED, "No se pudo liberar la interfaz $interfaceNumber")
         }
 
-        val reactContext = appContext.reactContext ?: return@AsyncFunction false
-        val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
-        val device = usbManager.deviceList.values.find { it.deviceName == deviceName }
-        
-        if (device == null) {
-          Log.e(TAG, "Dispositivo no encontrado: $deviceName")
-          return@AsyncFunction false
+        claimedInterfaces[deviceName]?.remove(usbInterface)
+        Log.d(TAG, "✅ Interfaz $interfaceNumber liberada exitosamente")
+        return@AsyncFunction true
+
+      } catch (e: Exception) {
+        Log.e(TAG, "Error al liberar interfaz $interfaceNumber para $deviceName", e)
+        throw e.toUsbException("Error al liberar interfaz $interfaceNumber para $deviceName")
+      }
+    }
+
+    // Escribir datos al dispositivo USB (soporte HID y Bulk)
+    AsyncFunction("writeData") { deviceName: String, data: ByteArray, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "writeData") { token ->
+        try {
+          Log.d(TAG, "=== ESCRIBIENDO DATOS USB ===")
+          Log.d(TAG, "Dispositivo: $deviceName")
+          Log.d(TAG, "Bytes a enviar: ${data.size}")
+
+          val connection = requireConnection(deviceName)
+          val device = requireDevice(deviceName)
+
+          // Determinar si es un dispositivo HID
+          val isHIDDevice = isHIDDevice(device)
+          Log.d(TAG, "¿Es dispositivo HID?: $isHIDDevice")
+
+          if (isHIDDevice) {
+            // Usar HID Reports para dispositivos HID
+            return@submitTransfer writeHIDReport(connection, device, data, token)
+          } else {
+            // Usar bulk transfer para dispositivos regulares
+            return@submitTransfer writeBulkData(connection, device, data, token)
+          }
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error al escribir datos a $deviceName", e)
+          throw e.toUsbException("Error al escribir datos a $deviceName")
         }
+      }
+    }
 
-        val usbInterface = device.getInterface(interfaceNumber)
-        val released = connection.releaseInterface(usbInterface)
+    // Leer datos del dispositivo USB (soporte HID y Bulk)
+    AsyncFunction("readData") { deviceName: String, timeout: Int, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "readData") { token ->
+        try {
+          Log.d(TAG, "=== LEYENDO DATOS USB ===")
+          Log.d(TAG, "Dispositivo: $deviceName")
+          Log.d(TAG, "Timeout: $timeout ms")
 
-        if (released) {
-          claimedInterfaces[deviceName]?.remove(usbInterface)
-          Log.d(TAG, "✅ Interfaz $interfaceNumber liberada exitosamente")
-        } else {
-          Log.e(TAG, "❌ No se pudo liberar la interfaz $interfaceNumber")
+          val connection = requireConnection(deviceName)
+          val device = requireDevice(deviceName)
+
+          // Determinar si es un dispositivo HID
+          val isHIDDevice = isHIDDevice(device)
+          Log.d(TAG, "¿Es dispositivo HID?: $isHIDDevice")
+
+          if (isHIDDevice) {
+            // Usar HID Reports para dispositivos HID
+            return@submitTransfer readHIDReport(connection, device, timeout, token)
+          } else {
+            // Usar bulk transfer para dispositivos regulares
+            return@submitTransfer readBulkData(connection, device, timeout, token)
+          }
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error al leer datos de $deviceName", e)
+          throw e.toUsbException("Error al leer datos de $deviceName")
         }
+      }
+    }
 
-        return@AsyncFunction released
+    // Transferencia de control IN (p. ej. GET_STATUS, peticiones de clase o de fabricante)
+    AsyncFunction("controlTransferIn") { deviceName: String, setup: UsbControlSetup, length: Int, timeout: Int, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "controlTransferIn") { token ->
+        try {
+          Log.d(TAG, "=== TRANSFERENCIA DE CONTROL IN ===")
+          Log.d(TAG, "Dispositivo: $deviceName, request: 0x${setup.request.toString(16)}, length: $length")
+
+          val connection = requireConnection(deviceName)
+
+          val buffer = ByteArray(length)
+          val startedAt = SystemClock.elapsedRealtime()
+          val bytesRead = cancellation.controlTransfer(
+            connection,
+            setup.toRequestType(directionIn = true),
+            setup.request,
+            setup.value,
+            setup.index,
+            buffer,
+            length,
+            timeout,
+            token,
+            "control IN"
+          )
 
-      } catch (e: Exception) {
-        Log.e(TAG, "Error al liberar interfaz $interfaceNumber para $deviceName", e)
-        return@AsyncFunction false
+          if (bytesRead < 0) {
+            val failure = transferFailure(deviceName, bytesRead, startedAt, timeout, "control IN")
+            if (failure.errorCode != UsbErrorCode.TRANSFER_FAILED) throw failure
+
+            // Un fallo en el pipe de control es un STALL del dispositivo (petición rechazada)
+            Log.e(TAG, "❌ Transferencia de control IN rechazada (código: $bytesRead)")
+            return@submitTransfer buildTransferResult("stall", 0, ByteArray(0))
+          }
+
+          val data = buffer.copyOf(bytesRead)
+          Log.d(TAG, "✅ Control IN: $bytesRead bytes")
+          return@submitTransfer buildTransferResult("ok", bytesRead, data)
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error en controlTransferIn para $deviceName", e)
+          throw e.toUsbException("Error en controlTransferIn para $deviceName")
+        }
       }
     }
 
-    // Escribir datos al dispositivo USB (soporte HID y Bulk)
-    AsyncFunction("writeData") { deviceName: String, data: List<Int> ->
-      try {
-        Log.d(TAG, "=== ESCRIBIENDO DATOS USB ===")
-        Log.d(TAG, "Dispositivo: $deviceName")
-        Log.d(TAG, "Bytes a enviar: ${data.size}")
+    // Transferencia de control OUT (p. ej. configuración de baudios en puentes USB-serie)
+    AsyncFunction("controlTransferOut") { deviceName: String, setup: UsbControlSetup, data: ByteArray, timeout: Int, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "controlTransferOut") { token ->
+        try {
+          Log.d(TAG, "=== TRANSFERENCIA DE CONTROL OUT ===")
+          Log.d(TAG, "Dispositivo: $deviceName, request: 0x${setup.request.toString(16)}, bytes: ${data.size}")
+
+          val connection = requireConnection(deviceName)
+
+          val startedAt = SystemClock.elapsedRealtime()
+          val bytesWritten = cancellation.controlTransfer(
+            connection,
+            setup.toRequestType(directionIn = false),
+            setup.request,
+            setup.value,
+            setup.index,
+            if (data.isEmpty()) null else data,
+            data.size,
+            timeout,
+            token,
+            "control OUT"
+          )
+
+          if (bytesWritten < 0) {
+            val failure = transferFailure(deviceName, bytesWritten, startedAt, timeout, "control OUT")
+            if (failure.errorCode != UsbErrorCode.TRANSFER_FAILED) throw failure
 
-        val connection = activeConnections[deviceName]
-        if (connection == null) {
-          Log.e(TAG, "No hay conexión activa para: $deviceName")
-          return@AsyncFunction -1
+            Log.e(TAG, "❌ Transferencia de control OUT rechazada (código: $bytesWritten)")
+            return@submitTransfer buildTransferResult("stall", 0, ByteArray(0))
+          }
+
+          Log.d(TAG, "✅ Control OUT: $bytesWritten bytes")
+          return@submitTransfer buildTransferResult("ok", bytesWritten, ByteArray(0))
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error en controlTransferOut para $deviceName", e)
+          throw e.toUsbException("Error en controlTransferOut para $deviceName")
         }
+      }
+    }
 
-        val reactContext = appContext.reactContext ?: return@AsyncFunction -1
-        val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
-        val device = usbManager.deviceList.values.find { it.deviceName == deviceName }
-        
-        if (device == null) {
-          Log.e(TAG, "Dispositivo no encontrado: $deviceName")
-          return@AsyncFunction -1
+    // Transferencia bulk/interrupt OUT a un endpoint concreto de una interfaz reclamada
+    AsyncFunction("transferOut") { deviceName: String, endpointAddress: Int, data: ByteArray, timeout: Int, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "transferOut") { token ->
+        try {
+          Log.d(TAG, "=== TRANSFERENCIA OUT ===")
+          Log.d(TAG, "Dispositivo: $deviceName, endpoint: 0x${endpointAddress.toString(16)}, bytes: ${data.size}")
+
+          val connection = requireConnection(deviceName)
+          val endpoint = requireClaimedEndpoint(deviceName, endpointAddress, UsbConstants.USB_DIR_OUT)
+
+          val startedAt = SystemClock.elapsedRealtime()
+          val bytesWritten = cancellation.bulkTransferOut(connection, endpoint, data, timeout, token, "transferencia OUT")
+
+          if (bytesWritten < 0) {
+            if (isEndpointHalted(connection, endpointAddress)) {
+              Log.e(TAG, "❌ Endpoint 0x${endpointAddress.toString(16)} en STALL")
+              return@submitTransfer buildTransferResult("stall", 0, ByteArray(0))
+            }
+            throw transferFailure(deviceName, bytesWritten, startedAt, timeout, "transferencia OUT")
+          }
+
+          Log.d(TAG, "✅ Transferencia OUT: $bytesWritten bytes")
+          return@submitTransfer buildTransferResult("ok", bytesWritten, ByteArray(0))
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error en transferOut para $deviceName", e)
+          throw e.toUsbException("Error en transferOut para $deviceName")
         }
+      }
+    }
 
-        // Convertir List<Int> a ByteArray
-        val dataBytes = data.map { it.toByte() }.toByteArray()
-        
-        // Determinar si es un dispositivo HID
-        val isHIDDevice = isHIDDevice(device)
-        Log.d(TAG, "¿Es dispositivo HID?: $isHIDDevice")
-        
-        if (isHIDDevice) {
-          // Usar HID Reports para dispositivos HID
-          return@AsyncFunction writeHIDReport(connection, device, dataBytes)
-        } else {
-          // Usar bulk transfer para dispositivos regulares
-          return@AsyncFunction writeBulkData(connection, device, dataBytes)
+    // Transferencia bulk/interrupt IN desde un endpoint concreto de una interfaz reclamada
+    AsyncFunction("transferIn") { deviceName: String, endpointAddress: Int, length: Int, timeout: Int, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "transferIn") { token ->
+        try {
+          Log.d(TAG, "=== TRANSFERENCIA IN ===")
+          Log.d(TAG, "Dispositivo: $deviceName, endpoint: 0x${endpointAddress.toString(16)}, length: $length")
+
+          val connection = requireConnection(deviceName)
+          val endpoint = requireClaimedEndpoint(deviceName, endpointAddress, UsbConstants.USB_DIR_IN)
+
+          // El buffer se redondea a paquetes completos: si el dispositivo envía más de lo
+          // solicitado lo detectamos como 'babble' en lugar de perder la transferencia
+          val packetSize = endpoint.maxPacketSize.coerceAtLeast(1)
+          val bufferSize = ((length + packetSize - 1) / packetSize).coerceAtLeast(1) * packetSize
+          val buffer = ByteArray(bufferSize)
+          val startedAt = SystemClock.elapsedRealtime()
+          val bytesRead = cancellation.bulkTransferIn(connection, endpoint, buffer, bufferSize, timeout, token, "transferencia IN")
+
+          if (bytesRead < 0) {
+            if (isEndpointHalted(connection, endpointAddress)) {
+              Log.e(TAG, "❌ Endpoint 0x${endpointAddress.toString(16)} en STALL")
+              return@submitTransfer buildTransferResult("stall", 0, ByteArray(0))
+            }
+            throw transferFailure(deviceName, bytesRead, startedAt, timeout, "transferencia IN")
+          }
+
+          if (bytesRead > length) {
+            Log.w(TAG, "⚠️ Babble: recibidos $bytesRead bytes, solicitados $length")
+            val data = buffer.copyOf(length)
+            return@submitTransfer buildTransferResult("babble", length, data)
+          }
+
+          val data = buffer.copyOf(bytesRead)
+          Log.d(TAG, "✅ Transferencia IN: $bytesRead bytes")
+          return@submitTransfer buildTransferResult("ok", bytesRead, data)
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error en transferIn para $deviceName", e)
+          throw e.toUsbException("Error en transferIn para $deviceName")
+        }
+      }
+    }
+
+    // Iniciar lectura continua de un endpoint IN: cada frame se emite como evento onData
+    AsyncFunction("startReading") { deviceName: String, endpointAddress: Int ->
+      try {
+        Log.d(TAG, "=== INICIANDO LECTURA CONTINUA ===")
+        Log.d(TAG, "Dispositivo: $deviceName, endpoint: 0x${endpointAddress.toString(16)}")
+
+        val connection = requireConnection(deviceName)
+        val endpoint = requireClaimedEndpoint(deviceName, endpointAddress, UsbConstants.USB_DIR_IN)
+
+        // Un único bucle por dispositivo: reemplazar el anterior si existía
+        inputReaders.remove(deviceName)?.stop()
+
+        val reader = UsbInputReader(connection, endpoint) { data, timestamp ->
+          sendEvent("onData", mapOf(
+            "deviceName" to deviceName,
+            "endpointAddress" to endpointAddress,
+            "data" to data,
+            "timestamp" to timestamp
+          ))
         }
+        inputReaders[deviceName] = reader
+        reader.start()
+
+        Log.d(TAG, "✅ Lectura continua iniciada")
+        return@AsyncFunction true
 
       } catch (e: Exception) {
-        Log.e(TAG, "Error al escribir datos a $deviceName", e)
-        return@AsyncFunction -1
+        Log.e(TAG, "Error al iniciar lectura continua en $deviceName", e)
+        throw e.toUsbException("Error al iniciar lectura continua en $deviceName")
       }
     }
 
-    // Leer datos del dispositivo USB (soporte HID y Bulk)
-    AsyncFunction("readData") { deviceName: String, timeout: Int ->
-      try {
-        Log.d(TAG, "=== LEYENDO DATOS USB ===")
-        Log.d(TAG, "Dispositivo: $deviceName")
-        Log.d(TAG, "Timeout: $timeout ms")
+    // Detener la lectura continua de un dispositivo
+    AsyncFunction("stopReading") { deviceName: String ->
+      val reader = inputReaders.remove(deviceName)
+      if (reader == null) {
+        Log.w(TAG, "No hay lectura continua activa para: $deviceName")
+        return@AsyncFunction false
+      }
 
-        val connection = activeConnections[deviceName]
-        if (connection == null) {
-          Log.e(TAG, "No hay conexión activa para: $deviceName")
-          return@AsyncFunction emptyList<Int>()
-        }
+      reader.stop()
+      Log.d(TAG, "✅ Lectura continua detenida: $deviceName")
+      return@AsyncFunction true
+    }
 
-        val reactContext = appContext.reactContext ?: return@AsyncFunction emptyList<Int>()
-        val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
-        val device = usbManager.deviceList.values.find { it.deviceName == deviceName }
-        
-        if (device == null) {
-          Log.e(TAG, "Dispositivo no encontrado: $deviceName")
-          return@AsyncFunction emptyList<Int>()
+    // Enviar un output report HID. Usa el endpoint interrupt OUT si existe y, si no,
+    // SET_REPORT por el pipe de control. El report ID 0 significa "sin report IDs"
+    AsyncFunction("sendReport") { deviceName: String, reportId: Int, data: ByteArray, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "sendReport") { token ->
+        try {
+          Log.d(TAG, "=== ENVIANDO OUTPUT REPORT ===")
+          Log.d(TAG, "Dispositivo: $deviceName, reportId: $reportId, bytes: ${data.size}")
+
+          val connection = requireConnection(deviceName)
+          val hidInterface = requireClaimedHidInterface(deviceName)
+
+          val report = withReportId(reportId, data)
+          val outEndpoint = (0 until hidInterface.endpointCount)
+            .map { hidInterface.getEndpoint(it) }
+            .find { it.direction == UsbConstants.USB_DIR_OUT }
+
+          val startedAt = SystemClock.elapsedRealtime()
+          val what = "output report $reportId"
+          val bytesWritten = if (outEndpoint != null) {
+            cancellation.bulkTransferOut(connection, outEndpoint, report, 5000, token, what)
+          } else {
+            cancellation.controlTransfer(
+              connection, 0x21, HID_SET_REPORT, (HID_REPORT_TYPE_OUTPUT shl 8) or reportId,
+              hidInterface.id, report, report.size, 5000, token, what
+            )
+          }
+
+          if (bytesWritten < 0) {
+            throw if (outEndpoint != null) {
+              transferFailure(deviceName, bytesWritten, startedAt, 5000, what)
+            } else {
+              controlFailure(deviceName, bytesWritten, startedAt, 5000, what)
+            }
+          }
+
+          Log.d(TAG, "✅ Output report enviado: $bytesWritten bytes")
+          return@submitTransfer bytesWritten
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error en sendReport para $deviceName", e)
+          throw e.toUsbException("Error en sendReport para $deviceName")
         }
+      }
+    }
 
-        // Determinar si es un dispositivo HID
-        val isHIDDevice = isHIDDevice(device)
-        Log.d(TAG, "¿Es dispositivo HID?: $isHIDDevice")
-        
-        if (isHIDDevice) {
-          // Usar HID Reports para dispositivos HID
-          return@AsyncFunction readHIDReport(connection, device, timeout)
-        } else {
-          // Usar bulk transfer para dispositivos regulares
-          return@AsyncFunction readBulkData(connection, device, timeout)
+    // Enviar un feature report HID (SET_REPORT, tipo Feature)
+    AsyncFunction("sendFeatureReport") { deviceName: String, reportId: Int, data: ByteArray ->
+      try {
+        Log.d(TAG, "=== ENVIANDO FEATURE REPORT ===")
+        Log.d(TAG, "Dispositivo: $deviceName, reportId: $reportId, bytes: ${data.size}")
+
+        val connection = requireConnection(deviceName)
+        val hidInterface = requireClaimedHidInterface(deviceName)
+
+        val report = withReportId(reportId, data)
+        val startedAt = SystemClock.elapsedRealtime()
+        val bytesWritten = connection.controlTransfer(
+          0x21, HID_SET_REPORT, (HID_REPORT_TYPE_FEATURE shl 8) or reportId,
+          hidInterface.id, report, report.size, 5000
+        )
+
+        if (bytesWritten < 0) {
+          throw controlFailure(deviceName, bytesWritten, startedAt, 5000, "feature report $reportId")
         }
 
+        Log.d(TAG, "✅ Feature report enviado: $bytesWritten bytes")
+        return@AsyncFunction bytesWritten
+
       } catch (e: Exception) {
-        Log.e(TAG, "Error al leer datos de $deviceName", e)
-        return@AsyncFunction emptyList<Int>()
+        Log.e(TAG, "Error en sendFeatureReport para $deviceName", e)
+        throw e.toUsbException("Error en sendFeatureReport para $deviceName")
       }
     }
-    
-    // Enviar comando de texto (protocolo FreeStyle)
-    AsyncFunction("sendTextCommand") { deviceName: String, command: String ->
+
+    // Leer un feature report HID (GET_REPORT, tipo Feature). Si el dispositivo usa
+    // report IDs, el primer byte devuelto es el report ID
+    AsyncFunction("receiveFeatureReport") { deviceName: String, reportId: Int, length: Int ->
       try {
-        Log.d(TAG, "=== ENVIANDO COMANDO DE TEXTO ===")
-        Log.d(TAG, "Dispositivo: $deviceName")
-        Log.d(TAG, "Comando: $command")
+        Log.d(TAG, "=== LEYENDO FEATURE REPORT ===")
+        Log.d(TAG, "Dispositivo: $deviceName, reportId: $reportId, length: $length")
+
+        val connection = requireConnection(deviceName)
+        val hidInterface = requireClaimedHidInterface(deviceName)
+
+        val buffer = ByteArray(length)
+        val startedAt = SystemClock.elapsedRealtime()
+        val bytesRead = connection.controlTransfer(
+          0xA1, HID_GET_REPORT, (HID_REPORT_TYPE_FEATURE shl 8) or reportId,
+          hidInterface.id, buffer, length, 5000
+        )
 
-        val connection = activeConnections[deviceName]
-        if (connection == null) {
-          Log.e(TAG, "No hay conexión activa para: $deviceName")
-          return@AsyncFunction ""
+        if (bytesRead < 0) {
+          throw controlFailure(deviceName, bytesRead, startedAt, 5000, "feature report $reportId")
         }
 
-        val reactContext = appContext.reactContext ?: return@AsyncFunction ""
-        val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
-        val device = usbManager.deviceList.values.find { it.deviceName == deviceName }
-        
-        if (device == null) {
-          Log.e(TAG, "Dispositivo no encontrado: $deviceName")
-          return@AsyncFunction ""
+        Log.d(TAG, "✅ Feature report recibido: $bytesRead bytes")
+        return@AsyncFunction buffer.copyOf(bytesRead)
+
+      } catch (e: Exception) {
+        Log.e(TAG, "Error en receiveFeatureReport para $deviceName", e)
+        throw e.toUsbException("Error en receiveFeatureReport para $deviceName")
+      }
+    }
+
+    // Descriptor de reports HID en crudo (GET_DESCRIPTOR 0x22); se parsea en JavaScript
+    AsyncFunction("getHidReportDescriptor") { deviceName: String ->
+      try {
+        Log.d(TAG, "=== OBTENIENDO DESCRIPTOR DE REPORTS HID ===")
+
+        val connection = requireConnection(deviceName)
+        val hidInterface = requireClaimedHidInterface(deviceName)
+
+        // wDescriptorLength está limitado a 16 bits; el dispositivo devuelve sólo lo que ocupa
+        val buffer = ByteArray(4096)
+        val startedAt = SystemClock.elapsedRealtime()
+        val bytesRead = connection.controlTransfer(
+          0x81, 0x06, HID_REPORT_DESCRIPTOR_TYPE shl 8,
+          hidInterface.id, buffer, buffer.size, 5000
+        )
+
+        if (bytesRead < 0) {
+          throw controlFailure(deviceName, bytesRead, startedAt, 5000, "descriptor de reports")
         }
 
-        // Agregar terminador si no existe
-        val fullCommand = if (!command.endsWith("\r\n")) {
-          "$command\r\n"
-        } else {
-          command
+        Log.d(TAG, "✅ Descriptor de reports: $bytesRead bytes")
+        return@AsyncFunction mapOf(
+          "interfaceNumber" to hidInterface.id,
+          "data" to buffer.copyOf(bytesRead)
+        )
+
+      } catch (e: Exception) {
+        Log.e(TAG, "Error en getHidReportDescriptor para $deviceName", e)
+        throw e.toUsbException("Error en getHidReportDescriptor para $deviceName")
+      }
+    }
+
+    // Limpiar la condición de STALL de un endpoint (CLEAR_FEATURE ENDPOINT_HALT)
+    AsyncFunction("clearHalt") { deviceName: String, endpointAddress: Int ->
+      try {
+        val connection = requireConnection(deviceName)
+
+        val startedAt = SystemClock.elapsedRealtime()
+        val result = connection.controlTransfer(0x02, 0x01, 0x00, endpointAddress, null, 0, 1000)
+        Log.d(TAG, "CLEAR_FEATURE(ENDPOINT_HALT) 0x${endpointAddress.toString(16)}: $result")
+
+        if (result < 0) {
+          throw controlFailure(deviceName, result, startedAt, 1000, "CLEAR_FEATURE(ENDPOINT_HALT)")
         }
+        return@AsyncFunction true
+
+      } catch (e: Exception) {
+        Log.e(TAG, "Error en clearHalt para $deviceName", e)
+        throw e.toUsbException("Error en clearHalt para $deviceName")
+      }
+    }
+
+    // Enviar comando de texto (protocolo FreeStyle)
+    AsyncFunction("sendTextCommand") { deviceName: String, command: String, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "sendTextCommand") { token ->
+        try {
+          Log.d(TAG, "=== ENVIANDO COMANDO DE TEXTO ===")
+          Log.d(TAG, "Dispositivo: $deviceName")
+          Log.d(TAG, "Comando: $command")
 
-        val commandBytes = fullCommand.toByteArray(Charsets.US_ASCII)
-        Log.d(TAG, "Bytes del comando: ${commandBytes.size}")
+          val connection = requireConnection(deviceName)
+          val device = requireDevice(deviceName)
 
-        // Buscar endpoint OUT
-        var outEndpoint: UsbEndpoint? = null
-        for (i in 0 until device.interfaceCount) {
-          val usbInterface = device.getInterface(i)
-          for (j in 0 until usbInterface.endpointCount) {
-            val endpoint = usbInterface.getEndpoint(j)
-            if (endpoint.direction == UsbConstants.USB_DIR_OUT) {
-              outEndpoint = endpoint
-              break
+          // Agregar terminador si no existe
+          val fullCommand = if (!command.endsWith("\r\n")) {
+            "$command\r\n"
+          } else {
+            command
+          }
+
+          val commandBytes = fullCommand.toByteArray(Charsets.US_ASCII)
+          Log.d(TAG, "Bytes del comando: ${commandBytes.size}")
+
+          // Buscar endpoint OUT
+          var outEndpoint: UsbEndpoint? = null
+          for (i in 0 until device.interfaceCount) {
+            val usbInterface = device.getInterface(i)
+            for (j in 0 until usbInterface.endpointCount) {
+              val endpoint = usbInterface.getEndpoint(j)
+              if (endpoint.direction == UsbConstants.USB_DIR_OUT) {
+                outEndpoint = endpoint
+                break
+              }
+            }
+            if (outEndpoint != null) break
+          }
+
+          if (outEndpoint == null) {
+            throw UsbException(UsbErrorCode.ENDPOINT_NOT_FOUND, "No se encontró endpoint OUT")
+          }
+
+          // Enviar comando
+          val startedAt = SystemClock.elapsedRealtime()
+          val bytesWritten = cancellation.bulkTransferOut(connection, outEndpoint, commandBytes, 5000, token, "comando $command")
+
+          if (bytesWritten < 0) {
+            throw transferFailure(deviceName, bytesWritten, startedAt, 5000, "envío del comando $command")
+          }
+
+          Log.d(TAG, "Comando enviado: $bytesWritten bytes")
+
+          // Buscar endpoint IN
+          var inEndpoint: UsbEndpoint? = null
+          for (i in 0 until device.interfaceCount) {
+            val usbInterface = device.getInterface(i)
+            for (j in 0 until usbInterface.endpointCount) {
+              val endpoint = usbInterface.getEndpoint(j)
+              if (endpoint.direction == UsbConstants.USB_DIR_IN) {
+                inEndpoint = endpoint
+                break
+              }
+            }
+            if (inEndpoint != null) break
+          }
+
+          if (inEndpoint == null) {
+            throw UsbException(UsbErrorCode.ENDPOINT_NOT_FOUND, "No se encontró endpoint IN")
+          }
+
+          // Leer respuesta
+          val response = StringBuilder()
+          val buffer = ByteArray(64)
+
+          var attempts = 0
+          val maxAttempts = 50
+          var completed = false
+
+          while (attempts < maxAttempts) {
+            val bytesRead = cancellation.bulkTransferIn(connection, inEndpoint, buffer, buffer.size, 2000, token, "comando $command")
+
+            if (bytesRead > 0) {
+              val text = String(buffer, 0, bytesRead, Charsets.US_ASCII)
+              response.append(text)
+              Log.d(TAG, "Recibidos $bytesRead bytes: $text")
+
+              // Verificar si terminó (protocolo FreeStyle termina con "CMD OK" o "CMD Fail!")
+              if (response.contains("CMD OK") || response.contains("CMD Fail!")) {
+                Log.d(TAG, "Respuesta completa recibida")
+                completed = true
+                break
+              }
+            } else if (bytesRead == 0) {
+              Log.d(TAG, "Sin datos en intento $attempts")
+            } else {
+              if (!isDevicePresent(deviceName)) {
+                throw UsbException(UsbErrorCode.DEVICE_DETACHED, "El dispositivo se desconectó durante el comando $command")
+              }
+              Log.w(TAG, "Error en lectura: $bytesRead")
             }
+
+            attempts++
           }
-          if (outEndpoint != null) break
+
+          if (!completed) {
+            throw UsbException(UsbErrorCode.TIMEOUT, "Sin respuesta completa al comando $command")
+          }
+
+          val finalResponse = response.toString()
+          Log.d(TAG, "Respuesta final (${finalResponse.length} chars):\n$finalResponse")
+
+          return@submitTransfer finalResponse
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error en sendTextCommand", e)
+          throw e.toUsbException("Error en sendTextCommand")
         }
+      }
+    }
+
+    // ========== PUERTO SERIE (PUENTES USB-SERIE) ==========
 
-        if (outEndpoint == null) {
-          Log.e(TAG, "No se encontró endpoint OUT")
-          return@AsyncFunction ""
+    // Abrir un puerto serie: abre el dispositivo si hace falta, reclama sus interfaces y
+    // configura la línea con las peticiones del chip. Devuelve el driver usado
+    AsyncFunction("openSerial") { deviceName: String, options: UsbSerialOptions ->
+      try {
+        Log.d(TAG, "=== ABRIENDO PUERTO SERIE ===")
+        Log.d(TAG, "Dispositivo: $deviceName, ${options.baudRate} baudios, ${options.dataBits}${options.parity.first().uppercaseChar()}${options.stopBits}")
+
+        val usbManager = requireUsbManager()
+        val device = requireDevice(deviceName)
+        if (!usbManager.hasPermission(device)) {
+          throw UsbException(UsbErrorCode.NO_PERMISSION, "Sin permisos para el dispositivo: $deviceName")
         }
 
-        // Enviar comando
-        val bytesWritten = connection.bulkTransfer(outEndpoint, commandBytes, commandBytes.size, 5000)
-        
-        if (bytesWritten < 0) {
-          Log.e(TAG, "Error al enviar comando: $bytesWritten")
-          return@AsyncFunction ""
+        val driver = UsbSerialPort.detectDriver(device, options.driver)
+          ?: throw UsbException(
+            UsbErrorCode.NOT_SUPPORTED,
+            "No hay driver serie para VID 0x${device.vendorId.toString(16)} (ni interfaz CDC)"
+          )
+
+        val connection = activeConnections[deviceName] ?: (usbManager.openDevice(device)
+          ?: throw UsbException(UsbErrorCode.UNPLUG_AND_RETRY, "No se pudo abrir conexión con: $deviceName")
+        ).also {
+          activeConnections[deviceName] = it
+          claimedInterfaces[deviceName] = CopyOnWriteArrayList()
         }
 
-        Log.d(TAG, "Comando enviado: $bytesWritten bytes")
+        // Reabrir con otras opciones: liberar primero el puerto anterior
+        serialPorts.remove(deviceName)?.let { previous ->
+          previous.close()
+          claimedInterfaces[deviceName]?.removeAll(previous.interfaces)
+        }
 
-        // Buscar endpoint IN
-        var inEndpoint: UsbEndpoint? = null
-        for (i in 0 until device.interfaceCount) {
-          val usbInterface = device.getInterface(i)
-          for (j in 0 until usbInterface.endpointCount) {
-            val endpoint = usbInterface.getEndpoint(j)
-            if (endpoint.direction == UsbConstants.USB_DIR_IN) {
-              inEndpoint = endpoint
-              break
-            }
-          }
-          if (inEndpoint != null) break
+        val port = UsbSerialPort.create(driver, device, connection)
+        try {
+          port.open(options)
+        } catch (e: Exception) {
+          port.close()
+          throw e
         }
 
-        if (inEndpoint == null) {
-          Log.e(TAG, "No se encontró endpoint IN")
-          return@AsyncFunction ""
+        serialPorts[deviceName] = port
+        claimedInterfaces[deviceName]?.addAll(port.interfaces)
+
+        Log.d(TAG, "✅ Puerto serie abierto con driver $driver")
+        return@AsyncFunction driver
+
+      } catch (e: Exception) {
+        Log.e(TAG, "Error al abrir puerto serie $deviceName", e)
+        throw e.toUsbException("Error al abrir puerto serie $deviceName")
+      }
+    }
+
+    // Cerrar el puerto serie y la conexión. Cerrar un puerto no abierto no es un error
+    AsyncFunction("closeSerial") { deviceName: String ->
+      try {
+        val port = serialPorts.remove(deviceName)
+        if (port == null) {
+          Log.w(TAG, "No hay puerto serie abierto para: $deviceName")
+          return@AsyncFunction false
         }
 
-        // Leer respuesta
-        val response = StringBuilder()
-        val buffer = ByteArray(64)
-        
-        var attempts = 0
-        val maxAttempts = 50
-        
-        while (attempts < maxAttempts) {
-          val bytesRead = connection.bulkTransfer(inEndpoint, buffer, buffer.size, 2000)
-          
-          if (bytesRead > 0) {
-            val text = String(buffer, 0, bytesRead, Charsets.US_ASCII)
-            response.append(text)
-            Log.d(TAG, "Recibidos $bytesRead bytes: $text")
-            
-            // Verificar si terminó (protocolo FreeStyle termina con "CMD OK" o "CMD Fail!")
-            if (response.contains("CMD OK") || response.contains("CMD Fail!")) {
-              Log.d(TAG, "Respuesta completa recibida")
-              break
+        port.close()
+        claimedInterfaces[deviceName]?.removeAll(port.interfaces)
+        closeConnection(deviceName)
+        Log.d(TAG, "✅ Puerto serie cerrado: $deviceName")
+        return@AsyncFunction true
+
+      } catch (e: Exception) {
+        Log.e(TAG, "Error al cerrar puerto serie $deviceName", e)
+        throw e.toUsbException("Error al cerrar puerto serie $deviceName")
+      }
+    }
+
+    // Escribir en el puerto serie. Devuelve los bytes escritos
+    AsyncFunction("writeSerial") { deviceName: String, data: ByteArray, timeout: Int, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "writeSerial") { token ->
+        try {
+          val port = requireSerialPort(deviceName)
+          val startedAt = SystemClock.elapsedRealtime()
+          val bytesWritten = port.write(data, timeout, cancellation, token)
+
+          if (bytesWritten < 0) {
+            throw transferFailure(deviceName, bytesWritten, startedAt, timeout, "escritura serie")
+          }
+
+          Log.d(TAG, "📤 Serie: $bytesWritten bytes escritos")
+          return@submitTransfer bytesWritten
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error al escribir en puerto serie $deviceName", e)
+          throw e.toUsbException("Error al escribir en puerto serie $deviceName")
+        }
+      }
+    }
+
+    // Leer del puerto serie. En un puerto serie que no lleguen datos es normal:
+    // un timeout devuelve un array vacío en lugar de rechazar con E_TIMEOUT
+    AsyncFunction("readSerial") { deviceName: String, length: Int, timeout: Int, transferId: String?, promise: Promise ->
+      submitTransfer(deviceName, transferId, promise, "readSerial") { token ->
+        try {
+          val port = requireSerialPort(deviceName)
+          val startedAt = SystemClock.elapsedRealtime()
+          val data = port.read(length, timeout, cancellation, token)
+
+          if (data == null) {
+            val failure = transferFailure(deviceName, -1, startedAt, timeout, "lectura serie")
+            if (failure.errorCode == UsbErrorCode.TIMEOUT) {
+              return@submitTransfer ByteArray(0)
             }
-          } else if (bytesRead == 0) {
-            Log.d(TAG, "Sin datos en intento $attempts")
-          } else {
-            Log.w(TAG, "Error en lectura: $bytesRead")
+            throw failure
           }
-          
-          attempts++
+
+          if (data.isNotEmpty()) {
+            Log.d(TAG, "📥 Serie: ${data.size} bytes leídos")
+          }
+          return@submitTransfer data
+
+        } catch (e: Exception) {
+          Log.e(TAG, "Error al leer del puerto serie $deviceName", e)
+          throw e.toUsbException("Error al leer del puerto serie $deviceName")
         }
-        
-        val finalResponse = response.toString()
-        Log.d(TAG, "Respuesta final (${finalResponse.length} chars):\n$finalResponse")
-        
-        return@AsyncFunction finalResponse
+      }
+    }
+
+    // Cambiar DTR/RTS (misma forma que SerialPort.setSignals de Web Serial)
+    AsyncFunction("setSerialSignals") { deviceName: String, signals: UsbSerialSignals ->
+      try {
+        requireSerialPort(deviceName).setSignals(signals.dataTerminalReady, signals.requestToSend)
+        Log.d(TAG, "✅ Señales serie: DTR=${signals.dataTerminalReady}, RTS=${signals.requestToSend}")
 
       } catch (e: Exception) {
-        Log.e(TAG, "Error en sendTextCommand", e)
-        return@AsyncFunction ""
+        Log.e(TAG, "Error al cambiar señales serie de $deviceName", e)
+        throw e.toUsbException("Error al cambiar señales serie de $deviceName")
       }
     }
+
+    // ========== CANCELACIÓN ==========
+
+    // Síncronas: una AsyncFunction esperaría en la cola de Expo a que terminase la
+    // transferencia que debe cancelar. Las transferencias rechazan con E_ABORTED en
+    // cuanto acaba el tramo (250 ms) que tengan en marcha
+
+    // Cancelar todas las transferencias en curso del dispositivo
+    Function("cancelTransfers") { deviceName: String ->
+      cancellation.cancel(deviceName)
+      Log.d(TAG, "🛑 Transferencias canceladas en $deviceName")
+      return@Function true
+    }
+
+    // Cancelar sólo la transferencia `transferId`, aunque todavía espere su turno
+    Function("cancelTransfer") { transferId: String ->
+      val started = cancellation.cancelTransfer(transferId)
+      Log.d(TAG, "🛑 Transferencia $transferId cancelada${if (started) "" else " antes de empezar"}")
+      return@Function true
+    }
+
+    // ========== BENCHMARK DEL PUENTE ==========
+
+    // Devuelven los datos recibidos sin tocar USB: ByteArray cruza como Uint8Array y
+    // List<Int> como number[], la representación anterior
+    AsyncFunction("loopback") { data: ByteArray ->
+      return@AsyncFunction data
+    }
+
+    AsyncFunction("loopbackNumbers") { data: List<Int> ->
+      return@AsyncFunction data
+    }
+  }
+
+  // Transferencia cancelable: se ejecuta en el hilo del dispositivo con el token de
+  // `transferId`, que cancelTransfer() o cancelTransfers() invalidan
+  private fun submitTransfer(
+    deviceName: String,
+    transferId: String?,
+    promise: Promise,
+    what: String,
+    block: (UsbCancellation.Token) -> Any?
+  ) {
+    transfers.submit(deviceName, promise, what) {
+      cancellation.withToken(deviceName, transferId, block)
+    }
   }
 
   // Registrar BroadcastReceiver para manejar respuestas de permisos USB
@@ -645,6 +1126,8 @@ class ExpoUsbConectedModule : Module() {
             } else {
               Log.d(TAG, "❌ PERMISO DENEGADO para ${device.deviceName}")
             }
+
+            sendEvent("onPermissionChanged", buildDeviceMap(device, granted))
           } else {
             Log.w(TAG, "Dispositivo es null en la respuesta de permisos")
           }
@@ -681,6 +1164,293 @@ class ExpoUsbConectedModule : Module() {
     usbPermissionReceiver = null
   }
 
+  // Registrar BroadcastReceiver para conexión/desconexión de dispositivos USB
+  private fun registerUsbAttachReceiver() {
+    val reactContext = appContext.reactContext ?: return
+    val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
+
+    usbAttachReceiver = object : BroadcastReceiver() {
+      override fun onReceive(context: Context, intent: Intent) {
+        val device = intent.getParcelableExtra<UsbDevice>(UsbManager.EXTRA_DEVICE)
+        if (device == null) {
+          Log.w(TAG, "Dispositivo es null en el evento ${intent.action}")
+          return
+        }
+
+        when (intent.action) {
+          UsbManager.ACTION_USB_DEVICE_ATTACHED -> {
+            Log.d(TAG, "🔌 Dispositivo conectado: ${device.deviceName}")
+            val hasPermission = try {
+              usbManager.hasPermission(device)
+            } catch (e: Exception) {
+              false
+            }
+            sendEvent("onDeviceAttached", buildDeviceMap(device, hasPermission))
+          }
+          UsbManager.ACTION_USB_DEVICE_DETACHED -> {
+            Log.d(TAG, "🔌 Dispositivo desconectado: ${device.deviceName}")
+
+            // La conexión ya no es válida, liberar recursos
+            inputReaders.remove(device.deviceName)?.stop()
+            serialPorts.remove(device.deviceName)
+            activeConnections.remove(device.deviceName)?.let { connection ->
+              try {
+                connection.close()
+              } catch (e: Exception) {
+                Log.e(TAG, "Error al cerrar conexión de ${device.deviceName}", e)
+              }
+            }
+            claimedInterfaces.remove(device.deviceName)
+
+            sendEvent("onDeviceDetached", buildDeviceMap(device, false))
+          }
+        }
+      }
+    }
+
+    val filter = IntentFilter().apply {
+      addAction(UsbManager.ACTION_USB_DEVICE_ATTACHED)
+      addAction(UsbManager.ACTION_USB_DEVICE_DETACHED)
+    }
+    if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU) {
+      reactContext.registerReceiver(usbAttachReceiver, filter, Context.RECEIVER_NOT_EXPORTED)
+    } else {
+      reactContext.registerReceiver(usbAttachReceiver, filter)
+    }
+
+    Log.d(TAG, "BroadcastReceiver registrado para conexión/desconexión USB")
+  }
+
+  // Desregistrar BroadcastReceiver de conexión/desconexión
+  private fun unregisterUsbAttachReceiver() {
+    val reactContext = appContext.reactContext
+    val receiver = usbAttachReceiver
+
+    if (reactContext != null && receiver != null) {
+      try {
+        reactContext.unregisterReceiver(receiver)
+      } catch (e: Exception) {
+        Log.e(TAG, "Error al desregistrar BroadcastReceiver de conexión", e)
+      }
+    }
+
+    usbAttachReceiver = null
+  }
+
+  // Convertir un UsbDevice al formato que recibe JavaScript
+  private fun buildDeviceMap(device: UsbDevice, hasPermission: Boolean): Map<String, Any?> {
+    return mapOf(
+      "deviceName" to device.deviceName,
+      "vendorId" to device.vendorId,
+      "productId" to device.productId,
+      "manufacturerName" to try {
+        if (hasPermission) device.manufacturerName else null
+      } catch (e: Exception) {
+        Log.w(TAG, "  - Error al obtener manufacturerName: ${e.message}")
+        null
+      },
+      "productName" to try {
+        if (hasPermission) device.productName else null
+      } catch (e: Exception) {
+        Log.w(TAG, "  - Error al obtener productName: ${e.message}")
+        null
+      },
+      "serialNumber" to try {
+        if (hasPermission) device.serialNumber else null
+      } catch (e: Exception) {
+        Log.w(TAG, "  - Error al obtener serialNumber: ${e.message}")
+        null
+      },
+      "hasPermission" to hasPermission
+    )
+  }
+
+  // Buscar un endpoint por dirección entre las interfaces reclamadas del dispositivo
+  private fun requireClaimedEndpoint(deviceName: String, endpointAddress: Int, direction: Int): UsbEndpoint {
+    claimedInterfaces[deviceName]?.forEach { usbInterface ->
+      for (i in 0 until usbInterface.endpointCount) {
+        val endpoint = usbInterface.getEndpoint(i)
+        if (endpoint.address == endpointAddress && endpoint.direction == direction) {
+          return endpoint
+        }
+      }
+    }
+    throw UsbException(
+      UsbErrorCode.ENDPOINT_NOT_FOUND,
+      "Endpoint 0x${endpointAddress.toString(16)} no pertenece a una interfaz reclamada de $deviceName"
+    )
+  }
+
+  // Cerrar la conexión del dispositivo liberando lecturas, puerto serie e interfaces
+  private fun closeConnection(deviceName: String): Boolean {
+    val connection = activeConnections[deviceName]
+    if (connection == null) {
+      Log.w(TAG, "No hay conexión activa para: $deviceName")
+      return false
+    }
+
+    // Detener la lectura continua si estaba activa
+    inputReaders.remove(deviceName)?.stop()
+    serialPorts.remove(deviceName)?.close()
+
+    // Liberar todas las interfaces reclamadas
+    claimedInterfaces[deviceName]?.forEach { iface ->
+      try {
+        connection.releaseInterface(iface)
+        Log.d(TAG, "Interfaz ${iface.id} liberada")
+      } catch (e: Exception) {
+        Log.e(TAG, "Error al liberar interfaz ${iface.id}", e)
+      }
+    }
+
+    connection.close()
+    activeConnections.remove(deviceName)
+    claimedInterfaces.remove(deviceName)
+
+    Log.d(TAG, "✅ Dispositivo cerrado exitosamente: $deviceName")
+    return true
+  }
+
+  private fun requireSerialPort(deviceName: String): UsbSerialPort {
+    serialPorts[deviceName]?.let { return it }
+    requireConnection(deviceName)
+    throw UsbException(UsbErrorCode.DEVICE_NOT_OPEN, "No hay puerto serie abierto para: $deviceName")
+  }
+
+  // Primera interfaz HID entre las reclamadas del dispositivo
+  private fun requireClaimedHidInterface(deviceName: String): UsbInterface {
+    return claimedInterfaces[deviceName]?.find { it.interfaceClass == UsbConstants.USB_CLASS_HID }
+      ?: throw UsbException(UsbErrorCode.INTERFACE_NOT_FOUND, "No hay interfaz HID reclamada en $deviceName")
+  }
+
+  private fun requireUsbManager(): UsbManager {
+    val reactContext = appContext.reactContext
+      ?: throw UsbException(UsbErrorCode.NOT_SUPPORTED, "ReactContext no disponible")
+    return reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
+  }
+
+  private fun requireDevice(deviceName: String): UsbDevice {
+    return requireUsbManager().deviceList.values.find { it.deviceName == deviceName }
+      ?: throw UsbException(UsbErrorCode.DEVICE_NOT_FOUND, "Dispositivo no encontrado: $deviceName")
+  }
+
+  private fun isDevicePresent(deviceName: String): Boolean {
+    val reactContext = appContext.reactContext ?: return false
+    val usbManager = reactContext.getSystemService(Context.USB_SERVICE) as UsbManager
+    return usbManager.deviceList.values.any { it.deviceName == deviceName }
+  }
+
+  // Conexión activa del dispositivo. Distingue "nunca se abrió" de "se desconectó"
+  // (el receiver de desconexión elimina la conexión al quitar el cable)
+  private fun requireConnection(deviceName: String): UsbDeviceConnection {
+    activeConnections[deviceName]?.let { return it }
+
+    if (!isDevicePresent(deviceName)) {
+      throw UsbException(UsbErrorCode.DEVICE_DETACHED, "El dispositivo $deviceName está desconectado")
+    }
+    throw UsbException(UsbErrorCode.DEVICE_NOT_OPEN, "No hay conexión activa para: $deviceName")
+  }
+
+  // Android devuelve -1 tanto en timeout como en error: se distingue por el tiempo
+  // transcurrido y por si el dispositivo sigue conectado
+  private fun transferFailure(deviceName: String, result: Int, startedAt: Long, timeout: Int, what: String): UsbException {
+    if (!isDevicePresent(deviceName)) {
+      return UsbException(UsbErrorCode.DEVICE_DETACHED, "El dispositivo se desconectó durante $what")
+    }
+    val elapsed = SystemClock.elapsedRealtime() - startedAt
+    if (timeout > 0 && elapsed >= timeout) {
+      return UsbException(UsbErrorCode.TIMEOUT, "Timeout de $timeout ms en $what")
+    }
+    return UsbException(UsbErrorCode.TRANSFER_FAILED, "Error en $what (código: $result)")
+  }
+
+  // En el pipe de control un rechazo inmediato es un STALL (petición no soportada)
+  private fun controlFailure(deviceName: String, result: Int, startedAt: Long, timeout: Int, what: String): UsbException {
+    val failure = transferFailure(deviceName, result, startedAt, timeout, what)
+    if (failure.errorCode == UsbErrorCode.TRANSFER_FAILED) {
+      return UsbException(UsbErrorCode.STALL, "El dispositivo rechazó $what")
+    }
+    return failure
+  }
+
+  // Con report IDs el primer byte del report es el ID; con ID 0 se envían los datos tal cual
+  private fun withReportId(reportId: Int, data: ByteArray): ByteArray {
+    if (reportId == 0) return data
+    return byteArrayOf(reportId.toByte()) + data
+  }
+
+  // Consultar GET_STATUS del endpoint: el bit 0 indica ENDPOINT_HALT (stall)
+  private fun isEndpointHalted(connection: UsbDeviceConnection, endpointAddress: Int): Boolean {
+    val status = ByteArray(2)
+    val result = connection.controlTransfer(0x82, 0x00, 0x00, endpointAddress, status, status.size, 1000)
+    return result == 2 && (status[0].toInt() and 0x01) == 0x01
+  }
+
+  // Resultado de una transferencia con la forma de WebUSB
+  private fun buildTransferResult(status: String, bytesTransferred: Int, data: ByteArray): Map<String, Any?> {
+    return mapOf(
+      "status" to status,
+      "bytesTransferred" to bytesTransferred,
+      "data" to data
+    )
+  }
+
+  // Convertir una configuración USB (interfaces agrupadas por número con sus alternativas)
+  private fun buildConfigurationMap(configuration: UsbConfiguration): Map<String, Any?> {
+    val interfacesByNumber = linkedMapOf<Int, MutableList<Map<String, Any?>>>()
+
+    for (i in 0 until configuration.interfaceCount) {
+      val usbInterface = configuration.getInterface(i)
+      val endpoints = (0 until usbInterface.endpointCount).map { j ->
+        buildEndpointMap(usbInterface.getEndpoint(j))
+      }
+
+      interfacesByNumber.getOrPut(usbInterface.id) { mutableListOf() }.add(
+        mapOf(
+          "alternateSetting" to usbInterface.alternateSetting,
+          "interfaceClass" to usbInterface.interfaceClass,
+          "interfaceSubclass" to usbInterface.interfaceSubclass,
+          "interfaceProtocol" to usbInterface.interfaceProtocol,
+          "interfaceName" to usbInterface.name,
+          "endpoints" to endpoints
+        )
+      )
+    }
+
+    return mapOf(
+      "configurationValue" to configuration.id,
+      "configurationName" to configuration.name,
+      "maxPower" to configuration.maxPower,
+      "selfPowered" to configuration.isSelfPowered,
+      "remoteWakeup" to configuration.isRemoteWakeup,
+      "interfaces" to interfacesByNumber.map { (number, alternates) ->
+        mapOf(
+          "interfaceNumber" to number,
+          "alternates" to alternates
+        )
+      }
+    )
+  }
+
+  // Convertir un endpoint USB (dirección, tipo, tamaño de paquete e intervalo)
+  private fun buildEndpointMap(endpoint: UsbEndpoint): Map<String, Any?> {
+    val type = when (endpoint.type) {
+      UsbConstants.USB_ENDPOINT_XFER_CONTROL -> "control"
+      UsbConstants.USB_ENDPOINT_XFER_ISOC -> "isochronous"
+      UsbConstants.USB_ENDPOINT_XFER_BULK -> "bulk"
+      else -> "interrupt"
+    }
+
+    return mapOf(
+      "address" to endpoint.address,
+      "endpointNumber" to endpoint.endpointNumber,
+      "direction" to if (endpoint.direction == UsbConstants.USB_DIR_IN) "in" else "out",
+      "type" to type,
+      "maxPacketSize" to endpoint.maxPacketSize,
+      "interval" to endpoint.interval
+    )
+  }
+
   // Verificar si es un dispositivo HID
   private fun isHIDDevice(device: UsbDevice): Boolean {
     for (i in 0 until device.interfaceCount) {
@@ -695,7 +1465,12 @@ class ExpoUsbConectedModule : Module() {
   }
 
   // Escribir datos usando HID Reports
-  private fun writeHIDReport(connection: UsbDeviceConnection, device: UsbDevice, data: ByteArray): Int {
+  private fun writeHIDReport(
+    connection: UsbDeviceConnection,
+    device: UsbDevice,
+    data: ByteArray,
+    token: UsbCancellation.Token
+  ): Int {
     try {
       Log.d(TAG, "=== ESCRIBIENDO HID REPORT ===")
       
@@ -710,8 +1485,7 @@ class ExpoUsbConectedModule : Module() {
       }
       
       if (hidInterface == null) {
-        Log.e(TAG, "No se encontró interfaz HID")
-        return -1
+        throw UsbException(UsbErrorCode.INTERFACE_NOT_FOUND, "No se encontró interfaz HID")
       }
       
       // Verificar si la interfaz ya está reclamada
@@ -721,8 +1495,7 @@ class ExpoUsbConectedModule : Module() {
         // Reclamar interfaz si no está reclamada
         val claimed = connection.claimInterface(hidInterface, true)
         if (!claimed) {
-          Log.e(TAG, "No se pudo reclamar interfaz HID")
-          return -1
+          throw UsbException(UsbErrorCode.INTERFACE_BUSY, "No se pudo reclamar interfaz HID")
         }
         claimedInterfaces[device.deviceName]?.add(hidInterface)
         Log.d(TAG, "Interfaz HID reclamada en writeHIDReport")
@@ -741,8 +1514,7 @@ class ExpoUsbConectedModule : Module() {
       }
       
       if (outEndpoint == null) {
-        Log.e(TAG, "No se encontró endpoint OUT en interfaz HID")
-        return -1
+        throw UsbException(UsbErrorCode.ENDPOINT_NOT_FOUND, "No se encontró endpoint OUT en interfaz HID")
       }
       
       // Crear frame HID de 64 bytes
@@ -782,31 +1554,33 @@ class ExpoUsbConectedModule : Module() {
       Log.d(TAG, "Device file descriptor válido: $deviceConnected")
       
       // Enviar usando bulk transfer (HID Reports se envían como bulk)
-      val bytesWritten = connection.bulkTransfer(outEndpoint, hidFrame, hidFrame.size, 5000)
+      val startedAt = SystemClock.elapsedRealtime()
+      val bytesWritten = cancellation.bulkTransferOut(connection, outEndpoint, hidFrame, 5000, token, "escritura HID")
       
       if (bytesWritten < 0) {
         Log.e(TAG, "❌ Error al escribir HID report (código: $bytesWritten)")
-        Log.e(TAG, "Posibles causas:")
-        Log.e(TAG, "  -1: USB_TRANSFER_ERROR (error general)")
-        Log.e(TAG, "  -2: USB_TRANSFER_TIMEOUT (timeout)")
-        Log.e(TAG, "  -3: USB_TRANSFER_CANCELLED (cancelado)")
-        Log.e(TAG, "  -4: USB_TRANSFER_STALL (stall condition)")
-        Log.e(TAG, "  -5: USB_TRANSFER_NO_DEVICE (dispositivo no conectado)")
-        Log.e(TAG, "  -6: USB_TRANSFER_OVERFLOW (overflow)")
-      } else {
-        Log.d(TAG, "✅ HID report enviado: $bytesWritten bytes")
+        if (isEndpointHalted(connection, outEndpoint.address)) {
+          throw UsbException(UsbErrorCode.STALL, "Endpoint HID OUT en STALL")
+        }
+        throw transferFailure(device.deviceName, bytesWritten, startedAt, 5000, "escritura HID")
       }
-      
+
+      Log.d(TAG, "✅ HID report enviado: $bytesWritten bytes")
       return bytesWritten
       
     } catch (e: Exception) {
       Log.e(TAG, "Error al escribir HID report", e)
-      return -1
+      throw e.toUsbException("Error al escribir HID report")
     }
   }
 
   // Escribir datos usando bulk transfer
-  private fun writeBulkData(connection: UsbDeviceConnection, device: UsbDevice, data: ByteArray): Int {
+  private fun writeBulkData(
+    connection: UsbDeviceConnection,
+    device: UsbDevice,
+    data: ByteArray,
+    token: UsbCancellation.Token
+  ): Int {
     try {
       Log.d(TAG, "=== ESCRIBIENDO BULK DATA ===")
       
@@ -825,32 +1599,40 @@ class ExpoUsbConectedModule : Module() {
       }
 
       if (outEndpoint == null) {
-        Log.e(TAG, "No se encontró endpoint de salida (OUT)")
-        return -1
+        throw UsbException(UsbErrorCode.ENDPOINT_NOT_FOUND, "No se encontró endpoint de salida (OUT)")
       }
 
       Log.d(TAG, "Datos (hex): ${data.joinToString(" ") { "%02X".format(it) }}")
       Log.d(TAG, "Endpoint OUT: ${outEndpoint.address}, Max packet: ${outEndpoint.maxPacketSize}")
 
       // Escribir datos
-      val bytesWritten = connection.bulkTransfer(outEndpoint, data, data.size, 5000)
+      val startedAt = SystemClock.elapsedRealtime()
+      val bytesWritten = cancellation.bulkTransferOut(connection, outEndpoint, data, 5000, token, "escritura bulk")
       
       if (bytesWritten < 0) {
         Log.e(TAG, "❌ Error al escribir datos bulk (código: $bytesWritten)")
-      } else {
-        Log.d(TAG, "✅ Escritos $bytesWritten bytes exitosamente")
+        if (isEndpointHalted(connection, outEndpoint.address)) {
+          throw UsbException(UsbErrorCode.STALL, "Endpoint OUT en STALL")
+        }
+        throw transferFailure(device.deviceName, bytesWritten, startedAt, 5000, "escritura bulk")
       }
 
+      Log.d(TAG, "✅ Escritos $bytesWritten bytes exitosamente")
       return bytesWritten
       
     } catch (e: Exception) {
       Log.e(TAG, "Error al escribir datos bulk", e)
-      return -1
+      throw e.toUsbException("Error al escribir datos bulk")
     }
   }
 
   // Leer datos usando HID Reports
-  private fun readHIDReport(connection: UsbDeviceConnection, device: UsbDevice, timeout: Int): List<Int> {
+  private fun readHIDReport(
+    connection: UsbDeviceConnection,
+    device: UsbDevice,
+    timeout: Int,
+    token: UsbCancellation.Token
+  ): ByteArray {
     try {
       Log.d(TAG, "=== LEYENDO HID REPORT ===")
       
@@ -865,8 +1647,7 @@ class ExpoUsbConectedModule : Module() {
       }
       
       if (hidInterface == null) {
-        Log.e(TAG, "No se encontró interfaz HID")
-        return emptyList()
+        throw UsbException(UsbErrorCode.INTERFACE_NOT_FOUND, "No se encontró interfaz HID")
       }
       
       // Buscar endpoint IN en la interfaz HID
@@ -880,8 +1661,7 @@ class ExpoUsbConectedModule : Module() {
       }
       
       if (inEndpoint == null) {
-        Log.e(TAG, "No se encontró endpoint IN en interfaz HID")
-        return emptyList()
+        throw UsbException(UsbErrorCode.ENDPOINT_NOT_FOUND, "No se encontró endpoint IN en interfaz HID")
       }
       
       // Buffer para recibir datos (tamaño estándar HID)
@@ -891,20 +1671,24 @@ class ExpoUsbConectedModule : Module() {
       Log.d(TAG, "Esperando datos HID...")
 
       // Leer datos
-      val bytesRead = connection.bulkTransfer(inEndpoint, buffer, buffer.size, timeout)
+      val startedAt = SystemClock.elapsedRealtime()
+      val bytesRead = cancellation.bulkTransferIn(connection, inEndpoint, buffer, buffer.size, timeout, token, "lectura HID")
       
       if (bytesRead < 0) {
         Log.e(TAG, "❌ Error al leer HID report (código: $bytesRead)")
-        return emptyList()
+        if (isEndpointHalted(connection, inEndpoint.address)) {
+          throw UsbException(UsbErrorCode.STALL, "Endpoint HID IN en STALL")
+        }
+        throw transferFailure(device.deviceName, bytesRead, startedAt, timeout, "lectura HID")
       }
 
       if (bytesRead == 0) {
         Log.w(TAG, "⚠️ No se recibieron datos HID (timeout o sin datos disponibles)")
-        return emptyList()
+        return ByteArray(0)
       }
 
-      // Convertir ByteArray a List<Int>
-      val dataList = buffer.take(bytesRead).map { it.toInt() and 0xFF }
+      // Devolver sólo los bytes recibidos (llega a JS como Uint8Array)
+      val dataList = buffer.copyOf(bytesRead)
       
       Log.d(TAG, "✅ Leídos $bytesRead bytes HID exitosamente")
       Log.d(TAG, "Datos HID (hex): ${buffer.take(bytesRead).joinToString(" ") { "%02X".format(it) }}")
@@ -913,12 +1697,17 @@ class ExpoUsbConectedModule : Module() {
       
     } catch (e: Exception) {
       Log.e(TAG, "Error al leer HID report", e)
-      return emptyList()
+      throw e.toUsbException("Error al leer HID report")
     }
   }
 
   // Leer datos usando bulk transfer
-  private fun readBulkData(connection: UsbDeviceConnection, device: UsbDevice, timeout: Int): List<Int> {
+  private fun readBulkData(
+    connection: UsbDeviceConnection,
+    device: UsbDevice,
+    timeout: Int,
+    token: UsbCancellation.Token
+  ): ByteArray {
     try {
       Log.d(TAG, "=== LEYENDO BULK DATA ===")
       
@@ -937,8 +1726,7 @@ class ExpoUsbConectedModule : Module() {
       }
 
       if (inEndpoint == null) {
-        Log.e(TAG, "No se encontró endpoint de entrada (IN)")
-        return emptyList()
+        throw UsbException(UsbErrorCode.ENDPOINT_NOT_FOUND, "No se encontró endpoint de entrada (IN)")
       }
 
       // Buffer para recibir datos
@@ -948,20 +1736,24 @@ class ExpoUsbConectedModule : Module() {
       Log.d(TAG, "Esperando datos...")
 
       // Leer datos
-      val bytesRead = connection.bulkTransfer(inEndpoint, buffer, buffer.size, timeout)
+      val startedAt = SystemClock.elapsedRealtime()
+      val bytesRead = cancellation.bulkTransferIn(connection, inEndpoint, buffer, buffer.size, timeout, token, "lectura bulk")
       
       if (bytesRead < 0) {
         Log.e(TAG, "❌ Error al leer datos bulk (código: $bytesRead)")
-        return emptyList()
+        if (isEndpointHalted(connection, inEndpoint.address)) {
+          throw UsbException(UsbErrorCode.STALL, "Endpoint IN en STALL")
+        }
+        throw transferFailure(device.deviceName, bytesRead, startedAt, timeout, "lectura bulk")
       }
 
       if (bytesRead == 0) {
         Log.w(TAG, "⚠️ No se recibieron datos bulk (timeout o sin datos disponibles)")
-        return emptyList()
+        return ByteArray(0)
       }
 
-      // Convertir ByteArray a List<Int>
-      val dataList = buffer.take(bytesRead).map { it.toInt() and 0xFF }
+      // Devolver sólo los bytes recibidos (llega a JS como Uint8Array)
+      val dataList = buffer.copyOf(bytesRead)
       
       Log.d(TAG, "✅ Leídos $bytesRead bytes bulk exitosamente")
       Log.d(TAG, "Datos bulk (hex): ${buffer.take(bytesRead).joinToString(" ") { "%02X".format(it) }}")
@@ -970,7 +1762,7 @@ class ExpoUsbConectedModule : Module() {
       
     } catch (e: Exception) {
       Log.e(TAG, "Error al leer datos bulk", e)
-      return emptyList()
+      throw e.toUsbException("Error al leer datos bulk")
     }
   }
 }
\ No newline at end of file
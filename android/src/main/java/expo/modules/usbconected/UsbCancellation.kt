@@ -0,0 +1,175 @@
+package expo.modules.usbconected
+
+import android.hardware.usb.UsbDeviceConnection
+import android.hardware.usb.UsbEndpoint
+import android.os.SystemClock
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Cancelación de transferencias desde JavaScript: de una sola llamada por su
+ * transferId (cancelTransfer, lo usan signal y timeoutMs) o de todas las del
+ * dispositivo (cancelTransfers). Cada transferencia toma un token al empezar.
+ * Android no interrumpe un bulkTransfer ni un controlTransfer en curso, así que
+ * se hacen en tramos cortos y el token se comprueba entre tramos, igual que
+ * UsbInputReader con su señal de parada.
+ */
+class UsbCancellation {
+
+  companion object {
+    private const val POLL_TIMEOUT_MS = 250
+    // Cancelaciones de transferencias que todavía no han empezado (esperan en el hilo
+    // del dispositivo); pasado este plazo la llamada ya terminó y se olvidan
+    private const val PENDING_CANCEL_TTL_MS = 60_000L
+  }
+
+  private val generations = ConcurrentHashMap<String, Int>()
+  private val active = ConcurrentHashMap<String, Token>()
+  private val cancelledBeforeStart = ConcurrentHashMap<String, Long>()
+
+  inner class Token(
+    private val deviceName: String,
+    private val generation: Int,
+    val transferId: String?
+  ) {
+    @Volatile
+    internal var cancelled = false
+
+    val isCancelled: Boolean
+      get() = cancelled || (generations[deviceName] ?: 0) != generation
+
+    fun throwIfCancelled(what: String) {
+      if (isCancelled) {
+        throw UsbException(UsbErrorCode.ABORTED, "Cancelado: $what")
+      }
+    }
+  }
+
+  fun token(deviceName: String, transferId: String? = null): Token {
+    val token = Token(deviceName, generations[deviceName] ?: 0, transferId)
+    if (transferId != null) {
+      token.cancelled = cancelledBeforeStart.remove(transferId) != null
+      active[transferId] = token
+    }
+    return token
+  }
+
+  // Ejecuta `block` con un token que se olvida al terminar
+  fun <T> withToken(deviceName: String, transferId: String?, block: (Token) -> T): T {
+    val token = token(deviceName, transferId)
+    try {
+      return block(token)
+    } finally {
+      transferId?.let { active.remove(it, token) }
+    }
+  }
+
+  fun cancel(deviceName: String) {
+    generations.merge(deviceName, 1) { current, increment -> current + increment }
+  }
+
+  // Devuelve false si la transferencia no ha empezado: queda anotada para cuando empiece
+  fun cancelTransfer(transferId: String): Boolean {
+    active[transferId]?.let {
+      it.cancelled = true
+      return true
+    }
+    val now = SystemClock.elapsedRealtime()
+    cancelledBeforeStart.values.removeIf { now - it > PENDING_CANCEL_TTL_MS }
+    cancelledBeforeStart[transferId] = now
+    return false
+  }
+
+  // Repite `attempt` con tramos de timeout hasta que devuelva datos (>= 0), falle
+  // antes de agotar el tramo, venza `timeout` (0 = sin límite, como en Android) o se
+  // cancele. Devuelve lo mismo que Android: -1 si vence el timeout o falla, y el
+  // llamador lo distingue con transferFailure
+  fun sliced(timeout: Int, token: Token, what: String, attempt: (sliceTimeout: Int) -> Int): Int {
+    val startedAt = SystemClock.elapsedRealtime()
+
+    while (true) {
+      token.throwIfCancelled(what)
+
+      val remaining = if (timeout > 0) {
+        timeout - (SystemClock.elapsedRealtime() - startedAt).toInt()
+      } else {
+        POLL_TIMEOUT_MS
+      }
+      if (remaining <= 0) {
+        return -1
+      }
+
+      val slice = remaining.coerceAtMost(POLL_TIMEOUT_MS)
+      val sliceStartedAt = SystemClock.elapsedRealtime()
+      val result = attempt(slice)
+      if (result >= 0) {
+        return result
+      }
+
+      // Un -1 antes de agotar el tramo no es un timeout sino un error de la transferencia
+      if (SystemClock.elapsedRealtime() - sliceStartedAt < slice) {
+        return result
+      }
+    }
+  }
+
+  fun bulkTransferIn(
+    connection: UsbDeviceConnection,
+    endpoint: UsbEndpoint,
+    buffer: ByteArray,
+    length: Int,
+    timeout: Int,
+    token: Token,
+    what: String
+  ): Int = sliced(timeout, token, what) { slice -> connection.bulkTransfer(endpoint, buffer, length, slice) }
+
+  // Escritura de paquete en paquete: un paquete que vence su tramo no se llegó a
+  // aceptar (el dispositivo respondió NAK) y se reintenta entero, así que trocear no
+  // duplica ni pierde datos. `timeout` es el de toda la escritura
+  fun bulkTransferOut(
+    connection: UsbDeviceConnection,
+    endpoint: UsbEndpoint,
+    data: ByteArray,
+    timeout: Int,
+    token: Token,
+    what: String
+  ): Int {
+    val packetSize = endpoint.maxPacketSize.coerceAtLeast(1)
+    val startedAt = SystemClock.elapsedRealtime()
+    var offset = 0
+
+    do {
+      val remaining = if (timeout > 0) timeout - (SystemClock.elapsedRealtime() - startedAt).toInt() else 0
+      if (timeout > 0 && remaining <= 0) {
+        return -1
+      }
+
+      val length = minOf(packetSize, data.size - offset)
+      val written = sliced(remaining, token, what) { slice ->
+        connection.bulkTransfer(endpoint, data, offset, length, slice)
+      }
+      if (written < 0) {
+        return written
+      }
+      offset += written
+    } while (offset < data.size)
+
+    return offset
+  }
+
+  // Una petición de control que vence su tramo no se completó y se repite: las que
+  // usan los drivers (GET_STATUS, SET_REPORT, SET_LINE_CODING...) son idempotentes
+  fun controlTransfer(
+    connection: UsbDeviceConnection,
+    requestType: Int,
+    request: Int,
+    value: Int,
+    index: Int,
+    buffer: ByteArray?,
+    length: Int,
+    timeout: Int,
+    token: Token,
+    what: String
+  ): Int = sliced(timeout, token, what) { slice ->
+    connection.controlTransfer(requestType, request, value, index, buffer, length, slice)
+  }
+}
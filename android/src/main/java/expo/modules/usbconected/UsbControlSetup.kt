@@ -0,0 +1,43 @@
+package expo.modules.usbconected
+
+import expo.modules.kotlin.records.Field
+import expo.modules.kotlin.records.Record
+
+/**
+ * Parámetros de una transferencia de control (misma forma que USBControlTransferParameters de WebUSB)
+ */
+class UsbControlSetup : Record {
+    @Field
+    val requestType: String = "standard"
+
+    @Field
+    val recipient: String = "device"
+
+    @Field
+    val request: Int = 0
+
+    @Field
+    val value: Int = 0
+
+    @Field
+    val index: Int = 0
+
+    /**
+     * Calcula el campo bmRequestType del paquete SETUP
+     */
+    fun toRequestType(directionIn: Boolean): Int {
+        val direction = if (directionIn) 0x80 else 0x00
+        val type = when (requestType) {
+            "class" -> 0x20
+            "vendor" -> 0x40
+            else -> 0x00
+        }
+        val target = when (recipient) {
+            "interface" -> 0x01
+            "endpoint" -> 0x02
+            "other" -> 0x03
+            else -> 0x00
+        }
+        return direction or type or target
+    }
+}
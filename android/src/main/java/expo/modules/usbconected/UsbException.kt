@@ -0,0 +1,37 @@
+package expo.modules.usbconected
+
+import expo.modules.kotlin.exception.CodedException
+
+/**
+ * Códigos estables de error compartidos con JavaScript (src/UsbError.ts).
+ * La promesa se rechaza con `code` igual al valor de la enumeración.
+ */
+enum class UsbErrorCode(val code: String) {
+  NO_PERMISSION("E_NO_PERMISSION"),
+  DEVICE_NOT_FOUND("E_DEVICE_NOT_FOUND"),
+  DEVICE_DETACHED("E_DEVICE_DETACHED"),
+  DEVICE_NOT_OPEN("E_DEVICE_NOT_OPEN"),
+  INTERFACE_NOT_FOUND("E_INTERFACE_NOT_FOUND"),
+  INTERFACE_BUSY("E_INTERFACE_BUSY"),
+  ENDPOINT_NOT_FOUND("E_ENDPOINT_NOT_FOUND"),
+  TIMEOUT("E_TIMEOUT"),
+  STALL("E_STALL"),
+  TRANSFER_FAILED("E_TRANSFER_FAILED"),
+  UNPLUG_AND_RETRY("E_UNPLUG_AND_RETRY"),
+  NOT_SUPPORTED("E_NOT_SUPPORTED"),
+  ABORTED("E_ABORTED"),
+  UNKNOWN("E_UNKNOWN")
+}
+
+class UsbException(
+  val errorCode: UsbErrorCode,
+  message: String,
+  cause: Throwable? = null
+) : CodedException(errorCode.code, message, cause)
+
+// Cualquier excepción inesperada se entrega a JavaScript como UsbException
+fun Exception.toUsbException(message: String): UsbException = when (this) {
+  is UsbException -> this
+  is SecurityException -> UsbException(UsbErrorCode.NO_PERMISSION, "$message: ${this.message}", this)
+  else -> UsbException(UsbErrorCode.UNKNOWN, "$message: ${this.message}", this)
+}
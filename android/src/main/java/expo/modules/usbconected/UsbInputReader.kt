@@ -0,0 +1,71 @@
+package expo.modules.usbconected
+
+import android.hardware.usb.UsbDeviceConnection
+import android.hardware.usb.UsbEndpoint
+import android.os.SystemClock
+import android.util.Log
+
+/**
+ * Bucle de lectura continua sobre un endpoint IN (input reports HID o bulk).
+ * Cada frame recibido se entrega con una marca de tiempo monotónica en milisegundos
+ * (SystemClock.elapsedRealtimeNanos), inmune a cambios de hora del sistema.
+ */
+class UsbInputReader(
+  private val connection: UsbDeviceConnection,
+  private val endpoint: UsbEndpoint,
+  private val onFrame: (data: ByteArray, timestamp: Double) -> Unit
+) {
+
+  companion object {
+    private const val TAG = "UsbInputReader"
+    // Timeout corto para poder comprobar la señal de parada con frecuencia
+    private const val POLL_TIMEOUT_MS = 250
+  }
+
+  @Volatile
+  private var running = false
+  private var thread: Thread? = null
+
+  val endpointAddress: Int
+    get() = endpoint.address
+
+  fun start() {
+    if (running) return
+    running = true
+
+    thread = Thread({
+      val buffer = ByteArray(endpoint.maxPacketSize.coerceAtLeast(1))
+      Log.d(TAG, "▶️ Lectura continua iniciada en endpoint 0x${endpoint.address.toString(16)}")
+
+      while (running) {
+        // bulkTransfer devuelve -1 tanto en timeout como en error: se sigue leyendo
+        // hasta que se detenga el bucle (stopReading, closeDevice o desconexión)
+        val bytesRead = connection.bulkTransfer(endpoint, buffer, buffer.size, POLL_TIMEOUT_MS)
+        if (bytesRead > 0 && running) {
+          val timestamp = SystemClock.elapsedRealtimeNanos() / 1_000_000.0
+          try {
+            onFrame(buffer.copyOf(bytesRead), timestamp)
+          } catch (e: Exception) {
+            Log.e(TAG, "Error entregando frame", e)
+          }
+        }
+      }
+
+      Log.d(TAG, "⏹️ Lectura continua detenida en endpoint 0x${endpoint.address.toString(16)}")
+    }, "UsbInputReader-${endpoint.address}")
+
+    thread?.start()
+  }
+
+  fun stop() {
+    running = false
+    thread?.let {
+      try {
+        it.join((POLL_TIMEOUT_MS * 2).toLong())
+      } catch (e: InterruptedException) {
+        Log.w(TAG, "Interrumpido esperando el fin de la lectura")
+      }
+    }
+    thread = null
+  }
+}
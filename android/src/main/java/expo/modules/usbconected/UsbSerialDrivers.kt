@@ -0,0 +1,356 @@
+package expo.modules.usbconected
+
+import android.hardware.usb.UsbConstants
+import android.hardware.usb.UsbDevice
+import android.hardware.usb.UsbDeviceConnection
+
+/**
+ * FTDI FT232R/FT232B/FT2232 y compatibles. Peticiones de fabricante SIO_* sobre el
+ * dispositivo; cada paquete recibido empieza con 2 bytes de estado del módem
+ */
+class FtdiSerialPort(device: UsbDevice, connection: UsbDeviceConnection) : UsbSerialPort(device, connection) {
+
+  companion object {
+    private const val REQUEST_TYPE_OUT = 0x40
+    private const val SIO_RESET = 0x00
+    private const val SIO_MODEM_CTRL = 0x01
+    private const val SIO_SET_FLOW_CTRL = 0x02
+    private const val SIO_SET_BAUD_RATE = 0x03
+    private const val SIO_SET_DATA = 0x04
+    private const val SIO_SET_LATENCY_TIMER = 0x09
+    private const val SIO_RTS_CTS_HS = 0x0100
+    private const val MODEM_STATUS_LENGTH = 2
+    private const val LATENCY_TIMER_MS = 1
+
+    // Codificación de los octavos del divisor en los bits 14-16
+    private val FRACTIONAL_CODES = intArrayOf(0, 3, 2, 4, 1, 5, 6, 7)
+  }
+
+  override val driver = "ftdi"
+
+  // Los chips multipuerto direccionan cada puerto con index = interfaz + 1
+  private var portIndex = 1
+
+  override fun claimInterfaces() {
+    super.claimInterfaces()
+    portIndex = interfaces.first().id + 1
+  }
+
+  override fun configure(options: UsbSerialOptions) {
+    controlOut(REQUEST_TYPE_OUT, SIO_RESET, 0, portIndex)
+
+    val divisor = baudRateDivisor(options.baudRate)
+    val baudIndex = if (device.interfaceCount > 1) ((divisor shr 16) shl 8) or portIndex else divisor shr 16
+    controlOut(REQUEST_TYPE_OUT, SIO_SET_BAUD_RATE, divisor and 0xffff, baudIndex)
+
+    val lineConfig = options.requireDataBits() or
+      (options.parityCode() shl 8) or
+      (options.stopBitsCode() shl 11)
+    controlOut(REQUEST_TYPE_OUT, SIO_SET_DATA, lineConfig, portIndex)
+
+    val flow = if (options.flowControl == "hardware") SIO_RTS_CTS_HS else 0
+    controlOut(REQUEST_TYPE_OUT, SIO_SET_FLOW_CTRL, 0, flow or portIndex)
+
+    // Los glucómetros envían respuestas cortas: sin esto cada lectura espera 16 ms
+    controlOut(REQUEST_TYPE_OUT, SIO_SET_LATENCY_TIMER, LATENCY_TIMER_MS, portIndex)
+  }
+
+  override fun applyControlLines() {
+    controlOut(REQUEST_TYPE_OUT, SIO_MODEM_CTRL, if (dtr) 0x0101 else 0x0100, portIndex)
+    controlOut(REQUEST_TYPE_OUT, SIO_MODEM_CTRL, if (rts) 0x0202 else 0x0200, portIndex)
+  }
+
+  override fun unwrapRead(buffer: ByteArray, length: Int): ByteArray {
+    val packetSize = inEndpoint.maxPacketSize.coerceAtLeast(MODEM_STATUS_LENGTH + 1)
+    val output = java.io.ByteArrayOutputStream(length)
+    var offset = 0
+    while (offset < length) {
+      val end = minOf(offset + packetSize, length)
+      if (end > offset + MODEM_STATUS_LENGTH) {
+        output.write(buffer, offset + MODEM_STATUS_LENGTH, end - offset - MODEM_STATUS_LENGTH)
+      }
+      offset = end
+    }
+    return output.toByteArray()
+  }
+
+  // Divisor sobre el reloj base de 3 MHz en octavos (AN232B-05)
+  private fun baudRateDivisor(baudRate: Int): Int {
+    if (baudRate <= 0 || baudRate > 3_000_000) {
+      throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Velocidad no soportada por FTDI: $baudRate")
+    }
+    if (baudRate >= 2_500_000) return 0
+    if (baudRate >= 1_750_000) return 1
+
+    var divisor = ((24_000_000 shl 1) / baudRate + 1) shr 1
+    val eighths = divisor and 0x07
+    divisor = divisor shr 3
+    if (divisor > 0x3fff) {
+      throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Velocidad no soportada por FTDI: $baudRate")
+    }
+    return divisor or (FRACTIONAL_CODES[eighths] shl 14)
+  }
+}
+
+/**
+ * Silicon Labs CP2102/CP2104/CP2105 (AN571): peticiones de fabricante sobre la interfaz
+ */
+class Cp210xSerialPort(device: UsbDevice, connection: UsbDeviceConnection) : UsbSerialPort(device, connection) {
+
+  companion object {
+    private const val REQUEST_TYPE_OUT = 0x41
+    private const val IFC_ENABLE = 0x00
+    private const val SET_LINE_CTL = 0x03
+    private const val SET_MHS = 0x07
+    private const val PURGE = 0x12
+    private const val SET_FLOW = 0x13
+    private const val SET_BAUDRATE = 0x1E
+    private const val PURGE_ALL = 0x0F
+    private const val MHS_DTR_MASK = 0x0100
+    private const val MHS_RTS_MASK = 0x0200
+  }
+
+  override val driver = "cp210x"
+
+  private var interfaceIndex = 0
+
+  override fun claimInterfaces() {
+    super.claimInterfaces()
+    interfaceIndex = interfaces.first().id
+  }
+
+  override fun configure(options: UsbSerialOptions) {
+    controlOut(REQUEST_TYPE_OUT, IFC_ENABLE, 1, interfaceIndex)
+    controlOut(REQUEST_TYPE_OUT, SET_BAUDRATE, 0, interfaceIndex, littleEndian(options.baudRate))
+
+    val lineControl = options.stopBitsCode() or
+      (options.parityCode() shl 4) or
+      (options.requireDataBits() shl 8)
+    controlOut(REQUEST_TYPE_OUT, SET_LINE_CTL, lineControl, interfaceIndex)
+
+    if (options.flowControl == "hardware") {
+      // ulControlHandshake: DTR activo + CTS handshake; ulFlowReplace: RTS como control de flujo
+      val flow = littleEndian(0x09) + littleEndian(0x80) + littleEndian(0) + littleEndian(0)
+      controlOut(REQUEST_TYPE_OUT, SET_FLOW, 0, interfaceIndex, flow)
+    }
+
+    controlOut(REQUEST_TYPE_OUT, PURGE, PURGE_ALL, interfaceIndex)
+  }
+
+  override fun beforeClose() {
+    controlOut(REQUEST_TYPE_OUT, IFC_ENABLE, 0, interfaceIndex)
+  }
+
+  override fun applyControlLines() {
+    val value = MHS_DTR_MASK or MHS_RTS_MASK or (if (dtr) 0x01 else 0) or (if (rts) 0x02 else 0)
+    controlOut(REQUEST_TYPE_OUT, SET_MHS, value, interfaceIndex)
+  }
+
+  private fun littleEndian(value: Int): ByteArray = byteArrayOf(
+    (value and 0xff).toByte(),
+    (value shr 8 and 0xff).toByte(),
+    (value shr 16 and 0xff).toByte(),
+    (value shr 24 and 0xff).toByte()
+  )
+}
+
+/**
+ * Prolific PL2303 (tipos 0/1 y HX): secuencia de inicialización de fabricante y
+ * después peticiones CDC estándar para la línea y las señales
+ */
+class Pl2303SerialPort(device: UsbDevice, connection: UsbDeviceConnection) : UsbSerialPort(device, connection) {
+
+  companion object {
+    private const val VENDOR_READ_REQUEST_TYPE = 0xC0
+    private const val VENDOR_WRITE_REQUEST_TYPE = 0x40
+    private const val VENDOR_REQUEST = 0x01
+    private const val CDC_REQUEST_TYPE = 0x21
+    private const val SET_LINE_CODING = 0x20
+    private const val SET_CONTROL_LINE_STATE = 0x22
+  }
+
+  override val driver = "pl2303"
+
+  private var interfaceIndex = 0
+
+  // Los HX declaran bMaxPacketSize0 = 64 en el descriptor de dispositivo
+  private val isHx: Boolean
+    get() = connection.rawDescriptors?.let { it.size > 7 && it[7].toInt() == 64 } ?: true
+
+  override fun claimInterfaces() {
+    super.claimInterfaces()
+    interfaceIndex = interfaces.first().id
+  }
+
+  override fun configure(options: UsbSerialOptions) {
+    // Secuencia del driver pl2303 de Linux
+    vendorRead(0x8484, 0)
+    vendorWrite(0x0404, 0)
+    vendorRead(0x8484, 0)
+    vendorRead(0x8383, 0)
+    vendorRead(0x8484, 0)
+    vendorWrite(0x0404, 1)
+    vendorRead(0x8484, 0)
+    vendorRead(0x8383, 0)
+    vendorWrite(0, 1)
+    vendorWrite(1, 0)
+    vendorWrite(2, if (isHx) 0x44 else 0x24)
+
+    controlOut(CDC_REQUEST_TYPE, SET_LINE_CODING, 0, interfaceIndex, cdcLineCoding(options))
+
+    val flow = when {
+      options.flowControl != "hardware" -> 0
+      isHx -> 0x61
+      else -> 0x41
+    }
+    vendorWrite(0, flow)
+  }
+
+  override fun applyControlLines() {
+    val value = (if (dtr) 0x01 else 0) or (if (rts) 0x02 else 0)
+    controlOut(CDC_REQUEST_TYPE, SET_CONTROL_LINE_STATE, value, interfaceIndex)
+  }
+
+  private fun vendorRead(value: Int, index: Int) {
+    controlIn(VENDOR_READ_REQUEST_TYPE, VENDOR_REQUEST, value, index, 1)
+  }
+
+  private fun vendorWrite(value: Int, index: Int) {
+    controlOut(VENDOR_WRITE_REQUEST_TYPE, VENDOR_REQUEST, value, index)
+  }
+}
+
+/**
+ * WCH CH340/CH341: registros propios para baudios y formato de línea
+ */
+class Ch34xSerialPort(device: UsbDevice, connection: UsbDeviceConnection) : UsbSerialPort(device, connection) {
+
+  companion object {
+    private const val REQUEST_TYPE_OUT = 0x40
+    private const val REQUEST_TYPE_IN = 0xC0
+    private const val READ_VERSION = 0x5F
+    private const val SERIAL_INIT = 0xA1
+    private const val WRITE_REGISTER = 0x9A
+    private const val MODEM_CONTROL = 0xA4
+
+    private const val REGISTER_LCR = 0x2518
+    private const val REGISTER_BAUD_1 = 0x1312
+    private const val REGISTER_BAUD_2 = 0x0F2C
+
+    private const val LCR_ENABLE_RX = 0x80
+    private const val LCR_ENABLE_TX = 0x40
+    private const val LCR_MARK_SPACE = 0x20
+    private const val LCR_PARITY_EVEN = 0x10
+    private const val LCR_ENABLE_PARITY = 0x08
+    private const val LCR_STOP_BITS_2 = 0x04
+
+    private const val MODEM_DTR = 0x20
+    private const val MODEM_RTS = 0x40
+
+    private const val BAUD_BASE_FACTOR = 1_532_620_800L
+    private const val BAUD_BASE_DIVMAX = 3
+  }
+
+  override val driver = "ch34x"
+
+  override fun configure(options: UsbSerialOptions) {
+    requireNoFlowControl(options)
+
+    controlIn(REQUEST_TYPE_IN, READ_VERSION, 0, 0, 2)
+    controlOut(REQUEST_TYPE_OUT, SERIAL_INIT, 0, 0)
+    setBaudRate(options.baudRate)
+
+    val parity = when (options.parity) {
+      "none" -> 0
+      "odd" -> LCR_ENABLE_PARITY
+      "even" -> LCR_ENABLE_PARITY or LCR_PARITY_EVEN
+      "mark" -> LCR_ENABLE_PARITY or LCR_MARK_SPACE
+      "space" -> LCR_ENABLE_PARITY or LCR_MARK_SPACE or LCR_PARITY_EVEN
+      else -> throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Paridad no soportada: ${options.parity}")
+    }
+    val stopBits = when (options.stopBitsCode()) {
+      0 -> 0
+      2 -> LCR_STOP_BITS_2
+      else -> throw UsbException(UsbErrorCode.NOT_SUPPORTED, "CH34x no soporta 1.5 bits de parada")
+    }
+    val lcr = LCR_ENABLE_RX or LCR_ENABLE_TX or (options.requireDataBits() - 5) or parity or stopBits
+    controlOut(REQUEST_TYPE_OUT, WRITE_REGISTER, REGISTER_LCR, lcr)
+  }
+
+  override fun applyControlLines() {
+    // Las líneas del CH34x son activas a nivel bajo
+    val lines = (if (dtr) MODEM_DTR else 0) or (if (rts) MODEM_RTS else 0)
+    controlOut(REQUEST_TYPE_OUT, MODEM_CONTROL, lines.inv() and 0xffff, 0)
+  }
+
+  private fun setBaudRate(baudRate: Int) {
+    var factor: Long
+    var divisor: Long
+
+    if (baudRate == 921_600) {
+      divisor = 7
+      factor = 0xf300
+    } else {
+      if (baudRate <= 0) {
+        throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Velocidad no soportada por CH34x: $baudRate")
+      }
+      factor = BAUD_BASE_FACTOR / baudRate
+      divisor = BAUD_BASE_DIVMAX.toLong()
+      while (factor > 0xfff0 && divisor > 0) {
+        factor = factor shr 3
+        divisor--
+      }
+      if (factor > 0xfff0) {
+        throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Velocidad no soportada por CH34x: $baudRate")
+      }
+      factor = 0x10000 - factor
+    }
+
+    // Sin el bit 7 el CH341A espera a llenar el buffer antes de entregar datos
+    divisor = divisor or 0x0080
+    controlOut(REQUEST_TYPE_OUT, WRITE_REGISTER, REGISTER_BAUD_1, ((factor and 0xff00) or divisor).toInt())
+    controlOut(REQUEST_TYPE_OUT, WRITE_REGISTER, REGISTER_BAUD_2, (factor and 0xff).toInt())
+  }
+}
+
+/**
+ * CDC-ACM estándar (USB CDC PSTN): interfaz de comunicaciones para la línea y
+ * las señales, interfaz de datos con los endpoints bulk
+ */
+class CdcAcmSerialPort(device: UsbDevice, connection: UsbDeviceConnection) : UsbSerialPort(device, connection) {
+
+  companion object {
+    private const val REQUEST_TYPE_OUT = 0x21
+    private const val SET_LINE_CODING = 0x20
+    private const val SET_CONTROL_LINE_STATE = 0x22
+  }
+
+  override val driver = "cdc-acm"
+
+  // Algunos dispositivos sólo exponen la interfaz de datos: sin ella no hay SET_LINE_CODING
+  private var controlIndex: Int? = null
+
+  override fun claimInterfaces() {
+    val interfaces = (0 until device.interfaceCount).map { device.getInterface(it) }
+
+    interfaces.find { it.interfaceClass == UsbConstants.USB_CLASS_COMM }?.let {
+      claim(it)
+      controlIndex = it.id
+    }
+
+    val data = interfaces.find { it.interfaceClass == USB_CLASS_CDC_DATA && findBulkEndpoints(it) }
+      ?: interfaces.find { it !in this.interfaces && findBulkEndpoints(it) }
+      ?: throw UsbException(UsbErrorCode.ENDPOINT_NOT_FOUND, "No hay interfaz de datos CDC en ${device.deviceName}")
+    if (data !in this.interfaces) claim(data)
+  }
+
+  override fun configure(options: UsbSerialOptions) {
+    requireNoFlowControl(options)
+    controlIndex?.let { controlOut(REQUEST_TYPE_OUT, SET_LINE_CODING, 0, it, cdcLineCoding(options)) }
+  }
+
+  override fun applyControlLines() {
+    val value = (if (dtr) 0x01 else 0) or (if (rts) 0x02 else 0)
+    controlIndex?.let { controlOut(REQUEST_TYPE_OUT, SET_CONTROL_LINE_STATE, value, it) }
+  }
+}
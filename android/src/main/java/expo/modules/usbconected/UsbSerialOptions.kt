@@ -0,0 +1,72 @@
+package expo.modules.usbconected
+
+import expo.modules.kotlin.records.Field
+import expo.modules.kotlin.records.Record
+
+/**
+ * Parámetros de línea de un puerto serie (misma forma que SerialOptions de Web Serial)
+ */
+class UsbSerialOptions : Record {
+    @Field
+    val baudRate: Int = 9600
+
+    @Field
+    val dataBits: Int = 8
+
+    // "none" | "even" | "odd" | "mark" | "space"
+    @Field
+    val parity: String = "none"
+
+    // 1, 1.5 o 2
+    @Field
+    val stopBits: Double = 1.0
+
+    // "none" | "hardware" (RTS/CTS)
+    @Field
+    val flowControl: String = "none"
+
+    // Fuerza un driver ("ftdi", "cp210x", "pl2303", "ch34x", "cdc-acm") en lugar de detectarlo por VID
+    @Field
+    val driver: String? = null
+
+    /**
+     * Código de paridad común a FTDI, CP210x, PL2303 y CDC-ACM
+     */
+    fun parityCode(): Int = when (parity) {
+        "none" -> 0
+        "odd" -> 1
+        "even" -> 2
+        "mark" -> 3
+        "space" -> 4
+        else -> throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Paridad no soportada: $parity")
+    }
+
+    /**
+     * Código de bits de parada de CDC-ACM / CP210x / FTDI: 0 = 1, 1 = 1.5, 2 = 2
+     */
+    fun stopBitsCode(): Int = when (stopBits) {
+        1.0 -> 0
+        1.5 -> 1
+        2.0 -> 2
+        else -> throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Bits de parada no soportados: $stopBits")
+    }
+
+    fun requireDataBits(): Int {
+        if (dataBits !in 5..8) {
+            throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Bits de datos no soportados: $dataBits")
+        }
+        return dataBits
+    }
+}
+
+/**
+ * Líneas de control de salida (misma forma que SerialOutputSignals de Web Serial).
+ * Un campo ausente deja la línea como estaba
+ */
+class UsbSerialSignals : Record {
+    @Field
+    val dataTerminalReady: Boolean? = null
+
+    @Field
+    val requestToSend: Boolean? = null
+}
@@ -0,0 +1,209 @@
+package expo.modules.usbconected
+
+import android.hardware.usb.UsbConstants
+import android.hardware.usb.UsbDevice
+import android.hardware.usb.UsbDeviceConnection
+import android.hardware.usb.UsbEndpoint
+import android.hardware.usb.UsbInterface
+import android.util.Log
+
+/**
+ * Puerto serie sobre un puente USB-serie. Cada chip configura la línea (baudios,
+ * paridad, DTR/RTS...) con sus propias peticiones de control; los datos viajan
+ * siempre por un par de endpoints bulk IN/OUT.
+ */
+abstract class UsbSerialPort(
+  protected val device: UsbDevice,
+  protected val connection: UsbDeviceConnection
+) {
+
+  companion object {
+    private const val TAG = "UsbSerialPort"
+    private const val CONTROL_TIMEOUT_MS = 5000
+
+    const val VENDOR_FTDI = 0x0403
+    const val VENDOR_SILABS = 0x10C4
+    const val VENDOR_PROLIFIC = 0x067B
+    const val VENDOR_QINHENG = 0x1A86
+
+    // Clases de interfaz CDC: comunicaciones y datos
+    const val USB_CLASS_CDC_DATA = 0x0A
+
+    /**
+     * Driver para el dispositivo: el forzado en las opciones, el del fabricante
+     * del chip o CDC-ACM si el dispositivo declara una interfaz de comunicaciones
+     */
+    fun detectDriver(device: UsbDevice, requested: String?): String? {
+      if (requested != null) return requested
+
+      return when (device.vendorId) {
+        VENDOR_FTDI -> "ftdi"
+        VENDOR_SILABS -> "cp210x"
+        VENDOR_PROLIFIC -> "pl2303"
+        VENDOR_QINHENG -> "ch34x"
+        else -> {
+          val hasCdc = (0 until device.interfaceCount).any {
+            device.getInterface(it).interfaceClass == UsbConstants.USB_CLASS_COMM
+          }
+          if (hasCdc) "cdc-acm" else null
+        }
+      }
+    }
+
+    fun create(driver: String, device: UsbDevice, connection: UsbDeviceConnection): UsbSerialPort = when (driver) {
+      "ftdi" -> FtdiSerialPort(device, connection)
+      "cp210x" -> Cp210xSerialPort(device, connection)
+      "pl2303" -> Pl2303SerialPort(device, connection)
+      "ch34x" -> Ch34xSerialPort(device, connection)
+      "cdc-acm" -> CdcAcmSerialPort(device, connection)
+      else -> throw UsbException(UsbErrorCode.NOT_SUPPORTED, "Driver serie desconocido: $driver")
+    }
+  }
+
+  abstract val driver: String
+
+  protected lateinit var inEndpoint: UsbEndpoint
+  protected lateinit var outEndpoint: UsbEndpoint
+
+  // Interfaces reclamadas por el puerto, para liberarlas al cerrar
+  val interfaces = mutableListOf<UsbInterface>()
+
+  protected var dtr = false
+  protected var rts = false
+
+  fun open(options: UsbSerialOptions) {
+    claimInterfaces()
+    configure(options)
+    applyControlLines()
+    Log.d(TAG, "✅ Puerto $driver abierto a ${options.baudRate} baudios")
+  }
+
+  fun close() {
+    try {
+      beforeClose()
+    } catch (e: Exception) {
+      Log.w(TAG, "Error desactivando el puerto $driver: ${e.message}")
+    }
+    interfaces.forEach { usbInterface ->
+      try {
+        connection.releaseInterface(usbInterface)
+      } catch (e: Exception) {
+        Log.e(TAG, "Error al liberar interfaz ${usbInterface.id}", e)
+      }
+    }
+    interfaces.clear()
+  }
+
+  fun setSignals(dataTerminalReady: Boolean?, requestToSend: Boolean?) {
+    dataTerminalReady?.let { dtr = it }
+    requestToSend?.let { rts = it }
+    applyControlLines()
+  }
+
+  /**
+   * Escribe en paquetes de maxPacketSize, cancelable entre tramos con `token`.
+   * Devuelve los bytes escritos o el código negativo de Android si falla una transferencia
+   */
+  fun write(data: ByteArray, timeout: Int, cancellation: UsbCancellation, token: UsbCancellation.Token): Int {
+    return cancellation.bulkTransferOut(connection, outEndpoint, data, timeout, token, "escritura serie")
+  }
+
+  /**
+   * Lee hasta `maxLength` bytes. Devuelve null si la transferencia falla
+   * (timeout incluido: el módulo distingue los casos)
+   */
+  fun read(maxLength: Int, timeout: Int, cancellation: UsbCancellation, token: UsbCancellation.Token): ByteArray? {
+    val packetSize = inEndpoint.maxPacketSize.coerceAtLeast(1)
+    val buffer = ByteArray(maxOf(maxLength, packetSize))
+    val bytesRead = cancellation.bulkTransferIn(connection, inEndpoint, buffer, buffer.size, timeout, token, "lectura serie")
+    if (bytesRead < 0) return null
+    return unwrapRead(buffer, bytesRead)
+  }
+
+  // Algunos chips (FTDI) intercalan bytes de estado en los datos recibidos
+  protected open fun unwrapRead(buffer: ByteArray, length: Int): ByteArray = buffer.copyOf(length)
+
+  protected abstract fun configure(options: UsbSerialOptions)
+
+  protected abstract fun applyControlLines()
+
+  // Petición opcional antes de liberar las interfaces (p. ej. desactivar la UART del CP210x)
+  protected open fun beforeClose() {}
+
+  /**
+   * Por defecto: la primera interfaz con un par de endpoints bulk IN/OUT
+   */
+  protected open fun claimInterfaces() {
+    for (i in 0 until device.interfaceCount) {
+      val usbInterface = device.getInterface(i)
+      if (findBulkEndpoints(usbInterface)) {
+        claim(usbInterface)
+        return
+      }
+    }
+    throw UsbException(UsbErrorCode.ENDPOINT_NOT_FOUND, "No hay endpoints bulk en ${device.deviceName}")
+  }
+
+  protected fun claim(usbInterface: UsbInterface) {
+    if (!connection.claimInterface(usbInterface, true)) {
+      throw UsbException(UsbErrorCode.INTERFACE_BUSY, "No se pudo reclamar la interfaz ${usbInterface.id}")
+    }
+    interfaces.add(usbInterface)
+  }
+
+  protected fun findBulkEndpoints(usbInterface: UsbInterface): Boolean {
+    var input: UsbEndpoint? = null
+    var output: UsbEndpoint? = null
+    for (i in 0 until usbInterface.endpointCount) {
+      val endpoint = usbInterface.getEndpoint(i)
+      if (endpoint.type != UsbConstants.USB_ENDPOINT_XFER_BULK) continue
+      if (endpoint.direction == UsbConstants.USB_DIR_IN) input = input ?: endpoint else output = output ?: endpoint
+    }
+    if (input == null || output == null) return false
+    inEndpoint = input
+    outEndpoint = output
+    return true
+  }
+
+  protected fun controlOut(requestType: Int, request: Int, value: Int, index: Int, data: ByteArray? = null) {
+    val result = connection.controlTransfer(requestType, request, value, index, data, data?.size ?: 0, CONTROL_TIMEOUT_MS)
+    if (result < 0) {
+      throw UsbException(
+        UsbErrorCode.STALL,
+        "$driver rechazó la petición 0x${request.toString(16)} (value 0x${value.toString(16)})"
+      )
+    }
+  }
+
+  protected fun controlIn(requestType: Int, request: Int, value: Int, index: Int, length: Int): ByteArray {
+    val buffer = ByteArray(length)
+    val result = connection.controlTransfer(requestType, request, value, index, buffer, length, CONTROL_TIMEOUT_MS)
+    if (result < 0) {
+      throw UsbException(
+        UsbErrorCode.STALL,
+        "$driver rechazó la petición 0x${request.toString(16)} (value 0x${value.toString(16)})"
+      )
+    }
+    return buffer.copyOf(result)
+  }
+
+  protected fun requireNoFlowControl(options: UsbSerialOptions) {
+    if (options.flowControl != "none") {
+      throw UsbException(UsbErrorCode.NOT_SUPPORTED, "$driver no soporta control de flujo ${options.flowControl}")
+    }
+  }
+}
+
+// SET_LINE_CODING de CDC: baudios (LE), bits de parada, paridad y bits de datos
+internal fun cdcLineCoding(options: UsbSerialOptions): ByteArray {
+  val baudRate = options.baudRate
+  return byteArrayOf(
+    (baudRate and 0xff).toByte(),
+    (baudRate shr 8 and 0xff).toByte(),
+    (baudRate shr 16 and 0xff).toByte(),
+    (baudRate shr 24 and 0xff).toByte(),
+    options.stopBitsCode().toByte(),
+    options.parityCode().toByte(),
+    options.requireDataBits().toByte()
+  )
+}
@@ -0,0 +1,44 @@
+package expo.modules.usbconected
+
+import android.util.Log
+import expo.modules.kotlin.Promise
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.ExecutorService
+import java.util.concurrent.Executors
+
+/**
+ * Un hilo de transferencias por dispositivo. Expo ejecuta todas las AsyncFunction
+ * del módulo en una única cola: una lectura esperando su timeout retrasaba cualquier
+ * otra llamada, también las de otros dispositivos. Las transferencias se ejecutan
+ * aquí y resuelven su promesa al terminar; cada dispositivo conserva el orden de sus
+ * llamadas y la cola de Expo queda libre (scanDevices, openDevice, closeDevice...).
+ */
+class UsbTransferExecutor {
+
+  companion object {
+    private const val TAG = "UsbTransferExecutor"
+  }
+
+  private val executors = ConcurrentHashMap<String, ExecutorService>()
+
+  fun submit(deviceName: String, promise: Promise, what: String, block: () -> Any?) {
+    val executor = executors.computeIfAbsent(deviceName) {
+      Executors.newSingleThreadExecutor { runnable -> Thread(runnable, "UsbTransfer-$deviceName") }
+    }
+
+    executor.execute {
+      try {
+        promise.resolve(block())
+      } catch (e: Exception) {
+        Log.e(TAG, "Error en $what", e)
+        promise.reject(e.toUsbException("Error en $what"))
+      }
+    }
+  }
+
+  // Al destruir el módulo; las transferencias en curso terminan con la conexión cerrada
+  fun shutdown() {
+    executors.values.forEach { it.shutdownNow() }
+    executors.clear()
+  }
+}
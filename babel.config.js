@@ -0,0 +1 @@
+module.exports = require('expo-module-scripts/babel.config.base');
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { 
   Button, 
   SafeAreaView, 
@@ -8,32 +8,109 @@ import {
   StyleSheet, 
   Alert, 
   TouchableOpacity,
-  Modal
+  Modal,
+  Platform,
+  Share
 } from "react-native";
-import { scanDevices, requestPermission, openDevice, closeDevice, claimInterface, readData, writeData, sendTextCommand } from "expo-usb-conected";
-import devicesConfig from "./reducers/devices";
-import { detectDevices, getCachedDevices } from "./lib/core/device";
+import {
+  requestPermission,
+  getDeviceDescriptor,
+  openDevice,
+  closeDevice,
+  readData,
+  writeData,
+  sendTextCommand,
+  useUsbDevices,
+  addDeviceAttachedListener,
+  addDeviceDetachedListener,
+  addPermissionChangedListener,
+  isUsbError,
+  UsbErrorCode,
+  ExpoUsbConectedModule,
+  createRecordingUsbModule,
+  createUsbApi,
+  exportUsbTraceToPcapng,
+  runExclusive,
+  addQueueListener,
+  cancelTransfers,
+  DeviceQueuePriority,
+  type UsbTrace,
+} from "expo-usb-conected";
+import { detectDevices, watchDevices, getCachedDevices } from "./lib/core/device";
+import { getRegisteredDrivers, findDriverByUsbIds } from "./lib/core/driverRegistry";
+import { CAPABILITY, CAPABILITY_LABELS, hasCapability } from "./lib/core/capabilities";
+import { runThroughputBenchmark } from "./lib/core/benchmark";
+import { compressUsbTrace, createReplayUsbApi } from "./lib/core/usbTrace";
 import { getDriverManifest } from "./lib/core/driverManifests";
-import { createAbbottDriver } from "./lib/drivers/abbott/abbottFreeStyleNeoMobile";
+import {
+  describeProgress,
+  initialProgressState,
+  progressReducer,
+} from "./lib/uploadProgress";
 import { createFreeStyleProtocol } from "./lib/drivers/abbott/freeStyleLibreProtocolMobile";
+import { createAsyncDriverManager } from "./lib/asyncDriverManager";
+import BLEDevice from "./lib/bleDevice";
+import { GLUCOSE_SERVICE, createGlucoseProfileTransport } from "./lib/bleGlucoseProfile";
 
-// Convertir dispositivos del reducer a formato compatible con la app
-const COMPATIBLE_DEVICES = Object.entries(devicesConfig).map(([key, device]: [string, any]) => ({
-  id: device.source.driverId,
-  key: device.key,
-  name: device.name,
-  manufacturer: device.manufacturer || 'Unknown',
-  icon: device.icon || '🩺',
-  instructions: device.instructions,
-  vendorId: device.vendorId,
-  productId: device.productId,
-  mode: device.mode || 'HID',
-  driverId: device.source.driverId,
-  supportsUSB: device.supportsUSB !== undefined ? device.supportsUSB : true,
-  supportsBluetooth: device.supportsBluetooth !== undefined ? device.supportsBluetooth : false,
-  supportsPhoto: device.supportsPhoto !== undefined ? device.supportsPhoto : true,
+// Dispositivos de la lista: los drivers registrados, con los textos y capacidades de su manifest
+const COMPATIBLE_DEVICES: CompatibleDevice[] = getRegisteredDrivers().map((manifest: any) => ({
+  id: manifest.driverId,
+  key: manifest.driverId,
+  name: manifest.uiConfig.displayName,
+  manufacturer: manifest.manufacturer || 'Unknown',
+  icon: manifest.uiConfig.icon || '🩺',
+  instructions: manifest.uiConfig.description,
+  vendorId: manifest.usb?.vendorId,
+  productId: manifest.usb?.productIds[0],
+  mode: manifest.protocol,
+  driverId: manifest.driverId,
+  supportsUSB: manifest.capabilities.usb,
+  supportsBluetooth: manifest.capabilities.bluetooth,
+  supportsPhoto: manifest.capabilities.photo,
+  features: Object.values(CAPABILITY)
+    .filter((capability) => manifest.capabilities[capability])
+    .map((capability) => CAPABILITY_LABELS[capability]),
 }));
 
+// Mensaje para el usuario según el código de UsbError
+function describeUsbError(error: unknown): { title: string; message: string } {
+  if (!isUsbError(error)) {
+    return { title: "Error", message: `Ocurrió un error: ${error}` };
+  }
+
+  switch (error.code) {
+    case UsbErrorCode.NO_PERMISSION:
+      return { title: "Permisos denegados", message: "Necesitas conceder permisos USB para continuar." };
+    case UsbErrorCode.DEVICE_DETACHED:
+    case UsbErrorCode.DEVICE_NOT_FOUND:
+      return { title: "Dispositivo desconectado", message: "El glucómetro se desconectó. Vuelve a conectarlo e inténtalo de nuevo." };
+    case UsbErrorCode.INTERFACE_BUSY:
+      return { title: "Dispositivo ocupado", message: "Otra aplicación está usando el glucómetro. Ciérrala e inténtalo de nuevo." };
+    case UsbErrorCode.UNPLUG_AND_RETRY:
+      return { title: "Reconecta el dispositivo", message: "Desconecta el glucómetro, vuelve a conectarlo e inténtalo de nuevo." };
+    case UsbErrorCode.TIMEOUT:
+      return { title: "Sin respuesta", message: "El dispositivo no respondió a tiempo." };
+    case UsbErrorCode.ABORTED:
+      return { title: "Subida cancelada", message: "Se canceló la comunicación con el glucómetro." };
+    case UsbErrorCode.NOT_SUPPORTED:
+      return { title: "Función no disponible", message: error.message };
+    default:
+      return { title: "Error", message: `Ocurrió un error (${error.code}): ${error.message}` };
+  }
+}
+
+// Lectura que trata el timeout como "sin datos"; el resto de errores se propagan
+async function readDataOrEmpty(devicePath: string, timeout: number): Promise<Uint8Array> {
+  try {
+    return await readData(devicePath, timeout);
+  } catch (error) {
+    if (isUsbError(error, UsbErrorCode.TIMEOUT)) {
+      return new Uint8Array(0);
+    }
+    throw error;
+  }
+}
+
 interface UsbDevice {
   deviceName: string;
   vendorId: number;
@@ -51,13 +128,16 @@ interface CompatibleDevice {
   manufacturer: string;
   icon: string;
   instructions: string;
-  vendorId: number;
-  productId: number;
+  // Sin ids USB en los drivers sólo Bluetooth
+  vendorId?: number;
+  productId?: number;
   mode: string;
   driverId: string;
   supportsUSB: boolean;
   supportsBluetooth: boolean;
   supportsPhoto: boolean;
+  // Lo que sabe hacer el driver (capabilities del manifest), ya como texto
+  features: string[];
 }
 
 export default function App() {
@@ -66,6 +146,11 @@ export default function App() {
   const [showConnectionModal, setShowConnectionModal] = useState(false);
   const [isConnecting, setIsConnecting] = useState(false);
   const [connectedDevicePath, setConnectedDevicePath] = useState<string | null>(null);
+  // Última sesión USB grabada, para adjuntarla si el glucómetro falla
+  const lastTraceRef = useRef<UsbTrace | null>(null);
+  // Cancela la conexión USB en curso (botón "Cancelar subida")
+  const uploadAbortRef = useRef<AbortController | null>(null);
+  const usbDevices = useUsbDevices();
 
   const addLog = (message: string, alsoToConsole: boolean = true) => {
     const timestamp = new Date().toLocaleTimeString();
@@ -93,6 +178,34 @@ export default function App() {
     addLog("🚀 Aplicación iniciada - Selecciona un glucómetro");
   }, []);
 
+  // Escuchar conexiones/desconexiones de glucómetros compatibles
+  useEffect(() => {
+    return watchDevices(
+      { addDeviceAttachedListener, addDeviceDetachedListener, addPermissionChangedListener },
+      ({ type, device }: any) => {
+        if (type === 'attached') {
+          addLog(`🔌 Glucómetro conectado: ${device.deviceName} (${device.driverId})`);
+        } else if (type === 'detached') {
+          addLog(`⚠️ Glucómetro desconectado: ${device?.deviceName ?? 'desconocido'}`);
+        } else if (type === 'permission') {
+          addLog(`🔐 Permisos ${device.hasPermission ? 'concedidos' : 'denegados'} para ${device.deviceName}`);
+        }
+      }
+    );
+  }, []);
+
+  // Avisar cuando una operación tuvo que esperar a otra sobre el mismo glucómetro
+  useEffect(() => {
+    const subscription = addQueueListener((event) => {
+      if (event.type === 'started' && event.waitedMs > 0) {
+        addLog(`⏳ ${event.label} esperó ${Math.round(event.waitedMs)} ms por ${event.deviceName} (en cola: ${event.depth})`);
+      } else if (event.type === 'cancelled') {
+        addLog(`🚫 ${event.label} cancelada en la cola de ${event.deviceName}`);
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
   const handleDeviceSelect = (device: CompatibleDevice) => {
     addLog(`📱 Dispositivo seleccionado: ${device.name}`);
     setSelectedDevice(device);
@@ -109,18 +222,48 @@ export default function App() {
     );
   };
 
-  const handleBluetoothConnection = () => {
+  const handleBluetoothConnection = async () => {
     setShowConnectionModal(false);
     if (!selectedDevice?.supportsBluetooth) {
       Alert.alert("No disponible", "Este dispositivo no soporta conexión Bluetooth");
       return;
     }
     addLog(`📡 Modo BLUETOOTH seleccionado para: ${selectedDevice?.name}`);
-    Alert.alert(
-      "Bluetooth",
-      "Esta funcionalidad estará disponible próximamente.",
-      [{ text: "OK" }]
-    );
+
+    // Glucose Profile sobre Web Bluetooth: de momento solo en web
+    const bluetooth = Platform.OS === "web" ? (navigator as any).bluetooth : undefined;
+    if (!bluetooth) {
+      Alert.alert(
+        "Bluetooth",
+        "La lectura por Bluetooth usa Web Bluetooth y solo está disponible en web.",
+        [{ text: "OK" }]
+      );
+      return;
+    }
+
+    setIsConnecting(true);
+    let glucose: ReturnType<typeof createGlucoseProfileTransport> | null = null;
+    try {
+      const ble = await bluetooth.requestDevice({ filters: [{ services: [GLUCOSE_SERVICE] }] });
+      addLog(`📡 Glucómetro Bluetooth: ${ble.name || ble.id}`);
+
+      glucose = createGlucoseProfileTransport(new BLEDevice({ ble }), {
+        deviceId: `${selectedDevice.id}-${ble.id}`,
+      });
+      await glucose.open();
+      addLog(`📊 Registros almacenados: ${await glucose.getRecordCount()}`);
+
+      const records = await glucose.getRecords();
+      addLog(`✅ Registros de glucosa: ${records.length}`);
+      records.slice(-5).forEach((record: any) => {
+        addLog(`🩸 ${record.deviceTime}: ${record.value} ${record.unit}`);
+      });
+    } catch (error) {
+      addLog(`❌ Error Bluetooth: ${error}`);
+    } finally {
+      await glucose?.close();
+      setIsConnecting(false);
+    }
   };
 
   const handleUSBConnection = async () => {
@@ -129,15 +272,22 @@ export default function App() {
 
     addLog(`🔌 === INICIANDO CONEXIÓN USB ===`);
     addLog(`🔌 Dispositivo: ${selectedDevice.name}`);
-    addLog(`🔌 VendorID: 0x${selectedDevice.vendorId.toString(16).toUpperCase()}`);
-    addLog(`🔌 ProductID: 0x${selectedDevice.productId.toString(16).toUpperCase()}`);
+    addLog(`🔌 Driver: ${selectedDevice.driverId}`);
     
     setIsConnecting(true);
+    const uploadAbort = new AbortController();
+    uploadAbortRef.current = uploadAbort;
+    const { signal } = uploadAbort;
 
     try {
       // Paso 1: Detectar dispositivos compatibles usando el sistema Tidepool
       addLog("🔍 Paso 1/6: Detectando dispositivos compatibles...");
-      const compatibleDevices = await detectDevices(scanDevices);
+      // La lista se mantiene viva con los eventos del módulo nativo, no hace falta re-escanear.
+      // Los dispositivos ambiguos con permiso se identifican con el probe de cada driver
+      const compatibleDevices = await detectDevices(async () => usbDevices, {
+        getDeviceDescriptor,
+        usbModule: { openDevice, readData, writeData, runExclusive },
+      });
       addLog(`🔍 Dispositivos compatibles encontrados: ${compatibleDevices.length}`);
       
       // Mostrar dispositivos encontrados en consola
@@ -151,15 +301,15 @@ export default function App() {
           producto: d.productName,
           driver: d.driverId,
           protocolo: d.protocol,
+          coincidencia: d.matchedBy,
+          confianza: d.confidence,
           tienePermisos: d.hasPermission
         }))
       });
 
-      // Buscar el dispositivo compatible
+      // Buscar un dispositivo conectado que use el driver elegido (cualquiera de sus productId)
       const targetDevice = compatibleDevices.find(
-        (d: any) => 
-          d.vendorId === selectedDevice.vendorId && 
-          d.productId === selectedDevice.productId
+        (d: any) => d.driverId === selectedDevice.driverId
       );
 
       if (!targetDevice) {
@@ -187,7 +337,7 @@ export default function App() {
       // Paso 2: Verificar/Solicitar permisos
       if (!targetDevice.hasPermission) {
         addLog("🔐 Paso 2/6: Solicitando permisos USB...");
-        const permissionGranted = await requestPermission(targetDevice.deviceName);
+        const permissionGranted = await requestPermission(targetDevice.deviceName, { signal });
         
         if (!permissionGranted) {
           addLog("❌ Permisos denegados por el usuario");
@@ -203,55 +353,50 @@ export default function App() {
         addLog("✅ Paso 2/6: El dispositivo ya tiene permisos");
       }
 
-      // Paso 3: Abrir dispositivo
-      addLog("🔓 Paso 3/6: Abriendo conexión USB...");
-      const opened = await openDevice(targetDevice.deviceName);
-      
-      if (!opened) {
-        addLog("❌ No se pudo abrir el dispositivo");
-        Alert.alert("Error", "No se pudo abrir la conexión con el dispositivo");
-        setIsConnecting(false);
-        return;
-      }
-      addLog("✅ Conexión USB abierta");
-      setConnectedDevicePath(targetDevice.deviceName);
+      // Pasos 3 a 6 en un único turno de la cola: abrir, reclamar, comunicar y cerrar
+      // sin que otra operación sobre el mismo dispositivo (p. ej. otra subida) se
+      // intercale ni cierre la conexión a mitad
+      await runExclusive(targetDevice.deviceName, async () => {
+        // Paso 3: Abrir dispositivo
+        addLog("🔓 Paso 3/6: Abriendo conexión USB...");
+        const connection = await openDevice(targetDevice.deviceName, { signal });
+        addLog("✅ Conexión USB abierta");
+        setConnectedDevicePath(targetDevice.deviceName);
 
-      // Paso 4: Reclamar interfaz
-      addLog("📌 Paso 4/6: Reclamando interfaz USB...");
-      const claimed = await claimInterface(targetDevice.deviceName, 0);
-      
-      if (!claimed) {
-        addLog("❌ No se pudo reclamar la interfaz");
-        await closeDevice(targetDevice.deviceName);
-        Alert.alert("Error", "No se pudo reclamar la interfaz del dispositivo");
-        setIsConnecting(false);
-        setConnectedDevicePath(null);
-            return;
-          }
-      addLog("✅ Interfaz reclamada");
+        // Paso 4: Reclamar interfaz
+        addLog("📌 Paso 4/6: Reclamando interfaz USB...");
+        try {
+          await connection.claimInterface(0, { signal });
+        } catch (claimError) {
+          addLog("❌ No se pudo reclamar la interfaz");
+          await connection.close().catch(() => undefined);
+          setConnectedDevicePath(null);
+          throw claimError;
+        }
+        addLog("✅ Interfaz reclamada");
 
-      // Paso 5: Comunicación con el dispositivo (ejemplo)
-      addLog("📡 Paso 5/6: Iniciando comunicación...");
-      
-      try {
-      // Comunicación según el driver detectado
-      if (targetDevice.driverId === 'AbbottFreeStyleOptiumNeo') {
-        await communicateWithFreeStyleNeo(targetDevice);
-      } else if (targetDevice.driverId === 'RocheAccuChekUSB') {
-        await communicateWithAccuChek(targetDevice);
-      } else {
-          addLog("⚠️ Driver específico no implementado aún");
-        addLog(`Driver ID detectado: ${targetDevice.driverId}`);
+        // Paso 5: Comunicación con el dispositivo (ejemplo)
+        addLog("📡 Paso 5/6: Iniciando comunicación...");
+        
+        try {
+          // Comunicación según el driver detectado
+          await communicateWithDriver(targetDevice, signal);
+        } catch (commError) {
+          addLog(`⚠️ Error en comunicación: ${commError}`);
+          // Cancelada por el usuario: se cierra la conexión y no se da por completada
+          if (isUsbError(commError, UsbErrorCode.ABORTED)) {
+            await connection.close().catch(() => undefined);
+            setConnectedDevicePath(null);
+            throw commError;
+          }
         }
-      } catch (commError) {
-        addLog(`⚠️ Error en comunicación: ${commError}`);
-      }
 
-      // Paso 6: Cerrar conexión
-      addLog("🔒 Paso 6/6: Cerrando conexión...");
-      await closeDevice(targetDevice.deviceName);
-      setConnectedDevicePath(null);
-      addLog("✅ Conexión cerrada exitosamente");
+        // Paso 6: Cerrar conexión
+        addLog("🔒 Paso 6/6: Cerrando conexión...");
+        await connection.close();
+        setConnectedDevicePath(null);
+        addLog("✅ Conexión cerrada exitosamente");
+      }, { label: 'communication', priority: DeviceQueuePriority.HIGH, signal });
       
       addLog("🎉 === PROCESO COMPLETADO ===");
       Alert.alert(
@@ -263,7 +408,8 @@ export default function App() {
     } catch (error) {
       addLog(`❌ Error: ${error}`);
       console.error("Error en conexión USB:", error);
-      Alert.alert("Error", `Ocurrió un error: ${error}`);
+      const { title, message } = describeUsbError(error);
+      Alert.alert(title, message);
       
       // Limpiar conexión si existe
       if (connectedDevicePath) {
@@ -274,6 +420,118 @@ export default function App() {
           addLog(`⚠️ Error al cerrar conexión: ${e}`);
         }
       }
+    } finally {
+      uploadAbortRef.current = null;
+      setIsConnecting(false);
+    }
+  };
+
+  // Aborta la conexión en curso: lo que espera en la cola se descarta y la lectura
+  // nativa que esté en marcha rechaza con E_ABORTED
+  const handleCancelUpload = () => {
+    const uploadAbort = uploadAbortRef.current;
+    if (!uploadAbort) return;
+
+    addLog("🛑 Cancelando subida...");
+    uploadAbort.abort();
+    if (connectedDevicePath) {
+      cancelTransfers(connectedDevicePath).catch((error) => addLog(`⚠️ Error al cancelar: ${error}`));
+    }
+  };
+
+  // Guardar bytes como archivo: en web se descarga; en el móvil, sin sistema de archivos
+  // en el ejemplo, se comparte en base64 (en el PC: base64 -d archivo.txt > archivo)
+  const shareFile = async (fileName: string, bytes: Uint8Array<ArrayBuffer>) => {
+    if (Platform.OS === "web") {
+      const url = URL.createObjectURL(new Blob([bytes], { type: "application/octet-stream" }));
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } else {
+      const base64 = btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(""));
+      await Share.share({ title: fileName, message: base64 });
+    }
+  };
+
+  // Última sesión grabada, o aviso si todavía no hay ninguna
+  const requireLastTrace = (): UsbTrace | null => {
+    if (!lastTraceRef.current) {
+      Alert.alert("Sin captura", "Conecta un glucómetro primero: la sesión USB se graba automáticamente.");
+    }
+    return lastTraceRef.current;
+  };
+
+  // Exportar la última sesión grabada como pcapng (usbmon) para abrirla en Wireshark
+  const handleExportCapture = async () => {
+    const trace = requireLastTrace();
+    if (!trace) return;
+
+    try {
+      const capture = exportUsbTraceToPcapng(trace);
+      const fileName = `usb-${trace.createdAt.replace(/[:.]/g, "-")}.pcapng`;
+      await shareFile(fileName, capture);
+      addLog(`📦 Captura exportada: ${fileName} (${capture.length} bytes, ${trace.entries.length} entradas)`);
+    } catch (error) {
+      addLog(`❌ Error exportando captura: ${error}`);
+    }
+  };
+
+  // Compartir la traza (JSON + gzip) para adjuntarla a un reporte de fallo: se
+  // reproduce con createReplayUsbApi en Jest o con "Replay" en la app
+  const handleShareTrace = async () => {
+    const trace = requireLastTrace();
+    if (!trace) return;
+
+    try {
+      const compressed = compressUsbTrace(trace);
+      const fileName = `usb-${trace.createdAt.replace(/[:.]/g, "-")}.usbtrace.gz`;
+      await shareFile(fileName, compressed);
+      addLog(`📤 Traza compartida: ${fileName} (${compressed.length} bytes, ${trace.entries.length} entradas)`);
+    } catch (error) {
+      addLog(`❌ Error compartiendo traza: ${error}`);
+    }
+  };
+
+  // Repetir la última sesión con el mismo driver sobre la traza, sin el glucómetro. La
+  // traza pasa por gzip igual que la compartida y el replay es estricto: si el driver
+  // no hace exactamente las mismas llamadas, falla con E_REPLAY_MISMATCH
+  const handleReplaySession = async () => {
+    const trace = requireLastTrace();
+    if (!trace) return;
+
+    const { driverId, vendorId, productId, deviceName } = trace.metadata as any;
+    const deviceInfo = { driverId, vendorId, productId, deviceName, manifest: getDriverManifest(driverId) };
+    const match = deviceInfo.manifest && findSessionDriver(deviceInfo, createReplayUsbApi(compressUsbTrace(trace)));
+    if (!match?.driver) {
+      addLog(`⚠️ La traza no es de un driver de la app (${driverId})`);
+      return;
+    }
+
+    setIsConnecting(true);
+    try {
+      addLog(`🎞️ Replay de ${trace.entries.length} entradas con ${driverId}...`);
+      await runDriverSession(match, deviceInfo);
+      addLog("✅ Replay completado: el driver repitió la sesión grabada");
+    } catch (error) {
+      addLog(`❌ Error en replay: ${error}`);
+    } finally {
+      setIsConnecting(false);
+    }
+  };
+
+  // Benchmark del puente: number[] frente a Uint8Array por loopback, sin dispositivo
+  const handleBenchmark = async () => {
+    setIsConnecting(true);
+    try {
+      addLog("⏱️ Benchmark del puente USB (loopback)...");
+      const result = await runThroughputBenchmark(ExpoUsbConectedModule);
+      addLog(`📊 number[]: ${result.numberArray.bytesPerSecond} B/s (${result.numberArray.msPerFrame.toFixed(2)} ms/frame)`);
+      addLog(`📊 Uint8Array: ${result.uint8Array.bytesPerSecond} B/s (${result.uint8Array.msPerFrame.toFixed(2)} ms/frame)`);
+      addLog(`🚀 Uint8Array es ${result.speedup.toFixed(2)}x más rápido`);
+    } catch (error) {
+      addLog(`❌ Error en benchmark: ${error}`);
     } finally {
       setIsConnecting(false);
     }
@@ -290,7 +548,7 @@ export default function App() {
       
       // Intentar leer datos primero para "despertar" el dispositivo
       addLog("📖 Intentando despertar el dispositivo...");
-      const wakeRead = await readData(devicePath, 1000);
+      const wakeRead = await readDataOrEmpty(devicePath, 1000);
       addLog(`📖 Respuesta de despertar: ${wakeRead.length} bytes`);
       
       // Intentar comando más simple
@@ -298,22 +556,15 @@ export default function App() {
       const simpleWrite = await writeData(devicePath, [0x00]);
       addLog(`📤 Resultado comando simple: ${simpleWrite} bytes`);
       
-      if (simpleWrite >= 0) {
-        addLog("✅ Comando simple exitoso, intentando comando 0x04...");
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        const response = await writeData(devicePath, [0x04, 0x00]);
-        if (response >= 0) {
-          addLog("✅ Inicialización suave exitosa");
-          return true;
-        }
-      }
+      addLog("✅ Comando simple exitoso, intentando comando 0x04...");
+      await new Promise(resolve => setTimeout(resolve, 500));
       
-      addLog("⚠️ Inicialización suave falló");
-      return false;
+      await writeData(devicePath, [0x04, 0x00]);
+      addLog("✅ Inicialización suave exitosa");
+      return true;
       
     } catch (error) {
-      addLog(`❌ Error en inicialización suave: ${error}`);
+      addLog(`⚠️ Inicialización suave falló: ${error}`);
       return false;
     }
   };
@@ -325,11 +576,11 @@ export default function App() {
       
       // Intentar leer datos para verificar que el dispositivo responde
       addLog("📖 Probando lectura de datos...");
-      const testRead = await readData(devicePath, 1000);
+      const testRead = await readDataOrEmpty(devicePath, 1000);
       addLog(`📖 Lectura de prueba: ${testRead.length} bytes`);
       
       if (testRead.length > 0) {
-        addLog(`📖 Datos leídos: ${testRead.map((b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
+        addLog(`📖 Datos leídos: ${Array.from(testRead, (b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
       }
       
       // Intentar escribir un comando simple
@@ -363,11 +614,11 @@ export default function App() {
       addLog("📤 Enviando comando de inicialización 0x04...");
       addLog("📤 Datos a enviar: 04 00");
       
-      const response1 = await writeData(devicePath, [0x04, 0x00]);
-      addLog(`📤 Resultado writeData: ${response1} bytes escritos`);
-      
-      if (response1 < 0) {
-        addLog(`❌ Error enviando comando 0x04 - código: ${response1}`);
+      let response1: number;
+      try {
+        response1 = await writeData(devicePath, [0x04, 0x00]);
+      } catch (writeError) {
+        addLog(`❌ Error enviando comando 0x04 - código: ${isUsbError(writeError) ? writeError.code : writeError}`);
         addLog("🔍 Posibles causas:");
         addLog("   - Dispositivo no está abierto correctamente");
         addLog("   - Endpoint OUT no disponible o incorrecto");
@@ -386,70 +637,55 @@ export default function App() {
         
         return false;
       }
+      addLog(`📤 Resultado writeData: ${response1} bytes escritos`);
       
       // Leer respuesta
       await new Promise(resolve => setTimeout(resolve, 100));
-      const read1 = await readData(devicePath, 2000);
+      const read1 = await readDataOrEmpty(devicePath, 2000);
       addLog(`📥 Respuesta 0x04: ${read1.length} bytes`);
       if (read1.length > 0) {
-        addLog(`📥 Datos: ${read1.map((b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
+        addLog(`📥 Datos: ${Array.from(read1, (b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
       }
       
       // Paso 2: Enviar ACK
       addLog("📤 Enviando ACK...");
-      const ack1 = await writeData(devicePath, [0x00, 0x02]);
-      if (ack1 < 0) {
-        addLog("❌ Error enviando ACK");
-        return false;
-      }
+      await writeData(devicePath, [0x00, 0x02]);
       
       await new Promise(resolve => setTimeout(resolve, 100));
-      const ackResponse1 = await readData(devicePath, 2000);
+      const ackResponse1 = await readDataOrEmpty(devicePath, 2000);
       addLog(`📥 ACK Response: ${ackResponse1.length} bytes`);
       
       // Paso 3: Comando 0x05
       addLog("📤 Enviando comando 0x05...");
-      const response2 = await writeData(devicePath, [0x05, 0x00]);
-      if (response2 < 0) {
-        addLog("❌ Error enviando comando 0x05");
-        return false;
-      }
+      await writeData(devicePath, [0x05, 0x00]);
       
       await new Promise(resolve => setTimeout(resolve, 100));
-      const read2 = await readData(devicePath, 2000);
+      const read2 = await readDataOrEmpty(devicePath, 2000);
       addLog(`📥 Respuesta 0x05: ${read2.length} bytes`);
       if (read2.length > 0) {
-        addLog(`📥 Datos: ${read2.map((b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
+        addLog(`📥 Datos: ${Array.from(read2, (b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
       }
       
       // Paso 4: Comando 0x15
       addLog("📤 Enviando comando 0x15...");
-      const response3 = await writeData(devicePath, [0x15, 0x00]);
-      if (response3 < 0) {
-        addLog("❌ Error enviando comando 0x15");
-        return false;
-      }
+      await writeData(devicePath, [0x15, 0x00]);
       
       await new Promise(resolve => setTimeout(resolve, 100));
-      const read3 = await readData(devicePath, 2000);
+      const read3 = await readDataOrEmpty(devicePath, 2000);
       addLog(`📥 Respuesta 0x15: ${read3.length} bytes`);
       if (read3.length > 0) {
-        addLog(`📥 Datos: ${read3.map((b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
+        addLog(`📥 Datos: ${Array.from(read3, (b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
       }
       
       // Paso 5: Comando 0x01
       addLog("📤 Enviando comando 0x01...");
-      const response4 = await writeData(devicePath, [0x01, 0x00]);
-      if (response4 < 0) {
-        addLog("❌ Error enviando comando 0x01");
-        return false;
-      }
+      await writeData(devicePath, [0x01, 0x00]);
       
       await new Promise(resolve => setTimeout(resolve, 100));
-      const read4 = await readData(devicePath, 2000);
+      const read4 = await readDataOrEmpty(devicePath, 2000);
       addLog(`📥 Respuesta 0x01: ${read4.length} bytes`);
       if (read4.length > 0) {
-        addLog(`📥 Datos: ${read4.map((b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
+        addLog(`📥 Datos: ${Array.from(read4, (b: number) => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
       }
       
       addLog("✅ Inicialización del protocolo HID completada");
@@ -481,19 +717,15 @@ export default function App() {
       addLog(`📤 Frame HID: ${hidFrame.slice(0, 10).map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}...`);
       
       // Enviar comando
-      const bytesWritten = await writeData(devicePath, hidFrame);
-      if (bytesWritten < 0) {
-        addLog("❌ Error enviando comando HID");
-        return "";
-      }
+      await writeData(devicePath, hidFrame);
       
       // Leer respuesta
       await new Promise(resolve => setTimeout(resolve, 500));
-      const response = await readData(devicePath, 5000);
+      const response = await readDataOrEmpty(devicePath, 5000);
       
       if (response.length > 0) {
         // Convertir bytes a string
-        const responseText = response.map((b: number) => String.fromCharCode(b)).join('');
+        const responseText = Array.from(response, (b: number) => String.fromCharCode(b)).join('');
         addLog(`📥 Respuesta HID (${response.length} bytes): ${responseText.substring(0, 100)}...`);
         return responseText;
       }
@@ -575,7 +807,7 @@ export default function App() {
       while (attempts < maxAttempts) {
         addLog(`📖 Intento ${attempts + 1}/${maxAttempts}: Leyendo datos...`);
         
-        const response = await readData(devicePath, 3000);
+        const response = await readDataOrEmpty(devicePath, 3000);
         
         if (response && response.length > 0) {
           allData.push(...response);
@@ -669,71 +901,114 @@ export default function App() {
     }
   };
 
-  // Función de comunicación específica para FreeStyle Neo
-  const communicateWithFreeStyleNeo = async (deviceInfo: any) => {
+  // El driver que eligió detectDevices (por ids, por clase de interfaz o por probe),
+  // creado sobre `usbModule`: la API grabada en una sesión real o la de replay
+  const findSessionDriver = (deviceInfo: any, usbModule: any) => {
+    const { interfaceClass } = deviceInfo.manifest.usb;
+    return findDriverByUsbIds(deviceInfo.vendorId, deviceInfo.productId, {
+      interfaceClasses: interfaceClass !== undefined ? [interfaceClass] : [],
+      driverId: deviceInfo.driverId,
+      config: { usbModule },
+    });
+  };
+
+  // Comunicación con el driver que el registro asigna al dispositivo
+  const communicateWithDriver = async (deviceInfo: any, signal?: AbortSignal) => {
+    // Grabar la sesión USB completa (llamadas, bytes y tiempos)
+    const recorder = createRecordingUsbModule(ExpoUsbConectedModule, {
+      driverId: deviceInfo.driverId,
+      vendorId: deviceInfo.vendorId,
+      productId: deviceInfo.productId,
+      deviceName: deviceInfo.deviceName,
+    });
+
+    const match = findSessionDriver(deviceInfo, createUsbApi(recorder));
+    if (!match) {
+      recorder.stopRecording();
+      addLog(`⚠️ Ningún driver registrado para ${deviceInfo.deviceName}`);
+      return;
+    }
+
+    // Driver sin factory en la app (p. ej. el de Accu-Chek de Tidepool): lectura directa
+    if (!match.driver) {
+      recorder.stopRecording();
+      addLog(`ℹ️ ${match.driverId} no tiene driver registrado en la app, lectura directa`);
+      await communicateWithAccuChek(deviceInfo.deviceName);
+      return;
+    }
+
+    try {
+      await runDriverSession(match, deviceInfo, signal);
+    } finally {
+      recorder.stopRecording();
+      lastTraceRef.current = recorder.getTrace();
+      addLog(`🎞️ Sesión grabada: ${lastTraceRef.current.entries.length} entradas`);
+    }
+  };
+
+  // Los ocho pasos del driver con asyncDriverManager: mide cada paso, no empieza el
+  // siguiente si se canceló la subida y ejecuta cleanup también tras un error
+  const runDriverSession = async (match: any, deviceInfo: any, signal?: AbortSignal) => {
+    const manager: any = createAsyncDriverManager(
+      { [match.driverId]: () => match.driver },
+      { [match.driverId]: { deviceInfo } }
+    );
+    // Cada paso del driver informa con un porcentaje o con un evento de uploadProgress
+    let progressState: any = initialProgressState;
+
     try {
-      addLog("📊 === COMUNICACIÓN ABBOTT FREESTYLE NEO ===");
-      
-      // Crear instancia del driver de Abbott
-      const abbottDriver = createAbbottDriver(
-        { driverId: deviceInfo.driverId },
-        { 
-          openDevice, 
-          closeDevice, 
-          claimInterface, 
-          writeData, 
-          readData, 
-          sendTextCommand 
-        }
-      );
-      
-      // Conectar usando el driver de Abbott
-      addLog("🔌 Conectando usando driver de Abbott...");
-      await abbottDriver.connect(deviceInfo, (progress: any) => {
-        addLog(`📊 ${progress.message} (${progress.step}/${progress.total})`);
-      });
-      
-      addLog("✅ Conexión establecida con driver de Abbott");
-      
-      // Obtener información del dispositivo usando el driver
-      addLog("📋 Obteniendo información del dispositivo...");
-      const deviceInfoResult = await abbottDriver.getDeviceInfo((progress: any) => {
-        addLog(`📊 ${progress.message} (${progress.step}/${progress.total})`);
+      addLog(`📊 === COMUNICACIÓN ${match.manifest.uiConfig.displayName.toUpperCase()} ===`);
+
+      const { data } = await manager.process(match.driverId, {
+        signal,
+        onProgress: (event: any) => {
+          progressState = progressReducer(progressState, event);
+          addLog(`📊 ${describeProgress(progressState)}`);
+        },
+        onStep: ({ step, durationMs, ok }: any) => {
+          addLog(`${ok ? "✅" : "❌"} ${step}: ${durationMs} ms`);
+        },
       });
-      
+      const deviceInfoResult = data.deviceDetails;
+
       addLog(`✅ Número de serie: ${deviceInfoResult.serialNumber}`);
       addLog(`✅ ID del dispositivo: ${deviceInfoResult.deviceId}`);
-      addLog(`✅ Fecha y hora: ${deviceInfoResult.deviceDateTime.formatted}`);
-      
+      if (deviceInfoResult.deviceDateTime) {
+        addLog(`✅ Fecha y hora: ${deviceInfoResult.deviceDateTime.formatted}`);
+      }
+
       // Mostrar información de sincronización
-      if ('needsSync' in deviceInfoResult.timeSync && deviceInfoResult.timeSync.needsSync) {
-        addLog(`⚠️ Dispositivo necesita sincronización de tiempo (diferencia: ${deviceInfoResult.timeSync.timeDifference?.toFixed(1)} min)`);
+      const timeSync = deviceInfoResult.timeSync || {};
+      if (timeSync.needsSync) {
+        addLog(`⚠️ Dispositivo necesita sincronización de tiempo (diferencia: ${timeSync.timeDifference?.toFixed(1)} min)`);
+        if (!hasCapability(match.manifest, CAPABILITY.SET_TIME, { model: deviceInfoResult.model })) {
+          addLog("ℹ️ Este glucómetro no permite ajustar la hora desde la app: ajústala en el propio medidor");
+        }
       } else {
         addLog("✅ Tiempo del dispositivo sincronizado");
       }
-      
+
       // Mostrar datos estructurados en consola
       logToConsole("INFORMACIÓN COMPLETA DEL DISPOSITIVO", {
-        dispositivo: "Abbott FreeStyle Precision/Optium Neo",
+        dispositivo: match.manifest.uiConfig.displayName,
+        driverId: match.driverId,
+        coincidencia: match.matchedBy,
         numeroSerie: deviceInfoResult.serialNumber,
         deviceId: deviceInfoResult.deviceId,
-        fechaDispositivo: deviceInfoResult.deviceDateTime.formatted,
+        fechaDispositivo: deviceInfoResult.deviceDateTime?.formatted,
         sincronizacionTiempo: {
-          necesitaSync: 'needsSync' in deviceInfoResult.timeSync ? deviceInfoResult.timeSync.needsSync : false,
-          diferenciaMinutos: 'timeDifference' in deviceInfoResult.timeSync ? deviceInfoResult.timeSync.timeDifference : 0,
-          tiempoDispositivo: 'deviceTime' in deviceInfoResult.timeSync ? deviceInfoResult.timeSync.deviceTime : null,
-          tiempoActual: 'currentTime' in deviceInfoResult.timeSync ? deviceInfoResult.timeSync.currentTime : null
+          necesitaSync: timeSync.needsSync ?? false,
+          diferenciaMinutos: timeSync.timeDifference ?? 0,
+          tiempoDispositivo: timeSync.deviceTime ?? null,
+          tiempoActual: timeSync.currentTime ?? null
         },
         metadata: deviceInfoResult
       });
-      
-      // Desconectar del dispositivo
-      addLog("🔌 Desconectando del dispositivo...");
-      await abbottDriver.disconnect();
-      addLog("✅ Desconectado exitosamente");
-      
-    } catch (error) {
-      addLog(`❌ Error: ${error}`);
+
+      addLog(`✅ ${data.processedRecords?.length ?? 0} registros procesados`);
+    } catch (error: any) {
+      // asyncDriverManager etiqueta el error con el paso en el que ocurrió
+      addLog(`❌ Error${error?.step ? ` en ${error.step}` : ""}: ${error}`);
       throw error;
     }
   };
@@ -833,7 +1108,7 @@ export default function App() {
       while (attempts < maxAttempts) {
         addLog(`📖 Intento ${attempts + 1}/${maxAttempts}: Leyendo datos...`);
         
-        const response = await readData(devicePath, 2000);
+        const response = await readDataOrEmpty(devicePath, 2000);
         
         if (response && response.length > 0) {
           allData.push(...response);
@@ -978,6 +1253,9 @@ export default function App() {
                       </View>
                     )}
                   </View>
+                  {device.features.length > 0 && (
+                    <Text style={styles.deviceFeatures}>{device.features.join(" · ")}</Text>
+                  )}
                 </View>
                 <Text style={styles.chevron}>›</Text>
         </View>
@@ -1002,6 +1280,32 @@ export default function App() {
               ))
             )}
           </ScrollView>
+          <Button
+            title="📦 Export capture"
+            onPress={handleExportCapture}
+            disabled={isConnecting}
+          />
+          <Button
+            title="📤 Share trace"
+            onPress={handleShareTrace}
+            disabled={isConnecting}
+          />
+          <Button
+            title="🎞️ Replay"
+            onPress={handleReplaySession}
+            disabled={isConnecting}
+          />
+          <Button
+            title="⏱️ Benchmark USB"
+            onPress={handleBenchmark}
+            disabled={isConnecting}
+          />
+          {isConnecting && (
+            <Button
+              title="🛑 Cancelar subida"
+              onPress={handleCancelUpload}
+            />
+          )}
           <Button 
             title="🗑️ Limpiar logs" 
             onPress={() => {
@@ -1170,6 +1474,11 @@ const styles = StyleSheet.create({
     fontSize: 11,
     fontWeight: "600",
   },
+  deviceFeatures: {
+    fontSize: 11,
+    color: "#666",
+    marginTop: 6,
+  },
   chevron: {
     fontSize: 32,
     color: "#ccc",
@@ -0,0 +1,6 @@
+// En Jest no existe el módulo nativo: expo-usb-conected se construye sobre el backend
+// en memoria de createMockUsbModule y cada test crea además los dispositivos que necesite
+jest.mock('../src/ExpoUsbConectedModule', () => {
+  const { createMockUsbModule } = jest.requireActual('../src/MockUsbModule');
+  return { __esModule: true, default: createMockUsbModule() };
+});
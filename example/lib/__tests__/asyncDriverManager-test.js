@@ -0,0 +1,81 @@
+import { UsbErrorCode, createMockUsbModule, createUsbApi } from 'expo-usb-conected';
+
+import { DRIVER_STEPS, createAsyncDriverManager, fromCallbackDriver } from '../asyncDriverManager';
+import { createAbbottAsyncDriver } from '../drivers/abbott/abbottFreeStyleNeoMobile';
+import FreeStyleProtocolMobile from '../drivers/abbott/freeStyleLibreProtocolMobile';
+import { NEO_DEVICE_NAME, NEO_SERIAL_NUMBER, createNeoDevice } from '../drivers/abbott/__fixtures__/neoMockDevice';
+
+const DRIVER_ID = 'AbbottFreeStyleOptiumNeo';
+
+// El driver de Abbott del registro sobre el Neo simulado, como en runDriverSession
+const createManager = () => {
+  const mock = createMockUsbModule({ devices: [createNeoDevice()] });
+  const manager = createAsyncDriverManager(
+    { [DRIVER_ID]: createAbbottAsyncDriver },
+    { [DRIVER_ID]: { driverId: DRIVER_ID, usbModule: createUsbApi(mock), deviceInfo: { deviceName: NEO_DEVICE_NAME } } }
+  );
+  return { mock, manager };
+};
+
+describe('asyncDriverManager', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(FreeStyleProtocolMobile.prototype, 'delay').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs the eight steps of the Abbott driver and times each one', async () => {
+    const { manager } = createManager();
+    const onStep = jest.fn();
+    const onProgress = jest.fn();
+
+    const { data, timings } = await manager.process(DRIVER_ID, { onStep, onProgress });
+
+    expect(timings.map((timing) => timing.step)).toEqual(DRIVER_STEPS);
+    expect(timings.every((timing) => timing.ok)).toBe(true);
+    expect(onStep).toHaveBeenCalledTimes(DRIVER_STEPS.length);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'fetchData' }));
+    expect(data).toMatchObject({ serialNumber: NEO_SERIAL_NUMBER, disconnect: true, cleanup: true });
+    expect(data.processedRecords).toHaveLength(3);
+  });
+
+  it('stops before the first step when the upload was cancelled, and still cleans up', async () => {
+    const { manager } = createManager();
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await manager.process(DRIVER_ID, { signal: controller.signal }).catch((caught) => caught);
+
+    expect(error).toMatchObject({ code: UsbErrorCode.ABORTED, step: 'setup', driverId: DRIVER_ID });
+    expect(error.timings.map((timing) => timing.step)).toEqual(['setup', 'cleanup']);
+  });
+
+  it('runs callback drivers through fromCallbackDriver', async () => {
+    // La forma de los drivers de Tidepool que espera driverManager.js
+    const callbackDriver = () => {
+      const driver = {
+        setup: (deviceInfo, progress, cb) => cb(null, { deviceInfo }),
+        cleanup: (progress, data, cb) => cb(),
+      };
+      DRIVER_STEPS.slice(1, -1).forEach((step) => {
+        driver[step] = (progress, data, cb) => cb(null, { ...data, [step]: true });
+      });
+      driver.fetchData = (progress, data, cb) => cb(new Error('El medidor no respondió'));
+      return driver;
+    };
+    const manager = createAsyncDriverManager(
+      { Tidepool: fromCallbackDriver(callbackDriver) },
+      { Tidepool: { deviceInfo: { deviceName: NEO_DEVICE_NAME } } }
+    );
+
+    const error = await manager.process('Tidepool').catch((caught) => caught);
+
+    expect(error).toMatchObject({ message: 'El medidor no respondió', step: 'fetchData', driverId: 'Tidepool' });
+    expect(error.timings.map((timing) => timing.step)).toEqual(['setup', 'connect', 'getConfigInfo', 'fetchData', 'cleanup']);
+  });
+});
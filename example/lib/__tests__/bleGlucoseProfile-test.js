@@ -0,0 +1,165 @@
+import BLEDevice from '../bleDevice';
+import { SAMPLE_TYPE, buildSMBGRecords, createGlucoseProfileTransport } from '../bleGlucoseProfile';
+import { createSimulatedGlucoseMeter } from '../bleGlucoseSimulator';
+import createObjectBuilder from '../objectBuilder';
+
+// Sensor Status Annunciation: resultado por debajo del rango del medidor
+const STATUS_RESULT_TOO_LOW = 1 << 6;
+
+const RECORDS = [
+  { sequence: 1, date: new Date(2024, 0, 5, 8, 30), value: 112, meal: 'preprandial' },
+  { sequence: 2, date: new Date(2024, 0, 5, 12, 0), special: 'high' },
+  { sequence: 3, date: new Date(2024, 0, 5, 13, 0), value: 15, status: STATUS_RESULT_TOO_LOW },
+  { sequence: 4, date: new Date(2024, 0, 5, 14, 0), value: 98, sampleType: SAMPLE_TYPE.CONTROL_SOLUTION },
+  { sequence: 5, date: new Date(2024, 0, 5, 20, 0), value: 140, timeOffset: 30, meal: 'bedtime' },
+];
+
+const DEVICE_INFO = { deviceId: 'SimulatedBLE-1234', serialNumber: '1234' };
+
+// Abre el Glucose Service del medidor simulado, lee y desconecta
+const readRecords = async (meter, options) => {
+  const glucose = createGlucoseProfileTransport(new BLEDevice({ ble: meter }), DEVICE_INFO);
+  await glucose.open();
+  try {
+    return await glucose.getRecords(options);
+  } finally {
+    await glucose.close();
+  }
+};
+
+// TimezoneOffsetUtil de un medidor con la hora en UTC y sin cambios de hora
+const utcTimezone = {
+  fillInUTCInfo(event, jsDate) {
+    event.time = jsDate.toISOString();
+    event.timezoneOffset = 0;
+    event.clockDriftOffset = 0;
+    event.conversionOffset = 0;
+  },
+};
+
+describe('bleGlucoseProfile', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports all records and skips control solution tests', async () => {
+    const records = await readRecords(createSimulatedGlucoseMeter({ records: RECORDS }));
+
+    expect(records.map((record) => record.index)).toEqual([1, 2, 3, 5]);
+    expect(records[0]).toMatchObject({
+      type: 'glucose',
+      value: 112,
+      unit: 'mg/dL',
+      isControlSolution: false,
+      deviceTime: '2024-01-05T08:30:00',
+      jsDate: new Date(2024, 0, 5, 8, 30),
+      deviceId: 'SimulatedBLE-1234',
+      serialNumber: '1234',
+    });
+    expect(records[0].annotations).toBeUndefined();
+  });
+
+  it('applies the time offset to the base time', async () => {
+    const records = await readRecords(createSimulatedGlucoseMeter({ records: RECORDS }));
+
+    expect(records[3]).toMatchObject({ value: 140, deviceTime: '2024-01-05T20:30:00' });
+  });
+
+  it('reports records since a sequence number, inclusive', async () => {
+    const records = await readRecords(createSimulatedGlucoseMeter({ records: RECORDS }), { sinceSequence: 3 });
+
+    expect(records.map((record) => record.index)).toEqual([3, 5]);
+  });
+
+  it('returns no records when the meter has none to report', async () => {
+    await expect(readRecords(createSimulatedGlucoseMeter())).resolves.toEqual([]);
+    await expect(
+      readRecords(createSimulatedGlucoseMeter({ records: RECORDS }), { sinceSequence: 6 })
+    ).resolves.toEqual([]);
+  });
+
+  it('marks results out of the meter range as HI and LO', async () => {
+    const records = await readRecords(createSimulatedGlucoseMeter({ records: RECORDS }));
+
+    expect(records[1]).toMatchObject({
+      value: 601,
+      annotations: [{ code: 'bg/out-of-range', value: 'high' }, { code: 'bg/unknown-value' }],
+    });
+    expect(records[2]).toMatchObject({
+      value: 9,
+      annotations: [{ code: 'bg/out-of-range', value: 'low' }, { code: 'bg/unknown-value' }],
+    });
+  });
+
+  it('keeps mmol/L readings in mmol/L', async () => {
+    const meter = createSimulatedGlucoseMeter({
+      records: [
+        { sequence: 1, date: new Date(2024, 0, 5, 8, 30), value: 6.2, units: 'mmol/L' },
+        { sequence: 2, date: new Date(2024, 0, 5, 9, 0), units: 'mmol/L', special: 'high' },
+      ],
+    });
+
+    const records = await readRecords(meter);
+
+    expect(records).toEqual([
+      expect.objectContaining({ value: 6.2, unit: 'mmol/L' }),
+      expect.objectContaining({ value: 33.4, unit: 'mmol/L' }),
+    ]);
+  });
+
+  it('joins each measurement with its context', async () => {
+    const records = await readRecords(createSimulatedGlucoseMeter({ records: RECORDS }));
+
+    expect(records[0].context).toEqual({ sequence: 1, meal: 'preprandial' });
+    expect(records[1].context).toBeUndefined();
+    expect(records[3].context).toEqual({ sequence: 5, meal: 'bedtime' });
+  });
+
+  it('reads meters without Glucose Measurement Context', async () => {
+    const records = await readRecords(createSimulatedGlucoseMeter({ records: RECORDS, context: false }));
+
+    expect(records.map((record) => record.index)).toEqual([1, 2, 3, 5]);
+    expect(records.every((record) => record.context === undefined)).toBe(true);
+  });
+
+  it('counts the stored records', async () => {
+    const glucose = createGlucoseProfileTransport(new BLEDevice({ ble: createSimulatedGlucoseMeter({ records: RECORDS }) }));
+    await glucose.open();
+
+    await expect(glucose.getRecordCount()).resolves.toBe(5);
+    await glucose.close();
+  });
+
+  it('builds smbg records with their annotations', async () => {
+    const records = await readRecords(createSimulatedGlucoseMeter({ records: RECORDS }));
+    const builder = createObjectBuilder();
+    builder.setDefaults({ deviceId: DEVICE_INFO.deviceId });
+
+    const smbg = buildSMBGRecords(builder, utcTimezone, records);
+
+    expect(smbg).toHaveLength(4);
+    expect(smbg[0]).toEqual({
+      type: 'smbg',
+      value: 112,
+      units: 'mg/dL',
+      deviceId: 'SimulatedBLE-1234',
+      deviceTime: '2024-01-05T08:30:00',
+      time: new Date(2024, 0, 5, 8, 30).toISOString(),
+      timezoneOffset: 0,
+      clockDriftOffset: 0,
+      conversionOffset: 0,
+      payload: { logIndices: [1] },
+    });
+    expect(smbg[1]).toMatchObject({
+      value: 601,
+      annotations: [{ code: 'bg/out-of-range', value: 'high' }, { code: 'bg/unknown-value' }],
+    });
+    expect(smbg[2]).toMatchObject({ value: 9, annotations: [{ code: 'bg/out-of-range', value: 'low' }, { code: 'bg/unknown-value' }] });
+    expect(smbg.every((record) => record.index === undefined)).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+import { ExpoUsbConectedModule, UsbErrorCode } from 'expo-usb-conected';
+
+import { promisify } from '../core/promisify';
+import nativeHidDevice from '../nativeHidDevice';
+
+const DEVICE_NAME = '/dev/bus/usb/001/010';
+
+// Vendor-defined con un output report 0x01 de 63 bytes
+const REPORT_DESCRIPTOR = [
+  0x06, 0x00, 0xff, 0x09, 0x01, 0xa1, 0x01, 0x85, 0x01, 0x75, 0x08, 0x95, 0x3f, 0x09, 0x01, 0x91, 0x02, 0xc0,
+];
+
+const attach = (spec = {}) => ExpoUsbConectedModule.attach({
+  deviceName: DEVICE_NAME,
+  vendorId: 0x1a61,
+  productId: 0x3410,
+  hidReportDescriptor: REPORT_DESCRIPTOR,
+  exchanges: [{ request: [0x01, 0x05], response: [0x06] }],
+  ...spec,
+});
+
+describe('nativeHidDevice', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    ExpoUsbConectedModule.detach(DEVICE_NAME);
+    jest.restoreAllMocks();
+  });
+
+  it('sends output reports with the id from the report descriptor and receives the input reports', async () => {
+    attach();
+    const hid = nativeHidDevice();
+
+    await promisify(hid.connect)({ deviceName: DEVICE_NAME }, null);
+    // Un único output report: el ID se antepone a los datos
+    await hid.sendPromisified([0x05]);
+
+    expect(await hid.receiveTimeout(1000)).toEqual([0x06]);
+    await promisify(hid.disconnect)({ deviceName: DEVICE_NAME });
+  });
+
+  it('closes the device when connect fails after opening it', async () => {
+    // Sin descriptor de reports, getHidReportDescriptor falla con el dispositivo ya abierto
+    attach({ hidReportDescriptor: undefined });
+    const closeDevice = jest.spyOn(ExpoUsbConectedModule, 'closeDevice');
+    const hid = nativeHidDevice();
+
+    await expect(promisify(hid.connect)({ deviceName: DEVICE_NAME }, null))
+      .rejects.toMatchObject({ code: UsbErrorCode.INTERFACE_NOT_FOUND });
+    expect(closeDevice).toHaveBeenCalledWith(DEVICE_NAME);
+
+    // disconnect ya no tiene nada que cerrar
+    await promisify(hid.disconnect)({ deviceName: DEVICE_NAME });
+    expect(closeDevice).toHaveBeenCalledTimes(1);
+  });
+});
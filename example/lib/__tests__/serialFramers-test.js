@@ -0,0 +1,214 @@
+import {
+  CHECKSUMS,
+  FRAMING_ERROR,
+  abbottTextChecksum,
+  createAbbottTextFramer,
+  createLengthPrefixedFramer,
+  createLineFramer,
+  createStxEtxFramer,
+  parseAbbottTextReply,
+} from '../serialFramers';
+
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+// El mismo bufobj que serialDevice.js pasa al packetHandler, y el bucle con el que
+// extrae paquetes cada vez que llegan bytes
+const createSerialBuffer = (framer) => {
+  let buffer = [];
+  const bufobj = {
+    get: (n) => buffer[n],
+    len: () => buffer.length,
+    discard: (n) => {
+      buffer = buffer.slice(n);
+    },
+    bytes: () => new Uint8Array(buffer),
+  };
+
+  return {
+    receive(bytes) {
+      buffer.push(...bytes);
+      const packets = [];
+      let packet = framer.packetHandler(bufobj);
+      while (packet) {
+        packets.push(packet);
+        packet = framer.packetHandler(bufobj);
+      }
+      return packets;
+    },
+    get length() {
+      return buffer.length;
+    },
+  };
+};
+
+const collectErrors = (framer) => {
+  const errors = [];
+  framer.onError((event) => errors.push(event));
+  return errors;
+};
+
+// STX, payload, ETX y sum8 de un byte
+const stxEtxFrame = (payload) => {
+  const body = [0x02, ...payload, 0x03];
+  return [...body, CHECKSUMS.sum8(Uint8Array.from(body))];
+};
+
+const abbottReply = (body, status = 'OK') => {
+  const checksum = abbottTextChecksum(body).toString(16).toUpperCase().padStart(8, '0');
+  return `${body}CKSM:${checksum}\r\nCMD ${status}\r\n`;
+};
+
+describe('createStxEtxFramer', () => {
+  const createFramer = () => createStxEtxFramer({ checksum: CHECKSUMS.sum8, checksumLength: 1 });
+
+  it('extracts frames split across reads and several frames in one read', () => {
+    const serial = createSerialBuffer(createFramer());
+    const first = stxEtxFrame([0x10, 0x20]);
+    const second = stxEtxFrame([0x30]);
+
+    expect(serial.receive(first.slice(0, 2))).toEqual([]);
+    const packets = serial.receive([...first.slice(2), ...second]);
+
+    expect(packets.map((packet) => Array.from(packet.payload))).toEqual([[0x10, 0x20], [0x30]]);
+    expect(serial.length).toBe(0);
+  });
+
+  it('reports bytes before STX and keeps the frame', () => {
+    const framer = createFramer();
+    const errors = collectErrors(framer);
+
+    const packets = createSerialBuffer(framer).receive([0xff, 0xfe, ...stxEtxFrame([0x01])]);
+
+    expect(packets).toHaveLength(1);
+    expect(errors).toEqual([expect.objectContaining({ type: FRAMING_ERROR.DISCARDED_BYTES, bytes: Uint8Array.from([0xff, 0xfe]) })]);
+  });
+
+  it('drops a frame with a bad checksum and resyncs on the next one', () => {
+    const framer = createFramer();
+    const errors = collectErrors(framer);
+    const corrupt = stxEtxFrame([0x01]);
+    corrupt[corrupt.length - 1] ^= 0xff;
+
+    const packets = createSerialBuffer(framer).receive([...corrupt, ...stxEtxFrame([0x02])]);
+
+    expect(packets.map((packet) => Array.from(packet.payload))).toEqual([[0x02]]);
+    expect(errors[0]).toMatchObject({ type: FRAMING_ERROR.CHECKSUM_MISMATCH, actual: corrupt[corrupt.length - 1] });
+  });
+
+  it('validates CRC-A little endian by default', () => {
+    const body = Uint8Array.from([0x02, 0x41, 0x03]);
+    const crc = CHECKSUMS.crcA(body);
+
+    const packets = createSerialBuffer(createStxEtxFramer()).receive([...body, crc & 0xff, crc >> 8]);
+
+    expect(packets).toEqual([expect.objectContaining({ checksum: crc })]);
+  });
+
+  it('reports an overflow when ETX never arrives', () => {
+    const framer = createStxEtxFramer({ maxLength: 4 });
+    const errors = collectErrors(framer);
+
+    createSerialBuffer(framer).receive([0x02, 0x01, 0x01, 0x01, 0x01, 0x01]);
+
+    expect(errors[0]).toMatchObject({ type: FRAMING_ERROR.OVERFLOW });
+  });
+});
+
+describe('createLengthPrefixedFramer', () => {
+  it('reads the payload length after a fixed header', () => {
+    const serial = createSerialBuffer(createLengthPrefixedFramer({ header: [0xaa, 0x55] }));
+
+    expect(serial.receive([0xaa, 0x55, 0x03, 0x01])).toEqual([]);
+    const [packet] = serial.receive([0x02, 0x03]);
+
+    expect(Array.from(packet.payload)).toEqual([0x01, 0x02, 0x03]);
+    expect(Array.from(packet.bytes)).toEqual([0xaa, 0x55, 0x03, 0x01, 0x02, 0x03]);
+  });
+
+  it('supports big endian lengths that count the whole frame, with checksum', () => {
+    const framer = createLengthPrefixedFramer({
+      lengthBytes: 2,
+      littleEndian: false,
+      lengthIncludes: 'frame',
+      checksum: CHECKSUMS.xor8,
+      checksumLength: 1,
+    });
+    const body = [0x00, 0x05, 0x7e, 0x7f];
+    const frame = [...body, CHECKSUMS.xor8(Uint8Array.from(body))];
+
+    const [packet] = createSerialBuffer(framer).receive(frame);
+
+    expect(Array.from(packet.payload)).toEqual([0x7e, 0x7f]);
+    expect(packet.checksum).toBe(0x7e ^ 0x7f ^ 0x05);
+  });
+
+  it('discards garbage before the header and lengths out of range', () => {
+    const framer = createLengthPrefixedFramer({ header: [0xaa], maxLength: 8 });
+    const errors = collectErrors(framer);
+
+    const packets = createSerialBuffer(framer).receive([0x00, 0xaa, 0x20, 0xaa, 0x01, 0x42]);
+
+    expect(packets.map((packet) => Array.from(packet.payload))).toEqual([[0x42]]);
+    // Tras descartar la cabecera de la longitud inválida, el 0x20 tampoco es cabecera
+    expect(errors.map((error) => error.type)).toEqual([
+      FRAMING_ERROR.DISCARDED_BYTES,
+      FRAMING_ERROR.INVALID_LENGTH,
+      FRAMING_ERROR.DISCARDED_BYTES,
+    ]);
+    expect(errors[1].length).toBe(0x20);
+  });
+});
+
+describe('createLineFramer', () => {
+  it('splits lines on the delimiter', () => {
+    const serial = createSerialBuffer(createLineFramer());
+
+    expect(serial.receive(ascii('7,1,10\r'))).toEqual([]);
+    const packets = serial.receive(ascii('\n7,2,11\r\n'));
+
+    expect(packets.map((packet) => packet.text)).toEqual(['7,1,10', '7,2,11']);
+  });
+
+  it('reports an overflow for a line longer than maxLength', () => {
+    const framer = createLineFramer({ delimiter: '\n', maxLength: 4 });
+    const errors = collectErrors(framer);
+    const serial = createSerialBuffer(framer);
+
+    serial.receive(ascii('abcdef'));
+
+    expect(errors[0]).toMatchObject({ type: FRAMING_ERROR.OVERFLOW });
+    expect(serial.length).toBe(0);
+  });
+});
+
+describe('Abbott text replies', () => {
+  it('parses the body, checksum and status', () => {
+    const reply = parseAbbottTextReply(abbottReply('JGGR123-45678\r\n'));
+
+    expect(reply).toEqual({ text: 'JGGR123-45678', checksum: abbottTextChecksum('JGGR123-45678\r\n'), ok: true });
+  });
+
+  it('rejects replies without CKSM:/CMD or with a wrong checksum', () => {
+    expect(parseAbbottTextReply('JGGR123\r\n').error.type).toBe(FRAMING_ERROR.MALFORMED_REPLY);
+    expect(parseAbbottTextReply('X\r\nCKSM:00000000\r\nCMD OK\r\n').error).toMatchObject({
+      type: FRAMING_ERROR.CHECKSUM_MISMATCH,
+      expected: abbottTextChecksum('X\r\n'),
+      actual: 0,
+    });
+  });
+
+  it('frames replies from the serial stream and reports CMD Fail!', () => {
+    const framer = createAbbottTextFramer();
+    const errors = collectErrors(framer);
+    const serial = createSerialBuffer(framer);
+    const failed = abbottReply('', 'Fail!');
+
+    const packets = serial.receive(ascii(`${abbottReply('10,19,26\r\n')}${failed}`));
+
+    expect(packets.map(({ text, ok }) => ({ text, ok }))).toEqual([
+      { text: '10,19,26', ok: true },
+      { text: '', ok: false },
+    ]);
+    expect(errors.map((error) => error.type)).toEqual([FRAMING_ERROR.COMMAND_FAILED]);
+  });
+});
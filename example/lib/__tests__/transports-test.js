@@ -0,0 +1,450 @@
+import {
+  ExpoUsbConectedModule,
+  UsbErrorCode,
+  createMockUsbModule,
+  createUsbApi,
+} from 'expo-usb-conected';
+
+import {
+  createBleTransport,
+  createHidTransport,
+  createNativeUsbTransport,
+  createSerialTransport,
+  createUsbApiTransport,
+  createUsbTransport,
+} from '../transports';
+
+const DEVICE_INFO = { deviceName: '/dev/bus/usb/001/007', vendorId: 0x1a79, productId: 0x6002 };
+
+const bytes = (chunk) => Array.from(chunk);
+
+// hidDevice.js: receiveTimeout devuelve el siguiente report o [] si no hay ninguno
+const createFakeHidDevice = () => {
+  const reports = [];
+  let failure = null;
+  return {
+    connect: jest.fn((deviceInfo, probe, cb) => cb()),
+    disconnect: jest.fn((deviceInfo, cb) => cb()),
+    sendPromisified: jest.fn(async () => {}),
+    receiveTimeout: () => new Promise((resolve, reject) => setTimeout(() => {
+      if (failure) {
+        reject(failure);
+      } else {
+        resolve(reports.shift() ?? []);
+      }
+    }, 5)),
+    receive: (report) => reports.push(report),
+    fail: (error) => {
+      failure = error;
+    },
+  };
+};
+
+// serialDevice.js: guarda el handler de connect para entregarle bytes y errores
+const createFakeSerialDevice = () => {
+  let handler = null;
+  return {
+    connect: jest.fn((deviceInfo, connectHandler, cb) => {
+      handler = connectHandler;
+      cb();
+    }),
+    disconnect: jest.fn((cb) => cb()),
+    writeSerial: jest.fn((data, cb) => cb()),
+    clearPacketHandler: jest.fn(),
+    receive: (data) => {
+      let buffer = data.slice();
+      handler.packetHandler({
+        len: () => buffer.length,
+        bytes: () => Uint8Array.from(buffer),
+        discard: (count) => {
+          buffer = buffer.slice(count);
+        },
+      });
+    },
+    fail: (error) => handler.errorHandler({ error }),
+  };
+};
+
+// usbDevice.js (WebUSB): transferIn queda pendiente hasta que llegan datos o se cierra
+const createFakeUsbDevice = () => {
+  const received = [];
+  let pending = null;
+  const device = {
+    configuration: {
+      interfaces: [{
+        interfaceNumber: 0,
+        alternates: [{
+          endpoints: [
+            { endpointNumber: 1, direction: 'in', type: 'bulk', packetSize: 64 },
+            { endpointNumber: 2, direction: 'out', type: 'bulk', packetSize: 64 },
+          ],
+        }],
+      }],
+    },
+    claimInterface: jest.fn(async () => {}),
+    transferOut: jest.fn(async () => ({ status: 'ok' })),
+    transferIn: () => new Promise((resolve, reject) => {
+      const next = received.shift();
+      if (next) {
+        next(resolve, reject);
+      } else {
+        pending = { resolve, reject };
+      }
+    }),
+  };
+  const settle = (fn) => {
+    if (pending) {
+      const { resolve, reject } = pending;
+      pending = null;
+      fn(resolve, reject);
+    } else {
+      received.push(fn);
+    }
+  };
+  return {
+    device,
+    open: jest.fn(async () => device),
+    close: jest.fn(async () => {
+      pending?.reject(new Error('The transfer was cancelled.'));
+      pending = null;
+    }),
+    receive: (data) => settle((resolve) => resolve({ status: 'ok', data: new DataView(Uint8Array.from(data).buffer) })),
+    fail: (error) => settle((resolve, reject) => reject(error)),
+  };
+};
+
+// Lo justo de EventTarget para las características y el BluetoothDevice
+const createFakeEventTarget = (target = {}) => {
+  const listeners = new Map();
+  return Object.assign(target, {
+    addEventListener: (type, listener) => listeners.set(type, [...(listeners.get(type) ?? []), listener]),
+    removeEventListener: (type, listener) =>
+      listeners.set(type, (listeners.get(type) ?? []).filter((candidate) => candidate !== listener)),
+    dispatch: (type, event = {}) => (listeners.get(type) ?? []).forEach((listener) => listener(event)),
+  });
+};
+
+const createFakeCharacteristic = () => {
+  const characteristic = createFakeEventTarget({
+    startNotifications: jest.fn(async () => {}),
+    stopNotifications: jest.fn(async () => {}),
+    writeValue: jest.fn(async () => {}),
+  });
+  characteristic.notify = (data) => characteristic.dispatch('characteristicvaluechanged', {
+    target: { value: new DataView(Uint8Array.from(data).buffer) },
+  });
+  return characteristic;
+};
+
+const createFakeBleDevice = () => {
+  const characteristics = { notify: createFakeCharacteristic(), write: createFakeCharacteristic() };
+  return {
+    ble: createFakeEventTarget(),
+    connected: true,
+    characteristics,
+    getCharacteristic: jest.fn(async (service, uuid) => characteristics[uuid]),
+  };
+};
+
+const BLE_OPTIONS = { service: 'service', notify: 'notify', write: 'write' };
+
+describe('transports', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createHidTransport', () => {
+    it('reads the reports in order and writes through sendPromisified', async () => {
+      const hid = createFakeHidDevice();
+      const transport = createHidTransport(hid, DEVICE_INFO);
+      await transport.open();
+
+      hid.receive([1, 2]);
+      hid.receive([3]);
+      await transport.write([0x05, 0x06]);
+
+      expect(bytes(await transport.read(1000))).toEqual([1, 2]);
+      expect(bytes(await transport.read(1000))).toEqual([3]);
+      expect(hid.sendPromisified).toHaveBeenCalledWith(Uint8Array.from([0x05, 0x06]));
+      await transport.close();
+      expect(hid.disconnect).toHaveBeenCalledTimes(1);
+    });
+
+    it('resolves a pending read with no data when closed', async () => {
+      const transport = createHidTransport(createFakeHidDevice(), DEVICE_INFO);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      await transport.close();
+
+      await expect(reading).resolves.toEqual(new Uint8Array(0));
+      await expect(transport.read(1000)).rejects.toThrow('El transporte está cerrado');
+    });
+
+    it('rejects the next read when receiveTimeout fails', async () => {
+      const hid = createFakeHidDevice();
+      const transport = createHidTransport(hid, DEVICE_INFO);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      hid.fail(new Error('El dispositivo HID se desconectó'));
+
+      await expect(reading).rejects.toThrow('El dispositivo HID se desconectó');
+      await expect(transport.read(1000)).rejects.toThrow('El dispositivo HID se desconectó');
+      await transport.close();
+    });
+  });
+
+  describe('createSerialTransport', () => {
+    it('reads the chunks in order and writes through writeSerial', async () => {
+      const serial = createFakeSerialDevice();
+      const transport = createSerialTransport(serial, DEVICE_INFO);
+      await transport.open();
+
+      serial.receive([0x02, 0x31]);
+      serial.receive([0x03]);
+      await transport.write([0x06]);
+
+      expect(bytes(await transport.read(1000))).toEqual([0x02, 0x31]);
+      expect(bytes(await transport.read(1000))).toEqual([0x03]);
+      expect(serial.writeSerial).toHaveBeenCalledWith([0x06], expect.any(Function));
+      await transport.close();
+      expect(serial.clearPacketHandler).toHaveBeenCalled();
+      expect(serial.disconnect).toHaveBeenCalledTimes(1);
+    });
+
+    it('resolves a pending read with no data when closed', async () => {
+      const transport = createSerialTransport(createFakeSerialDevice(), DEVICE_INFO);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      await transport.close();
+
+      await expect(reading).resolves.toEqual(new Uint8Array(0));
+    });
+
+    it('rejects the next read with the errors of the port', async () => {
+      const serial = createFakeSerialDevice();
+      const transport = createSerialTransport(serial, DEVICE_INFO);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      serial.fail('device_lost');
+
+      await expect(reading).rejects.toThrow('Error del puerto serie: device_lost');
+      await transport.close();
+    });
+  });
+
+  describe('createUsbTransport', () => {
+    it('claims the interface, reads the endpoint in order and writes to the OUT endpoint', async () => {
+      const usb = createFakeUsbDevice();
+      const transport = createUsbTransport(usb);
+      await transport.open();
+
+      usb.receive([0x10]);
+      usb.receive([0x11, 0x12]);
+      await transport.write([0x20]);
+
+      expect(bytes(await transport.read(1000))).toEqual([0x10]);
+      expect(bytes(await transport.read(1000))).toEqual([0x11, 0x12]);
+      expect(usb.device.claimInterface).toHaveBeenCalledWith(0);
+      expect(usb.device.transferOut).toHaveBeenCalledWith(2, Uint8Array.from([0x20]));
+      await transport.close();
+    });
+
+    it('resolves a pending read with no data when closed', async () => {
+      const usb = createFakeUsbDevice();
+      const transport = createUsbTransport(usb);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      await transport.close();
+
+      await expect(reading).resolves.toEqual(new Uint8Array(0));
+      expect(usb.close).toHaveBeenCalledTimes(1);
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('rejects the next read when transferIn fails', async () => {
+      const usb = createFakeUsbDevice();
+      const transport = createUsbTransport(usb);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      usb.fail(new Error('A transfer error has occurred.'));
+
+      await expect(reading).rejects.toThrow('A transfer error has occurred.');
+      await transport.close();
+    });
+  });
+
+  describe('createBleTransport', () => {
+    it('reads the notifications in order and writes to the write characteristic', async () => {
+      const ble = createFakeBleDevice();
+      const transport = createBleTransport(ble, BLE_OPTIONS);
+      await transport.open();
+
+      ble.characteristics.notify.notify([0x01]);
+      ble.characteristics.notify.notify([0x02, 0x03]);
+      await transport.write([0x04]);
+
+      expect(bytes(await transport.read(1000))).toEqual([0x01]);
+      expect(bytes(await transport.read(1000))).toEqual([0x02, 0x03]);
+      expect(ble.characteristics.write.writeValue).toHaveBeenCalledWith(Uint8Array.from([0x04]));
+      await transport.close();
+      expect(ble.characteristics.notify.stopNotifications).toHaveBeenCalled();
+    });
+
+    it('resolves a pending read with no data when closed', async () => {
+      const ble = createFakeBleDevice();
+      const transport = createBleTransport(ble, BLE_OPTIONS);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      await transport.close();
+
+      await expect(reading).resolves.toEqual(new Uint8Array(0));
+      // Cerrado el transporte, ya no recibe nada
+      ble.characteristics.notify.notify([0x01]);
+      ble.ble.dispatch('gattserverdisconnected');
+    });
+
+    it('rejects the next read when the GATT server disconnects', async () => {
+      const ble = createFakeBleDevice();
+      const transport = createBleTransport(ble, BLE_OPTIONS);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      ble.connected = false;
+      ble.ble.dispatch('gattserverdisconnected');
+
+      await expect(reading).rejects.toThrow('El dispositivo Bluetooth se desconectó');
+      await transport.close();
+      expect(ble.characteristics.notify.stopNotifications).not.toHaveBeenCalled();
+    });
+
+    it('rejects writes without a write characteristic', async () => {
+      const transport = createBleTransport(createFakeBleDevice(), { service: 'service', notify: 'notify' });
+      await transport.open();
+
+      await expect(transport.write([0x01])).rejects.toThrow('La característica notify solo admite notificaciones');
+      await transport.close();
+    });
+  });
+
+  describe('createUsbApiTransport', () => {
+    const DEVICE_NAME = '/dev/bus/usb/001/008';
+
+    const setup = async () => {
+      const mock = createMockUsbModule({
+        devices: [{
+          deviceName: DEVICE_NAME,
+          vendorId: 0x1a79,
+          productId: 0x6002,
+          exchanges: [{ request: [0x01], response: [[0xa1], [0xa2]] }],
+        }],
+      });
+      const usb = createUsbApi(mock);
+      await usb.openDevice(DEVICE_NAME);
+      await usb.claimInterface(DEVICE_NAME, 0);
+      return { mock, usb };
+    };
+
+    it.each([
+      ['readData', {}],
+      ['the native input queue', { inEndpoint: 0x81 }],
+    ])('reads the responses in order with %s', async (_name, options) => {
+      const { mock, usb } = await setup();
+      const transport = createUsbApiTransport(usb, DEVICE_NAME, options);
+      await transport.open();
+
+      await transport.write([0x01]);
+
+      expect(bytes(await transport.read(1000))).toEqual([0xa1]);
+      expect(bytes(await transport.read(1000))).toEqual([0xa2]);
+      expect(bytes(mock.getWrites(DEVICE_NAME)[0])).toEqual([0x01]);
+      await transport.close();
+    });
+
+    it('resolves a pending read with no data when closed', async () => {
+      const { usb } = await setup();
+      const transport = createUsbApiTransport(usb, DEVICE_NAME);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      await transport.close();
+
+      await expect(reading).resolves.toEqual(new Uint8Array(0));
+    });
+
+    it('rejects the next read when the device is detached', async () => {
+      const { mock, usb } = await setup();
+      const transport = createUsbApiTransport(usb, DEVICE_NAME);
+      await transport.open();
+
+      const reading = transport.read(10000);
+      mock.detach(DEVICE_NAME);
+
+      await expect(reading).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_DETACHED });
+      await transport.close();
+    });
+  });
+
+  describe('createNativeUsbTransport', () => {
+    const DEVICE_NAME = '/dev/bus/usb/001/009';
+
+    beforeEach(() => {
+      ExpoUsbConectedModule.attach({
+        deviceName: DEVICE_NAME,
+        vendorId: 0x1a79,
+        productId: 0x6002,
+        exchanges: [{ request: [0x01], response: [[0xb1], [0xb2]] }],
+      });
+    });
+
+    afterEach(() => {
+      ExpoUsbConectedModule.detach(DEVICE_NAME);
+    });
+
+    it('reads the continuous reading in order and writes to the OUT endpoint', async () => {
+      const transport = createNativeUsbTransport({ deviceName: DEVICE_NAME });
+      await transport.open();
+
+      await transport.write([0x01]);
+
+      expect(bytes(await transport.read(1000))).toEqual([0xb1]);
+      expect(bytes(await transport.read(1000))).toEqual([0xb2]);
+      await transport.close();
+    });
+
+    it('resolves a pending read with no data when closed', async () => {
+      const transport = createNativeUsbTransport({ deviceName: DEVICE_NAME });
+      await transport.open();
+
+      const reading = transport.read(10000);
+      await transport.close();
+
+      await expect(reading).resolves.toEqual(new Uint8Array(0));
+      await expect(transport.read(1000)).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_NOT_OPEN });
+    });
+
+    it('propagates the errors of the native module', async () => {
+      await expect(createNativeUsbTransport({ deviceName: '/dev/bus/usb/009/009' }).open())
+        .rejects.toMatchObject({ code: UsbErrorCode.DEVICE_NOT_FOUND });
+
+      const transport = createNativeUsbTransport({ deviceName: DEVICE_NAME });
+      await transport.open();
+      ExpoUsbConectedModule.detach(DEVICE_NAME);
+
+      await expect(transport.write([0x01])).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_DETACHED });
+      await transport.close();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import {
+  PROGRESS_PHASE,
+  PROGRESS_PHASES,
+  createCompleteEvent,
+  createErrorEvent,
+  createProgressEvent,
+  describeProgress,
+  initialProgressState,
+  progressReducer,
+} from '../uploadProgress';
+
+// Eventos con marca de tiempo fija para que el ETA sea determinista
+const at = (timestamp) => (phase, update = {}) =>
+  createProgressEvent(phase, typeof update === 'number' ? { percentage: update, timestamp } : { ...update, timestamp });
+
+const reduce = (...events) => events.reduce(progressReducer, initialProgressState);
+
+describe('uploadProgress', () => {
+  it('gives the phases weights that add up to 100', () => {
+    expect(PROGRESS_PHASES.reduce((total, { weight }) => total + weight, 0)).toBe(100);
+  });
+
+  it('maps a phase percentage onto the whole upload', () => {
+    const state = reduce(at(0)(PROGRESS_PHASE.DETECT), at(1000)(PROGRESS_PHASE.FETCH_DATA, 50));
+
+    // detect + permission + setup + connect + getConfigInfo = 14, más la mitad de fetchData (56)
+    expect(state).toMatchObject({
+      phase: PROGRESS_PHASE.FETCH_DATA,
+      phaseIndex: 5,
+      phasePercentage: 50,
+      percentage: 14 + 28,
+      message: 'Obteniendo registros...',
+      cancellable: true,
+      status: 'running',
+    });
+  });
+
+  it('derives the phase percentage from records, bytes or sub-steps', () => {
+    const event = at(0);
+
+    expect(reduce(event(PROGRESS_PHASE.FETCH_DATA, { records: { received: 30, expected: 120 } })).phasePercentage).toBe(25);
+    expect(reduce(event(PROGRESS_PHASE.FETCH_DATA, { bytes: { transferred: 64, expected: 256 } })).phasePercentage).toBe(25);
+    expect(reduce(event(PROGRESS_PHASE.CONNECT, { subStep: { index: 3, total: 4 } })).phasePercentage).toBe(75);
+    // Sin total conocido no avanza, pero conserva el contador
+    const unknown = reduce(event(PROGRESS_PHASE.FETCH_DATA, { records: { received: 12, expected: null } }));
+    expect(unknown).toMatchObject({ phasePercentage: 0, records: { received: 12, expected: null } });
+  });
+
+  it('never moves the bar backwards after a reconnection repeats sub-steps', () => {
+    const event = at(0);
+    const state = reduce(
+      event(PROGRESS_PHASE.CONNECT, { subStep: { index: 4, total: 4 } }),
+      event(PROGRESS_PHASE.CONNECT, { subStep: { index: 1, total: 4 } })
+    );
+
+    expect(state.percentage).toBe(10);
+    expect(state.subStep).toEqual({ index: 1, total: 4 });
+  });
+
+  it('keeps counters and message within a phase and resets them on the next', () => {
+    const event = at(0);
+    const fetching = reduce(
+      event(PROGRESS_PHASE.FETCH_DATA, { records: { received: 5, expected: null }, message: 'Leyendo $result?' }),
+      event(PROGRESS_PHASE.FETCH_DATA, { bytes: { transferred: 100, expected: null } })
+    );
+    expect(fetching).toMatchObject({
+      records: { received: 5, expected: null },
+      bytes: { transferred: 100, expected: null },
+      message: 'Leyendo $result?',
+    });
+
+    const processing = progressReducer(fetching, event(PROGRESS_PHASE.PROCESS_DATA));
+    expect(processing).toMatchObject({ records: null, bytes: null, message: 'Procesando registros...' });
+  });
+
+  it('estimates the remaining time from the elapsed time', () => {
+    const state = reduce(at(0)(PROGRESS_PHASE.DETECT), at(10000)(PROGRESS_PHASE.UPLOAD_DATA, 0));
+
+    // 75% en 10 s: quedan 25% -> ~3,3 s
+    expect(state.percentage).toBe(75);
+    expect(state.etaMs).toBe(3333);
+    // Por debajo del 5% no hay estimación
+    expect(reduce(at(0)(PROGRESS_PHASE.DETECT, 50)).etaMs).toBeNull();
+  });
+
+  it('is not cancellable while disconnecting and cleaning up unless the event says so', () => {
+    const event = at(0);
+
+    expect(reduce(event(PROGRESS_PHASE.DISCONNECT)).cancellable).toBe(false);
+    expect(reduce(event(PROGRESS_PHASE.FETCH_DATA, { cancellable: false })).cancellable).toBe(false);
+  });
+
+  it('finishes with complete and error events', () => {
+    const running = reduce(at(0)(PROGRESS_PHASE.FETCH_DATA, 50));
+
+    expect(progressReducer(running, createCompleteEvent())).toMatchObject({
+      status: 'complete',
+      percentage: 100,
+      etaMs: 0,
+      cancellable: false,
+      message: 'Subida completada',
+    });
+
+    const error = new Error('Dispositivo desconectado');
+    expect(progressReducer(running, createErrorEvent(error))).toMatchObject({
+      status: 'error',
+      error,
+      message: 'Dispositivo desconectado',
+      percentage: running.percentage,
+    });
+  });
+
+  it('ignores unknown phases', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const running = reduce(at(0)(PROGRESS_PHASE.CONNECT));
+
+    expect(progressReducer(running, at(0)('calibrate'))).toBe(running);
+    jest.restoreAllMocks();
+  });
+
+  it('describes the state in one line', () => {
+    const state = reduce(
+      at(0)(PROGRESS_PHASE.DETECT),
+      at(20000)(PROGRESS_PHASE.FETCH_DATA, { records: { received: 120, expected: null }, percentage: 50 })
+    );
+
+    expect(describeProgress(state)).toBe('Obteniendo registros... 42% (120 registros, ~28 s)');
+  });
+});
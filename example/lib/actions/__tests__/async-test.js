@@ -0,0 +1,48 @@
+import { UsbErrorCode, createMockUsbModule, createUsbApi } from 'expo-usb-conected';
+
+import { handleUpload } from '../async';
+
+const ROCHE_DEVICE_NAME = '/dev/bus/usb/001/003';
+
+// Accu-Chek Guide: su manifest declara setTime
+const setup = () => {
+  const mock = createMockUsbModule({
+    devices: [{ deviceName: ROCHE_DEVICE_NAME, vendorId: 0x173a, productId: 0x1903 }],
+  });
+  const usb = createUsbApi(mock);
+  jest.spyOn(usb, 'requestPermission');
+  return usb;
+};
+
+describe('handleUpload', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects options the upload does not pass to the driver, before asking for permission', async () => {
+    const usb = setup();
+
+    await expect(handleUpload({ ...usb, setTime: true })).rejects.toMatchObject({
+      code: UsbErrorCode.NOT_SUPPORTED,
+      message: 'La subida todavía no aplica setTime en RocheAccuChekUSB',
+      deviceName: ROCHE_DEVICE_NAME,
+    });
+    expect(usb.requestPermission).not.toHaveBeenCalled();
+  });
+
+  it('rejects capabilities the driver does not declare', async () => {
+    const usb = setup();
+
+    await expect(handleUpload({ ...usb, sinceIndex: 120 })).rejects.toMatchObject({
+      name: 'UnsupportedCapabilityError',
+      code: UsbErrorCode.NOT_SUPPORTED,
+      capability: 'incrementalSync',
+    });
+    expect(usb.requestPermission).not.toHaveBeenCalled();
+  });
+});
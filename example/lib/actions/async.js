@@ -4,8 +4,24 @@
  * Adaptado para móvil con Expo/React Native
  */
 
+import { UsbError, UsbErrorCode } from 'expo-usb-conected';
 import { detectDevices, getCachedDevices } from '../core/device';
 import { getDriverManifest } from '../core/driverManifests';
+import {
+  CAPABILITY,
+  RECORD_TYPE_CAPABILITY,
+  getReadableRecordTypes,
+  requireCapabilities
+} from '../core/capabilities';
+import {
+  PROGRESS_PHASE,
+  createProgressEvent,
+  createCompleteEvent,
+  createErrorEvent,
+  initialProgressState,
+  progressReducer,
+  describeProgress
+} from '../uploadProgress';
 
 // Configuración del proceso de subida
 export const uploadConfig = {
@@ -16,22 +32,106 @@ export const uploadConfig = {
     timeFormat: 'HH:mm:ss',
     maxRetries: 3,
     retryDelay: 2000,
-    timeout: 30000
+    timeout: 30000,
+    // Qué se pide al medidor; el driver tiene que declararlo en sus capabilities. Las
+    // cuatro opciones de después todavía no llegan a ningún driver y se rechazan
+    recordTypes: null, // p. ej. ['glucose', 'ketone']; null = todo lo que sepa leer el driver
+    setTime: false,
+    readSettings: false,
+    sinceIndex: null, // sincronización incremental desde este índice
+    eraseMemory: false
   },
   
-  // Configuración de progreso
+  // Pasos propios de la subida, como eventos de uploadProgress.js (la comunicación
+  // con el medidor la informa el driver con sus propias fases)
   progressSteps: {
-    DETECTING_DEVICE: { step: 1, total: 6, message: 'Detectando dispositivo...' },
-    REQUESTING_PERMISSIONS: { step: 2, total: 6, message: 'Solicitando permisos...' },
-    CONNECTING_DEVICE: { step: 3, total: 6, message: 'Conectando dispositivo...' },
-    CLAIMING_INTERFACE: { step: 4, total: 6, message: 'Reclamando interfaz...' },
-    COMMUNICATING: { step: 5, total: 6, message: 'Comunicando con dispositivo...' },
-    CLOSING_CONNECTION: { step: 6, total: 6, message: 'Cerrando conexión...' }
+    DETECTING_DEVICE: { phase: PROGRESS_PHASE.DETECT, message: 'Detectando dispositivo...' },
+    REQUESTING_PERMISSIONS: { phase: PROGRESS_PHASE.PERMISSION, message: 'Solicitando permisos...' },
+    CONNECTING_DEVICE: { phase: PROGRESS_PHASE.CONNECT, subStep: { index: 1, total: 2 }, message: 'Conectando dispositivo...' },
+    CLAIMING_INTERFACE: { phase: PROGRESS_PHASE.CONNECT, subStep: { index: 2, total: 2 }, message: 'Reclamando interfaz...' },
+    CLOSING_CONNECTION: { phase: PROGRESS_PHASE.DISCONNECT, message: 'Cerrando conexión...' }
+  },
+  
+  // Reconexión si el cable se suelta a mitad de la subida (ReconnectPolicy de runWithReconnect)
+  reconnectPolicy: {
+    retries: 3,
+    initialDelayMs: 500,
+    backoffFactor: 2,
+    maxDelayMs: 8000,
+    reattachTimeoutMs: 15000
+  }
+};
+
+// Opciones de la subida que piden una capacidad del driver, además de recordTypes
+const OPTION_CAPABILITIES = [
+  { option: 'setTime', capability: CAPABILITY.SET_TIME, isRequested: (config) => config.setTime },
+  { option: 'readSettings', capability: CAPABILITY.READ_SETTINGS, isRequested: (config) => config.readSettings },
+  { option: 'sinceIndex', capability: CAPABILITY.INCREMENTAL_SYNC, isRequested: (config) => config.sinceIndex != null },
+  { option: 'eraseMemory', capability: CAPABILITY.ERASE_MEMORY, isRequested: (config) => config.eraseMemory },
+];
+
+// Opciones que communicateWithDevice lleva hasta cada driver. Ninguna todavía: el
+// driver de Roche no recibe setTime ni el de Bluetooth sinceIndex (su getRecords
+// admite sinceSequence, pero la subida no lo usa). Una opción pedida que no esté
+// aquí falla en vez de ignorarse aunque el manifest declare la capacidad
+const APPLIED_OPTIONS = {};
+
+// Capacidades que necesitan las opciones de la subida
+const getRequestedCapabilities = (config) => {
+  const requested = (config.recordTypes || []).map((type) => {
+    if (!RECORD_TYPE_CAPABILITY[type]) {
+      throw new Error(`Tipo de registro desconocido: ${type}`);
+    }
+    return RECORD_TYPE_CAPABILITY[type];
+  });
+  OPTION_CAPABILITIES.forEach(({ capability, isRequested }) => {
+    if (isRequested(config)) {
+      requested.push(capability);
+    }
+  });
+  return requested;
+};
+
+// Lanza E_NOT_SUPPORTED con la primera opción pedida que la subida no aplica en el driver
+const requireAppliedOptions = (config, driverId, { deviceName } = {}) => {
+  const applied = APPLIED_OPTIONS[driverId] || [];
+  const unapplied = OPTION_CAPABILITIES.find(({ option, isRequested }) =>
+    isRequested(config) && !applied.includes(option));
+  if (unapplied) {
+    throw new UsbError(
+      UsbErrorCode.NOT_SUPPORTED,
+      `La subida todavía no aplica ${unapplied.option} en ${driverId}`,
+      { deviceName }
+    );
+  }
+};
+
+// Entre pasos: si se pulsó "Cancelar subida" no se empieza el siguiente
+const throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw new UsbError(UsbErrorCode.ABORTED, 'Subida cancelada', { cause: signal.reason });
   }
 };
 
+// Subida cancelable, para el botón "Cancelar subida":
+//   const upload = startUpload({ ...usbApi, onProgress });
+//   <Button title="Cancelar subida" onPress={upload.cancel} />
+//   const result = await upload.result; // rechaza con E_ABORTED si se cancela
+export const startUpload = (options = {}) => {
+  const controller = new AbortController();
+  // Una señal externa (p. ej. al desmontar la pantalla) también cancela
+  options.signal?.addEventListener('abort', () => controller.abort(options.signal.reason));
+
+  return {
+    result: handleUpload({ ...options, signal: controller.signal }),
+    cancel: (reason) => controller.abort(reason),
+    signal: controller.signal,
+  };
+};
+
 // Función principal para iniciar el proceso de subida
 export const handleUpload = async (options = {}) => {
+  let progressCallbacks = null;
   try {
     console.log('🚀 === INICIANDO PROCESO DE SUBIDA ===');
     
@@ -44,15 +144,17 @@ export const handleUpload = async (options = {}) => {
     console.log('📋 Configuración de subida:', config);
     
     // Crear callbacks de progreso
-    const progressCallbacks = createProgressCallbacks(config.onProgress);
+    progressCallbacks = createProgressCallbacks(config.onProgress);
     
     // Iniciar proceso de subida
     const result = await doDeviceUpload(config, progressCallbacks);
     
+    progressCallbacks.onComplete();
     console.log('✅ Proceso de subida completado:', result);
     return result;
     
   } catch (error) {
+    progressCallbacks?.onError(error);
     console.error('❌ Error en proceso de subida:', error);
     throw error;
   }
@@ -64,8 +166,17 @@ export const doDeviceUpload = async (config, progressCallbacks) => {
     console.log('📱 === PROCESO DE SUBIDA DE DISPOSITIVO ===');
     
     // Paso 1: Detectar dispositivo
+    throwIfCancelled(config.signal);
     progressCallbacks.onProgress(uploadConfig.progressSteps.DETECTING_DEVICE);
-    const compatibleDevices = await detectDevices(config.scanDevices);
+    const compatibleDevices = await detectDevices(config.scanDevices, {
+      getDeviceDescriptor: config.getDeviceDescriptor,
+      usbModule: {
+        openDevice: config.openDevice,
+        readData: config.readData,
+        writeData: config.writeData,
+        runExclusive: config.runExclusive
+      }
+    });
     
     if (compatibleDevices.length === 0) {
       throw new Error('No se encontraron dispositivos compatibles');
@@ -81,6 +192,11 @@ export const doDeviceUpload = async (config, progressCallbacks) => {
       throw new Error(`Driver no encontrado: ${deviceInfo.driverId}`);
     }
     
+    // Lo que el driver no admite falla aquí, antes de pedir permisos o abrir el dispositivo
+    const capabilityOptions = { model: deviceInfo.model, deviceName: deviceInfo.deviceName };
+    requireCapabilities(driverManifest, getRequestedCapabilities(config), capabilityOptions);
+    requireAppliedOptions(config, deviceInfo.driverId, capabilityOptions);
+    
     // Configurar información del usuario
     const userInfo = {
       userId: config.userId || 'default_user',
@@ -88,7 +204,23 @@ export const doDeviceUpload = async (config, progressCallbacks) => {
       dateFormat: config.dateFormat,
       timeFormat: config.timeFormat,
       deviceInfo: deviceInfo,
-      driverManifest: driverManifest
+      driverManifest: driverManifest,
+      // Tipos de registro que se suben (los pedidos o todos los que sabe leer el driver)
+      recordTypes: config.recordTypes || getReadableRecordTypes(driverManifest, capabilityOptions),
+      // Funciones de createUsbApi recibidas en las opciones de handleUpload
+      requestPermission: config.requestPermission,
+      openDevice: config.openDevice,
+      closeDevice: config.closeDevice,
+      claimInterface: config.claimInterface,
+      getDeviceDescriptor: config.getDeviceDescriptor,
+      readData: config.readData,
+      writeData: config.writeData,
+      sendTextCommand: config.sendTextCommand,
+      createInputReportQueue: config.createInputReportQueue,
+      runWithReconnect: config.runWithReconnect,
+      // { signal, timeoutMs } para cada llamada USB: cancelar aborta también la
+      // transferencia nativa en curso y `timeout` evita que una llamada se quede colgada
+      callOptions: { signal: config.signal, timeoutMs: config.timeout }
     };
     
     console.log('👤 Información del usuario:', {
@@ -120,11 +252,12 @@ export const executeDeviceCommunication = async (userInfo, progressCallbacks) =>
   try {
     console.log('📡 === EJECUTANDO COMUNICACIÓN CON DISPOSITIVO ===');
     
-    const { deviceInfo, driverManifest } = userInfo;
+    const { deviceInfo, driverManifest, callOptions } = userInfo;
     
     // Paso 2: Solicitar permisos
+    throwIfCancelled(callOptions.signal);
     progressCallbacks.onProgress(uploadConfig.progressSteps.REQUESTING_PERMISSIONS);
-    const permissionGranted = await userInfo.requestPermission(deviceInfo.deviceName);
+    const permissionGranted = await userInfo.requestPermission(deviceInfo.deviceName, callOptions);
     
     if (!permissionGranted) {
       throw new Error('Permisos denegados por el usuario');
@@ -132,7 +265,7 @@ export const executeDeviceCommunication = async (userInfo, progressCallbacks) =>
     
     // Paso 3: Conectar dispositivo
     progressCallbacks.onProgress(uploadConfig.progressSteps.CONNECTING_DEVICE);
-    const connected = await userInfo.openDevice(deviceInfo.deviceName);
+    const connected = await userInfo.openDevice(deviceInfo.deviceName, callOptions);
     
     if (!connected) {
       throw new Error('No se pudo conectar al dispositivo');
@@ -140,17 +273,16 @@ export const executeDeviceCommunication = async (userInfo, progressCallbacks) =>
     
     // Paso 4: Reclamar interfaz
     progressCallbacks.onProgress(uploadConfig.progressSteps.CLAIMING_INTERFACE);
-    const interfaceClaimed = await userInfo.claimInterface(deviceInfo.deviceName, 0);
+    const interfaceClaimed = await userInfo.claimInterface(deviceInfo.deviceName, 0, callOptions);
     
     if (!interfaceClaimed) {
       throw new Error('No se pudo reclamar la interfaz del dispositivo');
     }
     
-    // Paso 5: Comunicar con el dispositivo
-    progressCallbacks.onProgress(uploadConfig.progressSteps.COMMUNICATING);
-    const communicationResult = await communicateWithDevice(userInfo);
+    // Paso 5: Comunicar con el dispositivo (el driver informa de su progreso)
+    const communicationResult = await communicateWithDevice(userInfo, progressCallbacks);
     
-    // Paso 6: Cerrar conexión
+    // Paso 6: Cerrar conexión (sin signal: se cierra aunque se haya cancelado)
     progressCallbacks.onProgress(uploadConfig.progressSteps.CLOSING_CONNECTION);
     await userInfo.closeDevice(deviceInfo.deviceName);
     
@@ -171,7 +303,7 @@ export const executeDeviceCommunication = async (userInfo, progressCallbacks) =>
 };
 
 // Función para comunicar con el dispositivo específico
-export const communicateWithDevice = async (userInfo) => {
+export const communicateWithDevice = async (userInfo, progressCallbacks) => {
   try {
     const { deviceInfo, driverManifest } = userInfo;
     
@@ -179,9 +311,9 @@ export const communicateWithDevice = async (userInfo) => {
     
     // Determinar el tipo de comunicación según el driver
     if (deviceInfo.driverId === 'AbbottFreeStyleOptiumNeo') {
-      return await communicateWithAbbottDevice(userInfo);
+      return await communicateWithAbbottDevice(userInfo, progressCallbacks);
     } else if (deviceInfo.driverId === 'RocheAccuChekUSB') {
-      return await communicateWithRocheDevice(userInfo);
+      return await communicateWithRocheDevice(userInfo, progressCallbacks);
     } else {
       throw new Error(`Driver no soportado: ${deviceInfo.driverId}`);
     }
@@ -193,11 +325,12 @@ export const communicateWithDevice = async (userInfo) => {
 };
 
 // Función para comunicar con dispositivos Abbott
-export const communicateWithAbbottDevice = async (userInfo) => {
+export const communicateWithAbbottDevice = async (userInfo, progressCallbacks) => {
   try {
     console.log('🔬 === COMUNICACIÓN CON DISPOSITIVO ABBOTT ===');
     
-    const { deviceInfo, driverManifest } = userInfo;
+    const { deviceInfo, driverManifest, callOptions } = userInfo;
+    const { signal } = callOptions;
     
     // Importar el driver de Abbott
     const { createAbbottDriver } = await import('../drivers/abbott/abbottFreeStyleNeoMobile.js');
@@ -205,56 +338,105 @@ export const communicateWithAbbottDevice = async (userInfo) => {
     // Configurar el driver
     const driverConfig = {
       driverId: driverManifest.driverId,
-      vendorId: driverManifest.vendorId,
-      productId: driverManifest.productId,
+      vendorId: deviceInfo.vendorId,
+      productId: deviceInfo.productId,
       timezone: userInfo.timezone || 'UTC',
       version: '1.0.0'
     };
     
-    // Crear instancia del driver
+    // Crear instancia del driver. Las lecturas conservan su propio timeout; el resto
+    // de llamadas reciben también el plazo de la subida
     const driver = createAbbottDriver(driverConfig, {
-      openDevice: userInfo.openDevice,
+      openDevice: (deviceName) => userInfo.openDevice(deviceName, callOptions),
       closeDevice: userInfo.closeDevice,
-      claimInterface: userInfo.claimInterface,
-      readData: userInfo.readData,
-      writeData: userInfo.writeData,
-      sendTextCommand: userInfo.sendTextCommand
+      claimInterface: (deviceName, interfaceNumber) => userInfo.claimInterface(deviceName, interfaceNumber, callOptions),
+      getDeviceDescriptor: (deviceName) => userInfo.getDeviceDescriptor(deviceName, callOptions),
+      readData: (deviceName, timeout) => userInfo.readData(deviceName, timeout, { signal }),
+      writeData: (deviceName, data) => userInfo.writeData(deviceName, data, callOptions),
+      sendTextCommand: (deviceName, command) => userInfo.sendTextCommand(deviceName, command, callOptions),
+      // Lectura continua del endpoint IN (sin ella el protocolo lee con readData)
+      createInputReportQueue: userInfo.createInputReportQueue
     });
     
-    // Ejecutar flujo completo del driver
-    const progressCallback = (stepInfo) => {
-      console.log(`📊 ${stepInfo.message} (${stepInfo.step}/${stepInfo.total})`);
-    };
+    // El driver emite eventos de uploadProgress.js con sus fases (connect, getConfigInfo...)
+    const progressCallback = progressCallbacks.onProgress;
     
     // 1. Conectar dispositivo
     await driver.connect(deviceInfo, progressCallback);
     
-    // 2. Obtener información del dispositivo
-    const deviceInfoResult = await driver.getDeviceInfo(progressCallback);
-    
-    // 3. Obtener datos
-    const dataResult = await driver.fetchData(progressCallback);
-    
-    // 4. Procesar datos
-    const processedRecords = driver.processRecords(dataResult.rawRecords);
+    // Pasos 2 y 3 con reconexión: si el cable se suelta se reabre el dispositivo,
+    // se re-inicializa el protocolo y se continúa desde el checkpoint del driver
+    const runWithReconnect = userInfo.runWithReconnect
+      ?? ((connection, operation) => operation(connection, { attempt: 0, signal }));
     
-    // 5. Subir datos (simulación)
-    const uploadResult = await driver.uploadData(processedRecords, progressCallback);
-    
-    // 6. Desconectar
-    await driver.disconnect();
-    
-    return {
-      data: uploadResult.data,
-      metadata: {
-        deviceType: 'Abbott',
-        protocol: 'HID',
-        deviceInfo: deviceInfoResult,
-        recordsCount: processedRecords.length,
-        uploadResult: uploadResult.uploadResult,
-        timestamp: new Date().toISOString()
-      }
-    };
+    try {
+      const { deviceInfoResult, dataResult } = await runWithReconnect(driver.connection, async (connection, { attempt }) => {
+        if (attempt > 0) {
+          console.log(`🔁 Continuando la subida tras la reconexión ${attempt}`);
+        }
+        
+        // 2. Obtener información del dispositivo
+        throwIfCancelled(signal);
+        const deviceInfoResult = await driver.getDeviceInfo(progressCallback);
+        
+        // 3. Obtener datos
+        throwIfCancelled(signal);
+        const dataResult = await driver.fetchData(progressCallback);
+        
+        return { deviceInfoResult, dataResult };
+      }, {
+        ...uploadConfig.reconnectPolicy,
+        interfaces: [driver.interfaceNumber],
+        signal,
+        onReconnected: (connection) => driver.resume(connection),
+        onEvent: (event) => {
+          if (event.type === 'detached') {
+            console.warn(`🔌 Dispositivo desconectado durante la subida: ${event.error?.message ?? event.error}`);
+          } else if (event.type === 'reconnecting') {
+            console.log(`⏳ Reconectando (${event.attempt}/${event.retries}) en ${event.delayMs} ms...`);
+            // En la fase en la que se quedó, sin perder registros ni sub-paso
+            progressCallback(createProgressEvent(progressCallbacks.getState().phase, {
+              message: `Reconectando (${event.attempt}/${event.retries})...`
+            }));
+          } else if (event.type === 'reconnected') {
+            console.log(`✅ Reconectado como ${event.deviceName}`);
+          } else {
+            console.error(`❌ No se pudo reconectar tras ${event.attempt} intentos`);
+          }
+        }
+      });
+      
+      // 4. Procesar datos
+      progressCallback(createProgressEvent(PROGRESS_PHASE.PROCESS_DATA, {
+        records: { received: 0, expected: dataResult.rawRecords.length }
+      }));
+      // Sólo los tipos pedidos; el resto de registros (cambios de hora...) se conservan
+      const processedRecords = driver.processRecords(dataResult.rawRecords).filter((record) =>
+        !RECORD_TYPE_CAPABILITY[record.type] || userInfo.recordTypes.includes(record.type)
+      );
+      progressCallback(createProgressEvent(PROGRESS_PHASE.PROCESS_DATA, {
+        records: { received: dataResult.rawRecords.length, expected: dataResult.rawRecords.length }
+      }));
+      
+      // 5. Subir datos (simulación)
+      throwIfCancelled(signal);
+      const uploadResult = await driver.uploadData(processedRecords, progressCallback);
+
+      return {
+        data: uploadResult.data,
+        metadata: {
+          deviceType: 'Abbott',
+          protocol: 'HID',
+          deviceInfo: deviceInfoResult,
+          recordsCount: processedRecords.length,
+          uploadResult: uploadResult.uploadResult,
+          timestamp: new Date().toISOString()
+        }
+      };
+    } finally {
+      // 6. Desconectar (también si se canceló a mitad)
+      await driver.disconnect();
+    }
     
   } catch (error) {
     console.error('❌ Error en communicateWithAbbottDevice:', error);
@@ -263,16 +445,18 @@ export const communicateWithAbbottDevice = async (userInfo) => {
 };
 
 // Función para comunicar con dispositivos Roche
-export const communicateWithRocheDevice = async (userInfo) => {
+export const communicateWithRocheDevice = async (userInfo, progressCallbacks) => {
   try {
     console.log('💉 === COMUNICACIÓN CON DISPOSITIVO ROCHE ===');
     
     const { deviceInfo, driverManifest } = userInfo;
     
     // Obtener información del dispositivo
+    progressCallbacks.onProgress({ phase: PROGRESS_PHASE.FETCH_DATA });
     const deviceData = await getRocheDeviceData(userInfo);
     
     // Procesar datos
+    progressCallbacks.onProgress({ phase: PROGRESS_PHASE.PROCESS_DATA });
     const processedData = processRocheData(deviceData, userInfo);
     
     return {
@@ -334,28 +518,34 @@ export const processRocheData = (deviceData, userInfo) => {
   return [];
 };
 
-// Función para crear callbacks de progreso
+// Función para crear callbacks de progreso. Reciben eventos de uploadProgress.js
+// (de async.js y de los drivers) y `onProgress` recibe el estado ya reducido:
+// { phase, subStep, message, percentage, records, bytes, etaMs, cancellable, status... }
 export const createProgressCallbacks = (onProgress) => {
-  return {
-    onProgress: (stepInfo) => {
-      const progress = (stepInfo.step / stepInfo.total) * 100;
-      console.log(`📊 Progreso: ${progress.toFixed(1)}% - ${stepInfo.message}`);
-      
-      if (onProgress) {
-        onProgress({
-          step: stepInfo.step,
-          total: stepInfo.total,
-          progress: progress,
-          message: stepInfo.message
-        });
-      }
+  let state = initialProgressState;
+  
+  const dispatch = (event) => {
+    state = progressReducer(state, event);
+    if (onProgress) {
+      onProgress(state);
     }
   };
+  
+  return {
+    onProgress: (event) => {
+      dispatch(createProgressEvent(event.phase, event));
+      console.log(`📊 Progreso: ${describeProgress(state)}`);
+    },
+    onComplete: () => dispatch(createCompleteEvent()),
+    onError: (error) => dispatch(createErrorEvent(error)),
+    getState: () => state
+  };
 };
 
 // Exportar funciones principales
 export default {
   handleUpload,
+  startUpload,
   doDeviceUpload,
   executeDeviceCommunication,
   communicateWithDevice,
@@ -0,0 +1,203 @@
+/*
+ * Versión async de driverManager.js
+ *
+ * Ejecuta los mismos ocho pasos (setup → connect → getConfigInfo → fetchData →
+ * processData → uploadData → disconnect → cleanup) sobre drivers con métodos async,
+ * mide cuánto tarda cada paso y etiqueta los errores con `error.step` igual que
+ * driverManager. Los drivers de callbacks de Tidepool (accuChekUSB.js...) siguen
+ * funcionando a través de fromCallbackDriver():
+ *
+ *   const manager = createAsyncDriverManager(
+ *     {
+ *       AbbottFreeStyleOptiumNeo: createAbbottAsyncDriver,
+ *       RocheAccuChekUSB: fromCallbackDriver(accuChekUSB),
+ *     },
+ *     configs
+ *   );
+ *   const { data, timings } = await manager.process('AbbottFreeStyleOptiumNeo', { onProgress });
+ */
+
+import { UsbError, UsbErrorCode } from 'expo-usb-conected';
+import { createProgressEvent } from './uploadProgress';
+
+// Contrato de un driver async. Cada paso recibe `progress` y el `data` del paso
+// anterior, y devuelve el `data` para el siguiente. `progress` acepta un porcentaje
+// 0-100 del paso (como los drivers de Tidepool) o un evento de uploadProgress.js
+// ({ subStep, records, bytes, message... }); la fase la pone el manager:
+//
+//   setup(deviceInfo, progress) → data
+//   connect / getConfigInfo / fetchData / processData / uploadData / disconnect (progress, data) → data
+//   cleanup(progress, data) → se ejecuta siempre, también tras un error
+//   detect(deviceInfo) → { model, serialNumber, id } (opcional)
+export const DRIVER_STEPS = [
+  'setup',
+  'connect',
+  'getConfigInfo',
+  'fetchData',
+  'processData',
+  'uploadData',
+  'disconnect',
+  'cleanup',
+];
+
+const noop = () => {};
+
+const now = () => globalThis.performance?.now() ?? Date.now();
+
+// Etiqueta el error con el paso en el que ocurrió sin envolverlo, así un UsbError
+// conserva su `code`. Si un paso interno ya lo etiquetó, se respeta
+const tagStepError = (error, step, driverId) => {
+  const tagged = error instanceof Error ? error : new Error(String(error));
+  if (!tagged.step) {
+    tagged.step = step;
+    tagged.driverId = driverId;
+  }
+  return tagged;
+};
+
+// Adapta un driver de callbacks (la forma que espera driverManager.js: setup(deviceInfo,
+// progress, cb) y el resto (progress, data, cb)) al contrato async
+export const fromCallbackDriver = (createDriver) => (config) => {
+  const driver = createDriver(config);
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    try {
+      driver[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+  const adapted = {
+    setup: (deviceInfo, progress) => call('setup', deviceInfo, progress),
+    // cleanup de Tidepool llama a cb() sin datos: se devuelve el `data` que recibió
+    cleanup: async (progress, data) => (await call('cleanup', progress, data)) ?? data,
+  };
+  DRIVER_STEPS.slice(1, -1).forEach((step) => {
+    adapted[step] = (progress, data) => call(step, progress, data);
+  });
+  if (typeof driver.detect === 'function') {
+    adapted.detect = (deviceInfo) => call('detect', deviceInfo);
+  }
+  return adapted;
+};
+
+export function createAsyncDriverManager(driverFactories, configs) {
+  const drivers = {};
+
+  for (const [driverId, createDriver] of Object.entries(driverFactories)) {
+    drivers[driverId] = createDriver(configs[driverId]);
+
+    DRIVER_STEPS.forEach((step) => {
+      if (typeof drivers[driverId][step] !== 'function') {
+        console.warn(`⚠️ El driver ${driverId} debe implementar ${step}`);
+      }
+    });
+  }
+
+  const requireDriver = (driverId) => {
+    const driver = drivers[driverId];
+    if (!driver) {
+      throw new Error(`Driver no registrado: ${driverId}`);
+    }
+    return driver;
+  };
+
+  const throwIfAborted = (signal) => {
+    if (signal?.aborted) {
+      throw new UsbError(UsbErrorCode.ABORTED, 'Subida cancelada', { cause: signal.reason });
+    }
+  };
+
+  return {
+    // Identifica el dispositivo: con el detect() del driver o, si no tiene, con
+    // setup → connect → disconnect y cleanup, como driverManager
+    async detect(driverId) {
+      const driver = requireDriver(driverId);
+      const { deviceInfo } = configs[driverId];
+
+      if (driver.detect) {
+        return await driver.detect(deviceInfo);
+      }
+
+      let result = {};
+      try {
+        result = await driver.setup(deviceInfo, noop);
+        result = await driver.connect(noop, result);
+        result = await driver.disconnect(noop, result);
+      } finally {
+        await driver.cleanup(noop, result ?? {}).catch((error) => {
+          console.warn(`⚠️ Error en cleanup de ${driverId}:`, error);
+        });
+      }
+      return { model: result?.model, serialNumber: result?.serialNumber, id: result?.id };
+    },
+
+    // Ejecuta los ocho pasos. Devuelve { data, timings } con la duración de cada paso;
+    // si un paso falla, el error lleva `step`, `driverId` y `timings` y aun así se
+    // ejecuta cleanup. `onStep` recibe cada paso al terminar: { step, durationMs, ok }, y
+    // `onProgress` los eventos de progreso (para progressReducer de uploadProgress.js)
+    async process(driverId, { signal, onStep = noop, onProgress = noop } = {}) {
+      const driver = requireDriver(driverId);
+      const config = configs[driverId];
+      const timings = [];
+
+      const progressForStep = (step) => (update) => {
+        onProgress(createProgressEvent(step, update));
+      };
+
+      const runStep = async (index, run, { abortable = true } = {}) => {
+        const step = DRIVER_STEPS[index];
+        const startedAt = now();
+        let ok = false;
+        try {
+          if (abortable) {
+            throwIfAborted(signal);
+          }
+          onProgress(createProgressEvent(step, { percentage: 0 }));
+          const result = await run(progressForStep(step));
+          ok = true;
+          return result;
+        } catch (error) {
+          throw tagStepError(error, step, driverId);
+        } finally {
+          const timing = { step, durationMs: Math.round(now() - startedAt), ok };
+          timings.push(timing);
+          console.log(`⏱️ ${driverId} ${step}: ${timing.durationMs} ms${ok ? '' : ' (falló)'}`);
+          onStep(timing);
+        }
+      };
+
+      let data = null;
+      let failure = null;
+      try {
+        data = await runStep(0, (progress) => driver.setup(config.deviceInfo, progress));
+        for (let index = 1; index < DRIVER_STEPS.length - 1; index++) {
+          data = await runStep(index, (progress) => driver[DRIVER_STEPS[index]](progress, data));
+        }
+      } catch (error) {
+        failure = error;
+      }
+
+      // Igual que driverManager: cleanup siempre (también tras cancelar), y sus
+      // errores no tapan el del paso
+      try {
+        const cleanup = (progress) => driver.cleanup(progress, data ?? {});
+        data = (await runStep(DRIVER_STEPS.length - 1, cleanup, { abortable: false })) ?? data;
+      } catch (error) {
+        console.warn(`⚠️ Error en cleanup de ${driverId}:`, error);
+      }
+
+      const totalMs = timings.reduce((total, timing) => total + timing.durationMs, 0);
+      console.log(`⏱️ ${driverId} total: ${totalMs} ms`);
+
+      if (failure) {
+        failure.timings = timings;
+        throw failure;
+      }
+      return { data, timings };
+    },
+  };
+}
+
+export default createAsyncDriverManager;
@@ -15,13 +15,39 @@
  * == BSD2 LICENSE ==
  */
 
-const isBrowser = typeof window !== 'undefined';
-const debug = isBrowser ? require('bows')('bleDevice') : console.log;
+// bows is not a dependency of the app: log to the console with the same prefix
+const debug = (...args) => console.log('bleDevice', ...args);
 
 export default class BLEDevice {
   constructor(deviceInfo) {
     debug('BLE Constructor');
+    // a Web Bluetooth BluetoothDevice, from navigator.bluetooth.requestDevice()
     this.ble = deviceInfo.ble;
+    this.server = null;
+  }
+
+  get connected() {
+    return this.server != null && this.server.connected;
+  }
+
+  async open() {
+    if (!this.connected) {
+      debug('Connecting to GATT server');
+      this.server = await this.ble.gatt.connect();
+    }
+    return this.server;
+  }
+
+  async getCharacteristic(service, characteristic) {
+    const primaryService = await (await this.open()).getPrimaryService(service);
+    return primaryService.getCharacteristic(characteristic);
+  }
+
+  async close() {
+    if (this.connected) {
+      this.server.disconnect();
+    }
+    this.server = null;
   }
 };
 
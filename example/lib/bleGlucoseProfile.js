@@ -0,0 +1,389 @@
+/*
+ * Glucose Profile de Bluetooth SIG sobre bleDevice.js (Web Bluetooth)
+ *
+ * Lee los registros con el Record Access Control Point ("report all" o "report
+ * since sequence N"), junta cada Glucose Measurement con su Glucose Measurement
+ * Context y devuelve registros con la misma forma que emite el driver de Abbott
+ * (type 'glucose', value, unit, annotations, deviceTime, jsDate...), que
+ * buildSMBGRecords convierte en smbg con objectBuilder.makeSMBG:
+ *
+ *   const glucose = createGlucoseProfileTransport(new BLEDevice({ ble }));
+ *   await glucose.open();
+ *   const records = await glucose.getRecords({ sinceSequence: 120 });
+ *   await glucose.close();
+ */
+
+import annotate from './eventAnnotations';
+import { createBleTransport } from './transports';
+
+export const GLUCOSE_SERVICE = 0x1808;
+export const GLUCOSE_MEASUREMENT = 0x2A18;
+export const GLUCOSE_MEASUREMENT_CONTEXT = 0x2A34;
+export const RECORD_ACCESS_CONTROL_POINT = 0x2A52;
+
+export const RACP_OPCODE = {
+  REPORT_STORED_RECORDS: 0x01,
+  REPORT_NUMBER_OF_RECORDS: 0x04,
+  NUMBER_OF_RECORDS_RESPONSE: 0x05,
+  RESPONSE_CODE: 0x06,
+};
+
+export const RACP_OPERATOR = {
+  NULL: 0x00,
+  ALL_RECORDS: 0x01,
+  GREATER_THAN_OR_EQUAL: 0x03,
+};
+
+// Filtro de "greater than or equal": número de secuencia (uint16)
+const RACP_FILTER_SEQUENCE_NUMBER = 0x01;
+
+export const RACP_RESPONSE = {
+  SUCCESS: 0x01,
+  OP_CODE_NOT_SUPPORTED: 0x02,
+  INVALID_OPERATOR: 0x03,
+  OPERATOR_NOT_SUPPORTED: 0x04,
+  INVALID_OPERAND: 0x05,
+  NO_RECORDS_FOUND: 0x06,
+  ABORT_UNSUCCESSFUL: 0x07,
+  PROCEDURE_NOT_COMPLETED: 0x08,
+  OPERAND_NOT_SUPPORTED: 0x09,
+};
+
+// El medidor envía todos los registros antes de responder por el RACP
+const RACP_TIMEOUT = 30000;
+
+// Valores especiales de SFLOAT (IEEE 11073-20601)
+const SFLOAT_NAN = 0x07FF;
+const SFLOAT_NRES = 0x0800;
+const SFLOAT_POSITIVE_INFINITY = 0x07FE;
+const SFLOAT_NEGATIVE_INFINITY = 0x0802;
+const SFLOAT_RESERVED = 0x0801;
+
+// Tipo de muestra (nibble bajo del byte type-sample location)
+export const SAMPLE_TYPE = {
+  CAPILLARY_WHOLE_BLOOD: 1,
+  CAPILLARY_PLASMA: 2,
+  VENOUS_WHOLE_BLOOD: 3,
+  VENOUS_PLASMA: 4,
+  ARTERIAL_WHOLE_BLOOD: 5,
+  ARTERIAL_PLASMA: 6,
+  UNDETERMINED_WHOLE_BLOOD: 7,
+  UNDETERMINED_PLASMA: 8,
+  INTERSTITIAL_FLUID: 9,
+  CONTROL_SOLUTION: 10,
+};
+
+// Bits de Sensor Status Annunciation que afectan al valor
+const STATUS_RESULT_TOO_HIGH = 1 << 5;
+const STATUS_RESULT_TOO_LOW = 1 << 6;
+
+const MEAL = { 1: 'preprandial', 2: 'postprandial', 3: 'fasting', 4: 'casual', 5: 'bedtime' };
+
+// mmol/L -> mg/dL, el mismo factor que usa Tidepool
+const MMOL_TO_MGDL = 18.01559;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Hora del medidor sin zona (YYYY-MM-DDTHH:mm:ss), como sundial.formatDeviceTime.
+// `timestamp` se construye con los campos de la medida como hora local, así que se
+// formatea con esos mismos campos
+function formatDeviceTime(timestamp) {
+  return `${pad(timestamp.getFullYear(), 4)}-${pad(timestamp.getMonth() + 1)}-${pad(timestamp.getDate())}`
+    + `T${pad(timestamp.getHours())}:${pad(timestamp.getMinutes())}:${pad(timestamp.getSeconds())}`;
+}
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+// SFLOAT: mantisa de 12 bits y exponente de 4, ambos con signo. Devuelve
+// { mantissa, exponent } o { special } para NaN, NRes e infinitos
+export function decodeSFloat(raw) {
+  const mantissaBits = raw & 0x0FFF;
+  if (mantissaBits === SFLOAT_POSITIVE_INFINITY) return { special: 'high' };
+  if (mantissaBits === SFLOAT_NEGATIVE_INFINITY) return { special: 'low' };
+  if (mantissaBits === SFLOAT_NAN || mantissaBits === SFLOAT_NRES || mantissaBits === SFLOAT_RESERVED) {
+    return { special: 'invalid' };
+  }
+
+  const mantissa = mantissaBits >= 0x0800 ? mantissaBits - 0x1000 : mantissaBits;
+  const exponentBits = raw >> 12;
+  const exponent = exponentBits >= 0x8 ? exponentBits - 0x10 : exponentBits;
+  return { mantissa, exponent };
+}
+
+// Valor en la unidad indicada sin arrastrar errores de coma flotante (10 ** -5 ...)
+const scaleSFloat = ({ mantissa, exponent }, shift) => Number((mantissa * 10 ** (exponent + shift)).toPrecision(6));
+
+// Glucose Measurement (0x2A18). `view` es el DataView de la notificación
+export function parseGlucoseMeasurement(view) {
+  const flags = view.getUint8(0);
+  let offset = 1;
+
+  const sequence = view.getUint16(offset, true);
+  offset += 2;
+
+  const baseTime = {
+    year: view.getUint16(offset, true),
+    month: view.getUint8(offset + 2),
+    day: view.getUint8(offset + 3),
+    hours: view.getUint8(offset + 4),
+    minutes: view.getUint8(offset + 5),
+    seconds: view.getUint8(offset + 6),
+  };
+  offset += 7;
+
+  const measurement = { sequence, baseTime, timeOffset: 0, contextFollows: (flags & 0x10) !== 0 };
+
+  if (flags & 0x01) {
+    measurement.timeOffset = view.getInt16(offset, true);
+    offset += 2;
+  }
+
+  if (flags & 0x02) {
+    // bit 2: 0 = kg/L, 1 = mol/L
+    const molPerLiter = (flags & 0x04) !== 0;
+    const concentration = decodeSFloat(view.getUint16(offset, true));
+    const typeAndLocation = view.getUint8(offset + 2);
+    offset += 3;
+
+    measurement.units = molPerLiter ? 'mmol/L' : 'mg/dL';
+    if (concentration.special) {
+      measurement.special = concentration.special;
+    } else {
+      // kg/L -> mg/dL (x10^5) y mol/L -> mmol/L (x10^3)
+      measurement.value = scaleSFloat(concentration, molPerLiter ? 3 : 5);
+    }
+    measurement.sampleType = typeAndLocation & 0x0F;
+    measurement.sampleLocation = typeAndLocation >> 4;
+  }
+
+  if (flags & 0x08) {
+    measurement.status = view.getUint16(offset, true);
+    offset += 2;
+  }
+
+  return measurement;
+}
+
+// Glucose Measurement Context (0x2A34): solo lo que aporta al registro (comida,
+// carbohidratos y HbA1c); el resto de campos se salta
+export function parseGlucoseContext(view) {
+  const flags = view.getUint8(0);
+  let offset = 1;
+
+  const context = { sequence: view.getUint16(offset, true) };
+  offset += 2;
+
+  if (flags & 0x80) {
+    offset += 1; // extended flags
+  }
+  if (flags & 0x01) {
+    const carbs = decodeSFloat(view.getUint16(offset + 1, true));
+    if (!carbs.special) {
+      // kg -> g
+      context.carbohydrates = scaleSFloat(carbs, 3);
+    }
+    offset += 3;
+  }
+  if (flags & 0x02) {
+    context.meal = MEAL[view.getUint8(offset)];
+    offset += 1;
+  }
+  if (flags & 0x04) {
+    offset += 1; // tester y health
+  }
+  if (flags & 0x08) {
+    offset += 3; // duración e intensidad del ejercicio
+  }
+  if (flags & 0x10) {
+    offset += 3; // medicación
+  }
+  if (flags & 0x40) {
+    const hba1c = decodeSFloat(view.getUint16(offset, true));
+    if (!hba1c.special) {
+      context.hba1c = scaleSFloat(hba1c, 0);
+    }
+  }
+
+  return context;
+}
+
+export function reportRecordsCommand(sinceSequence) {
+  if (sinceSequence == null) {
+    return Uint8Array.of(RACP_OPCODE.REPORT_STORED_RECORDS, RACP_OPERATOR.ALL_RECORDS);
+  }
+  return Uint8Array.of(
+    RACP_OPCODE.REPORT_STORED_RECORDS,
+    RACP_OPERATOR.GREATER_THAN_OR_EQUAL,
+    RACP_FILTER_SEQUENCE_NUMBER,
+    sinceSequence & 0xFF,
+    (sinceSequence >> 8) & 0xFF,
+  );
+}
+
+function racpError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Registro con la forma del driver de Abbott (processGlucoseRecord). Las pruebas con
+// solución de control se excluyen igual que allí
+export function toGlucoseRecord(measurement, context, deviceInfo = {}) {
+  if (measurement.units == null || measurement.sampleType === SAMPLE_TYPE.CONTROL_SOLUTION) {
+    return null;
+  }
+
+  const { year, month, day, hours, minutes, seconds } = measurement.baseTime;
+  const timestamp = new Date(year, month - 1, day, hours, minutes + measurement.timeOffset, seconds);
+
+  let { value } = measurement;
+  const annotations = [];
+  const status = measurement.status || 0;
+
+  if (measurement.special === 'high' || status & STATUS_RESULT_TOO_HIGH) {
+    value = measurement.units === 'mmol/L' ? Number((601 / MMOL_TO_MGDL).toFixed(1)) : 601;
+    annotations.push({ code: 'bg/out-of-range', value: 'high' }, { code: 'bg/unknown-value' });
+  } else if (measurement.special === 'low' || status & STATUS_RESULT_TOO_LOW) {
+    value = measurement.units === 'mmol/L' ? Number((9 / MMOL_TO_MGDL).toFixed(1)) : 9;
+    annotations.push({ code: 'bg/out-of-range', value: 'low' }, { code: 'bg/unknown-value' });
+  } else if (value == null) {
+    console.warn(`⚠️ Valor de glucosa inválido en el registro ${measurement.sequence}`);
+    return null;
+  }
+
+  return {
+    type: 'glucose',
+    index: measurement.sequence,
+    timestamp,
+    raw: measurement.raw,
+    value,
+    unit: measurement.units,
+    isControlSolution: false,
+    annotations: annotations.length > 0 ? annotations : undefined,
+    context: context || undefined,
+    deviceTime: formatDeviceTime(timestamp),
+    jsDate: timestamp,
+    deviceId: deviceInfo.deviceId,
+    serialNumber: deviceInfo.serialNumber,
+  };
+}
+
+// Registros -> smbg con objectBuilder (`builder` ya con setDefaults) y TimezoneOffsetUtil
+export function buildSMBGRecords(builder, tzoUtil, records) {
+  return records.map((record) => {
+    const recordBuilder = builder.makeSMBG()
+      .with_value(record.value)
+      .with_units(record.unit)
+      .with_deviceTime(record.deviceTime)
+      .set('index', record.index);
+
+    tzoUtil.fillInUTCInfo(recordBuilder, record.jsDate);
+
+    (record.annotations || []).forEach((annotation) => {
+      annotate.annotateEvent(recordBuilder, annotation);
+    });
+
+    const postRecord = recordBuilder.done();
+    delete postRecord.index;
+    return postRecord;
+  });
+}
+
+// Cliente del Glucose Profile: un transporte por característica sobre la misma
+// conexión GATT. Glucose Measurement Context es opcional en el perfil
+export function createGlucoseProfileTransport(bleDevice, deviceInfo = {}) {
+  const measurement = createBleTransport(bleDevice, { service: GLUCOSE_SERVICE, notify: GLUCOSE_MEASUREMENT });
+  const context = createBleTransport(bleDevice, { service: GLUCOSE_SERVICE, notify: GLUCOSE_MEASUREMENT_CONTEXT });
+  const racp = createBleTransport(bleDevice, {
+    service: GLUCOSE_SERVICE,
+    notify: RECORD_ACCESS_CONTROL_POINT,
+    write: RECORD_ACCESS_CONTROL_POINT,
+  });
+  let hasContext = false;
+
+  // Escribe en el RACP y espera su indicación de respuesta
+  async function request(command) {
+    racp.flush();
+    await racp.write(command);
+
+    const response = await racp.read(RACP_TIMEOUT);
+    if (response.length === 0) {
+      throw racpError('El medidor no respondió al Record Access Control Point', 'E_RACP_TIMEOUT');
+    }
+    return response;
+  }
+
+  return {
+    get opened() {
+      return racp.opened;
+    },
+
+    async open() {
+      console.log('📡 Conectando con el Glucose Service...');
+      await measurement.open();
+      try {
+        await context.open();
+        hasContext = true;
+      } catch (error) {
+        console.log('ℹ️ El medidor no expone Glucose Measurement Context');
+      }
+      await racp.open();
+    },
+
+    async close() {
+      await racp.close();
+      await context.close();
+      await measurement.close();
+      await bleDevice.close();
+      console.log('🔒 Glucose Service desconectado');
+    },
+
+    async getRecordCount() {
+      const response = await request(Uint8Array.of(RACP_OPCODE.REPORT_NUMBER_OF_RECORDS, RACP_OPERATOR.ALL_RECORDS));
+      if (response[0] !== RACP_OPCODE.NUMBER_OF_RECORDS_RESPONSE) {
+        throw racpError(`Respuesta inesperada del RACP: ${toHex(response)}`, 'E_RACP_FAILED');
+      }
+      return response[2] | (response[3] << 8);
+    },
+
+    // Todos los registros, o desde el número de secuencia `sinceSequence` (incluido)
+    async getRecords({ sinceSequence } = {}) {
+      const measurements = [];
+      const contexts = new Map();
+
+      const measurementSubscription = measurement.onData((data) => {
+        const parsed = parseGlucoseMeasurement(new DataView(data.buffer, data.byteOffset, data.byteLength));
+        parsed.raw = toHex(data);
+        measurements.push(parsed);
+      });
+      const contextSubscription = context.onData((data) => {
+        const parsed = parseGlucoseContext(new DataView(data.buffer, data.byteOffset, data.byteLength));
+        contexts.set(parsed.sequence, parsed);
+      });
+
+      try {
+        const response = await request(reportRecordsCommand(sinceSequence));
+        const [opcode, , requestOpcode, responseCode] = response;
+        if (opcode !== RACP_OPCODE.RESPONSE_CODE || requestOpcode !== RACP_OPCODE.REPORT_STORED_RECORDS) {
+          throw racpError(`Respuesta inesperada del RACP: ${toHex(response)}`, 'E_RACP_FAILED');
+        }
+        if (responseCode === RACP_RESPONSE.NO_RECORDS_FOUND) {
+          return [];
+        }
+        if (responseCode !== RACP_RESPONSE.SUCCESS) {
+          throw racpError(`El RACP rechazó la petición (código ${responseCode})`, 'E_RACP_FAILED');
+        }
+      } finally {
+        measurementSubscription.remove();
+        contextSubscription.remove();
+        measurement.flush();
+        context.flush();
+      }
+
+      console.log(`🩸 ${measurements.length} medidas recibidas${hasContext ? `, ${contexts.size} con contexto` : ''}`);
+      return measurements
+        .map((item) => toGlucoseRecord(item, contexts.get(item.sequence), deviceInfo))
+        .filter((record) => record !== null);
+    },
+  };
+}
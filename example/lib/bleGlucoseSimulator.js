@@ -0,0 +1,222 @@
+/*
+ * Servidor GATT simulado de un glucómetro con Glucose Profile, sin radio
+ *
+ * Imita la parte de Web Bluetooth que usan bleDevice.js y bleGlucoseProfile.js
+ * (gatt.connect, getPrimaryService, getCharacteristic, notificaciones,
+ * writeValue y gattserverdisconnected), igual que createMockUsbModule hace con el módulo USB:
+ *
+ *   const ble = createSimulatedGlucoseMeter({
+ *     records: [{ sequence: 1, date: new Date(2024, 0, 5, 8, 30), value: 112, meal: 'preprandial' }],
+ *   });
+ *   const glucose = createGlucoseProfileTransport(new BLEDevice({ ble }));
+ *
+ * Cada registro: { sequence, date, value, units ('mg/dL' | 'mmol/L'), sampleType,
+ * status, special ('high' | 'low'), timeOffset (minutos), meal }
+ */
+
+import {
+  GLUCOSE_SERVICE,
+  GLUCOSE_MEASUREMENT,
+  GLUCOSE_MEASUREMENT_CONTEXT,
+  RECORD_ACCESS_CONTROL_POINT,
+  RACP_OPCODE,
+  RACP_OPERATOR,
+  RACP_RESPONSE,
+  SAMPLE_TYPE,
+} from './bleGlucoseProfile';
+
+const MEAL_CODES = { preprandial: 1, postprandial: 2, fasting: 3, casual: 4, bedtime: 5 };
+
+const encodeSFloat = (mantissa, exponent) => ((exponent & 0x0F) << 12) | (mantissa & 0x0FFF);
+
+function encodeMeasurement(record, withContext) {
+  const molPerLiter = record.units === 'mmol/L';
+  const bytes = [];
+  let flags = 0x02;
+  if (record.timeOffset) flags |= 0x01;
+  if (molPerLiter) flags |= 0x04;
+  if (record.status) flags |= 0x08;
+  if (withContext) flags |= 0x10;
+
+  const date = record.date;
+  const pushUint16 = (value) => bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+
+  bytes.push(flags);
+  pushUint16(record.sequence);
+  pushUint16(date.getFullYear());
+  bytes.push(date.getMonth() + 1, date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds());
+  if (record.timeOffset) {
+    pushUint16(record.timeOffset);
+  }
+
+  let concentration;
+  if (record.special === 'high') {
+    concentration = 0x07FE;
+  } else if (record.special === 'low') {
+    concentration = 0x0802;
+  } else if (molPerLiter) {
+    // mmol/L con un decimal -> mol/L x10^-4
+    concentration = encodeSFloat(Math.round(record.value * 10), -4);
+  } else {
+    // mg/dL -> kg/L x10^-5
+    concentration = encodeSFloat(Math.round(record.value), -5);
+  }
+  pushUint16(concentration);
+  bytes.push(record.sampleType ?? SAMPLE_TYPE.CAPILLARY_WHOLE_BLOOD);
+
+  if (record.status) {
+    pushUint16(record.status);
+  }
+
+  return Uint8Array.from(bytes);
+}
+
+function encodeContext(record) {
+  return Uint8Array.of(0x02, record.sequence & 0xFF, (record.sequence >> 8) & 0xFF, MEAL_CODES[record.meal]);
+}
+
+function createCharacteristic(uuid, onWrite) {
+  const listeners = new Set();
+  const characteristic = {
+    uuid,
+    value: null,
+    notifying: false,
+
+    addEventListener(type, listener) {
+      if (type === 'characteristicvaluechanged') listeners.add(listener);
+    },
+    removeEventListener(type, listener) {
+      listeners.delete(listener);
+    },
+    async startNotifications() {
+      characteristic.notifying = true;
+      return characteristic;
+    },
+    async stopNotifications() {
+      characteristic.notifying = false;
+      return characteristic;
+    },
+    async writeValue(data) {
+      if (!onWrite) {
+        throw new Error(`La característica 0x${uuid.toString(16)} no admite escritura`);
+      }
+      onWrite(new Uint8Array(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength));
+    },
+
+    // Notificación (o indicación) hacia el cliente; sin suscripción se pierde
+    notify(bytes) {
+      if (!characteristic.notifying) return;
+      characteristic.value = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      listeners.forEach((listener) => listener({ target: characteristic }));
+    },
+  };
+  return characteristic;
+}
+
+export function createSimulatedGlucoseMeter({ name = 'Simulated Glucose Meter', records = [], context = true, delayMs = 0 } = {}) {
+  const stored = [...records].sort((a, b) => a.sequence - b.sequence);
+  // Las respuestas se envían después de resolver writeValue, como un medidor real
+  const later = (fn) => setTimeout(fn, delayMs);
+
+  const measurement = createCharacteristic(GLUCOSE_MEASUREMENT);
+  const measurementContext = context ? createCharacteristic(GLUCOSE_MEASUREMENT_CONTEXT) : null;
+
+  const respond = (requestOpcode, responseCode) => {
+    racp.notify(Uint8Array.of(RACP_OPCODE.RESPONSE_CODE, RACP_OPERATOR.NULL, requestOpcode, responseCode));
+  };
+
+  const select = (command) => {
+    const operator = command[1];
+    if (operator === RACP_OPERATOR.ALL_RECORDS) {
+      return stored;
+    }
+    if (operator === RACP_OPERATOR.GREATER_THAN_OR_EQUAL && command.length >= 5) {
+      const since = command[3] | (command[4] << 8);
+      return stored.filter((record) => record.sequence >= since);
+    }
+    return null;
+  };
+
+  const racp = createCharacteristic(RECORD_ACCESS_CONTROL_POINT, (command) => {
+    later(() => {
+      const opcode = command[0];
+      const selected = select(command);
+
+      if (opcode === RACP_OPCODE.REPORT_NUMBER_OF_RECORDS) {
+        const count = selected ? selected.length : 0;
+        racp.notify(Uint8Array.of(RACP_OPCODE.NUMBER_OF_RECORDS_RESPONSE, RACP_OPERATOR.NULL, count & 0xFF, count >> 8));
+      } else if (opcode !== RACP_OPCODE.REPORT_STORED_RECORDS) {
+        respond(opcode, RACP_RESPONSE.OP_CODE_NOT_SUPPORTED);
+      } else if (selected === null) {
+        respond(opcode, RACP_RESPONSE.OPERATOR_NOT_SUPPORTED);
+      } else if (selected.length === 0) {
+        respond(opcode, RACP_RESPONSE.NO_RECORDS_FOUND);
+      } else {
+        selected.forEach((record) => {
+          const withContext = measurementContext !== null && record.meal !== undefined;
+          measurement.notify(encodeMeasurement(record, withContext));
+          if (withContext) {
+            measurementContext.notify(encodeContext(record));
+          }
+        });
+        respond(opcode, RACP_RESPONSE.SUCCESS);
+      }
+    });
+  });
+
+  const characteristics = new Map([
+    [GLUCOSE_MEASUREMENT, measurement],
+    [RECORD_ACCESS_CONTROL_POINT, racp],
+  ]);
+  if (measurementContext) {
+    characteristics.set(GLUCOSE_MEASUREMENT_CONTEXT, measurementContext);
+  }
+
+  const service = {
+    uuid: GLUCOSE_SERVICE,
+    async getCharacteristic(uuid) {
+      const characteristic = characteristics.get(uuid);
+      if (!characteristic) {
+        throw new Error(`Característica 0x${uuid.toString(16)} no encontrada`);
+      }
+      return characteristic;
+    },
+  };
+
+  const disconnectListeners = new Set();
+  const gatt = {
+    connected: false,
+    async connect() {
+      gatt.connected = true;
+      return gatt;
+    },
+    disconnect() {
+      if (!gatt.connected) return;
+      gatt.connected = false;
+      characteristics.forEach((characteristic) => characteristic.stopNotifications());
+      disconnectListeners.forEach((listener) => listener({ target: device }));
+    },
+    async getPrimaryService(uuid) {
+      if (!gatt.connected) {
+        throw new Error('GATT Server is disconnected');
+      }
+      if (uuid !== GLUCOSE_SERVICE) {
+        throw new Error(`Servicio 0x${uuid.toString(16)} no encontrado`);
+      }
+      return service;
+    },
+  };
+
+  const device = {
+    id: 'simulated-glucose-meter',
+    name,
+    gatt,
+    addEventListener(type, listener) {
+      if (type === 'gattserverdisconnected') disconnectListeners.add(listener);
+    },
+    removeEventListener(type, listener) {
+      disconnectListeners.delete(listener);
+    },
+  };
+  return device;
+}
@@ -0,0 +1,37 @@
+import { createMockUsbModule } from 'expo-usb-conected';
+
+import { runThroughputBenchmark } from '../benchmark';
+
+describe('runThroughputBenchmark', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('round-trips each representation through the module loopback', async () => {
+    const mock = createMockUsbModule();
+    const loopback = jest.spyOn(mock, 'loopback');
+    const loopbackNumbers = jest.spyOn(mock, 'loopbackNumbers');
+
+    const result = await runThroughputBenchmark(mock, { frames: 10, frameSize: 64 });
+
+    expect(loopbackNumbers).toHaveBeenCalledTimes(10);
+    expect(Array.isArray(loopbackNumbers.mock.calls[0][0])).toBe(true);
+    expect(loopback).toHaveBeenCalledTimes(10);
+    expect(loopback.mock.calls[0][0]).toBeInstanceOf(Uint8Array);
+    // Ida y vuelta: cada frame cuenta dos veces
+    expect(result.numberArray).toMatchObject({ frames: 10, bytes: 1280 });
+    expect(result.uint8Array).toMatchObject({ frames: 10, bytes: 1280 });
+    expect(result.speedup).toBeGreaterThan(0);
+  });
+
+  it('fails when the loopback does not return the frame', async () => {
+    const mock = createMockUsbModule();
+    jest.spyOn(mock, 'loopbackNumbers').mockResolvedValue([]);
+
+    await expect(runThroughputBenchmark(mock, { frames: 1 })).rejects.toThrow('El loopback devolvió 0 bytes');
+  });
+});
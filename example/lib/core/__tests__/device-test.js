@@ -0,0 +1,92 @@
+import { createMockUsbModule, createUsbApi } from 'expo-usb-conected';
+
+import { detectDevices } from '../device';
+import { getDriverManifest } from '../driverManifests';
+import { registerDriver } from '../driverRegistry';
+import { probeAccuChekDevice } from '../../drivers/roche/accuChekProbe';
+
+const DRIVER_ID = 'RocheAccuChekUSB';
+const DEVICE_NAME = '/dev/bus/usb/001/004';
+const METER_SERIAL = '00A0B1C2D3E4F506';
+
+// Un Accu-Chek con un productId que no está en el manifest y sin número de serie USB:
+// sólo coincide por la interfaz PHDC, así que es ambiguo y necesita el probe
+const PHDC_CONFIGURATIONS = [{
+  configurationValue: 1,
+  maxPower: 100,
+  selfPowered: false,
+  remoteWakeup: false,
+  interfaces: [{
+    interfaceNumber: 0,
+    alternates: [{
+      alternateSetting: 0,
+      interfaceClass: 0x0f,
+      interfaceSubclass: 0,
+      interfaceProtocol: 0,
+      endpoints: [
+        { address: 0x81, endpointNumber: 1, direction: 'in', type: 'bulk', maxPacketSize: 64, interval: 0 },
+        { address: 0x02, endpointNumber: 2, direction: 'out', type: 'bulk', maxPacketSize: 64, interval: 0 },
+      ],
+    }],
+  }],
+}];
+
+// La caché de probes es del módulo: cada test usa su productId
+const setup = (productId) => {
+  const mock = createMockUsbModule({
+    devices: [{ deviceName: DEVICE_NAME, vendorId: 0x173a, productId, configurations: PHDC_CONFIGURATIONS }],
+  });
+  const usb = createUsbApi(mock);
+  const detect = () => detectDevices(usb.scanDevices, {
+    getDeviceDescriptor: usb.getDeviceDescriptor,
+    usbModule: usb,
+  });
+  return { mock, usb, detect };
+};
+
+describe('detectDevices', () => {
+  let probe;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // El probe identifica al medidor por el system-id de la AARQ
+    probe = jest.fn(async (deviceInfo, config) => {
+      const connection = await config.usbModule.openDevice(deviceInfo.deviceName);
+      await connection.close();
+      return { confidence: 1, serialNumber: METER_SERIAL, model: DRIVER_ID };
+    });
+    registerDriver(getDriverManifest(DRIVER_ID), null, { probe });
+  });
+
+  afterEach(() => {
+    registerDriver(getDriverManifest(DRIVER_ID), null, { probe: probeAccuChekDevice });
+    jest.restoreAllMocks();
+  });
+
+  it('identifies an ambiguous device with its probe once, by the meter serial', async () => {
+    const { detect } = setup(0x1904);
+
+    const [first] = await detect();
+    const [second] = await detect();
+
+    expect(probe).toHaveBeenCalledTimes(1);
+    expect(first).toMatchObject({ driverId: DRIVER_ID, matchedBy: 'probe', serialNumber: METER_SERIAL });
+    expect(second).toMatchObject({ driverId: DRIVER_ID, matchedBy: 'probe', serialNumber: METER_SERIAL });
+  });
+
+  it('waits for the device queue before probing', async () => {
+    const { usb, detect } = setup(0x1905);
+    let release;
+    const upload = usb.runExclusive(DEVICE_NAME, () => new Promise((resolve) => { release = resolve; }));
+
+    const detecting = detect();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(probe).not.toHaveBeenCalled();
+
+    release();
+    await upload;
+    await expect(detecting).resolves.toHaveLength(1);
+    expect(probe).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,59 @@
+import { createMockUsbModule, createRecordingUsbModule, createUsbApi } from 'expo-usb-conected';
+
+import { compressUsbTrace, createReplayUsbApi, decompressUsbTrace } from '../usbTrace';
+import { createAbbottDriver } from '../../drivers/abbott/abbottFreeStyleNeoMobile';
+import FreeStyleProtocolMobile from '../../drivers/abbott/freeStyleLibreProtocolMobile';
+import { NEO_DEVICE_NAME, createNeoDevice } from '../../drivers/abbott/__fixtures__/neoMockDevice';
+
+const config = { driverId: 'AbbottFreeStyleOptiumNeo' };
+
+// Subida completa del driver de Abbott sobre `usb`
+const upload = async (usb) => {
+  const driver = createAbbottDriver(config, usb);
+  try {
+    await driver.connect({ deviceName: NEO_DEVICE_NAME });
+    const { serialNumber } = await driver.getDeviceInfo();
+    const { rawRecords } = await driver.fetchData();
+    return { serialNumber, rawRecords };
+  } finally {
+    await driver.protocol.stopCommunication();
+    await driver.disconnect();
+  }
+};
+
+describe('usbTrace', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(FreeStyleProtocolMobile.prototype, 'delay').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('compresses traces with gzip and reads them back', async () => {
+    const recorder = createRecordingUsbModule(createMockUsbModule({ devices: [createNeoDevice()] }), config);
+    await createUsbApi(recorder).scanDevices();
+    const trace = recorder.getTrace();
+
+    const compressed = compressUsbTrace(trace);
+
+    expect(Array.from(compressed.subarray(0, 2))).toEqual([0x1f, 0x8b]);
+    expect(decompressUsbTrace(compressed)).toEqual(trace);
+    // También acepta la traza sin comprimir
+    expect(decompressUsbTrace(JSON.stringify(trace))).toEqual(trace);
+  });
+
+  it('replays a recorded Abbott upload without the meter', async () => {
+    const recorder = createRecordingUsbModule(createMockUsbModule({ devices: [createNeoDevice()] }), config);
+    const recorded = await upload(createUsbApi(recorder));
+    recorder.stopRecording();
+
+    const replayed = await upload(createReplayUsbApi(compressUsbTrace(recorder.getTrace())));
+
+    expect(replayed).toEqual(recorded);
+    expect(replayed.rawRecords).toHaveLength(4);
+  });
+});
@@ -0,0 +1,65 @@
+/*
+ * Benchmark de rendimiento del puente USB
+ * Compara el coste de cruzar el puente con frames HID de 64 bytes como number[]
+ * (formato antiguo) frente a Uint8Array (formato nativo del módulo), en los dos
+ * sentidos: cada frame va y vuelve por loopback/loopbackNumbers, que devuelven los
+ * datos sin tocar USB. No hace falta ningún dispositivo conectado ni se envía nada
+ * a un glucómetro
+ */
+
+const DEFAULT_OPTIONS = {
+  frames: 200,
+  frameSize: 64,
+};
+
+// Frame con contenido variable, para comprobar que vuelve intacto
+const createFrame = (frameSize) => Array.from({ length: frameSize }, (_, i) => i & 0xFF);
+
+// Ejecuta `frames` idas y vueltas del frame con `echo` y mide el tiempo total.
+// `bytes` cuenta ambos sentidos
+const measureRoundTrips = async (echo, frame, frames) => {
+  let bytes = 0;
+  const start = Date.now();
+
+  for (let i = 0; i < frames; i++) {
+    const echoed = await echo(frame);
+    if (echoed.length !== frame.length || echoed[frame.length - 1] !== frame[frame.length - 1]) {
+      throw new Error(`El loopback devolvió ${echoed.length} bytes distintos de los ${frame.length} enviados`);
+    }
+    bytes += frame.length + echoed.length;
+  }
+
+  const elapsedMs = Math.max(Date.now() - start, 1);
+  return {
+    frames,
+    bytes,
+    elapsedMs,
+    bytesPerSecond: Math.round((bytes * 1000) / elapsedMs),
+    msPerFrame: elapsedMs / frames,
+  };
+};
+
+// Compara ambas representaciones sobre el módulo sin envolver (ExpoUsbConectedModule
+// o createMockUsbModule): usbApi convertiría el number[] a Uint8Array antes del puente
+export const runThroughputBenchmark = async (usbModule, options = {}) => {
+  const { frames, frameSize } = { ...DEFAULT_OPTIONS, ...options };
+  const frame = createFrame(frameSize);
+
+  console.log(`⏱️ Benchmark del puente USB: ${frames} frames de ${frameSize} bytes (ida y vuelta)`);
+
+  const arrayResult = await measureRoundTrips((data) => usbModule.loopbackNumbers(data), frame, frames);
+  console.log(`📊 number[]: ${arrayResult.bytesPerSecond} B/s (${arrayResult.msPerFrame.toFixed(2)} ms/frame)`);
+
+  const typedResult = await measureRoundTrips((data) => usbModule.loopback(data), Uint8Array.from(frame), frames);
+  console.log(`📊 Uint8Array: ${typedResult.bytesPerSecond} B/s (${typedResult.msPerFrame.toFixed(2)} ms/frame)`);
+
+  return {
+    numberArray: arrayResult,
+    uint8Array: typedResult,
+    speedup: arrayResult.elapsedMs / typedResult.elapsedMs,
+  };
+};
+
+export default {
+  runThroughputBenchmark,
+};
@@ -0,0 +1,90 @@
+/*
+ * Capacidades de los drivers
+ *
+ * Cada manifest declara en `capabilities` qué sabe hacer su driver, además de las
+ * formas de conexión (usb, bluetooth, photo). La subida y la UI preguntan aquí en vez
+ * de suponerlo, y pedir algo que el driver no admite falla antes de abrir el
+ * dispositivo con UnsupportedCapabilityError (un UsbError con código E_NOT_SUPPORTED):
+ *
+ *   requireCapabilities(manifest, [CAPABILITY.SET_TIME], { model: deviceInfo.model });
+ *   if (hasCapability(manifest, CAPABILITY.READ_KETONE)) { ... }
+ */
+
+import { UsbError, UsbErrorCode } from 'expo-usb-conected';
+
+export const CAPABILITY = {
+  READ_SMBG: 'readSmbg', // glucosa capilar
+  READ_KETONE: 'readKetone',
+  READ_INSULIN: 'readInsulin',
+  SET_TIME: 'setTime', // ajustar el reloj del medidor
+  READ_SETTINGS: 'readSettings',
+  INCREMENTAL_SYNC: 'incrementalSync', // pedir sólo los registros nuevos
+  ERASE_MEMORY: 'eraseMemory',
+};
+
+// Tipo de registro procesado que aporta cada capacidad de lectura
+export const RECORD_TYPE_CAPABILITY = {
+  glucose: CAPABILITY.READ_SMBG,
+  ketone: CAPABILITY.READ_KETONE,
+  insulin: CAPABILITY.READ_INSULIN,
+};
+
+// Textos para la UI
+export const CAPABILITY_LABELS = {
+  [CAPABILITY.READ_SMBG]: 'Glucosa',
+  [CAPABILITY.READ_KETONE]: 'Cetonas',
+  [CAPABILITY.READ_INSULIN]: 'Insulina',
+  [CAPABILITY.SET_TIME]: 'Ajuste de hora',
+  [CAPABILITY.READ_SETTINGS]: 'Configuración',
+  [CAPABILITY.INCREMENTAL_SYNC]: 'Sincronización incremental',
+  [CAPABILITY.ERASE_MEMORY]: 'Borrar memoria',
+};
+
+export class UnsupportedCapabilityError extends UsbError {
+  constructor(driverId, capability, { model = null, deviceName } = {}) {
+    const target = model ? `${driverId} (modelo ${model})` : driverId;
+    super(UsbErrorCode.NOT_SUPPORTED, `${target} no admite ${CAPABILITY_LABELS[capability] || capability}`, { deviceName });
+    this.name = 'UnsupportedCapabilityError';
+    this.driverId = driverId;
+    this.capability = capability;
+    this.model = model;
+  }
+}
+
+// Capacidades efectivas: las del manifest más las de `modelCapabilities[model]`, para
+// drivers cuyos modelos difieren (el número de modelo que informa el medidor)
+export const getCapabilities = (manifest, { model = null } = {}) => {
+  const overrides = (model != null && manifest.modelCapabilities?.[model]) || {};
+  return { ...manifest.capabilities, ...overrides };
+};
+
+// Lo que no se declara no se admite
+export const hasCapability = (manifest, capability, options = {}) => {
+  return getCapabilities(manifest, options)[capability] === true;
+};
+
+// Lanza UnsupportedCapabilityError con la primera capacidad pedida que falte
+export const requireCapabilities = (manifest, capabilities, options = {}) => {
+  const available = getCapabilities(manifest, options);
+  const missing = capabilities.find((capability) => available[capability] !== true);
+  if (missing) {
+    throw new UnsupportedCapabilityError(manifest.driverId, missing, options);
+  }
+};
+
+// Tipos de registro que el driver sabe leer (para filtrar lo que se sube)
+export const getReadableRecordTypes = (manifest, options = {}) => {
+  const available = getCapabilities(manifest, options);
+  return Object.keys(RECORD_TYPE_CAPABILITY).filter((type) => available[RECORD_TYPE_CAPABILITY[type]] === true);
+};
+
+export default {
+  CAPABILITY,
+  CAPABILITY_LABELS,
+  RECORD_TYPE_CAPABILITY,
+  UnsupportedCapabilityError,
+  getCapabilities,
+  hasCapability,
+  requireCapabilities,
+  getReadableRecordTypes,
+};
@@ -1,8 +1,14 @@
-import { findDriverByUsbIds, isDeviceCompatible } from './driverManifests.js';
+import { getInterfaceClasses } from './driverManifests.js';
+import { matchDrivers, probeDriver } from './driverRegistry.js';
+
+// Confianza mínima para que un probe decida el driver
+const MIN_PROBE_CONFIDENCE = 0.5;
 
 class DeviceCache {
   constructor() {
     this.devices = new Map();
+    this.probes = new Map(); // número de serie → resultado del probe
+    this.meterSerials = new Map(); // VID:PID → número de serie del medidor (sin serie USB)
     this.lastScanTime = null;
   }
 
@@ -11,6 +17,13 @@ class DeviceCache {
     this.devices.set(key, deviceInfo);
   }
 
+  removeDevice(vendorId, productId) {
+    const key = `${vendorId}:${productId}`;
+    // Sin serie USB no se sabe si el siguiente con el mismo VID:PID es el mismo medidor
+    this.meterSerials.delete(key);
+    return this.devices.delete(key);
+  }
+
   getDevice(vendorId, productId) {
     const key = `${vendorId}:${productId}`;
     return this.devices.get(key);
@@ -19,36 +32,195 @@ class DeviceCache {
   getAllDevices() {
     return Array.from(this.devices.values());
   }
+
+  // El driver de un número de serie no cambia: se identifica una vez por medidor.
+  // Se guarda por el serie USB o, si el dispositivo no lo tiene, por el que devolvió
+  // el probe, recordando a qué VID:PID corresponde para encontrarlo en el siguiente escaneo
+  setProbeResult(deviceInfo, result) {
+    const serialNumber = deviceInfo.serialNumber || result.serialNumber;
+    if (!serialNumber) {
+      return;
+    }
+    if (!deviceInfo.serialNumber) {
+      this.meterSerials.set(`${deviceInfo.vendorId}:${deviceInfo.productId}`, serialNumber);
+    }
+    this.probes.set(serialNumber, result);
+  }
+
+  getProbeResult(deviceInfo) {
+    const serialNumber = deviceInfo.serialNumber
+      || this.meterSerials.get(`${deviceInfo.vendorId}:${deviceInfo.productId}`);
+    return serialNumber ? this.probes.get(serialNumber) : undefined;
+  }
 }
 
 const deviceCache = new DeviceCache();
 
-export const detectDevices = async (scanDevices) => {
+// Enriquecer un dispositivo USB con la información de su driver (null si no es compatible).
+// `interfaceClasses` permite reconocer por clase de interfaz los modelos sin productId conocido
+const toCompatibleDevice = (usbDevice, interfaceClasses = []) => {
+  const candidates = matchDrivers(usbDevice.vendorId, usbDevice.productId, { interfaceClasses });
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const [match] = candidates;
+  return {
+    ...usbDevice,
+    driverId: match.driverId,
+    manifest: match.manifest,
+    matchedBy: match.matchedBy,
+    candidates
+  };
+};
+
+// Varios drivers posibles (mismo chip puente USB) o sólo coincide la clase de interfaz
+const isAmbiguous = (deviceInfo) => {
+  return deviceInfo.candidates.length > 1 || deviceInfo.matchedBy === 'interface-class';
+};
+
+// Probe de cada candidato del dispositivo, con el turno de la cola ya tomado
+const probeCandidates = async (deviceInfo, usbModule) => {
+  let best = null;
+  for (const candidate of deviceInfo.candidates) {
+    let result = null;
+    try {
+      result = await probeDriver(candidate.driverId, deviceInfo, { usbModule });
+    } catch (error) {
+      console.warn(`⚠️ Probe de ${candidate.driverId} falló en ${deviceInfo.deviceName}:`, error);
+    }
+    if (!result) {
+      continue;
+    }
+
+    console.log(`🔍 ${deviceInfo.deviceName}: ${candidate.driverId} confianza ${result.confidence}`);
+    if (!best || result.confidence > best.confidence) {
+      best = { ...result, driverId: candidate.driverId };
+    }
+    if (result.confidence >= 1) {
+      break;
+    }
+  }
+  return best;
+};
+
+// Fase de probe: cada candidato ejecuta su comando de identificación y gana el de más
+// confianza (si llega a MIN_PROBE_CONFIDENCE). El resultado se guarda por número de
+// serie, así el mismo medidor no se vuelve a abrir en los siguientes escaneos. Los
+// probes abren el dispositivo dentro de runExclusive, para no intercalarse con una
+// subida que ya lo esté usando
+const probeDevice = async (deviceInfo, usbModule) => {
+  const cached = deviceCache.getProbeResult(deviceInfo);
+  if (cached && deviceInfo.candidates.some(({ driverId }) => driverId === cached.driverId)) {
+    console.log(`🔍 ${deviceInfo.deviceName}: ${cached.driverId} (probe en caché)`);
+    return cached;
+  }
+
+  const best = await usbModule.runExclusive(deviceInfo.deviceName, () => probeCandidates(deviceInfo, usbModule));
+  if (!best || best.confidence < MIN_PROBE_CONFIDENCE) {
+    return null;
+  }
+
+  deviceCache.setProbeResult(deviceInfo, best);
+  return best;
+};
+
+// Aplicar el resultado del probe: si no hay (sin permiso, sin probes o sin confianza
+// suficiente) se queda el candidato preferido del registro
+const resolveAmbiguousDevice = async (deviceInfo, usbModule) => {
+  if (!usbModule || !deviceInfo.hasPermission || !isAmbiguous(deviceInfo)) {
+    return deviceInfo;
+  }
+
+  const probe = await probeDevice(deviceInfo, usbModule);
+  if (!probe) {
+    return deviceInfo;
+  }
+
+  const match = deviceInfo.candidates.find(({ driverId }) => driverId === probe.driverId);
+  return {
+    ...deviceInfo,
+    driverId: match.driverId,
+    manifest: match.manifest,
+    matchedBy: 'probe',
+    confidence: probe.confidence,
+    serialNumber: deviceInfo.serialNumber || probe.serialNumber
+  };
+};
+
+// Clases de interfaz de un dispositivo con permiso (sin permiso no se pueden leer los descriptores)
+const readInterfaceClasses = async (usbDevice, getDeviceDescriptor) => {
+  if (!getDeviceDescriptor || !usbDevice.hasPermission) {
+    return [];
+  }
+
+  try {
+    return getInterfaceClasses(await getDeviceDescriptor(usbDevice.deviceName));
+  } catch (error) {
+    console.warn(`⚠️ No se pudieron leer los descriptores de ${usbDevice.deviceName}:`, error);
+    return [];
+  }
+};
+
+// Con `getDeviceDescriptor` (de la API USB) también se detectan por clase de interfaz
+// los dispositivos que no coinciden por vendorId/productId. Con `usbModule` (openDevice,
+// readData, writeData y runExclusive) se identifican con un probe los ambiguos
+export const detectDevices = async (scanDevices, { getDeviceDescriptor, usbModule } = {}) => {
   console.log('🔍 Detectando dispositivos...');
   
   const usbDevices = await scanDevices();
   const compatibleDevices = [];
   
   for (const usbDevice of usbDevices) {
-    if (isDeviceCompatible(usbDevice.vendorId, usbDevice.productId)) {
-      const driverInfo = findDriverByUsbIds(usbDevice.vendorId, usbDevice.productId);
-      
-      if (driverInfo) {
-        const deviceInfo = {
-          ...usbDevice,
-          driverId: driverInfo.driverId,
-          manifest: driverInfo.manifest
-        };
-        
-        deviceCache.addDevice(deviceInfo);
-        compatibleDevices.push(deviceInfo);
-      }
+    let deviceInfo = toCompatibleDevice(usbDevice);
+    if (!deviceInfo) {
+      const interfaceClasses = await readInterfaceClasses(usbDevice, getDeviceDescriptor);
+      deviceInfo = toCompatibleDevice(usbDevice, interfaceClasses);
+    }
+    if (deviceInfo) {
+      deviceInfo = await resolveAmbiguousDevice(deviceInfo, usbModule);
+    }
+    
+    if (deviceInfo) {
+      deviceCache.addDevice(deviceInfo);
+      compatibleDevices.push(deviceInfo);
     }
   }
   
   return compatibleDevices;
 };
 
+// Mantener la caché sincronizada con los eventos del módulo nativo en lugar de re-escanear.
+// `usbEvents` expone addDeviceAttachedListener/addDeviceDetachedListener/addPermissionChangedListener.
+export const watchDevices = (usbEvents, onChange) => {
+  const notify = (type, deviceInfo) => {
+    if (onChange) {
+      onChange({ type, device: deviceInfo, devices: deviceCache.getAllDevices() });
+    }
+  };
+
+  const handleAttached = (type) => (usbDevice) => {
+    const deviceInfo = toCompatibleDevice(usbDevice);
+    if (deviceInfo) {
+      deviceCache.addDevice(deviceInfo);
+      notify(type, deviceInfo);
+    }
+  };
+
+  const subscriptions = [
+    usbEvents.addDeviceAttachedListener(handleAttached('attached')),
+    usbEvents.addPermissionChangedListener(handleAttached('permission')),
+    usbEvents.addDeviceDetachedListener((usbDevice) => {
+      const deviceInfo = deviceCache.getDevice(usbDevice.vendorId, usbDevice.productId);
+      if (deviceCache.removeDevice(usbDevice.vendorId, usbDevice.productId)) {
+        notify('detached', deviceInfo);
+      }
+    }),
+  ];
+
+  return () => subscriptions.forEach((subscription) => subscription.remove());
+};
+
 export const getCachedDevices = () => deviceCache.getAllDevices();
 
-export default { detectDevices, getCachedDevices };
\ No newline at end of file
+export default { detectDevices, watchDevices, getCachedDevices };
\ No newline at end of file
@@ -1,8 +1,18 @@
 /*
  * Driver Manifests - Configuración de dispositivos compatibles
  * Basado en el flujo de Tidepool Uploader adaptado para móvil
+ *
+ * Cada manifest describe un driver: ids USB, transporte, clase de interfaz,
+ * capacidades (ver capabilities.js) y textos de UI. driverRegistry.js los combina con la factory de
+ * cada driver, y la lista de dispositivos de la app se construye con getRegisteredDrivers()
  */
 
+// Clases de interfaz USB usadas para resolver interfaces y para los comodines
+export const USB_CLASS = {
+  HID: 0x03,
+  PERSONAL_HEALTHCARE: 0x0F, // PHDC (IEEE 11073)
+};
+
 // Configuración del dispositivo Abbott FreeStyle Optium Neo
 const ABBOTT_FREESTYLE_OPTIUM_NEO = {
   name: 'Abbott FreeStyle Optium Neo',
@@ -10,13 +20,16 @@ const ABBOTT_FREESTYLE_OPTIUM_NEO = {
   model: 'FreeStyle Optium Neo',
   driverId: 'AbbottFreeStyleOptiumNeo',
   
-  // Identificación USB
-  vendorId: 6753, // 0x1A61
-  productId: 14416, // 0x3850
+  // Identificación USB: el vendorId y todos los productId que atiende el driver
+  usb: {
+    vendorId: 6753, // 0x1A61
+    productIds: [14416], // 0x3850
+  },
   
   // Protocolo de comunicación
   protocol: 'HID',
   connectionType: 'USB',
+  transport: 'usb-hid',
   
   // Configuración del protocolo HID
   hidConfig: {
@@ -30,12 +43,12 @@ const ABBOTT_FREESTYLE_OPTIUM_NEO = {
     }
   },
   
-  // Configuración de endpoints USB
+  // Configuración de endpoints USB (se resuelven contra los descriptores del dispositivo)
   usbConfig: {
-    interfaceClass: 3, // USB_CLASS_HID
+    interfaceClass: USB_CLASS.HID,
     endpoints: {
-      in: 0x81,
-      out: 0x01
+      in: { direction: 'in', type: 'interrupt' },
+      out: { direction: 'out', type: 'interrupt' }
     }
   },
   
@@ -54,10 +67,27 @@ const ABBOTT_FREESTYLE_OPTIUM_NEO = {
     }
   },
   
+  // Formas de leer el dispositivo que ofrece la app y lo que sabe hacer el driver
+  capabilities: {
+    usb: true,
+    bluetooth: false,
+    photo: true,
+    readSmbg: true,
+    readKetone: true,
+    // El medidor guarda registros de insulina (tipo 10) pero el driver aún no los procesa
+    readInsulin: false,
+    setTime: false,
+    readSettings: false,
+    // $result? siempre devuelve toda la memoria
+    incrementalSync: false,
+    eraseMemory: false
+  },
+  
   // Configuración de UI
   uiConfig: {
     icon: '🩸',
     color: '#E30613',
+    displayName: 'Abbott FreeStyle Precision/Optium Neo',
     description: 'Conecta el glucómetro con cable micro-USB',
     instructions: [
       '1. Conecta el cable micro-USB al glucómetro',
@@ -68,9 +98,109 @@ const ABBOTT_FREESTYLE_OPTIUM_NEO = {
   }
 };
 
-// Registro de todos los drivers disponibles
-const DRIVER_MANIFESTS = {
-  'AbbottFreeStyleOptiumNeo': ABBOTT_FREESTYLE_OPTIUM_NEO,
+// Configuración de los glucómetros Accu-Chek con USB (protocolo IEEE 11073 sobre PHDC)
+const ROCHE_ACCU_CHEK_USB = {
+  name: 'Roche Accu-Chek USB',
+  manufacturer: 'Roche',
+  model: 'Aviva Connect, Instant, Guide & Guide Me',
+  driverId: 'RocheAccuChekUSB',
+  
+  // Además de los productId conocidos, cualquier dispositivo con interfaz PHDC:
+  // todos los modelos hablan el mismo IEEE 11073 y cada uno trae su productId
+  usb: {
+    vendorId: 5946, // 0x173A
+    productIds: [6403], // 0x1903
+    interfaceClass: USB_CLASS.PERSONAL_HEALTHCARE
+  },
+  
+  protocol: 'PHDC',
+  connectionType: 'USB',
+  transport: 'usb-bulk',
+  
+  usbConfig: {
+    interfaceClass: USB_CLASS.PERSONAL_HEALTHCARE,
+    endpoints: {
+      in: { direction: 'in', type: 'bulk' },
+      out: { direction: 'out', type: 'bulk' }
+    }
+  },
+  
+  // Si algún modelo difiere, `modelCapabilities: { [número de modelo]: {...} }`
+  // (el número que informa el medidor, el de models.js)
+  capabilities: {
+    usb: true,
+    bluetooth: false,
+    photo: true,
+    readSmbg: true,
+    readKetone: false,
+    readInsulin: false,
+    // El driver ajusta el reloj si no coincide con la hora del servidor
+    setTime: true,
+    readSettings: false,
+    incrementalSync: false,
+    eraseMemory: false
+  },
+  
+  uiConfig: {
+    icon: '💉',
+    color: '#0066CC',
+    displayName: 'Accu-Chek Aviva Connect, Instant, Guide & Guide Me',
+    description: 'Conecta el glucómetro con cable micro-USB',
+    instructions: [
+      '1. Conecta el cable micro-USB al glucómetro',
+      '2. Conecta el otro extremo al dispositivo móvil',
+      '3. Espera a que el glucómetro muestre el símbolo de transferencia'
+    ]
+  }
+};
+
+// Cualquier glucómetro que implemente el Glucose Profile de Bluetooth SIG
+const BLUETOOTH_GLUCOSE_PROFILE = {
+  name: 'Bluetooth Glucose Meter (Glucose Profile)',
+  manufacturer: 'Bluetooth SIG',
+  model: 'Glucose Profile',
+  driverId: 'BluetoothLE',
+  
+  protocol: 'GLP',
+  connectionType: 'BLE',
+  transport: 'ble',
+  
+  bleConfig: {
+    service: 0x1808 // GLUCOSE_SERVICE
+  },
+  
+  capabilities: {
+    usb: false,
+    bluetooth: true,
+    photo: true,
+    readSmbg: true,
+    readKetone: false,
+    readInsulin: false,
+    setTime: false,
+    readSettings: false,
+    // RACP "greater than or equal" por número de secuencia
+    incrementalSync: true,
+    eraseMemory: false
+  },
+  
+  uiConfig: {
+    icon: '📡',
+    color: '#0082FC',
+    displayName: 'Bluetooth Glucose Meter (Glucose Profile)',
+    description: 'Enciende el glucómetro y activa el Bluetooth',
+    instructions: [
+      '1. Enciende el glucómetro',
+      '2. Activa el Bluetooth del dispositivo móvil',
+      '3. Selecciona el glucómetro en la lista'
+    ]
+  }
+};
+
+// Todos los manifests, por driverId
+export const DRIVER_MANIFESTS = {
+  [ABBOTT_FREESTYLE_OPTIUM_NEO.driverId]: ABBOTT_FREESTYLE_OPTIUM_NEO,
+  [ROCHE_ACCU_CHEK_USB.driverId]: ROCHE_ACCU_CHEK_USB,
+  [BLUETOOTH_GLUCOSE_PROFILE.driverId]: BLUETOOTH_GLUCOSE_PROFILE,
 };
 
 // Función para obtener configuración de un driver
@@ -78,24 +208,68 @@ export const getDriverManifest = (driverId) => {
   return DRIVER_MANIFESTS[driverId] || null;
 };
 
-// Función para buscar driver por vendorId y productId
-export const findDriverByUsbIds = (vendorId, productId) => {
-  for (const [driverId, manifest] of Object.entries(DRIVER_MANIFESTS)) {
-    if (manifest.vendorId === vendorId && manifest.productId === productId) {
-      return { driverId, manifest };
+// Buscar la primera interfaz (configuración activa = la primera) que cumpla los criterios
+export const findInterface = (descriptor, { interfaceClass, interfaceSubclass, interfaceProtocol } = {}) => {
+  const configuration = descriptor && descriptor.configurations[0];
+  if (!configuration) {
+    return null;
+  }
+
+  for (const usbInterface of configuration.interfaces) {
+    for (const alternate of usbInterface.alternates) {
+      if ((interfaceClass === undefined || alternate.interfaceClass === interfaceClass)
+        && (interfaceSubclass === undefined || alternate.interfaceSubclass === interfaceSubclass)
+        && (interfaceProtocol === undefined || alternate.interfaceProtocol === interfaceProtocol)) {
+        return { interfaceNumber: usbInterface.interfaceNumber, alternate };
+      }
     }
   }
   return null;
 };
 
-// Función para verificar si un dispositivo es compatible
-export const isDeviceCompatible = (vendorId, productId) => {
-  return findDriverByUsbIds(vendorId, productId) !== null;
+// Buscar un endpoint dentro de una interfaz alternativa por dirección y (opcionalmente) tipo
+export const findEndpoint = (alternate, { direction, type } = {}) => {
+  return alternate.endpoints.find((endpoint) =>
+    (direction === undefined || endpoint.direction === direction)
+    && (type === undefined || endpoint.type === type)
+  ) || null;
+};
+
+// Resolver interfaz y endpoints de un manifest a partir de los descriptores reales del dispositivo
+export const resolveUsbConfig = (manifest, descriptor) => {
+  const { usbConfig } = manifest;
+  const match = findInterface(descriptor, { interfaceClass: usbConfig.interfaceClass });
+  if (!match) {
+    return null;
+  }
+
+  const inEndpoint = findEndpoint(match.alternate, usbConfig.endpoints.in);
+  const outEndpoint = findEndpoint(match.alternate, usbConfig.endpoints.out);
+
+  return {
+    interfaceNumber: match.interfaceNumber,
+    inEndpoint,
+    outEndpoint
+  };
+};
+
+// Clases de todas las interfaces del dispositivo (para los comodines por clase)
+export const getInterfaceClasses = (descriptor) => {
+  const configuration = descriptor && descriptor.configurations[0];
+  if (!configuration) {
+    return [];
+  }
+  return configuration.interfaces.flatMap((usbInterface) =>
+    usbInterface.alternates.map((alternate) => alternate.interfaceClass)
+  );
 };
 
 export default {
   DRIVER_MANIFESTS,
+  USB_CLASS,
   getDriverManifest,
-  findDriverByUsbIds,
-  isDeviceCompatible
+  getInterfaceClasses,
+  findInterface,
+  findEndpoint,
+  resolveUsbConfig
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+/*
+ * Driver Registry - Registro único de drivers
+ *
+ * Cada driver se registra con su manifest (driverManifests.js) y una factory que
+ * crea una instancia con el contrato de asyncDriverManager. findDriverByUsbIds
+ * elige el driver de un dispositivo y devuelve la instancia lista para usar:
+ *
+ *   const match = findDriverByUsbIds(device.vendorId, device.productId, {
+ *     config: { usbModule: usbApi },
+ *   });
+ *   let data = await match.driver.setup(device, progress);
+ *   data = await match.driver.connect(progress, data);
+ *
+ * Cada driver puede registrar además un `probe(deviceInfo, config)`: un comando de
+ * identificación barato y sin efectos en el medidor que devuelve
+ * { confidence (0-1), serialNumber, model }. detectDevices lo usa para distinguir
+ * dispositivos ambiguos (varios drivers con el mismo chip puente USB, o una
+ * coincidencia sólo por clase de interfaz).
+ *
+ * Un manifest sin factory (p. ej. Accu-Chek, cuyo driver de Tidepool necesita
+ * lodash, sundial y WebUSB) se sigue detectando y listando, con `driver: null`.
+ * Donde esas dependencias existan se registra con:
+ *
+ *   registerDriver(getDriverManifest('RocheAccuChekUSB'), fromCallbackDriver(accuChekUSB));
+ */
+
+import { DRIVER_MANIFESTS, getDriverManifest } from './driverManifests';
+import { createAbbottAsyncDriver, probeAbbottDevice } from '../drivers/abbott/abbottFreeStyleNeoMobile';
+import { probeAccuChekDevice } from '../drivers/roche/accuChekProbe';
+
+// driverId → { manifest, factory, probe }
+const registry = new Map(
+  Object.values(DRIVER_MANIFESTS).map((manifest) => [manifest.driverId, { manifest, factory: null, probe: null }])
+);
+
+// Registrar (o sustituir) un driver
+export const registerDriver = (manifest, factory = null, { probe = null } = {}) => {
+  registry.set(manifest.driverId, { manifest, factory, probe });
+};
+
+registerDriver(getDriverManifest('AbbottFreeStyleOptiumNeo'), createAbbottAsyncDriver, { probe: probeAbbottDevice });
+// La identificación de Accu-Chek no necesita el driver de Tidepool
+registerDriver(getDriverManifest('RocheAccuChekUSB'), null, { probe: probeAccuChekDevice });
+
+// Manifests registrados, en orden de registro (para listar los dispositivos en la UI)
+export const getRegisteredDrivers = () => {
+  return Array.from(registry.values(), ({ manifest }) => manifest);
+};
+
+// Todos los drivers candidatos para un dispositivo USB, sin instanciarlos: primero los
+// que coinciden por vendorId y productId y después los que coinciden por clase de
+// interfaz (`interfaceClasses` sale de getInterfaceClasses(descriptor), así que hace
+// falta haber leído los descriptores)
+export const matchDrivers = (vendorId, productId, { interfaceClasses = [] } = {}) => {
+  const entries = Array.from(registry.values()).filter(({ manifest }) => manifest.usb);
+  const toMatch = (matchedBy) => ({ manifest }) => ({ driverId: manifest.driverId, manifest, matchedBy });
+
+  const byIds = entries.filter(({ manifest }) =>
+    manifest.usb.vendorId === vendorId
+    && manifest.usb.productIds.includes(productId)
+  );
+  const byClass = entries.filter(({ manifest }) =>
+    !byIds.some((entry) => entry.manifest === manifest)
+    && manifest.usb.interfaceClass !== undefined
+    && interfaceClasses.includes(manifest.usb.interfaceClass)
+  );
+
+  return [...byIds.map(toMatch('usb-ids')), ...byClass.map(toMatch('interface-class'))];
+};
+
+// El candidato preferido (el primero de matchDrivers), o null si no es compatible
+export const matchDriver = (vendorId, productId, options = {}) => {
+  return matchDrivers(vendorId, productId, options)[0] || null;
+};
+
+// Ejecutar el probe del driver sobre un dispositivo ya con permiso. `config` lleva
+// el usbModule con el que abrirlo. null si el driver no registró probe
+export const probeDriver = async (driverId, deviceInfo, config = {}) => {
+  const entry = registry.get(driverId);
+  if (!entry || !entry.probe) {
+    return null;
+  }
+  return await entry.probe(deviceInfo, { ...config, driverId });
+};
+
+// Igual que matchDriver, y además crea la instancia del driver con `config`
+// (se le añade el driverId). `driver` es null si el driver no tiene factory registrada.
+// Con `driverId` (el que eligió el probe de detectDevices) se usa ese candidato
+export const findDriverByUsbIds = (vendorId, productId, options = {}) => {
+  const { interfaceClasses = [], driverId = null, config = {} } = options;
+  const match = matchDrivers(vendorId, productId, { interfaceClasses })
+    .find((candidate) => !driverId || candidate.driverId === driverId);
+  if (!match) {
+    return null;
+  }
+
+  const { factory } = registry.get(match.driverId);
+  return {
+    ...match,
+    driver: factory ? factory({ ...config, driverId: match.driverId }) : null
+  };
+};
+
+// Función para verificar si un dispositivo es compatible
+export const isDeviceCompatible = (vendorId, productId, options = {}) => {
+  return matchDriver(vendorId, productId, options) !== null;
+};
+
+export default {
+  registerDriver,
+  getRegisteredDrivers,
+  matchDrivers,
+  matchDriver,
+  probeDriver,
+  findDriverByUsbIds,
+  isDeviceCompatible
+};
@@ -0,0 +1,11 @@
+/*
+ * promisify para las funciones de callback (err, result) de los dispositivos estilo
+ * Tidepool (hidDevice, serialDevice...). Sustituye al de `util`, que es de Node y no
+ * existe en React Native
+ */
+
+export function promisify(fn) {
+  return (...args) => new Promise((resolve, reject) => {
+    fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
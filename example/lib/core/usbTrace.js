@@ -0,0 +1,34 @@
+/*
+ * Trazas de sesiones USB comprimidas con gzip
+ * Es el mismo formato que `-f/--file` de cli/fslibre.js (JSON + gzip), pero con
+ * la sesión USB completa: sirve para reproducir cualquier driver con
+ * createReplayUsbModule en lugar de sólo los aapPackets de la Libre. En App.tsx,
+ * "Share trace" comparte la última sesión así y "Replay" la repite con su driver
+ */
+
+import pako from 'pako';
+import {
+  createUsbApi,
+  createReplayUsbModule,
+  parseUsbTrace,
+  serializeUsbTrace,
+} from 'expo-usb-conected';
+
+// Traza -> bytes gzip listos para guardar o compartir
+export const compressUsbTrace = (trace) => pako.gzip(serializeUsbTrace(trace));
+
+// Bytes gzip (o JSON sin comprimir) -> traza validada
+export const decompressUsbTrace = (bytes) => {
+  const data = bytes instanceof Uint8Array && bytes[0] === 0x1f && bytes[1] === 0x8b
+    ? pako.ungzip(bytes, { to: 'string' })
+    : typeof bytes === 'string' ? bytes : new TextDecoder().decode(bytes);
+
+  return parseUsbTrace(data);
+};
+
+// API USB que sirve la traza al driver, igual que la que se pasa en App.tsx
+export const createReplayUsbApi = (bytes, options = { strict: true }) => {
+  const trace = decompressUsbTrace(bytes);
+  console.log(`🎞️ Reproduciendo traza: ${trace.entries.length} entradas`, trace.metadata);
+  return createUsbApi(createReplayUsbModule(trace, options));
+};
@@ -0,0 +1,86 @@
+/*
+ * Glucómetro FreeStyle Optium Neo simulado para createMockUsbModule: responde a la
+ * secuencia de inicialización y a los comandos de texto ($serlnum?, $date?, $time?,
+ * $result?) con frames HID de 64 bytes (tipo, longitud, payload)
+ */
+
+import { abbottTextChecksum } from '../../../serialFramers';
+
+export const NEO_DEVICE_NAME = '/dev/bus/usb/001/002';
+export const NEO_SERIAL_NUMBER = 'JGGR123-45678';
+
+const FRAME_SIZE = 64;
+const TEXT_REQUEST = 0x21;
+const TEXT_RESPONSE = 0x60;
+const INIT_COMMANDS = [0x04, 0x05, 0x15, 0x01];
+
+const toBytes = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+// Frame HID: tipo, longitud del payload y payload, rellenado a 64 bytes
+export const hidFrame = (type, payload = []) => {
+  const frame = new Uint8Array(FRAME_SIZE);
+  frame[0] = type;
+  frame[1] = payload.length;
+  frame.set(payload, 2);
+  return frame;
+};
+
+// Petición de texto tal como la escribe el protocolo (el mock la compara como prefijo)
+export const textRequest = (command) => [TEXT_REQUEST, command.length, ...toBytes(command)];
+
+// Respuesta completa: cuerpo, CKSM: y CMD OK / CMD Fail!
+export const textReply = (body, { ok = true } = {}) => {
+  const checksum = abbottTextChecksum(body).toString(16).toUpperCase().padStart(8, '0');
+  return `${body}CKSM:${checksum}\r\nCMD ${ok ? 'OK' : 'Fail!'}\r\n`;
+};
+
+// Una respuesta de texto repartida en frames de 62 bytes de payload
+export const textFrames = (text) => {
+  const bytes = toBytes(text);
+  const frames = [];
+  for (let offset = 0; offset < bytes.length; offset += FRAME_SIZE - 2) {
+    frames.push(hidFrame(TEXT_RESPONSE, bytes.slice(offset, offset + FRAME_SIZE - 2)));
+  }
+  return frames;
+};
+
+export const textExchange = (command, body, options = {}) => ({
+  request: textRequest(command),
+  response: textFrames(textReply(body, options)),
+  ...options.exchange,
+});
+
+// Registros de $result? (tipo, índice, mes, día, año, hora, minuto, segundo, valor...)
+export const NEO_RECORDS = [
+  '7,120,10,18,26,8,15,0,105,0,1', // glucosa
+  '7,121,10,18,26,12,0,0,HI,0,1', // glucosa por encima del rango
+  '7,122,10,18,26,13,0,0,110,0,0', // solución de control
+  '9,45,10,17,26,20,5,0,27,1', // cetonas
+];
+
+export const resultsBody = (records) => records.map((record) => `${record}\r\n`).join('');
+
+export const createNeoDevice = ({
+  serialNumber = NEO_SERIAL_NUMBER,
+  records = NEO_RECORDS,
+  exchanges = [],
+  ...spec
+} = {}) => ({
+  deviceName: NEO_DEVICE_NAME,
+  vendorId: 0x1a61,
+  productId: 0x3850,
+  manufacturerName: 'Abbott',
+  productName: 'FreeStyle Optium Neo',
+  exchanges: [
+    ...exchanges,
+    // Wake-up (frame a cero) y los cuatro comandos de inicialización; el 0x04 que
+    // envía después verifyConnection ya no recibe respuesta
+    { request: [0x00], response: hidFrame(0x00), once: true },
+    ...INIT_COMMANDS.map((command) => ({ request: [command], response: hidFrame(command | 0x30), once: true })),
+    textExchange('$serlnum?', `${serialNumber}\r\n`),
+    textExchange('$date?', '10,19,26\r\n'),
+    textExchange('$time?', '14,30\r\n'),
+    textExchange('$result?', resultsBody(records)),
+  ],
+  ...spec,
+});
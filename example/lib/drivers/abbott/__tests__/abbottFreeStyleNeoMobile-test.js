@@ -0,0 +1,180 @@
+import { UsbError, UsbErrorCode, createMockUsbModule, createUsbApi } from 'expo-usb-conected';
+
+import { createAbbottDriver, probeAbbottDevice } from '../abbottFreeStyleNeoMobile';
+import FreeStyleProtocolMobile from '../freeStyleLibreProtocolMobile';
+import {
+  NEO_DEVICE_NAME,
+  NEO_SERIAL_NUMBER,
+  createNeoDevice,
+  hidFrame,
+  textExchange,
+} from '../__fixtures__/neoMockDevice';
+
+const DRIVER_ID = 'AbbottFreeStyleOptiumNeo';
+
+const createDriver = (spec) => {
+  const mock = createMockUsbModule({ devices: [createNeoDevice(spec)] });
+  const usb = createUsbApi(mock);
+  return { mock, usb, driver: createAbbottDriver({ driverId: DRIVER_ID }, usb) };
+};
+
+describe('AbbottFreeStyleNeoMobile', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // La secuencia de inicialización espera varios segundos entre comandos
+    jest.spyOn(FreeStyleProtocolMobile.prototype, 'delay').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('upload', () => {
+    let session;
+
+    afterEach(async () => {
+      await session.driver.protocol.stopCommunication();
+      if (session.driver.connection) {
+        await session.driver.disconnect();
+      }
+    });
+
+    it('connects on the HID interface and reads the device info', async () => {
+      session = createDriver();
+      const { driver } = session;
+      const progress = jest.fn();
+
+      await driver.connect({ deviceName: NEO_DEVICE_NAME }, progress);
+      const info = await driver.getDeviceInfo(progress);
+
+      expect(driver.usbConfig.inEndpoint.address).toBe(0x81);
+      expect(info.serialNumber).toBe(NEO_SERIAL_NUMBER);
+      expect(info.deviceId).toBe(`${DRIVER_ID}-${NEO_SERIAL_NUMBER}`);
+      expect(info.deviceDateTime.formatted).toBe('10,19,26 14,30');
+      expect(info.timeSync.deviceTime).toEqual(new Date(2026, 9, 19, 14, 30));
+      expect(progress).toHaveBeenLastCalledWith(expect.objectContaining({
+        phase: 'getConfigInfo',
+        subStep: { index: 3, total: 3 },
+      }));
+    });
+
+    it('fetches and processes glucose and ketone records', async () => {
+      session = createDriver();
+      const { driver } = session;
+      await driver.connect({ deviceName: NEO_DEVICE_NAME });
+      await driver.getDeviceInfo();
+
+      const { rawRecords, processedRecords, recordCount } = await driver.fetchData();
+
+      expect(recordCount).toBe(4);
+      expect(rawRecords[0]).toBe('7,120,10,18,26,8,15,0,105,0,1');
+      // La solución de control no se sube
+      expect(processedRecords).toHaveLength(3);
+
+      const [glucose, high, ketone] = processedRecords;
+      expect(glucose).toMatchObject({ type: 'glucose', index: 120, value: 105, unit: 'mg/dL' });
+      expect(glucose.jsDate).toEqual(new Date(2026, 9, 18, 8, 15, 0));
+      expect(high).toMatchObject({
+        type: 'glucose',
+        value: 501,
+        annotations: [{ code: 'bg/out-of-range', value: 'high', threshold: 500 }],
+      });
+      expect(ketone).toMatchObject({ type: 'ketone', index: 45, unit: 'mmol/L' });
+      expect(ketone.value).toBeCloseTo(1.5);
+    });
+
+    it('reports received records while $result? streams', async () => {
+      session = createDriver();
+      const { driver } = session;
+      await driver.connect({ deviceName: NEO_DEVICE_NAME });
+      const progress = jest.fn();
+
+      await driver.fetchData(progress);
+
+      const counts = progress.mock.calls
+        .map(([event]) => event.records?.received)
+        .filter((received) => received != null);
+      expect(counts).toEqual([1, 2, 3, 4]);
+    });
+
+    // La cola de lectura continua sólo detecta la desconexión al vencer la lectura (5 s)
+    it('resumes $result? after a reconnection without duplicating records', async () => {
+      const records = ['7,1,10,18,26,8,0,0,100,0,1', '7,2,10,18,26,9,0,0,110,0,1', '7,3,10,18,26,10,0,0,120,0,1'];
+      // La primera vez el medidor se desconecta tras enviar dos registros
+      const partial = {
+        request: textExchange('$result?', '').request,
+        response: [hidFrame(0x60, Array.from(`${records[0]}\r\n${records[1]}\r\n`, (char) => char.charCodeAt(0)))],
+        once: true,
+        disconnect: true,
+      };
+      session = createDriver({ records, exchanges: [partial] });
+      const { mock, usb, driver } = session;
+      await driver.connect({ deviceName: NEO_DEVICE_NAME });
+
+      await expect(driver.fetchData()).rejects.toThrow();
+      expect(driver.checkpoint.records).toEqual(records.slice(0, 2));
+
+      mock.attach(createNeoDevice({ records }));
+      const connection = await usb.openDevice(NEO_DEVICE_NAME);
+      await connection.claimInterface(0);
+      await driver.resume(connection);
+
+      const { rawRecords } = await driver.fetchData();
+      expect(rawRecords).toEqual(records);
+    }, 15000);
+  });
+
+  describe('probe', () => {
+    it('identifies the meter by serial number without the init sequence', async () => {
+      const mock = createMockUsbModule({ devices: [createNeoDevice()] });
+      const usbModule = createUsbApi(mock);
+
+      const result = await probeAbbottDevice({ deviceName: NEO_DEVICE_NAME }, { driverId: DRIVER_ID, usbModule });
+
+      expect(result).toEqual({ confidence: 1, serialNumber: NEO_SERIAL_NUMBER, model: DRIVER_ID });
+      // Sólo el frame de texto de $serlnum?: ni wake-up ni comandos de inicialización
+      expect(mock.getWrites(NEO_DEVICE_NAME).map((frame) => frame[0])).toEqual([0x21]);
+    });
+
+    it('lowers the confidence when the command fails', async () => {
+      const mock = createMockUsbModule({
+        devices: [createNeoDevice({ exchanges: [textExchange('$serlnum?', '', { ok: false })] })],
+      });
+
+      const result = await probeAbbottDevice(
+        { deviceName: NEO_DEVICE_NAME },
+        { driverId: DRIVER_ID, usbModule: createUsbApi(mock) }
+      );
+
+      expect(result).toEqual({ confidence: 0.6 });
+    });
+
+    it('rejects a device that does not answer', async () => {
+      const mock = createMockUsbModule({ devices: [createNeoDevice({ exchanges: [{ request: [0x21] }] })] });
+
+      const result = await probeAbbottDevice(
+        { deviceName: NEO_DEVICE_NAME },
+        { driverId: DRIVER_ID, usbModule: createUsbApi(mock) }
+      );
+
+      expect(result).toEqual({ confidence: 0 });
+    });
+
+    it('closes the device when the interface cannot be claimed', async () => {
+      const mock = createMockUsbModule({ devices: [createNeoDevice()] });
+      jest.spyOn(mock, 'claimInterface').mockRejectedValue(
+        new UsbError(UsbErrorCode.INTERFACE_BUSY, 'Interfaz ocupada', { deviceName: NEO_DEVICE_NAME })
+      );
+      const closeDevice = jest.spyOn(mock, 'closeDevice');
+
+      await expect(probeAbbottDevice(
+        { deviceName: NEO_DEVICE_NAME },
+        { driverId: DRIVER_ID, usbModule: createUsbApi(mock) }
+      )).rejects.toMatchObject({ code: UsbErrorCode.INTERFACE_BUSY });
+
+      expect(closeDevice).toHaveBeenCalledWith(NEO_DEVICE_NAME);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { createMockUsbModule, createUsbApi } from 'expo-usb-conected';
+
+import FreeStyleProtocolMobile from '../freeStyleLibreProtocolMobile';
+import {
+  NEO_DEVICE_NAME,
+  NEO_SERIAL_NUMBER,
+  createNeoDevice,
+  hidFrame,
+  textExchange,
+  textReply,
+} from '../__fixtures__/neoMockDevice';
+
+const IN_ENDPOINT = 0x81;
+
+const openProtocol = async (spec) => {
+  const mock = createMockUsbModule({ devices: [createNeoDevice(spec)] });
+  const usb = createUsbApi(mock);
+  const connection = await usb.openDevice(NEO_DEVICE_NAME);
+  await connection.claimInterface(0);
+
+  const protocol = new FreeStyleProtocolMobile({ driverId: 'AbbottFreeStyleOptiumNeo' }, usb);
+  // La secuencia de inicialización espera varios segundos entre comandos
+  protocol.delay = () => Promise.resolve();
+  return { mock, usb, connection, protocol };
+};
+
+describe('FreeStyleProtocolMobile', () => {
+  let session;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await session?.protocol.stopCommunication();
+    await session?.connection.close();
+    session = null;
+    jest.restoreAllMocks();
+  });
+
+  describe('frames', () => {
+    const protocol = new FreeStyleProtocolMobile({}, {});
+
+    it('pads HID frames to 64 bytes with the command, length and payload', () => {
+      const frame = protocol.createHIDFrame(0x04, [0xaa, 0xbb]);
+      expect(frame).toHaveLength(64);
+      expect(Array.from(frame.subarray(0, 5))).toEqual([0x04, 0x02, 0xaa, 0xbb, 0x00]);
+    });
+
+    it('sends text commands in a 0x21 frame', () => {
+      const frame = protocol.createTextCommandFrame('$date?');
+      expect(frame).toHaveLength(64);
+      expect(Array.from(frame.subarray(0, 8))).toEqual([0x21, 6, 0x24, 0x64, 0x61, 0x74, 0x65, 0x3f]);
+    });
+
+    it('decodes only the announced payload and keeps CRLF', () => {
+      const frame = hidFrame(0x60, Array.from('OK\r\n', (char) => char.charCodeAt(0)));
+      frame[10] = 0x41; // relleno fuera de la longitud anunciada
+      expect(protocol.decodeTextFrame(frame)).toBe('OK\r\n');
+    });
+  });
+
+  it('runs the init sequence over the continuous input queue', async () => {
+    session = await openProtocol();
+    const { mock, usb, protocol } = session;
+    const createInputReportQueue = jest.spyOn(usb, 'createInputReportQueue');
+
+    await expect(protocol.initCommunication(NEO_DEVICE_NAME, { inEndpoint: IN_ENDPOINT })).resolves.toBe(true);
+
+    expect(protocol.isProtocolInitialized()).toBe(true);
+    expect(protocol.transport.opened).toBe(true);
+    expect(createInputReportQueue).toHaveBeenCalledWith(NEO_DEVICE_NAME, IN_ENDPOINT);
+    expect(mock.getWrites(NEO_DEVICE_NAME).map((frame) => frame[0])).toEqual([0x00, 0x04, 0x05, 0x15, 0x01, 0x00]);
+  });
+
+  it('falls back to readData without an IN endpoint', async () => {
+    session = await openProtocol();
+    const { usb, protocol } = session;
+    const createInputReportQueue = jest.spyOn(usb, 'createInputReportQueue');
+    const readData = jest.spyOn(usb, 'readData');
+
+    await protocol.startCommunication(NEO_DEVICE_NAME);
+
+    await expect(protocol.requestTextReply('$serlnum?')).resolves.toBe(textReply(`${NEO_SERIAL_NUMBER}\r\n`));
+    expect(createInputReportQueue).not.toHaveBeenCalled();
+    expect(readData).toHaveBeenCalled();
+  });
+
+  it('closes the transport on stopCommunication', async () => {
+    session = await openProtocol();
+    const { protocol } = session;
+    await protocol.initCommunication(NEO_DEVICE_NAME, { inEndpoint: IN_ENDPOINT });
+    const { transport } = protocol;
+
+    await protocol.stopCommunication();
+
+    expect(transport.opened).toBe(false);
+    expect(protocol.transport).toBeNull();
+    expect(protocol.isProtocolInitialized()).toBe(false);
+  });
+
+  it('reads a text reply split across several frames', async () => {
+    const body = `${'A'.repeat(100)}\r\n`;
+    session = await openProtocol({ exchanges: [textExchange('$long?', body)] });
+    const { protocol } = session;
+
+    await protocol.startCommunication(NEO_DEVICE_NAME, { inEndpoint: IN_ENDPOINT });
+    await expect(protocol.requestTextReply('$long?')).resolves.toBe(textReply(body));
+  });
+
+  it('fails a text reply that never completes', async () => {
+    session = await openProtocol({ exchanges: [{ request: [0x21], response: hidFrame(0x60, [0x41]) }] });
+    const { protocol } = session;
+
+    await protocol.startCommunication(NEO_DEVICE_NAME, { inEndpoint: IN_ENDPOINT });
+    await expect(protocol.requestTextReply('$nada?', 50)).rejects.toThrow('Sin respuesta completa al comando $nada?');
+  });
+
+  it('streams $result? lines as they arrive and skips CKSM', async () => {
+    session = await openProtocol({ records: ['7,1,10,18,26,8,15,0,105,0,1', '7,2,10,18,26,9,0,0,98,0,1'] });
+    const { protocol } = session;
+    await protocol.initCommunication(NEO_DEVICE_NAME, { inEndpoint: IN_ENDPOINT });
+
+    const received = [];
+    const records = await protocol.getResults({ onRecord: (record) => received.push(record) });
+
+    expect(records).toEqual(['7,1,10,18,26,8,15,0,105,0,1', '7,2,10,18,26,9,0,0,98,0,1']);
+    expect(received).toEqual(records);
+  });
+
+  it('rejects $result? answered with CMD Fail!', async () => {
+    session = await openProtocol({ exchanges: [textExchange('$result?', '', { ok: false })] });
+    const { protocol } = session;
+    await protocol.initCommunication(NEO_DEVICE_NAME, { inEndpoint: IN_ENDPOINT });
+
+    await expect(protocol.getResults()).rejects.toThrow('Comando falló: CMD Fail!');
+  });
+
+  it('requires the init sequence before multi-line commands', async () => {
+    session = await openProtocol();
+    const { protocol } = session;
+    await protocol.startCommunication(NEO_DEVICE_NAME, { inEndpoint: IN_ENDPOINT });
+
+    await expect(protocol.getResults()).rejects.toThrow('Protocolo no inicializado');
+  });
+});
@@ -5,6 +5,9 @@
  */
 
 import { createFreeStyleProtocol } from './freeStyleLibreProtocolMobile.js';
+import { getDriverManifest, resolveUsbConfig } from '../../core/driverManifests.js';
+import { parseAbbottTextReply } from '../../serialFramers.js';
+import { createProgressEvent, PROGRESS_PHASE } from '../../uploadProgress.js';
 
 // Configuración del driver
 const RECORD_TYPE = {
@@ -15,13 +18,38 @@ const RECORD_TYPE = {
   TIME_CHANGE: 6,
 };
 
+// Confianza del probe según lo que responda a $serlnum?
+const PROBE_CONFIDENCE = {
+  SERIAL: 1, // respuesta válida con CMD OK
+  COMMAND_FAILED: 0.6, // habla el protocolo de texto pero respondió CMD Fail!
+  MALFORMED: 0.2, // respondió algo sin el formato CKSM:/CMD
+  NO_REPLY: 0 // no respondió a tiempo
+};
+
+// Plazo de cada lectura del probe: un medidor que habla el protocolo responde enseguida
+const PROBE_TIMEOUT_MS = 1000;
+
+// Checkpoints reanudables: lo que ya se recibió del medidor sobrevive a una
+// reconexión (runWithReconnect) y no se vuelve a pedir ni a procesar
+const createCheckpoint = () => ({
+  deviceInfo: null, // resultado de getDeviceInfo
+  records: [], // registros de $result? recibidos hasta ahora
+  receivedRecords: new Set(), // tipo:índice (o el registro crudo si no trae índice) ya guardados
+  lastRecordIndex: null, // índice del último registro recibido
+  resultsComplete: false // $result? terminó con CMD OK
+});
+
 class AbbottFreeStyleNeoMobile {
   constructor(config, usbModule) {
     this.config = config;
     this.usbModule = usbModule; // Módulo USB nativo
     this.protocol = createFreeStyleProtocol(config, usbModule);
     this.deviceInfo = null;
+    this.connection = null; // UsbConnection devuelta por openDevice
+    this.interfaceNumber = 0; // interfaz HID reclamada (se vuelve a reclamar al reconectar)
+    this.usbConfig = null; // interfaz y endpoints resueltos de los descriptores
     this.isConnected = false;
+    this.checkpoint = createCheckpoint();
   }
 
   // Función principal de conexión (líneas 277-288 del original)
@@ -30,10 +58,12 @@ class AbbottFreeStyleNeoMobile {
       console.log('🔌 === CONECTANDO ABBOTT FREESTYLE NEO ===');
       
       this.deviceInfo = deviceInfo;
+      // Una conexión nueva es una subida nueva: no se reanuda la anterior
+      this.checkpoint = createCheckpoint();
       
       // Configurar funciones de progreso
       if (progressCallback) {
-        progressCallback({ step: 1, total: 4, message: 'Conectando dispositivo...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.CONNECT, { subStep: { index: 1, total: 4 }, message: 'Conectando dispositivo...' }));
       }
       
       // Conectar al dispositivo usando el módulo USB nativo
@@ -43,14 +73,14 @@ class AbbottFreeStyleNeoMobile {
       }
       
       if (progressCallback) {
-        progressCallback({ step: 2, total: 4, message: 'Inicializando protocolo...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.CONNECT, { subStep: { index: 2, total: 4 }, message: 'Inicializando protocolo...' }));
       }
       
       // Inicializar protocolo de comunicación
       await this.initCommunication(deviceInfo.deviceName);
       
       if (progressCallback) {
-        progressCallback({ step: 3, total: 4, message: 'Verificando conexión...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.CONNECT, { subStep: { index: 3, total: 4 }, message: 'Verificando conexión...' }));
       }
       
       // Verificar que la conexión es estable
@@ -62,7 +92,7 @@ class AbbottFreeStyleNeoMobile {
       this.isConnected = true;
       
       if (progressCallback) {
-        progressCallback({ step: 4, total: 4, message: 'Conexión establecida' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.CONNECT, { subStep: { index: 4, total: 4 }, message: 'Conexión establecida' }));
       }
       
       console.log('✅ Conexión establecida exitosamente');
@@ -80,34 +110,56 @@ class AbbottFreeStyleNeoMobile {
     try {
       console.log('📱 Conectando al dispositivo USB...');
       
-      // Abrir dispositivo
-      const opened = await this.usbModule.openDevice(deviceInfo.deviceName);
-      if (!opened) {
-        throw new Error('No se pudo abrir el dispositivo');
-      }
+      // Abrir dispositivo (rechaza con UsbError: E_NO_PERMISSION, E_UNPLUG_AND_RETRY...)
+      this.connection = await this.usbModule.openDevice(deviceInfo.deviceName);
       
-      // Reclamar interfaz
-      const claimed = await this.usbModule.claimInterface(deviceInfo.deviceName, 0);
-      if (!claimed) {
-        throw new Error('No se pudo reclamar la interfaz');
-      }
+      // Reclamar interfaz (la HID según los descriptores, no la 0 por defecto)
+      this.interfaceNumber = await this.resolveInterfaceNumber();
+      await this.connection.claimInterface(this.interfaceNumber);
       
       console.log('✅ Dispositivo conectado');
       return true;
       
     } catch (error) {
       console.error('❌ Error conectando dispositivo:', error);
+      // Sin interfaz reclamada no se usa la conexión: cerrarla para no retener el dispositivo
+      if (this.connection) {
+        await this.connection.close().catch(() => undefined);
+        this.connection = null;
+      }
       throw error;
     }
   }
 
+  // Determinar la interfaz a reclamar a partir de los descriptores USB del dispositivo
+  async resolveInterfaceNumber() {
+    const manifest = getDriverManifest(this.config.driverId);
+    if (!manifest) {
+      return 0;
+    }
+
+    const descriptor = await this.connection.getDeviceDescriptor();
+    const usbConfig = resolveUsbConfig(manifest, descriptor);
+    if (!usbConfig) {
+      console.warn('⚠️ No se encontró interfaz HID en los descriptores, usando interfaz 0');
+      return 0;
+    }
+
+    console.log(`🔍 Interfaz HID: ${usbConfig.interfaceNumber} (IN 0x${usbConfig.inEndpoint?.address.toString(16)}, OUT 0x${usbConfig.outEndpoint?.address.toString(16)})`);
+    this.usbConfig = usbConfig;
+    return usbConfig.interfaceNumber;
+  }
+
   // Inicializar protocolo de comunicación
   async initCommunication(deviceName) {
     try {
       console.log('🔧 === INICIALIZANDO PROTOCOLO DE COMUNICACIÓN ===');
       
-      // Usar el protocolo FreeStyle para inicialización
-      const initSuccess = await this.protocol.initCommunication(deviceName);
+      // Usar el protocolo FreeStyle para inicialización, con la lectura continua sobre
+      // el endpoint IN de la interfaz HID
+      const initSuccess = await this.protocol.initCommunication(deviceName, {
+        inEndpoint: this.usbConfig?.inEndpoint?.address
+      });
       
       if (!initSuccess) {
         throw new Error('Falló la inicialización del protocolo');
@@ -122,6 +174,52 @@ class AbbottFreeStyleNeoMobile {
     }
   }
 
+  // onReconnected de runWithReconnect: adoptar la conexión reabierta (ya con la
+  // interfaz reclamada) y volver a inicializar el protocolo. Los checkpoints se
+  // conservan, así getDeviceInfo/fetchData continúan donde se quedaron
+  async resume(connection) {
+    const { lastRecordIndex, records } = this.checkpoint;
+    console.log(`🔁 Reanudando en ${connection.deviceName} (${records.length} registros guardados, último índice: ${lastRecordIndex ?? 'ninguno'})`);
+    
+    // La lectura continua anterior murió con la desconexión
+    await this.protocol.stopCommunication().catch(() => undefined);
+    
+    this.connection = connection;
+    this.deviceInfo = { ...this.deviceInfo, deviceName: connection.deviceName };
+    await this.initCommunication(connection.deviceName);
+    this.isConnected = true;
+  }
+
+  // Identificación para detectDevices: abre, pide $serlnum? con el frame de texto del
+  // protocolo (0x21) y cierra. No ejecuta la secuencia de inicialización (wake-up,
+  // comandos de init y sus esperas), así que no escribe nada más en el medidor. Los
+  // errores al abrir se propagan; los del protocolo sólo bajan la confianza
+  async probe(deviceInfo) {
+    this.deviceInfo = deviceInfo;
+    await this.connectToDevice(deviceInfo);
+
+    try {
+      await this.protocol.startCommunication(deviceInfo.deviceName, {
+        inEndpoint: this.usbConfig?.inEndpoint?.address
+      });
+      const response = await this.protocol.requestTextReply('$serlnum?', PROBE_TIMEOUT_MS);
+      const reply = parseAbbottTextReply(response);
+
+      if (reply.error) {
+        return { confidence: PROBE_CONFIDENCE.MALFORMED };
+      }
+      if (!reply.ok) {
+        return { confidence: PROBE_CONFIDENCE.COMMAND_FAILED };
+      }
+      return { confidence: PROBE_CONFIDENCE.SERIAL, serialNumber: reply.text, model: this.config.driverId };
+    } catch (error) {
+      console.log(`🔍 ${deviceInfo.deviceName} no responde como ${this.config.driverId}: ${error.message}`);
+      return { confidence: PROBE_CONFIDENCE.NO_REPLY };
+    } finally {
+      await this.disconnect();
+    }
+  }
+
   // Verificar que la conexión es estable
   async verifyConnection() {
     try {
@@ -129,12 +227,7 @@ class AbbottFreeStyleNeoMobile {
       
       // Enviar comando de prueba
       const testCommand = [0x04, 0x00]; // Comando de prueba
-      const response = await this.usbModule.writeData(this.deviceInfo.deviceName, testCommand);
-      
-      if (response < 0) {
-        console.log('⚠️ Conexión inestable');
-        return false;
-      }
+      await this.connection.write(testCommand);
       
       console.log('✅ Conexión estable');
       return true;
@@ -150,8 +243,13 @@ class AbbottFreeStyleNeoMobile {
     try {
       console.log('📋 === OBTENIENDO INFORMACIÓN DEL DISPOSITIVO ===');
       
+      if (this.checkpoint.deviceInfo) {
+        console.log('⏭️ Información ya obtenida antes de la reconexión');
+        return this.checkpoint.deviceInfo;
+      }
+      
       if (progressCallback) {
-        progressCallback({ step: 1, total: 3, message: 'Obteniendo número de serie...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.GET_CONFIG_INFO, { subStep: { index: 1, total: 3 }, message: 'Obteniendo número de serie...' }));
       }
       
       // Obtener número de serie
@@ -164,14 +262,14 @@ class AbbottFreeStyleNeoMobile {
       const deviceId = `${this.config.driverId}-${serialNumber}`;
       
       if (progressCallback) {
-        progressCallback({ step: 2, total: 3, message: 'Obteniendo fecha y hora...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.GET_CONFIG_INFO, { subStep: { index: 2, total: 3 }, message: 'Obteniendo fecha y hora...' }));
       }
       
       // Obtener fecha y hora del dispositivo
       const deviceDateTime = await this.getDeviceDateTime();
       
       if (progressCallback) {
-        progressCallback({ step: 3, total: 3, message: 'Verificando sincronización...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.GET_CONFIG_INFO, { subStep: { index: 3, total: 3 }, message: 'Verificando sincronización...' }));
       }
       
       // Verificar/sincronizar hora
@@ -186,6 +284,7 @@ class AbbottFreeStyleNeoMobile {
       };
       
       console.log('✅ Información del dispositivo obtenida:', deviceInfo);
+      this.checkpoint.deviceInfo = deviceInfo;
       return deviceInfo;
       
     } catch (error) {
@@ -200,14 +299,39 @@ class AbbottFreeStyleNeoMobile {
       console.log('📊 === OBTENIENDO DATOS DEL DISPOSITIVO ===');
       
       if (progressCallback) {
-        progressCallback({ step: 1, total: 2, message: 'Obteniendo registros de datos...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.FETCH_DATA, { subStep: { index: 1, total: 2 }, message: 'Obteniendo registros de datos...' }));
       }
       
-      // Obtener registros de datos usando el protocolo
-      const records = await this.protocol.getResults();
+      // Obtener registros de datos usando el protocolo. El medidor no admite pedir
+      // $result? desde un índice: tras una reconexión se repite el comando y se
+      // descartan los registros que ya están en el checkpoint
+      const { checkpoint } = this;
+      if (!checkpoint.resultsComplete) {
+        if (checkpoint.records.length > 0) {
+          console.log(`⏯️ Reanudando $result? tras ${checkpoint.records.length} registros (último índice: ${checkpoint.lastRecordIndex})`);
+        }
+        // $result? no anuncia cuántos registros hay: sólo se informa de los recibidos
+        let bytesReceived = 0;
+        await this.protocol.getResults({
+          onRecord: (record) => {
+            this.saveRecordCheckpoint(record);
+            bytesReceived += record.length + 2; // línea + \r\n
+            if (progressCallback) {
+              progressCallback(createProgressEvent(PROGRESS_PHASE.FETCH_DATA, {
+                subStep: { index: 1, total: 2 },
+                message: 'Obteniendo registros de datos...',
+                records: { received: checkpoint.records.length, expected: null },
+                bytes: { transferred: bytesReceived, expected: null }
+              }));
+            }
+          }
+        });
+        checkpoint.resultsComplete = true;
+      }
+      const records = checkpoint.records;
       
       if (progressCallback) {
-        progressCallback({ step: 2, total: 2, message: 'Procesando registros...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.FETCH_DATA, { subStep: { index: 2, total: 2 }, message: 'Procesando registros...' }));
       }
       
       // Procesar registros
@@ -227,6 +351,24 @@ class AbbottFreeStyleNeoMobile {
     }
   }
 
+  // Guardar un registro de $result? en el checkpoint (una sola vez por índice)
+  saveRecordCheckpoint(record) {
+    const { checkpoint } = this;
+    const [type, rawIndex] = record.split(',');
+    const index = parseInt(rawIndex);
+    // El índice se combina con el tipo por si cada tipo de registro lleva su numeración
+    const key = Number.isNaN(index) ? record : `${type}:${index}`;
+    if (checkpoint.receivedRecords.has(key)) {
+      return;
+    }
+    
+    checkpoint.receivedRecords.add(key);
+    checkpoint.records.push(record);
+    if (!Number.isNaN(index)) {
+      checkpoint.lastRecordIndex = index;
+    }
+  }
+
   // Procesar registros de datos
   processRecords(records) {
     try {
@@ -275,7 +417,7 @@ class AbbottFreeStyleNeoMobile {
       
       const timestamp = new Date(year, month - 1, day, hours, minutes, seconds);
       
-      const processedRecord = {
+      let processedRecord = {
         type: recordType,
         index: index,
         timestamp: timestamp,
@@ -487,7 +629,7 @@ class AbbottFreeStyleNeoMobile {
       console.log('☁️ === SUBIENDO DATOS A TIDEPOOL ===');
       
       if (progressCallback) {
-        progressCallback({ step: 1, total: 3, message: 'Preparando datos para subida...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.UPLOAD_DATA, { subStep: { index: 1, total: 3 }, message: 'Preparando datos para subida...' }));
       }
       
       // Preparar información de sesión
@@ -505,7 +647,7 @@ class AbbottFreeStyleNeoMobile {
       };
       
       if (progressCallback) {
-        progressCallback({ step: 2, total: 3, message: 'Estructurando datos...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.UPLOAD_DATA, { subStep: { index: 2, total: 3 }, message: 'Estructurando datos...' }));
       }
       
       // Estructurar datos para Tidepool
@@ -523,7 +665,7 @@ class AbbottFreeStyleNeoMobile {
       };
       
       if (progressCallback) {
-        progressCallback({ step: 3, total: 3, message: 'Simulando subida...' });
+        progressCallback(createProgressEvent(PROGRESS_PHASE.UPLOAD_DATA, { subStep: { index: 3, total: 3 }, message: 'Simulando subida...' }));
       }
       
       // Simular subida (en lugar de subir realmente)
@@ -583,7 +725,7 @@ class AbbottFreeStyleNeoMobile {
     try {
       console.log('🔢 Obteniendo número de serie...');
       
-      const response = await this.usbModule.sendTextCommand(this.deviceInfo.deviceName, '$serlnum?');
+      const response = await this.protocol.requestTextReply('$serlnum?');
       
       if (!response || response.trim() === '') {
         throw new Error('Respuesta vacía del dispositivo');
@@ -611,11 +753,11 @@ class AbbottFreeStyleNeoMobile {
       console.log('📅 Obteniendo fecha y hora del dispositivo...');
       
       // Obtener fecha
-      const dateResponse = await this.usbModule.sendTextCommand(this.deviceInfo.deviceName, '$date?');
+      const dateResponse = await this.protocol.requestTextReply('$date?');
       const date = this.parseTextResponse(dateResponse);
       
       // Obtener hora
-      const timeResponse = await this.usbModule.sendTextCommand(this.deviceInfo.deviceName, '$time?');
+      const timeResponse = await this.protocol.requestTextReply('$time?');
       const time = this.parseTextResponse(timeResponse);
       
       if (!date || !time) {
@@ -683,23 +825,19 @@ class AbbottFreeStyleNeoMobile {
     }
     
     // Formato: data\r\nCKSM:XXXXXXXX\r\nCMD OK\r\n
-    const regex = /^([^\r]*)\r\nCKSM:([0-9A-F]{8})\r\nCMD (OK|Fail!)\r\n/;
-    const match = response.match(regex);
+    const reply = parseAbbottTextReply(response);
     
-    if (!match) {
-      console.warn('Formato de respuesta inválido:', response);
+    if (reply.error) {
+      console.warn(`Respuesta inválida (${reply.error.type}):`, response);
       return null;
     }
     
-    const data = match[1];
-    const status = match[3];
-    
-    if (status !== "OK") {
-      console.error('Comando falló:', status);
+    if (!reply.ok) {
+      console.error('Comando falló: CMD Fail!');
       return null;
     }
     
-    return data;
+    return reply.text;
   }
 
   // Parsear fecha/hora del dispositivo
@@ -726,8 +864,12 @@ class AbbottFreeStyleNeoMobile {
     try {
       console.log('🔌 Desconectando del dispositivo...');
       
-      if (this.deviceInfo) {
-        await this.usbModule.closeDevice(this.deviceInfo.deviceName);
+      // Cerrar el transporte del protocolo antes que la conexión que usa
+      await this.protocol.stopCommunication().catch(() => undefined);
+      
+      if (this.connection) {
+        await this.connection.close();
+        this.connection = null;
       }
       
       this.isConnected = false;
@@ -748,4 +890,73 @@ export const createAbbottDriver = (config, usbModule) => {
   return new AbbottFreeStyleNeoMobile(config, usbModule);
 };
 
+// probe del registro de drivers (driverRegistry.js)
+export const probeAbbottDevice = (deviceInfo, config) => {
+  return new AbbottFreeStyleNeoMobile(config, config.usbModule).probe(deviceInfo);
+};
+
+// El driver con el contrato de asyncDriverManager (los ocho pasos de driverManager).
+// `config.usbModule` son las funciones USB que recibe createAbbottDriver
+export const createAbbottAsyncDriver = (config) => {
+  const driver = new AbbottFreeStyleNeoMobile(config, config.usbModule);
+
+  return {
+    async detect(deviceInfo) {
+      await driver.connect(deviceInfo);
+      try {
+        const info = await driver.getDeviceInfo();
+        return { model: config.driverId, serialNumber: info.serialNumber, id: info.deviceId };
+      } finally {
+        await driver.disconnect();
+      }
+    },
+
+    async setup(deviceInfo, progress) {
+      progress(100);
+      return { deviceInfo };
+    },
+
+    async connect(progress, data) {
+      await driver.connect(data.deviceInfo, progress);
+      return { ...data, connect: true };
+    },
+
+    async getConfigInfo(progress, data) {
+      const info = await driver.getDeviceInfo(progress);
+      return { ...data, deviceDetails: info, serialNumber: info.serialNumber, id: info.deviceId };
+    },
+
+    async fetchData(progress, data) {
+      const { rawRecords } = await driver.fetchData(progress);
+      return { ...data, rawRecords };
+    },
+
+    async processData(progress, data) {
+      const processedRecords = driver.processRecords(data.rawRecords);
+      progress(100);
+      return { ...data, processedRecords };
+    },
+
+    async uploadData(progress, data) {
+      const { data: uploaded, uploadResult } = await driver.uploadData(data.processedRecords, progress);
+      return { ...data, uploaded, uploadResult };
+    },
+
+    async disconnect(progress, data) {
+      await driver.disconnect();
+      progress(100);
+      return { ...data, disconnect: true };
+    },
+
+    // Tras un error a mitad la conexión puede seguir abierta
+    async cleanup(progress, data) {
+      if (driver.connection) {
+        await driver.disconnect();
+      }
+      progress(100);
+      return { ...data, cleanup: true };
+    },
+  };
+};
+
 export default AbbottFreeStyleNeoMobile;
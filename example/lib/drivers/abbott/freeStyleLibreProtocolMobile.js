@@ -4,6 +4,10 @@
  * Adaptado para móvil con Expo/React Native
  */
 
+import { isUsbError, UsbErrorCode } from 'expo-usb-conected';
+
+import { createUsbApiTransport } from '../../transports';
+
 // Configuración del protocolo HID
 const HID_CONFIG = {
   FRAME_SIZE: 64,
@@ -12,6 +16,10 @@ const HID_CONFIG = {
   RETRY_DELAY: 1000
 };
 
+// Errores transitorios que justifican reintentar una escritura; el resto
+// (sin permisos, desconectado, interfaz ocupada...) se propagan de inmediato
+const RETRYABLE_ERRORS = [UsbErrorCode.TIMEOUT, UsbErrorCode.STALL, UsbErrorCode.TRANSFER_FAILED];
+
 // Comandos de inicialización secuenciales (líneas 724-735 del original)
 const INIT_SEQUENCE = [
   { command: 0x04, description: 'Comando de inicialización 1' },
@@ -34,15 +42,19 @@ class FreeStyleProtocolMobile {
     this.config = config;
     this.usbModule = usbModule;
     this.deviceName = null;
+    this.inEndpoint = null;
     this.isInitialized = false;
+    this.transport = null;
   }
 
-  // Función principal de inicialización (líneas 724-735 del original)
-  async initCommunication(deviceName) {
+  // Función principal de inicialización (líneas 724-735 del original).
+  // `inEndpoint` es la dirección del endpoint IN de la interfaz HID (la resuelve el
+  // driver a partir de los descriptores); sin él se lee con readData
+  async initCommunication(deviceName, { inEndpoint } = {}) {
     try {
       console.log('🔧 === INICIALIZACIÓN DEL PROTOCOLO FREESTYLE ===');
       
-      this.deviceName = deviceName;
+      await this.startCommunication(deviceName, { inEndpoint });
       
       // Ejecutar secuencia de inicialización de 5 comandos
       const initSuccess = await this.executeInitSequence();
@@ -62,6 +74,30 @@ class FreeStyleProtocolMobile {
     }
   }
 
+  // Abrir el transporte sin enviar nada al medidor (la secuencia de inicialización
+  // la añade initCommunication)
+  async startCommunication(deviceName, { inEndpoint = this.config.inEndpoint } = {}) {
+    this.deviceName = deviceName;
+    this.inEndpoint = inEndpoint;
+    this.transport = createUsbApiTransport(this.usbModule, deviceName, { inEndpoint });
+    await this.transport.open();
+  }
+
+  // Leer el siguiente frame HID; vacío si vence el timeout
+  async readFrame(timeout) {
+    return this.transport.read(timeout);
+  }
+
+  // Cerrar el transporte y marcar el protocolo como no inicializado
+  async stopCommunication() {
+    const { transport } = this;
+    this.transport = null;
+    this.isInitialized = false;
+    if (transport) {
+      await transport.close();
+    }
+  }
+
   // Ejecutar secuencia de inicialización de 5 comandos
   async executeInitSequence() {
     try {
@@ -105,18 +141,20 @@ class FreeStyleProtocolMobile {
       // Intentamos con un comando de reset o wake-up
       const wakeUpFrame = this.createHIDFrame(0x00); // Comando de reset/wake-up
       
-      const bytesWritten = await this.usbModule.writeData(this.deviceName, wakeUpFrame);
-      
-      if (bytesWritten < 0) {
-        console.warn('⚠️ Comando de wake-up falló, continuando con inicialización...');
-      } else {
+      try {
+        await this.transport.write(wakeUpFrame);
         console.log('✅ Comando de wake-up enviado exitosamente');
+      } catch (e) {
+        if (!isUsbError(e) || !RETRYABLE_ERRORS.includes(e.code)) {
+          throw e;
+        }
+        console.warn(`⚠️ Comando de wake-up falló (${e.code}), continuando con inicialización...`);
       }
       
       // Intentar leer cualquier respuesta del wake-up
       await this.delay(500);
       try {
-        const response = await this.usbModule.readData(this.deviceName, 1000);
+        const response = await this.readFrame(1000);
         if (response && response.length > 0) {
           console.log('📥 Respuesta de wake-up recibida');
         }
@@ -140,10 +178,11 @@ class FreeStyleProtocolMobile {
       
       // Crear frame HID
       const hidFrame = this.createHIDFrame(command);
-      console.log(`📤 Frame HID creado: ${hidFrame.slice(0, 10).map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}...`);
+      console.log(`📤 Frame HID creado: ${Array.from(hidFrame.subarray(0, 10), b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}...`);
       
       // Enviar comando con reintentos
       let bytesWritten = -1;
+      let lastError = null;
       let attempts = 0;
       const maxAttempts = 3;
       
@@ -151,10 +190,15 @@ class FreeStyleProtocolMobile {
         attempts++;
         console.log(`📤 Intento ${attempts}/${maxAttempts} enviando comando 0x${command.toString(16).toUpperCase()}`);
         
-        bytesWritten = await this.usbModule.writeData(this.deviceName, hidFrame);
-        
-        if (bytesWritten < 0) {
-          console.warn(`⚠️ Intento ${attempts} falló: ${bytesWritten} bytes escritos`);
+        try {
+          await this.transport.write(hidFrame);
+          bytesWritten = hidFrame.length;
+        } catch (e) {
+          if (!isUsbError(e) || !RETRYABLE_ERRORS.includes(e.code)) {
+            throw e;
+          }
+          lastError = e;
+          console.warn(`⚠️ Intento ${attempts} falló: ${e.code}`);
           
           if (attempts < maxAttempts) {
             console.log(`⏳ Esperando ${HID_CONFIG.RETRY_DELAY}ms antes del siguiente intento...`);
@@ -164,7 +208,7 @@ class FreeStyleProtocolMobile {
       }
       
       if (bytesWritten < 0) {
-        console.error(`❌ Error enviando comando 0x${command.toString(16).toUpperCase()} después de ${maxAttempts} intentos: ${bytesWritten}`);
+        console.error(`❌ Error enviando comando 0x${command.toString(16).toUpperCase()} después de ${maxAttempts} intentos: ${lastError && lastError.code}`);
         return false;
       }
       
@@ -189,11 +233,11 @@ class FreeStyleProtocolMobile {
   // Leer respuesta de inicialización
   async readInitResponse() {
     try {
-      const response = await this.usbModule.readData(this.deviceName, HID_CONFIG.TIMEOUT);
+      const response = await this.readFrame(HID_CONFIG.TIMEOUT);
       
       if (response && response.length > 0) {
         console.log(`📥 Respuesta recibida: ${response.length} bytes`);
-        console.log(`📥 Datos (hex): ${response.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
+        console.log(`📥 Datos (hex): ${Array.from(response, b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ')}`);
         return response;
       }
       
@@ -208,7 +252,7 @@ class FreeStyleProtocolMobile {
 
   // Crear frame HID de 64 bytes
   createHIDFrame(command, data = null) {
-    const frame = new Array(HID_CONFIG.FRAME_SIZE).fill(0x00);
+    const frame = new Uint8Array(HID_CONFIG.FRAME_SIZE);
     
     // Establecer comando
     frame[0] = command;
@@ -236,21 +280,16 @@ class FreeStyleProtocolMobile {
       
       // Enviar comando de texto usando HID frame
       const hidFrame = this.createTextCommandFrame(command);
-      const bytesWritten = await this.usbModule.writeData(this.deviceName, hidFrame);
-      
-      if (bytesWritten < 0) {
-        throw new Error(`Error enviando comando de texto: ${bytesWritten}`);
-      }
+      await this.transport.write(hidFrame);
       
       // Leer respuesta
-      const response = await this.usbModule.readData(this.deviceName, HID_CONFIG.TIMEOUT);
+      const response = await this.readFrame(HID_CONFIG.TIMEOUT);
       
       if (!response || response.length === 0) {
         throw new Error('Sin respuesta del dispositivo');
       }
       
-      // Convertir bytes a texto
-      const textResponse = String.fromCharCode(...response.filter(b => b >= 32 && b <= 126));
+      const textResponse = this.decodeTextFrame(response);
       
       console.log(`📥 Respuesta de texto: ${textResponse}`);
       return textResponse;
@@ -261,13 +300,81 @@ class FreeStyleProtocolMobile {
     }
   }
 
+  // Respuesta completa a un comando de texto (cuerpo, CKSM: y CMD OK / CMD Fail!) para
+  // validarla con parseAbbottTextReply. Va en el frame 0x21 y se lee igual que el resto
+  // del protocolo: el sendTextCommand nativo escribe el ASCII sin enmarcar y leería el
+  // endpoint IN a la vez que la lectura continua. No exige la secuencia de inicialización
+  async requestTextReply(command, timeout = HID_CONFIG.TIMEOUT) {
+    console.log(`📤 Comando de texto: ${command}`);
+    await this.transport.write(this.createTextCommandFrame(command));
+    
+    let reply = '';
+    while (!/CMD (OK|Fail!)\r\n/.test(reply)) {
+      const response = await this.readFrame(timeout);
+      if (!response || response.length === 0) {
+        throw new Error(`Sin respuesta completa al comando ${command}`);
+      }
+      reply += this.decodeTextFrame(response);
+    }
+    return reply;
+  }
+
+  // Respuesta de texto que ocupa varios frames (p. ej. $result?): se lee hasta
+  // CMD OK / CMD Fail! y cada línea completa se entrega a `onLine` en cuanto llega,
+  // así lo recibido antes de una desconexión queda guardado en el checkpoint del driver
+  async requestTextLines(command, onLine) {
+    if (!this.isInitialized) {
+      throw new Error('Protocolo no inicializado');
+    }
+    
+    console.log(`📤 Solicitando respuesta de varias líneas: ${command}`);
+    await this.transport.write(this.createTextCommandFrame(command));
+    
+    const lines = [];
+    let pending = '';
+    for (;;) {
+      const response = await this.readFrame(HID_CONFIG.TIMEOUT);
+      if (!response || response.length === 0) {
+        throw new Error(`Sin respuesta del dispositivo tras ${lines.length} líneas`);
+      }
+      
+      pending += this.decodeTextFrame(response);
+      let end;
+      while ((end = pending.indexOf('\r\n')) >= 0) {
+        const line = pending.slice(0, end);
+        pending = pending.slice(end + 2);
+        
+        if (line.startsWith('CMD ')) {
+          if (line !== 'CMD OK') {
+            throw new Error(`Comando falló: ${line}`);
+          }
+          console.log(`📥 ${lines.length} líneas recibidas para ${command}`);
+          return lines;
+        }
+        if (line.startsWith('CKSM:') || !line.trim()) {
+          continue;
+        }
+        
+        lines.push(line);
+        onLine?.(line);
+      }
+    }
+  }
+
+  // Convertir el payload (sin tipo ni longitud) a texto; se conservan los CRLF
+  // porque parseAbbottTextReply los necesita para separar cuerpo, CKSM: y CMD
+  decodeTextFrame(response) {
+    const payload = Array.from(response).slice(2, 2 + response[1]);
+    return String.fromCharCode(...payload.filter(b => (b >= 32 && b <= 126) || b === 13 || b === 10));
+  }
+
   // Crear frame de comando de texto
   createTextCommandFrame(command) {
     // Convertir comando a bytes
     const commandBytes = Array.from(command).map(c => c.charCodeAt(0));
     
     // Crear frame HID con comando de texto (0x21)
-    const frame = new Array(HID_CONFIG.FRAME_SIZE).fill(0x00);
+    const frame = new Uint8Array(HID_CONFIG.FRAME_SIZE);
     frame[0] = 0x21; // Comando de texto
     frame[1] = commandBytes.length; // Longitud del comando
     
@@ -333,20 +440,20 @@ class FreeStyleProtocolMobile {
     }
   }
 
-  // Obtener registros de datos (glucosa, cetonas, etc.)
-  async getResults() {
+  // Obtener registros de datos (glucosa, cetonas, etc.). `onRecord` recibe cada
+  // registro según llega, antes de que termine la respuesta
+  async getResults({ onRecord } = {}) {
     try {
       console.log('📊 Obteniendo registros de datos...');
-      const response = await this.requestTextResponse('$result?');
+      const lines = await this.requestTextLines('$result?', line => onRecord?.(line.trim()));
+      const records = lines.map(line => line.trim());
       
-      if (response && response.trim()) {
-        const records = response.trim().split('\r\n').filter(line => line.trim());
+      if (records.length > 0) {
         console.log(`✅ Registros obtenidos: ${records.length} registros`);
-        return records;
       } else {
         console.log('ℹ️ No hay registros disponibles');
-        return [];
       }
+      return records;
     } catch (error) {
       console.error('❌ Error obteniendo registros:', error);
       throw error;
@@ -0,0 +1,99 @@
+/*
+ * Identificación de glucómetros Accu-Chek USB para detectDevices
+ *
+ * Al conectarse, el medidor envía una petición de asociación IEEE 11073 (AARQ) por
+ * el endpoint bulk IN de la interfaz PHDC. Leerla basta para saber si el dispositivo
+ * habla el protocolo: no se responde, así que no se asocia ni cambia nada, y el
+ * medidor repite la petición cuando empieza la subida real (accuChekUSB.js).
+ * Sólo usa la API USB del módulo, sin las dependencias del driver de Tidepool.
+ */
+
+import { isUsbError, UsbErrorCode } from 'expo-usb-conected';
+import { getDriverManifest, resolveUsbConfig } from '../../core/driverManifests.js';
+import { APDU_TYPE } from './utils';
+
+// Protocolo de datos de IEEE 11073-20601 en la AARQ
+const DATA_PROTO_ID_20601 = 20601;
+
+const AARQ_READ_TIMEOUT_MS = 3000;
+const AARQ_READ_LENGTH = 1024; // como accuChekUSB.js
+
+const PROBE_CONFIDENCE = {
+  ASSOCIATION_20601: 1, // AARQ con el protocolo 20601
+  ASSOCIATION: 0.7, // AARQ con otro protocolo de datos
+  NO_ASSOCIATION: 0 // sin AARQ (otro dispositivo o no respondió)
+};
+
+// GET_STATUS estándar, igual que accuChekUSB.js antes de leer la AARQ
+const GET_STATUS = {
+  requestType: 'standard',
+  recipient: 'device',
+  request: 0x00,
+  value: 0x00,
+  index: 0x00
+};
+
+const toHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+
+// Cabecera de la AARQ: tipo (0-1), longitud (2-3), versión de asociación (4-7),
+// número de protocolos (8-9), longitud (10-11), data-proto-id (12-13)... y el
+// system-id (8 bytes) en 36-43
+export const parseAssociationRequest = (bytes) => {
+  if (bytes.length < 14) {
+    return null;
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint16(0) !== APDU_TYPE.ASSOCIATION_REQUEST) {
+    return null;
+  }
+
+  return {
+    dataProtoId: view.getUint16(12),
+    systemId: bytes.length >= 44 ? toHex(bytes.subarray(36, 44)) : null
+  };
+};
+
+// probe del registro de drivers (driverRegistry.js)
+export const probeAccuChekDevice = async (deviceInfo, config) => {
+  const manifest = getDriverManifest(config.driverId);
+  const connection = await config.usbModule.openDevice(deviceInfo.deviceName);
+
+  try {
+    const usbConfig = resolveUsbConfig(manifest, await connection.getDeviceDescriptor());
+    if (!usbConfig || !usbConfig.inEndpoint) {
+      return { confidence: PROBE_CONFIDENCE.NO_ASSOCIATION };
+    }
+
+    await connection.claimInterface(usbConfig.interfaceNumber);
+    await connection.controlTransferIn(GET_STATUS, 2);
+    const incoming = await connection.transferIn(
+      usbConfig.inEndpoint.address,
+      AARQ_READ_LENGTH,
+      AARQ_READ_TIMEOUT_MS
+    );
+
+    const association = parseAssociationRequest(incoming.data);
+    if (!association) {
+      return { confidence: PROBE_CONFIDENCE.NO_ASSOCIATION };
+    }
+
+    return {
+      confidence: association.dataProtoId === DATA_PROTO_ID_20601
+        ? PROBE_CONFIDENCE.ASSOCIATION_20601
+        : PROBE_CONFIDENCE.ASSOCIATION,
+      // El system-id identifica al medidor aunque el USB no informe número de serie
+      serialNumber: association.systemId,
+      model: config.driverId
+    };
+  } catch (error) {
+    if (isUsbError(error, UsbErrorCode.TIMEOUT)) {
+      return { confidence: PROBE_CONFIDENCE.NO_ASSOCIATION };
+    }
+    throw error;
+  } finally {
+    await connection.close().catch(() => undefined);
+  }
+};
+
+export default probeAccuChekDevice;
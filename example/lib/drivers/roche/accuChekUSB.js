@@ -17,6 +17,7 @@
 
 import _ from 'lodash';
 import sundial from 'sundial';
+import { UsbError, UsbErrorCode, isUsbError } from 'expo-usb-conected';
 /* eslint-disable import/no-extraneous-dependencies */
 
 import annotate from '../../eventAnnotations';
@@ -46,8 +47,46 @@ class AccuChekUSB {
     this.cfg = cfg;
   }
 
-  static timeout(delay = 5000) {
-    return new Promise((resolve, reject) => setTimeout(reject, delay, new Error('Timeout error')));
+  // Reads the next APDU. WebUSB cannot cancel a single transfer, so when the timeout
+  // expires or cfg.signal aborts the device is closed, which rejects the pending
+  // transferIn instead of leaving it to swallow the next packet
+  async receive(timeoutMs = null) {
+    const { signal } = this.cfg;
+    if (signal?.aborted) {
+      throw new UsbError(UsbErrorCode.ABORTED, 'Upload cancelled', { cause: signal.reason });
+    }
+
+    const transfer = this.usbDevice.transferIn(this.usbDevice.usbconfig.inEPnum, 1024);
+    let timer = null;
+    let onAbort = null;
+    const interrupted = new Promise((resolve, reject) => {
+      if (timeoutMs !== null) {
+        timer = setTimeout(reject, timeoutMs, new UsbError(UsbErrorCode.TIMEOUT, 'Timeout error'));
+      }
+      onAbort = () => reject(new UsbError(UsbErrorCode.ABORTED, 'Upload cancelled', { cause: signal.reason }));
+      signal?.addEventListener('abort', onAbort);
+    });
+
+    try {
+      return await Promise.race([transfer, interrupted]);
+    } catch (error) {
+      if (isUsbError(error, UsbErrorCode.TIMEOUT) || isUsbError(error, UsbErrorCode.ABORTED)) {
+        transfer.catch(() => {});
+        await this.usbDevice.close().catch(() => {});
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // A meter that stops answering has to be unplugged before it will associate again
+  static unplugOnTimeout(error) {
+    if (isUsbError(error, UsbErrorCode.TIMEOUT)) {
+      return new UsbError(UsbErrorCode.UNPLUG_AND_RETRY, error.message, { cause: error });
+    }
+    return error;
   }
 
   // eslint-disable-next-line consistent-return
@@ -104,17 +143,12 @@ class AccuChekUSB {
 
       await this.usbDevice.controlTransferIn(getStatus, 2);
 
-      const incoming = await Promise.race([
-        AccuChekUSB.timeout(),
-        this.usbDevice.transferIn(this.usbDevice.usbconfig.inEPnum, 1024),
-      ]);
+      const incoming = await this.receive(5000);
 
       debug('Status:', incoming.status);
 
       if (incoming.status === 'babble') {
-        const error = new Error('Device left plugged in for too long.');
-        error.code = 'E_UNPLUG_AND_RETRY';
-        return cb(error, null);
+        return cb(new UsbError(UsbErrorCode.UNPLUG_AND_RETRY, 'Device left plugged in for too long.'), null);
       }
 
       debug('Received association request:', common.bytes2hex(new Uint8Array(incoming.data.buffer), true));
@@ -126,11 +160,8 @@ class AccuChekUSB {
 
       return cb(null);
     } catch (error) {
-      if (error.message === 'Timeout error') {
-        error.code = 'E_UNPLUG_AND_RETRY';
-      }
       debug('Error:', error);
-      return cb(error, null);
+      return cb(AccuChekUSB.unplugOnTimeout(error), null);
     }
   }
 
@@ -138,10 +169,7 @@ class AccuChekUSB {
     let incoming;
 
     async function getPMStore(self) {
-      incoming = await Promise.race([
-        AccuChekUSB.timeout(),
-        self.usbDevice.transferIn(self.usbDevice.usbconfig.inEPnum, 1024),
-      ]);
+      incoming = await self.receive(5000);
       debug('Received extended config:', common.bytes2hex(new Uint8Array(incoming.data.buffer), true));
       data.extendedConfig = incoming.data;
 
@@ -187,7 +215,7 @@ class AccuChekUSB {
       this.usbDevice.usbconfig.outEPnum,
       AccuChekUSB.buildMDSAttributeRequest(invokeId),
     );
-    incoming = await this.usbDevice.transferIn(this.usbDevice.usbconfig.inEPnum, 1024);
+    incoming = await this.receive();
     debug('Received MDS attribute response:', common.bytes2hex(new Uint8Array(incoming.data.buffer), true));
     invokeId = incoming.data.getUint16(6);
     data.deviceDetails = incoming.data;
@@ -196,7 +224,7 @@ class AccuChekUSB {
       this.usbDevice.usbconfig.outEPnum,
       AccuChekUSB.buildActionRequest(invokeId, data.pmStoreHandle),
     );
-    incoming = await this.usbDevice.transferIn(this.usbDevice.usbconfig.inEPnum, 1024);
+    incoming = await this.receive();
     debug('Received action request response:', common.bytes2hex(new Uint8Array(incoming.data.buffer), true));
     data.pmStoreConfig = incoming.data;
 
@@ -210,7 +238,7 @@ class AccuChekUSB {
       this.usbDevice.usbconfig.outEPnum,
       AccuChekUSB.buildSetTimeRequest(invokeId, pmStoreHandle, timestamp),
     );
-    const incoming = await this.usbDevice.transferIn(this.usbDevice.usbconfig.inEPnum, 1024);
+    const incoming = await this.receive();
     const lastInvokeId = incoming.data.getUint16(6);
     debug('Received set time response:', common.bytes2hex(new Uint8Array(incoming.data.buffer), true));
 
@@ -240,7 +268,7 @@ class AccuChekUSB {
 
       // these requests need to be sequential
       // eslint-disable-next-line no-await-in-loop
-      const incoming = await this.usbDevice.transferIn(this.usbDevice.usbconfig.inEPnum, 1024);
+      const incoming = await this.receive();
       debug('Received data transfer request response:', common.bytes2hex(new Uint8Array(incoming.data.buffer), true));
 
       if (incoming.data.byteLength === 22 && incoming.data.getUint16(20)) {
@@ -257,7 +285,7 @@ class AccuChekUSB {
         while (!done) {
           // these requests need to be sequential
           // eslint-disable-next-line no-await-in-loop
-          const { data } = await this.usbDevice.transferIn(this.usbDevice.usbconfig.inEPnum, 1024);
+          const { data } = await this.receive();
           debug('Data:', common.bytes2hex(new Uint8Array(data.buffer), true));
           pages.push(data);
 
@@ -484,7 +512,7 @@ class AccuChekUSB {
         this.usbDevice.usbconfig.outEPnum,
         AccuChekUSB.buildAssociationReleaseRequest(),
       );
-      const incoming = await this.usbDevice.transferIn(this.usbDevice.usbconfig.inEPnum, 1024);
+      const incoming = await this.receive(5000);
       debug('Release response:', common.bytes2hex(new Uint8Array(incoming.data.buffer), true));
     } catch (error) {
       debug('Could not release device successfully.');
@@ -593,11 +621,7 @@ module.exports = (config) => {
         );
       })().catch((error) => {
         debug('Error in getConfigInfo: ', error);
-        if (error.message === 'Timeout error') {
-          // eslint-disable-next-line no-param-reassign
-          error.code = 'E_UNPLUG_AND_RETRY';
-        }
-        cb(error, null);
+        cb(AccuChekUSB.unplugOnTimeout(error), null);
       });
     },
 
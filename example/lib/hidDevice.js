@@ -17,7 +17,8 @@
 
 /* eslint-disable no-param-reassign, no-use-before-define */
 
-import { promisify } from 'util';
+import { promisify } from './core/promisify';
+import { splitOutputReport } from 'expo-usb-conected';
 
 const debug = require('bows')('HidDevice');
 
@@ -111,23 +112,26 @@ module.exports = (config) => {
     return await response;
   }
 
+  // output report IDs declared by the device's report descriptor, so that report IDs
+  // are discovered instead of being hardcoded per driver
+  function outputReportIds() {
+    const ids = [];
+    (webHid.collections || []).forEach((collection) => {
+      (collection.outputReports || []).forEach((report) => ids.push(report.reportId));
+    });
+    return ids;
+  }
+
   async function send(bytes, callback) {
     const buf = new Uint8Array(bytes);
     if (bytes == null) {
       debug('just tried to send nothing!');
     } else {
         try {
-          // The CareSens driver is so far the only one to make use of report IDs,
-          // as it implements serial over HID using a CP2110 chip
-          if ((config.deviceInfo.driverId === 'CareSens')
-          || (config.deviceInfo.driverId === 'GlucoRx')) {
-            await webHid.sendReport(buf[0], buf.slice(1));
-          } else if (config.deviceInfo.driverId === 'GlucocardShineHID') {
-            // Glucocard Shine Connex & Express uses report ID 1
-            await webHid.sendReport(0x01, buf);
-          } else {
-            await webHid.sendReport(0x00, buf);
-          }
+          // no report IDs -> 0, a single one (e.g. Glucocard Shine) -> that ID,
+          // several (serial over HID on a CP2110, e.g. CareSens) -> first byte is the ID
+          const { reportId, data } = splitOutputReport(outputReportIds(), buf);
+          await webHid.sendReport(reportId, data);
           callback();
         } catch (err) {
           debug('Error:', err);
@@ -0,0 +1,147 @@
+/*
+ * HID Device - Mobile Version
+ * Misma interfaz que lib/hidDevice.js (connect, disconnect, receive, receiveTimeout, send)
+ * pero sobre el módulo nativo expo-usb-conected, para que los drivers estilo Tidepool
+ * funcionen sin cambios en Android
+ */
+
+import { promisify } from './core/promisify';
+import { openDevice, splitOutputReport, toUint8Array } from 'expo-usb-conected';
+import { findInterface, findEndpoint } from './core/driverManifests';
+
+const HID_INTERFACE_CLASS = 3;
+
+module.exports = (config) => {
+  // eslint-disable-next-line no-param-reassign
+  config = config || {};
+  let deviceName = null;
+  let connection = null;
+  let outputReportIds = [];
+  let queue = null;
+
+  // Buscar la interfaz HID y sus endpoints interrupt en los descriptores del dispositivo
+  async function resolveEndpoints() {
+    const descriptor = await connection.getDeviceDescriptor();
+    const hid = findInterface(descriptor, { interfaceClass: HID_INTERFACE_CLASS });
+
+    if (!hid) {
+      throw new Error(`No se encontró interfaz HID en ${deviceName}`);
+    }
+
+    const inEndpoint = findEndpoint(hid.alternate, { direction: 'in', type: 'interrupt' });
+    if (!inEndpoint) {
+      throw new Error('No se encontró endpoint HID IN');
+    }
+
+    return {
+      interfaceNumber: hid.interfaceNumber,
+      inEndpoint,
+    };
+  }
+
+  function connect(deviceInfo, probe, cb) {
+    config.deviceInfo = deviceInfo;
+    deviceName = deviceInfo.deviceName;
+
+    (async () => {
+      console.log(`🔌 Conectando HID nativo: ${deviceName}`);
+      connection = await openDevice(deviceName);
+
+      const endpoints = await resolveEndpoints();
+      await connection.claimInterface(endpoints.interfaceNumber);
+
+      // Los report IDs se descubren del descriptor en lugar de depender del driverId
+      const reportDescriptor = await connection.getHidReportDescriptor();
+      outputReportIds = reportDescriptor.reports
+        .filter((r) => r.type === 'output')
+        .map((r) => r.reportId);
+      console.log(`📋 Output report IDs: ${outputReportIds.join(', ') || 'ninguno'}`);
+
+      queue = connection.createInputReportQueue(endpoints.inEndpoint.address);
+      if (!(await queue.start())) {
+        throw new Error('No se pudo iniciar la lectura continua');
+      }
+    })().then(() => cb()).catch(async (error) => {
+      console.error('❌ Error conectando HID nativo:', error);
+      await release();
+      return cb(error, null);
+    });
+  }
+
+  // Tras un connect fallido la conexión y la cola quedarían abiertas en el módulo:
+  // se cierran sin lanzar para que el error que llega al driver sea el de connect
+  async function release() {
+    if (queue) {
+      await queue.stop().catch(() => undefined);
+      queue = null;
+    }
+    if (connection) {
+      await connection.close().catch(() => undefined);
+      connection = null;
+    }
+  }
+
+  function removeListeners() {
+    if (queue) {
+      queue.stop().catch(() => undefined);
+    }
+  }
+
+  function disconnect(deviceInfo, cb) {
+    if (connection == null) {
+      cb();
+      return;
+    }
+
+    (async () => {
+      if (queue) {
+        await queue.stop();
+        queue = null;
+      }
+      await connection.close();
+      connection = null;
+      console.log('🔒 HID nativo desconectado');
+    })().then(() => cb()).catch((error) => cb(error));
+  }
+
+  async function receive(cb) {
+    return queue.receive(cb);
+  }
+
+  async function receiveTimeout(timeout) {
+    return queue.receiveTimeout(timeout);
+  }
+
+  async function send(bytes, callback) {
+    if (bytes == null) {
+      console.warn('⚠️ Se intentó enviar un report vacío');
+      return;
+    }
+
+    try {
+      const { reportId, data } = splitOutputReport(outputReportIds, toUint8Array(bytes));
+      await connection.sendReport(reportId, data);
+      callback();
+    } catch (err) {
+      console.error('❌ Error:', err);
+      callback(err);
+    }
+  }
+
+  // Igual que en hidDevice.js: el primer byte es el report ID
+  async function sendFeatureReport(bytes) {
+    const buf = toUint8Array(bytes);
+    await connection.sendFeatureReport(buf[0], buf.subarray(1));
+  }
+
+  return {
+    connect,
+    disconnect,
+    removeListeners,
+    receive,
+    receiveTimeout,
+    sendPromisified: promisify(send),
+    send,
+    sendFeatureReport,
+  };
+};
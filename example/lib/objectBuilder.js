@@ -41,7 +41,6 @@
  */
 
 var _ = require('lodash');
-var util = require('util');
 
 module.exports = function () {
   var REQUIRED = '**REQUIRED**';
@@ -96,7 +95,7 @@ module.exports = function () {
         }, []);
         if (valid.length !== 0) {
           console.log('Invalid record:', JSON.stringify(this, null, 4));
-          throw new Error(util.format('Some arguments to %s(%j) were not specified!', this.type, valid.join(',')));
+          throw new Error('Some arguments to ' + this.type + '(' + JSON.stringify(valid.join(',')) + ') were not specified!');
         }
 
         // TODO: delete after conclusion of Jaeb study
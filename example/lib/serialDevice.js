@@ -14,6 +14,8 @@
  * not, you can obtain one from Tidepool Project at tidepool.org.
  * == BSD2 LICENSE ==
  */
+import { openSerial } from 'expo-usb-conected';
+
 var _ = require('lodash');
 var async = require('async');
 
@@ -43,12 +45,17 @@ module.exports = function(config) {
   var packetHandler = null;
   var errorHandler = null;
   var bitrate = config.bitrate || 9600;
+  var dataBits = config.dataBits || 8;
   var stopBits = config.stopBits || 1;
+  var parity = config.parity || 'none';
+  // 'hardware' is RTS/CTS, as in Web Serial and openSerial
+  var flowControl = config.flowControl || 'none';
   var RETRIES = 8;
   var TIME_TO_WAIT = 2000;
   var reader = null;
   var keepReading = null;
   var closed = null;
+  var nativeSerial = false;
 
   function init() {
     connection = null;
@@ -58,6 +65,7 @@ module.exports = function(config) {
     packetHandler = null;
     reader = null;
     keepReading = true;
+    nativeSerial = false;
   }
 
   init();
@@ -126,6 +134,27 @@ module.exports = function(config) {
     }
   }
 
+  // On Android the serial bridge is driven by the native module, which has no
+  // data event for serial ports, so we poll with short timeouts instead.
+  // A timeout resolves with an empty array, any other error ends the loop
+  // and is passed to the errorHandler, if there is one.
+  async function nativeSerialListener(port) {
+    while (keepReading && port.opened) {
+      try {
+        const bytes = await port.read(4096, 250);
+        if (bytes.length > 0) {
+          _receiveSomeBytes(bytes);
+        }
+      } catch (error) {
+        if (keepReading) {
+          debug('Native serial read error:', error);
+          errorListener({ error });
+        }
+        break;
+      }
+    }
+  }
+
   // if an errorHandler was specified, then we call it with every error.
   // If it returns anything, it should return either a string or an array
   // containing the bytes it wants to insert into the buffer.
@@ -158,13 +187,28 @@ module.exports = function(config) {
       stopBits = deviceInfo.stopBits;
     }
 
+    if (!!deviceInfo.dataBits) {
+      dataBits = deviceInfo.dataBits;
+    }
+
+    if (!!deviceInfo.parity) {
+      parity = deviceInfo.parity;
+    }
+
+    if (!!deviceInfo.flowControl) {
+      flowControl = deviceInfo.flowControl;
+    }
+
     debug('in SerialDevice.connect, info ', deviceInfo);
 
     var connectopts = {
       baudRate: bitrate,
       autoOpen: false,
       bufferSize: 262144,
+      dataBits: dataBits,
       stopBits: stopBits,
+      parity: parity,
+      flowControl: flowControl,
     };
 
     async function checkWebSerialPort() {
@@ -184,6 +228,8 @@ module.exports = function(config) {
     }
 
     function openPort(cb) {
+      // Web Serial first: on the web every device also gets a (synthetic) deviceName,
+      // and WebUSB devices with a user space driver carry their usbDevice
       if (deviceInfo.port) {
         (async () => {
           debug(`Connecting using Web Serial API using ${JSON.stringify(connectopts)}..`);
@@ -210,6 +256,39 @@ module.exports = function(config) {
           await checkWebSerialPort();
           return cb(error, null);
         });
+      } else if (deviceInfo.deviceName && !deviceInfo.usbDevice) {
+        (async () => {
+          debug(`Connecting using the native serial driver using ${JSON.stringify(connectopts)}..`);
+          const port = await openSerial(deviceInfo.deviceName, {
+            baudRate: bitrate,
+            dataBits: dataBits,
+            stopBits: stopBits,
+            parity: parity,
+            flowControl: flowControl,
+          });
+
+          if (deviceInfo.ctsFlowControl) {
+            debug('Setting flow control...');
+            await port.setSignals({ dataTerminalReady: false, requestToSend: true });
+          }
+
+          debug('connected via native ' + port.driver + ' driver');
+          connection = port;
+          nativeSerial = true;
+          closed = nativeSerialListener(port);
+        })().then(() => {
+          return cb();
+        }).catch(async (error) => {
+          debug('Error during native serial connect:', error);
+          keepReading = false;
+          await closed;
+          if (connection) {
+            await connection.close();
+          }
+          connection = null;
+          keepReading = true;
+          return cb(error, null);
+        });
       } else {
         debug('Connecting via user space driver');
 
@@ -273,9 +352,11 @@ module.exports = function(config) {
         setPacketHandler(handler.packetHandler);
         if (handler.errorHandler) {
           setErrorHandler(handler.errorHandler);
-          connection.on('error', function (err) {
-            errorListener(err);
-          });
+          if (!nativeSerial) {
+            connection.on('error', function (err) {
+              errorListener(err);
+            });
+          }
         }
       }
 
@@ -295,7 +376,23 @@ module.exports = function(config) {
 
   function disconnect(cb) {
     if (connection) {
-      if (reader) {
+      if (nativeSerial) {
+        (async () => {
+          keepReading = false;
+          await closed;
+          await connection.close();
+          init();
+          if (cb) {
+            cb();
+          }
+        })().catch((error) => {
+          debug('Error during native serial close:', error);
+          init();
+          if (cb) {
+            cb(error);
+          }
+        });
+      } else if (reader) {
         (async () => {
           keepReading = false;
 
@@ -367,7 +464,14 @@ module.exports = function(config) {
         debug('No connection details available.');
         callback(new Error('No connection details available.'));
       } else {
-        if (connection.writable && !connection.userSpaceDriver) {
+        if (nativeSerial) {
+          connection.write(bufView).then(() => {
+            return callback();
+          }).catch((error) => {
+            debug('Error during native serial write:', error);
+            return callback(error, null);
+          });
+        } else if (connection.writable && !connection.userSpaceDriver) {
           // hey, we're using the web serial API!
           (async () => {
             const writer = connection.writable.getWriter();
@@ -0,0 +1,289 @@
+/*
+ * Framers reutilizables para serialDevice.js
+ *
+ * Cada framer expone `packetHandler`, que se pasa a serialDevice.connect() o a
+ * setPacketHandler() y trabaja sobre el mismo bufobj (get, len, discard, bytes),
+ * y `onError`, que recibe los errores de framing como eventos tipados en lugar de
+ * tirarlos en silencio:
+ *
+ *   const framer = createStxEtxFramer({ checksum: CHECKSUMS.crcA });
+ *   framer.onError((event) => console.warn(`⚠️ ${event.type}: ${event.message}`));
+ *   serial.connect(deviceInfo, framer, cb);
+ *
+ * Un frame inválido se descarta del buffer y el framer sigue buscando el siguiente.
+ */
+
+import crc from './crc';
+
+export const FRAMING_ERROR = {
+  // Bytes antes del inicio de un frame
+  DISCARDED_BYTES: 'discarded-bytes',
+  CHECKSUM_MISMATCH: 'checksum-mismatch',
+  INVALID_LENGTH: 'invalid-length',
+  // El buffer supera maxLength sin que aparezca el final del frame
+  OVERFLOW: 'overflow',
+  // Respuesta de texto de Abbott que no sigue el formato CKSM:/CMD
+  MALFORMED_REPLY: 'malformed-reply',
+  // El medidor respondió "CMD Fail!"
+  COMMAND_FAILED: 'command-failed',
+};
+
+// Checksums sobre un Uint8Array
+export const CHECKSUMS = {
+  crcA: (bytes) => crc.calcCRC_A(bytes, bytes.length),
+  crcD: (bytes) => crc.calcCRC_D(bytes, bytes.length),
+  sum8: (bytes) => bytes.reduce((sum, byte) => (sum + byte) & 0xFF, 0),
+  xor8: (bytes) => bytes.reduce((acc, byte) => acc ^ byte, 0),
+};
+
+const textDecoder = new TextDecoder();
+
+const readBytes = (buffer, start, end) => {
+  const bytes = new Uint8Array(end - start);
+  for (let i = start; i < end; i++) {
+    bytes[i - start] = buffer.get(i);
+  }
+  return bytes;
+};
+
+const readUint = (bytes, offset, length, littleEndian) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    const byte = bytes[littleEndian ? offset + length - 1 - i : offset + i];
+    value = value * 256 + byte;
+  }
+  return value;
+};
+
+const indexOf = (buffer, byte, from = 0) => {
+  for (let i = from; i < buffer.len(); i++) {
+    if (buffer.get(i) === byte) return i;
+  }
+  return -1;
+};
+
+// Base de los framers: `extract` devuelve { packet }, { skip: true } si descartó
+// bytes del buffer, o null si hace falta esperar más datos
+function createFramer(extract) {
+  const listeners = new Set();
+
+  const report = (type, message, details = {}) => {
+    const event = { type, message, ...details };
+    listeners.forEach((listener) => listener(event));
+  };
+
+  const discard = (buffer, count, type, message, details = {}) => {
+    const bytes = readBytes(buffer, 0, count);
+    buffer.discard(count);
+    report(type, message, { bytes, ...details });
+    return { skip: true };
+  };
+
+  return {
+    packetHandler(buffer) {
+      for (;;) {
+        const result = extract(buffer, { report, discard });
+        if (result === null) return null;
+        if (result.packet) return result.packet;
+      }
+    },
+
+    onError(listener) {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+  };
+}
+
+// STX, payload, ETX y checksum (calculado sobre STX..ETX). El payload no puede
+// contener el byte ETX: no se hace escape con DLE
+export function createStxEtxFramer({
+  stx = 0x02,
+  etx = 0x03,
+  checksum = CHECKSUMS.crcA,
+  checksumLength = 2,
+  littleEndian = true,
+  maxLength = 1024,
+} = {}) {
+  return createFramer((buffer, { discard }) => {
+    if (buffer.len() === 0) return null;
+
+    const start = indexOf(buffer, stx);
+    if (start < 0) {
+      return discard(buffer, buffer.len(), FRAMING_ERROR.DISCARDED_BYTES, 'No hay STX en el buffer');
+    }
+    if (start > 0) {
+      return discard(buffer, start, FRAMING_ERROR.DISCARDED_BYTES, `${start} bytes antes del STX`);
+    }
+
+    const end = indexOf(buffer, etx, 1);
+    if (end < 0) {
+      if (buffer.len() > maxLength) {
+        return discard(buffer, 1, FRAMING_ERROR.OVERFLOW, `Sin ETX en ${buffer.len()} bytes`);
+      }
+      return null;
+    }
+
+    const frameLength = end + 1 + checksumLength;
+    if (buffer.len() < frameLength) return null;
+
+    const frame = readBytes(buffer, 0, frameLength);
+    const expected = checksum(frame.subarray(0, end + 1));
+    const actual = readUint(frame, end + 1, checksumLength, littleEndian);
+    if (expected !== actual) {
+      // Solo se descarta el STX: el siguiente frame puede empezar dentro de este
+      return discard(buffer, 1, FRAMING_ERROR.CHECKSUM_MISMATCH, 'Checksum incorrecto', {
+        expected,
+        actual,
+        frame,
+      });
+    }
+
+    buffer.discard(frameLength);
+    return { packet: { bytes: frame, payload: frame.subarray(1, end), checksum: actual } };
+  });
+}
+
+// Cabecera fija opcional, longitud, payload y checksum opcional sobre todo lo anterior.
+// `lengthIncludes`: 'payload' si la longitud solo cuenta el payload, 'frame' si
+// cuenta el frame entero (cabecera, longitud y checksum incluidos)
+export function createLengthPrefixedFramer({
+  header = [],
+  lengthBytes = 1,
+  littleEndian = true,
+  lengthIncludes = 'payload',
+  checksum = null,
+  checksumLength = 2,
+  maxLength = 1024,
+} = {}) {
+  const prefixLength = header.length + lengthBytes;
+  const trailerLength = checksum ? checksumLength : 0;
+
+  return createFramer((buffer, { discard }) => {
+    if (buffer.len() === 0) return null;
+
+    for (let i = 0; i < header.length && i < buffer.len(); i++) {
+      if (buffer.get(i) !== header[i]) {
+        return discard(buffer, 1, FRAMING_ERROR.DISCARDED_BYTES, 'Cabecera no encontrada');
+      }
+    }
+    if (buffer.len() < prefixLength) return null;
+
+    const length = readUint(readBytes(buffer, header.length, prefixLength), 0, lengthBytes, littleEndian);
+    const frameLength = lengthIncludes === 'frame' ? length : prefixLength + length + trailerLength;
+    if (frameLength < prefixLength + trailerLength || frameLength > maxLength) {
+      return discard(buffer, 1, FRAMING_ERROR.INVALID_LENGTH, `Longitud fuera de rango: ${length}`, { length });
+    }
+    if (buffer.len() < frameLength) return null;
+
+    const frame = readBytes(buffer, 0, frameLength);
+    const payloadEnd = frameLength - trailerLength;
+    let actual;
+    if (checksum) {
+      const expected = checksum(frame.subarray(0, payloadEnd));
+      actual = readUint(frame, payloadEnd, checksumLength, littleEndian);
+      if (expected !== actual) {
+        return discard(buffer, 1, FRAMING_ERROR.CHECKSUM_MISMATCH, 'Checksum incorrecto', {
+          expected,
+          actual,
+          frame,
+        });
+      }
+    }
+
+    buffer.discard(frameLength);
+    return { packet: { bytes: frame, payload: frame.subarray(prefixLength, payloadEnd), checksum: actual } };
+  });
+}
+
+// Líneas de texto ASCII terminadas en `delimiter` (sin incluirlo en `text`)
+export function createLineFramer({ delimiter = '\r\n', maxLength = 4096 } = {}) {
+  const terminator = Array.from(delimiter, (char) => char.charCodeAt(0));
+
+  const findTerminator = (buffer) => {
+    for (let i = 0; i + terminator.length <= buffer.len(); i++) {
+      if (terminator.every((byte, j) => buffer.get(i + j) === byte)) return i;
+    }
+    return -1;
+  };
+
+  return createFramer((buffer, { discard }) => {
+    const end = findTerminator(buffer);
+    if (end < 0) {
+      if (buffer.len() > maxLength) {
+        return discard(buffer, buffer.len(), FRAMING_ERROR.OVERFLOW, `Línea de más de ${maxLength} bytes`);
+      }
+      return null;
+    }
+
+    const frameLength = end + terminator.length;
+    const bytes = readBytes(buffer, 0, frameLength);
+    buffer.discard(frameLength);
+    return { packet: { bytes, text: textDecoder.decode(bytes.subarray(0, end)) } };
+  });
+}
+
+const ABBOTT_TERMINATORS = ['CMD OK\r\n', 'CMD Fail!\r\n'];
+const ABBOTT_REPLY = /^([\s\S]*)CKSM:([0-9A-F]{8})\r\nCMD (OK|Fail!)\r\n$/;
+
+// Checksum de las respuestas de texto de Abbott: suma de los bytes del cuerpo,
+// incluido el CRLF que precede a CKSM:
+export const abbottTextChecksum = (text) => Array.from(text).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+
+// Respuesta a un comando `$cmd?`: cuerpo, CKSM:XXXXXXXX y CMD OK / CMD Fail!.
+// Devuelve { text, checksum, ok } o { error: { type, message } } sin lanzar
+export function parseAbbottTextReply(reply) {
+  const match = reply.match(ABBOTT_REPLY);
+  if (!match) {
+    return { error: { type: FRAMING_ERROR.MALFORMED_REPLY, message: 'Respuesta sin CKSM:/CMD' } };
+  }
+
+  const [, body, checksumHex, status] = match;
+  const expected = abbottTextChecksum(body);
+  const actual = parseInt(checksumHex, 16);
+  if (expected !== actual) {
+    return {
+      error: { type: FRAMING_ERROR.CHECKSUM_MISMATCH, message: 'CKSM no coincide con el cuerpo', expected, actual },
+    };
+  }
+
+  return { text: body.replace(/\r\n$/, ''), checksum: actual, ok: status === 'OK' };
+}
+
+// Respuestas de texto de Abbott: acumula hasta `CMD OK` o `CMD Fail!` y valida el
+// CKSM. "CMD Fail!" se entrega como paquete con ok: false y además como evento
+export function createAbbottTextFramer({ maxLength = 65536 } = {}) {
+  return createFramer((buffer, { report, discard }) => {
+    if (buffer.len() === 0) return null;
+
+    const text = textDecoder.decode(buffer.bytes());
+    const ends = ABBOTT_TERMINATORS
+      .map((terminator) => {
+        const index = text.indexOf(terminator);
+        return index < 0 ? -1 : index + terminator.length;
+      })
+      .filter((end) => end >= 0);
+
+    if (ends.length === 0) {
+      if (buffer.len() > maxLength) {
+        return discard(buffer, buffer.len(), FRAMING_ERROR.OVERFLOW, `Respuesta de más de ${maxLength} bytes`);
+      }
+      return null;
+    }
+
+    const end = Math.min(...ends);
+    const reply = text.slice(0, end);
+    const bytes = readBytes(buffer, 0, end);
+    buffer.discard(end);
+
+    const parsed = parseAbbottTextReply(reply);
+    if (parsed.error) {
+      report(parsed.error.type, parsed.error.message, { ...parsed.error, bytes });
+      return { skip: true };
+    }
+    if (!parsed.ok) {
+      report(FRAMING_ERROR.COMMAND_FAILED, 'El medidor respondió CMD Fail!', { bytes });
+    }
+    return { packet: { bytes, text: parsed.text, checksum: parsed.checksum, ok: parsed.ok } };
+  });
+}
@@ -0,0 +1,351 @@
+/*
+ * Adaptadores de Transport (open, close, write, read(timeout), onData, flush)
+ * para hidDevice.js, serialDevice.js, usbDevice.js, bleDevice.js, el módulo
+ * nativo y el usbApi que reciben los drivers, para que los drivers no dependan
+ * de cómo llegan los bytes. Un error de lectura lo recibe el siguiente read():
+ *
+ *   const transport = createHidTransport(hidDevice(), deviceInfo);
+ *   await transport.open();
+ *   await transport.write(frame);
+ *   const chunk = await transport.read(1000); // Uint8Array vacío si vence el timeout
+ *   await transport.close();
+ */
+
+import {
+  UsbErrorCode,
+  createTransport,
+  createTransportQueue,
+  isUsbError,
+  toUint8Array,
+} from 'expo-usb-conected';
+
+import { promisify } from './core/promisify';
+
+// Espera de cada vuelta de los bucles de lectura: acota lo que tarda close()
+const POLL_INTERVAL = 250;
+
+// Base común: `start` conecta y empieza a alimentar la cola, `stop` desconecta.
+// `start` recibe también `fail(error)`: el siguiente read() rechaza con ese error
+function createQueuedTransport({ start, stop, write }) {
+  const queue = createTransportQueue();
+  let opened = false;
+  let failure = null;
+
+  const fail = (error) => {
+    failure = error;
+    queue.release();
+  };
+
+  return {
+    get opened() {
+      return opened;
+    },
+
+    async open() {
+      if (opened) {
+        return;
+      }
+      failure = null;
+      await start(queue, fail);
+      opened = true;
+    },
+
+    async close() {
+      if (!opened) {
+        return;
+      }
+      opened = false;
+      queue.release();
+      await stop();
+    },
+
+    async write(data) {
+      if (!opened) {
+        throw new Error('El transporte está cerrado');
+      }
+      await write(toUint8Array(data));
+    },
+
+    async read(timeout) {
+      if (!opened) {
+        throw new Error('El transporte está cerrado');
+      }
+      if (failure) {
+        throw failure;
+      }
+      const chunk = await queue.read(timeout);
+      if (failure && chunk.length === 0) {
+        throw failure;
+      }
+      return chunk;
+    },
+
+    onData(listener) {
+      return queue.onData(listener);
+    },
+
+    flush() {
+      queue.flush();
+    },
+  };
+}
+
+// hidDevice.js o nativeHidDevice.js (misma interfaz de callbacks). Sus colas de
+// input reports se vacían con receiveTimeout, que vuelve en cuanto llega un report
+export function createHidTransport(hidDevice, deviceInfo) {
+  let pumping = null;
+  let running = false;
+
+  async function pump(queue, fail) {
+    while (running) {
+      try {
+        const report = await hidDevice.receiveTimeout(POLL_INTERVAL);
+        if (running && report.length > 0) {
+          queue.push(Uint8Array.from(report));
+        }
+      } catch (error) {
+        if (running) {
+          fail(error);
+        }
+        running = false;
+      }
+    }
+  }
+
+  return createQueuedTransport({
+    async start(queue, fail) {
+      await promisify(hidDevice.connect)(deviceInfo, null);
+      running = true;
+      pumping = pump(queue, fail);
+    },
+    async stop() {
+      running = false;
+      await pumping;
+      await promisify(hidDevice.disconnect)(deviceInfo);
+    },
+    async write(data) {
+      await hidDevice.sendPromisified(data);
+    },
+  });
+}
+
+// serialDevice.js: el packet handler entrega cada trozo recibido tal cual, sin
+// separar paquetes (de eso se encarga el driver sobre el transporte). Los errores
+// del puerto llegan por el errorHandler
+export function createSerialTransport(serialDevice, deviceInfo) {
+  return createQueuedTransport({
+    async start(queue, fail) {
+      const packetHandler = (buffer) => {
+        if (buffer.len() > 0) {
+          queue.push(buffer.bytes());
+          buffer.discard(buffer.len());
+        }
+        return null;
+      };
+      // serialDevice.js mete en el buffer los bytes que devuelva el errorHandler
+      const errorHandler = (info) => {
+        fail(info.error instanceof Error ? info.error : new Error(`Error del puerto serie: ${info.error}`));
+        return [];
+      };
+      await promisify(serialDevice.connect)(deviceInfo, { packetHandler, errorHandler });
+    },
+    async stop() {
+      serialDevice.clearPacketHandler();
+      await promisify(serialDevice.disconnect)();
+    },
+    async write(data) {
+      await promisify(serialDevice.writeSerial)(Array.from(data));
+    },
+  });
+}
+
+// usbDevice.js (WebUSB): reclama la interfaz y lee el endpoint IN en bucle,
+// porque WebUSB no emite eventos de datos. `options`: { interfaceNumber, inEndpoint,
+// outEndpoint } con números de endpoint (sin el bit de dirección), como en WebUSB
+export function createUsbTransport(usbDevice, options = {}) {
+  let device = null;
+  let pumping = null;
+  let running = false;
+  let endpoints = null;
+
+  function resolveEndpoints() {
+    const usbInterface = device.configuration.interfaces.find((candidate) =>
+      options.interfaceNumber === undefined || candidate.interfaceNumber === options.interfaceNumber);
+    if (!usbInterface) {
+      throw new Error(`Interfaz ${options.interfaceNumber} no encontrada`);
+    }
+
+    const alternate = usbInterface.alternates[0];
+    const find = (direction) => alternate.endpoints.find((endpoint) =>
+      endpoint.direction === direction && endpoint.type !== 'isochronous');
+
+    const input = options.inEndpoint ?? find('in')?.endpointNumber;
+    const output = options.outEndpoint ?? find('out')?.endpointNumber;
+    if (input === undefined || output === undefined) {
+      throw new Error('No se encontraron los endpoints IN/OUT');
+    }
+
+    const packetSize = find('in')?.packetSize ?? 64;
+    return { interfaceNumber: usbInterface.interfaceNumber, input, output, packetSize };
+  }
+
+  async function pump(queue, fail) {
+    while (running) {
+      try {
+        const result = await device.transferIn(endpoints.input, endpoints.packetSize);
+        if (running && result.data && result.data.byteLength > 0) {
+          queue.push(new Uint8Array(result.data.buffer, result.data.byteOffset, result.data.byteLength));
+        }
+      } catch (error) {
+        if (running) {
+          console.error('❌ Error leyendo del endpoint USB:', error);
+          fail(error);
+        }
+        running = false;
+      }
+    }
+  }
+
+  return createQueuedTransport({
+    async start(queue, fail) {
+      device = await usbDevice.open();
+      endpoints = resolveEndpoints();
+      await device.claimInterface(endpoints.interfaceNumber);
+      running = true;
+      pumping = pump(queue, fail);
+    },
+    async stop() {
+      running = false;
+      // transferIn no tiene timeout: cerrar el dispositivo la cancela
+      await usbDevice.close();
+      await pumping;
+    },
+    async write(data) {
+      await device.transferOut(endpoints.output, data);
+    },
+  });
+}
+
+// bleDevice.js (Web Bluetooth): notificaciones de una característica como entrada
+// y escritura en otra. `options`: { service, notify, write } (UUIDs); sin `write`
+// el transporte solo recibe. Varios transportes pueden compartir la conexión GATT,
+// así que close() solo para las notificaciones: desconectar es cosa de bleDevice.close().
+// Si el medidor corta la conexión GATT, el siguiente read() rechaza
+export function createBleTransport(bleDevice, options) {
+  let notifyCharacteristic = null;
+  let writeCharacteristic = null;
+  let onValueChanged = null;
+  let onDisconnected = null;
+
+  return createQueuedTransport({
+    async start(queue, fail) {
+      notifyCharacteristic = await bleDevice.getCharacteristic(options.service, options.notify);
+      if (options.write !== undefined) {
+        writeCharacteristic = await bleDevice.getCharacteristic(options.service, options.write);
+      }
+
+      onValueChanged = (event) => {
+        const { value } = event.target;
+        queue.push(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+      };
+      onDisconnected = () => fail(new Error('El dispositivo Bluetooth se desconectó'));
+      notifyCharacteristic.addEventListener('characteristicvaluechanged', onValueChanged);
+      bleDevice.ble.addEventListener('gattserverdisconnected', onDisconnected);
+      await notifyCharacteristic.startNotifications();
+    },
+    async stop() {
+      notifyCharacteristic.removeEventListener('characteristicvaluechanged', onValueChanged);
+      bleDevice.ble.removeEventListener('gattserverdisconnected', onDisconnected);
+      if (bleDevice.connected) {
+        await notifyCharacteristic.stopNotifications();
+      }
+    },
+    async write(data) {
+      if (!writeCharacteristic) {
+        throw new Error(`La característica ${options.notify} solo admite notificaciones`);
+      }
+      await writeCharacteristic.writeValue(data);
+    },
+  });
+}
+
+// usbApi de un driver (createUsbApi), sobre un dispositivo que el driver ya abrió y
+// cuya interfaz ya reclamó. Lee con la lectura continua nativa si el módulo la
+// soporta y se indica `inEndpoint` (con readData en bucle se pierden o duplican
+// frames entre lecturas); si no, con readData. Un error de readData que no sea un
+// timeout (p. ej. la desconexión) lo recibe el siguiente read()
+export function createUsbApiTransport(usbModule, deviceName, { inEndpoint } = {}) {
+  let inputQueue = null;
+  let pumping = null;
+  let running = false;
+
+  async function startInputQueue() {
+    if (!usbModule.createInputReportQueue || inEndpoint == null) {
+      console.log('ℹ️ Lectura continua no disponible, usando readData');
+      return null;
+    }
+
+    const candidate = usbModule.createInputReportQueue(deviceName, inEndpoint);
+    if (!(await candidate.start())) {
+      console.warn('⚠️ No se pudo iniciar la lectura continua, usando readData');
+      return null;
+    }
+    console.log(`▶️ Lectura continua en endpoint 0x${inEndpoint.toString(16).toUpperCase()}`);
+    return candidate;
+  }
+
+  async function receive(timeout) {
+    if (inputQueue) {
+      return inputQueue.receiveTimeout(timeout);
+    }
+    try {
+      return await usbModule.readData(deviceName, timeout);
+    } catch (error) {
+      if (isUsbError(error, UsbErrorCode.TIMEOUT)) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async function pump(queue, fail) {
+    while (running) {
+      try {
+        const report = await receive(POLL_INTERVAL);
+        if (running && report.length > 0) {
+          queue.push(Uint8Array.from(report));
+        }
+      } catch (error) {
+        if (running) {
+          fail(error);
+        }
+        running = false;
+      }
+    }
+  }
+
+  return createQueuedTransport({
+    async start(queue, fail) {
+      inputQueue = await startInputQueue();
+      running = true;
+      pumping = pump(queue, fail);
+    },
+    async stop() {
+      running = false;
+      await pumping;
+      if (inputQueue) {
+        const stopping = inputQueue;
+        inputQueue = null;
+        await stopping.stop();
+      }
+    },
+    async write(data) {
+      await usbModule.writeData(deviceName, data);
+    },
+  });
+}
+
+// Módulo nativo: la cola se alimenta de la lectura continua (startReading/onData)
+export function createNativeUsbTransport(deviceInfo, options = {}) {
+  return createTransport(deviceInfo.deviceName, options);
+}
@@ -0,0 +1,226 @@
+/*
+ * Modelo de progreso de la subida
+ *
+ * Todas las capas (async.js, asyncDriverManager y los drivers) emiten el mismo
+ * evento y progressReducer lo convierte en un único estado listo para la UI:
+ *
+ *   let state = initialProgressState;
+ *   const onProgress = (event) => {
+ *     state = progressReducer(state, event);
+ *     render(state); // state.percentage, state.message, state.etaMs, state.cancellable...
+ *   };
+ *   onProgress(createProgressEvent(PROGRESS_PHASE.FETCH_DATA, { records: { received: 12, expected: null } }));
+ *
+ * Evento:
+ *   phase        una de PROGRESS_PHASE
+ *   subStep      { index, total } dentro de la fase (el driver de Abbott: 1/4, 2/4...)
+ *   percentage   porcentaje de la fase, si quien emite lo sabe (drivers de Tidepool)
+ *   records      { received, expected } (expected null si el medidor no lo anuncia)
+ *   bytes        { transferred, expected }
+ *   cancellable  si "Cancelar subida" tiene efecto ahora (por defecto, el de la fase)
+ *   message      texto para el usuario
+ *   type         'progress' | 'complete' | 'error'
+ */
+
+export const PROGRESS_PHASE = {
+  DETECT: 'detect',
+  PERMISSION: 'permission',
+  SETUP: 'setup',
+  CONNECT: 'connect',
+  GET_CONFIG_INFO: 'getConfigInfo',
+  FETCH_DATA: 'fetchData',
+  PROCESS_DATA: 'processData',
+  UPLOAD_DATA: 'uploadData',
+  DISCONNECT: 'disconnect',
+  CLEANUP: 'cleanup',
+};
+
+// Fases en orden, con su parte de la barra (suman 100). Los pasos de driverManager
+// conservan el peso relativo que les daba statusManager
+export const PROGRESS_PHASES = [
+  { phase: PROGRESS_PHASE.DETECT, weight: 2, cancellable: true, message: 'Detectando dispositivo...' },
+  { phase: PROGRESS_PHASE.PERMISSION, weight: 1, cancellable: true, message: 'Solicitando permisos...' },
+  { phase: PROGRESS_PHASE.SETUP, weight: 2, cancellable: true, message: 'Preparando driver...' },
+  { phase: PROGRESS_PHASE.CONNECT, weight: 5, cancellable: true, message: 'Conectando dispositivo...' },
+  { phase: PROGRESS_PHASE.GET_CONFIG_INFO, weight: 4, cancellable: true, message: 'Leyendo configuración...' },
+  { phase: PROGRESS_PHASE.FETCH_DATA, weight: 56, cancellable: true, message: 'Obteniendo registros...' },
+  { phase: PROGRESS_PHASE.PROCESS_DATA, weight: 5, cancellable: true, message: 'Procesando registros...' },
+  { phase: PROGRESS_PHASE.UPLOAD_DATA, weight: 15, cancellable: true, message: 'Subiendo datos...' },
+  // Cerrar y limpiar se hace siempre, también tras cancelar
+  { phase: PROGRESS_PHASE.DISCONNECT, weight: 5, cancellable: false, message: 'Cerrando conexión...' },
+  { phase: PROGRESS_PHASE.CLEANUP, weight: 5, cancellable: false, message: 'Limpiando...' },
+];
+
+// El ETA no es fiable hasta llevar algo de barra recorrida
+const MIN_PERCENTAGE_FOR_ETA = 5;
+
+const now = () => Date.now();
+
+const clampPercentage = (value) => Math.min(100, Math.max(0, value));
+
+// Crea un evento de la fase `phase`. `update` es un porcentaje de la fase (los drivers
+// de Tidepool llaman a progress(50)) o un evento parcial ({ subStep, records, message... })
+export const createProgressEvent = (phase, update = {}) => {
+  const fields = typeof update === 'number' ? { percentage: update } : update;
+  return {
+    type: 'progress',
+    subStep: null,
+    percentage: null,
+    records: null,
+    bytes: null,
+    message: null,
+    ...fields,
+    phase,
+    timestamp: fields.timestamp ?? now(),
+  };
+};
+
+export const createCompleteEvent = (message = 'Subida completada') => ({
+  type: 'complete',
+  message,
+  timestamp: now(),
+});
+
+export const createErrorEvent = (error) => ({
+  type: 'error',
+  error,
+  message: error?.message ?? String(error),
+  timestamp: now(),
+});
+
+export const initialProgressState = {
+  phase: null,
+  phaseIndex: -1,
+  totalPhases: PROGRESS_PHASES.length,
+  subStep: null,
+  message: '',
+  percentage: 0, // de toda la subida
+  phasePercentage: 0,
+  records: null,
+  bytes: null,
+  etaMs: null,
+  cancellable: false,
+  status: 'idle', // 'idle' | 'running' | 'complete' | 'error'
+  error: null,
+  startedAt: null,
+  updatedAt: null,
+};
+
+// Porcentaje de la fase: el explícito y, si no, registros, bytes o sub-paso
+const phasePercentageOf = (event) => {
+  if (event.percentage != null) {
+    return event.percentage;
+  }
+  if (event.records?.expected) {
+    return (event.records.received / event.records.expected) * 100;
+  }
+  if (event.bytes?.expected) {
+    return (event.bytes.transferred / event.bytes.expected) * 100;
+  }
+  if (event.subStep?.total) {
+    return (event.subStep.index / event.subStep.total) * 100;
+  }
+  return 0;
+};
+
+// Barra recorrida antes de la fase `phaseIndex`
+const percentageBefore = (phaseIndex) => PROGRESS_PHASES
+  .slice(0, phaseIndex)
+  .reduce((total, { weight }) => total + weight, 0);
+
+export const progressReducer = (state = initialProgressState, event) => {
+  const startedAt = state.startedAt ?? event.timestamp;
+
+  if (event.type === 'complete') {
+    return {
+      ...state,
+      message: event.message,
+      percentage: 100,
+      phasePercentage: 100,
+      etaMs: 0,
+      cancellable: false,
+      status: 'complete',
+      startedAt,
+      updatedAt: event.timestamp,
+    };
+  }
+
+  if (event.type === 'error') {
+    return {
+      ...state,
+      message: event.message,
+      etaMs: null,
+      cancellable: false,
+      status: 'error',
+      error: event.error,
+      startedAt,
+      updatedAt: event.timestamp,
+    };
+  }
+
+  const phaseIndex = PROGRESS_PHASES.findIndex(({ phase }) => phase === event.phase);
+  if (phaseIndex < 0) {
+    console.warn(`⚠️ Fase de progreso desconocida: ${event.phase}`);
+    return state;
+  }
+
+  const definition = PROGRESS_PHASES[phaseIndex];
+  const samePhase = phaseIndex === state.phaseIndex;
+  const phasePercentage = clampPercentage(phasePercentageOf(event));
+  // La barra no retrocede: tras una reconexión el driver repite sub-pasos ya hechos
+  const percentage = Math.max(
+    state.percentage,
+    percentageBefore(phaseIndex) + (definition.weight * phasePercentage) / 100
+  );
+  const elapsedMs = event.timestamp - startedAt;
+
+  return {
+    ...state,
+    phase: definition.phase,
+    phaseIndex,
+    subStep: event.subStep ?? (samePhase ? state.subStep : null),
+    message: event.message ?? (samePhase ? state.message : definition.message),
+    percentage,
+    phasePercentage,
+    // Los contadores se conservan mientras dure la fase
+    records: event.records ?? (samePhase ? state.records : null),
+    bytes: event.bytes ?? (samePhase ? state.bytes : null),
+    etaMs: percentage >= MIN_PERCENTAGE_FOR_ETA && percentage < 100
+      ? Math.round((elapsedMs * (100 - percentage)) / percentage)
+      : null,
+    cancellable: event.cancellable ?? definition.cancellable,
+    status: 'running',
+    error: null,
+    startedAt,
+    updatedAt: event.timestamp,
+  };
+};
+
+// Texto de una línea para logs: "Obteniendo registros... 42% (120 registros, ~35 s)"
+export const describeProgress = (state) => {
+  const details = [];
+  if (state.records) {
+    details.push(state.records.expected
+      ? `${state.records.received}/${state.records.expected} registros`
+      : `${state.records.received} registros`);
+  }
+  if (state.bytes) {
+    details.push(`${state.bytes.transferred} bytes`);
+  }
+  if (state.etaMs != null && state.status === 'running') {
+    details.push(`~${Math.ceil(state.etaMs / 1000)} s`);
+  }
+  const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+  return `${state.message} ${Math.floor(state.percentage)}%${suffix}`;
+};
+
+export default {
+  PROGRESS_PHASE,
+  PROGRESS_PHASES,
+  createProgressEvent,
+  createCompleteEvent,
+  createErrorEvent,
+  initialProgressState,
+  progressReducer,
+  describeProgress,
+};
@@ -15,35 +15,44 @@
  * == BSD2 LICENSE ==
  */
 
- export default class UsbDevice {
-   constructor(deviceInfo) {
-     const self = this;
-     self.device = deviceInfo.usbDevice;
-
-     (async () => {
-       if (self.device == null) {
-         const devices = await navigator.usb.getDevices();
-         for (const usbDevice of devices) {
-           if (usbDevice.productId === deviceInfo.productId &&
-               usbDevice.vendorId === deviceInfo.vendorId) {
-             self.device = usbDevice;
-           }
-         }
-       }
-
-       if (self.device == null) {
-         self.device = await navigator.usb.requestDevice({
-           filters: [
-             {
-               vendorId: deviceInfo.vendorId,
-               productId: deviceInfo.productId,
-             },
-           ],
-         });
-       }
-     })().catch((error) => {
-       console.log('Error during USB setup:', error);
-       throw new Error(error);
-     });
-   }
- }
+export default class UsbDevice {
+  constructor(deviceInfo) {
+    this.deviceInfo = deviceInfo;
+    this.device = deviceInfo.usbDevice || null;
+  }
+
+  // Looks up the WebUSB device (asking the user for it if it has not been granted
+  // yet) and opens it. This used to happen in the constructor, inside an async IIFE
+  // whose errors could not be caught by the caller.
+  async open() {
+    const { vendorId, productId } = this.deviceInfo;
+
+    if (this.device == null) {
+      const devices = await navigator.usb.getDevices();
+      this.device = devices.find((usbDevice) => usbDevice.productId === productId &&
+        usbDevice.vendorId === vendorId) || null;
+    }
+
+    if (this.device == null) {
+      this.device = await navigator.usb.requestDevice({
+        filters: [{ vendorId, productId }],
+      });
+    }
+
+    if (!this.device.opened) {
+      await this.device.open();
+    }
+
+    if (this.device.configuration === null) {
+      await this.device.selectConfiguration(1);
+    }
+
+    return this.device;
+  }
+
+  async close() {
+    if (this.device != null && this.device.opened) {
+      await this.device.close();
+    }
+  }
+}
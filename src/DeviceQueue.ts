@@ -0,0 +1,185 @@
+import type { EventSubscription } from "expo-modules-core";
+
+import { UsbError, UsbErrorCode } from "./UsbError";
+
+// Prioridades habituales; cualquier número vale y el mayor se atiende antes
+export const DeviceQueuePriority = {
+  BACKGROUND: -10,
+  NORMAL: 0,
+  HIGH: 10,
+} as const;
+
+export interface DeviceQueueOptions {
+  priority?: number;
+  // Cancela la operación mientras espera turno; la operación en curso la recibe
+  // y decide cuándo parar
+  signal?: AbortSignal;
+  // Nombre para los logs y las estadísticas (p. ej. "diagnose" o "upload")
+  label?: string;
+}
+
+export interface DeviceQueueStats {
+  deviceName: string;
+  // Operaciones esperando turno (sin contar la que está en curso)
+  depth: number;
+  running: string | null;
+  // Cuánto lleva esperando la operación más antigua de la cola
+  oldestWaitMs: number;
+  // Espera de la última operación que empezó y la máxima desde que existe la cola
+  lastWaitMs: number;
+  maxWaitMs: number;
+}
+
+export interface DeviceQueueEvent {
+  type: "enqueued" | "started" | "finished" | "cancelled";
+  deviceName: string;
+  label: string;
+  priority: number;
+  depth: number;
+  // Tiempo en cola hasta empezar (o hasta cancelarse)
+  waitedMs: number;
+}
+
+// Serializa las operaciones de cada dispositivo: una operación es una secuencia
+// completa (escribir un comando y leer su respuesta), así dos flujos no intercalan
+// lecturas sobre el mismo deviceName. Dispositivos distintos van en paralelo.
+//
+//   const frame = await queue.run(deviceName, async () => {
+//     await writeData(deviceName, command);
+//     return await readData(deviceName, 2000);
+//   }, { label: "diagnose", priority: DeviceQueuePriority.HIGH });
+//
+// No es reentrante: llamar a run() para el mismo dispositivo desde dentro de la
+// operación espera a que ella misma termine.
+export interface DeviceQueue {
+  run<T>(
+    deviceName: string,
+    operation: (signal: AbortSignal | undefined) => Promise<T>,
+    options?: DeviceQueueOptions
+  ): Promise<T>;
+  getStats(deviceName: string): DeviceQueueStats;
+  addListener(listener: (event: DeviceQueueEvent) => void): EventSubscription;
+}
+
+interface QueuedOperation {
+  label: string;
+  priority: number;
+  enqueuedAt: number;
+  start: () => void;
+}
+
+interface DeviceLane {
+  waiting: QueuedOperation[];
+  running: string | null;
+  lastWaitMs: number;
+  maxWaitMs: number;
+}
+
+const now = (): number => globalThis.performance?.now() ?? Date.now();
+
+const abortError = (deviceName: string, label: string, signal: AbortSignal): UsbError =>
+  new UsbError(UsbErrorCode.ABORTED, `Operación "${label}" cancelada en ${deviceName}`, {
+    deviceName,
+    cause: signal.reason,
+  });
+
+export function createDeviceQueue(): DeviceQueue {
+  const lanes = new Map<string, DeviceLane>();
+  const listeners = new Set<(event: DeviceQueueEvent) => void>();
+
+  const laneFor = (deviceName: string): DeviceLane => {
+    let lane = lanes.get(deviceName);
+    if (!lane) {
+      lane = { waiting: [], running: null, lastWaitMs: 0, maxWaitMs: 0 };
+      lanes.set(deviceName, lane);
+    }
+    return lane;
+  };
+
+  const emit = (type: DeviceQueueEvent["type"], deviceName: string, entry: QueuedOperation, waitedMs: number) => {
+    const depth = lanes.get(deviceName)?.waiting.length ?? 0;
+    const event = { type, deviceName, label: entry.label, priority: entry.priority, depth, waitedMs };
+    listeners.forEach((listener) => listener(event));
+  };
+
+  const next = (deviceName: string) => {
+    const lane = lanes.get(deviceName);
+    if (!lane || lane.running !== null) {
+      return;
+    }
+
+    // El carril se conserva vacío para no perder las estadísticas de espera
+    lane.waiting.shift()?.start();
+  };
+
+  return {
+    run(deviceName, operation, options = {}) {
+      const { priority = DeviceQueuePriority.NORMAL, signal, label = "operation" } = options;
+
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(abortError(deviceName, label, signal));
+          return;
+        }
+
+        const lane = laneFor(deviceName);
+        const entry: QueuedOperation = { label, priority, enqueuedAt: now(), start: () => {} };
+
+        const onAbort = () => {
+          const index = lane.waiting.indexOf(entry);
+          if (index < 0) {
+            return;
+          }
+          lane.waiting.splice(index, 1);
+          emit("cancelled", deviceName, entry, now() - entry.enqueuedAt);
+          reject(abortError(deviceName, label, signal!));
+          next(deviceName);
+        };
+
+        entry.start = () => {
+          signal?.removeEventListener("abort", onAbort);
+          const waitedMs = now() - entry.enqueuedAt;
+          lane.running = label;
+          lane.lastWaitMs = waitedMs;
+          lane.maxWaitMs = Math.max(lane.maxWaitMs, waitedMs);
+          emit("started", deviceName, entry, waitedMs);
+
+          // Un throw síncrono de la operación también libera el turno
+          Promise.resolve()
+            .then(() => operation(signal))
+            .then(resolve, reject)
+            .finally(() => {
+              lane.running = null;
+              emit("finished", deviceName, entry, waitedMs);
+              next(deviceName);
+            });
+        };
+
+        // Detrás de las de igual o mayor prioridad: FIFO dentro de cada prioridad
+        const index = lane.waiting.findIndex((queued) => queued.priority < priority);
+        lane.waiting.splice(index < 0 ? lane.waiting.length : index, 0, entry);
+        signal?.addEventListener("abort", onAbort);
+        emit("enqueued", deviceName, entry, 0);
+        next(deviceName);
+      });
+    },
+
+    getStats(deviceName) {
+      const lane = lanes.get(deviceName);
+      const oldest = lane?.waiting.reduce((min, entry) => Math.min(min, entry.enqueuedAt), Infinity) ?? Infinity;
+      return {
+        deviceName,
+        depth: lane?.waiting.length ?? 0,
+        running: lane?.running ?? null,
+        oldestWaitMs: oldest === Infinity ? 0 : now() - oldest,
+        lastWaitMs: lane?.lastWaitMs ?? 0,
+        maxWaitMs: lane?.maxWaitMs ?? 0,
+      };
+    },
+
+    addListener(listener) {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+  };
+}
@@ -1,4 +1,4 @@
-import { requireNativeModule } from "expo-modules-core";
+import { requireNativeModule, type EventSubscription } from "expo-modules-core";
 
 // Interfaz para definir la estructura de un dispositivo USB
 export interface UsbDevice {
@@ -11,18 +11,189 @@ export interface UsbDevice {
   hasPermission: boolean;
 }
 
-// Interfaz del módulo nativo actualizada con todas las funciones necesarias
+// Descriptores USB completos (equivalentes a la forma de WebUSB)
+export type UsbDirection = "in" | "out";
+export type UsbEndpointType = "control" | "isochronous" | "bulk" | "interrupt";
+
+export interface UsbEndpointDescriptor {
+  address: number;
+  endpointNumber: number;
+  direction: UsbDirection;
+  type: UsbEndpointType;
+  maxPacketSize: number;
+  interval: number;
+}
+
+export interface UsbAlternateInterface {
+  alternateSetting: number;
+  interfaceClass: number;
+  interfaceSubclass: number;
+  interfaceProtocol: number;
+  interfaceName?: string;
+  endpoints: UsbEndpointDescriptor[];
+}
+
+export interface UsbInterfaceDescriptor {
+  interfaceNumber: number;
+  alternates: UsbAlternateInterface[];
+}
+
+export interface UsbConfigurationDescriptor {
+  configurationValue: number;
+  configurationName?: string;
+  maxPower: number;
+  selfPowered: boolean;
+  remoteWakeup: boolean;
+  interfaces: UsbInterfaceDescriptor[];
+}
+
+export interface UsbDeviceDescriptor {
+  deviceName: string;
+  vendorId: number;
+  productId: number;
+  deviceClass: number;
+  deviceSubclass: number;
+  deviceProtocol: number;
+  version: string;
+  configurations: UsbConfigurationDescriptor[];
+}
+
+// Parámetros de una transferencia de control (misma forma que WebUSB)
+export type UsbRequestType = "standard" | "class" | "vendor";
+export type UsbRecipient = "device" | "interface" | "endpoint" | "other";
+
+export interface UsbControlTransferParameters {
+  requestType: UsbRequestType;
+  recipient: UsbRecipient;
+  request: number;
+  value: number;
+  index: number;
+}
+
+// Resultado de una transferencia: 'stall' si el dispositivo rechazó la petición,
+// 'babble' si envió más datos de los solicitados
+export type UsbTransferStatus = "ok" | "stall" | "babble";
+
+export interface UsbTransferResult {
+  status: UsbTransferStatus;
+  bytesTransferred: number;
+  data: Uint8Array;
+}
+
+// Descriptor de reports HID sin parsear, tal como lo devuelve el dispositivo
+export interface HidRawReportDescriptor {
+  interfaceNumber: number;
+  data: Uint8Array;
+}
+
+// Frame recibido por la lectura continua (startReading). timestamp es monotónico en ms,
+// no una fecha: sirve para ordenar frames y medir intervalos
+export interface UsbDataEvent {
+  deviceName: string;
+  endpointAddress: number;
+  data: Uint8Array;
+  timestamp: number;
+}
+
+// Puerto serie sobre un puente USB-serie (misma forma que SerialOptions de Web Serial)
+export type UsbSerialDriver = "ftdi" | "cp210x" | "pl2303" | "ch34x" | "cdc-acm";
+export type UsbSerialParity = "none" | "even" | "odd" | "mark" | "space";
+
+export interface UsbSerialOptions {
+  baudRate: number;
+  dataBits?: 5 | 6 | 7 | 8;
+  parity?: UsbSerialParity;
+  stopBits?: 1 | 1.5 | 2;
+  // "hardware" es RTS/CTS; CH34x y CDC-ACM sólo admiten "none"
+  flowControl?: "none" | "hardware";
+  // Por defecto se detecta por el VID del chip o por la interfaz CDC
+  driver?: UsbSerialDriver;
+}
+
+// Líneas de salida (misma forma que SerialOutputSignals); un campo ausente no cambia la línea
+export interface UsbSerialSignals {
+  dataTerminalReady?: boolean;
+  requestToSend?: boolean;
+}
+
+// Eventos emitidos por el módulo nativo (conexión, desconexión, permisos y datos)
+export type ExpoUsbModuleEvents = {
+  onDeviceAttached: (device: UsbDevice) => void;
+  onDeviceDetached: (device: UsbDevice) => void;
+  onPermissionChanged: (device: UsbDevice) => void;
+  onData: (event: UsbDataEvent) => void;
+};
+
+// Interfaz del módulo nativo actualizada con todas las funciones necesarias.
+// Las transferencias aceptan como último argumento un `transferId` opcional (lo genera
+// callNative) con el que cancelTransfer() cancela esa llamada y ninguna otra
 export interface ExpoUsbModule {
+  addListener<EventName extends keyof ExpoUsbModuleEvents>(
+    eventName: EventName,
+    listener: ExpoUsbModuleEvents[EventName]
+  ): EventSubscription;
   scanDevices(): Promise<UsbDevice[]>;
   requestPermission(deviceName: string): Promise<boolean>;
   setAutoRequestPermissions(enabled: boolean): Promise<void>;
+  clearPermissionRequests(): Promise<void>;
+  getDeviceDescriptor(deviceName: string): Promise<UsbDeviceDescriptor>;
   openDevice(deviceName: string): Promise<boolean>;
   closeDevice(deviceName: string): Promise<boolean>;
   claimInterface(deviceName: string, interfaceNumber: number): Promise<boolean>;
   releaseInterface(deviceName: string, interfaceNumber: number): Promise<boolean>;
-  writeData(deviceName: string, data: number[]): Promise<number>;
-  readData(deviceName: string, timeout?: number): Promise<number[]>;
-  sendTextCommand(deviceName: string, command: string): Promise<string>;
+  writeData(deviceName: string, data: Uint8Array, transferId?: string): Promise<number>;
+  readData(deviceName: string, timeout?: number, transferId?: string): Promise<Uint8Array>;
+  sendTextCommand(deviceName: string, command: string, transferId?: string): Promise<string>;
+  transferIn(
+    deviceName: string,
+    endpointAddress: number,
+    length: number,
+    timeout: number,
+    transferId?: string
+  ): Promise<UsbTransferResult>;
+  transferOut(
+    deviceName: string,
+    endpointAddress: number,
+    data: Uint8Array,
+    timeout: number,
+    transferId?: string
+  ): Promise<UsbTransferResult>;
+  clearHalt(deviceName: string, endpointAddress: number): Promise<boolean>;
+  startReading(deviceName: string, endpointAddress: number): Promise<boolean>;
+  sendReport(deviceName: string, reportId: number, data: Uint8Array, transferId?: string): Promise<number>;
+  sendFeatureReport(deviceName: string, reportId: number, data: Uint8Array): Promise<number>;
+  receiveFeatureReport(deviceName: string, reportId: number, length: number): Promise<Uint8Array>;
+  getHidReportDescriptor(deviceName: string): Promise<HidRawReportDescriptor>;
+  stopReading(deviceName: string): Promise<boolean>;
+  controlTransferIn(
+    deviceName: string,
+    setup: UsbControlTransferParameters,
+    length: number,
+    timeout: number,
+    transferId?: string
+  ): Promise<UsbTransferResult>;
+  controlTransferOut(
+    deviceName: string,
+    setup: UsbControlTransferParameters,
+    data: Uint8Array,
+    timeout: number,
+    transferId?: string
+  ): Promise<UsbTransferResult>;
+  openSerial(deviceName: string, options: UsbSerialOptions): Promise<UsbSerialDriver>;
+  closeSerial(deviceName: string): Promise<boolean>;
+  writeSerial(deviceName: string, data: Uint8Array, timeout: number, transferId?: string): Promise<number>;
+  // Un timeout sin datos resuelve con un array vacío
+  readSerial(deviceName: string, length: number, timeout: number, transferId?: string): Promise<Uint8Array>;
+  setSerialSignals(deviceName: string, signals: UsbSerialSignals): Promise<void>;
+  // Cancela las transferencias en curso del dispositivo: rechazan con E_ABORTED.
+  // En Android son síncronas para no esperar detrás de la transferencia que cancelan
+  cancelTransfers(deviceName: string): boolean | Promise<boolean>;
+  // Cancela sólo la transferencia `transferId`, también si todavía no ha empezado
+  cancelTransfer(transferId: string): boolean | Promise<boolean>;
+  // Devuelven los mismos bytes sin tocar USB: miden lo que cuesta cruzar el puente en
+  // cada sentido con Uint8Array y con number[], la representación anterior (benchmark)
+  loopback(data: Uint8Array): Promise<Uint8Array>;
+  loopbackNumbers(data: number[]): Promise<number[]>;
 }
 
 // Exportar el módulo nativo tipado
@@ -0,0 +1,913 @@
+import { NativeModule, registerWebModule } from "expo-modules-core";
+
+import type {
+  ExpoUsbModuleEvents,
+  HidRawReportDescriptor,
+  UsbControlTransferParameters,
+  UsbDevice,
+  UsbDeviceDescriptor,
+  UsbSerialDriver,
+  UsbSerialOptions,
+  UsbSerialSignals,
+  UsbTransferResult,
+} from "./ExpoUsbConectedModule";
+import { UsbError, UsbErrorCode } from "./UsbError";
+import { buildHidReportDescriptor, splitOutputReport } from "./hidReportDescriptor";
+import type {
+  WebHid,
+  WebHidConnectionEvent,
+  WebHidDevice,
+  WebHidInputReportEvent,
+  WebUsb,
+  WebUsbConnectionEvent,
+  WebUsbDevice,
+  WebUsbEndpoint,
+  WebUsbInTransferResult,
+  WebUsbInterface,
+} from "./webUsb.types";
+
+// Implementación web sobre WebUSB (navigator.usb) y WebHID (navigator.hid).
+// Los navegadores no exponen rutas de dispositivo, así que `deviceName` es un nombre
+// sintético estable mientras la página esté abierta: "usb:04d9:b564:SERIE" o "hid:1a61:3850".
+
+const HID_INTERFACE_CLASS = 3;
+// WebHID no expone endpoints: se declaran unas direcciones nominales para que
+// findEndpoint/startReading funcionen igual que en Android
+const HID_IN_ENDPOINT = 0x81;
+const HID_OUT_ENDPOINT = 0x01;
+const HID_PACKET_SIZE = 64;
+
+type WebDeviceEntry =
+  | { kind: "usb"; device: WebUsbDevice }
+  | { kind: "hid"; device: WebHidDevice };
+
+interface PendingInTransfer {
+  transfer: Promise<WebUsbInTransferResult>;
+  length: number;
+  // Llamadas a transferIn esperando el resultado (0 si todas vencieron el timeout)
+  waiters: number;
+  settled: boolean;
+}
+
+interface DeviceState {
+  entry: WebDeviceEntry;
+  claimedInterface: WebUsbInterface | null;
+  // Transferencias IN en curso por endpoint. Las que vencieron el timeout siguen
+  // pendientes en el navegador: la siguiente lectura del mismo endpoint y longitud las
+  // reutiliza para no perder datos
+  pendingIn: Map<number, PendingInTransfer>;
+  // Input reports HID recibidos mientras no hay lectura continua
+  hidReports: Uint8Array[];
+  hidWaiters: { transferId?: string; resolve: (report: Uint8Array) => void; reject: (error: UsbError) => void }[];
+  hidListener: ((event: Event) => void) | null;
+  // Endpoint con lectura continua activa (startReading)
+  readingEndpoint: number | null;
+  // Se incrementa con cancelTransfers(); sendTextCommand lo comprueba entre lecturas
+  cancelGeneration: number;
+}
+
+function getWebUsb(): WebUsb | null {
+  return typeof navigator !== "undefined" ? ((navigator as { usb?: WebUsb }).usb ?? null) : null;
+}
+
+function getWebHid(): WebHid | null {
+  return typeof navigator !== "undefined" ? ((navigator as { hid?: WebHid }).hid ?? null) : null;
+}
+
+function hex16(value: number): string {
+  return value.toString(16).padStart(4, "0");
+}
+
+function toBytes(view: DataView | undefined): Uint8Array {
+  return view ? new Uint8Array(view.buffer, view.byteOffset, view.byteLength).slice() : new Uint8Array(0);
+}
+
+// Los input reports de WebHID llegan sin el report ID; se antepone para entregar
+// el mismo frame que lee Android por el endpoint interrupt
+function withReportId(reportId: number, data: Uint8Array): Uint8Array {
+  if (reportId === 0) {
+    return data;
+  }
+  const frame = new Uint8Array(data.length + 1);
+  frame[0] = reportId;
+  frame.set(data, 1);
+  return frame;
+}
+
+function endpointAddress(endpoint: WebUsbEndpoint): number {
+  return endpoint.direction === "in" ? 0x80 | endpoint.endpointNumber : endpoint.endpointNumber;
+}
+
+function outputReportIds(device: WebHidDevice): number[] {
+  return device.collections.flatMap((collection) => collection.outputReports.map((report) => report.reportId));
+}
+
+class ExpoUsbConectedModule extends NativeModule<ExpoUsbModuleEvents> {
+  private devices = new Map<string, DeviceState>();
+  private names = new Map<WebUsbDevice | WebHidDevice, string>();
+  // sendTextCommand en curso por transferId, para que cancelTransfer los detenga
+  private textCommands = new Map<string, { cancelled: boolean }>();
+
+  constructor() {
+    super();
+
+    getWebUsb()?.addEventListener("connect", (event) => {
+      this.emit("onDeviceAttached", this.toUsbDevice(this.register({ kind: "usb", device: (event as WebUsbConnectionEvent).device })));
+    });
+    getWebUsb()?.addEventListener("disconnect", (event) => {
+      this.unregister((event as WebUsbConnectionEvent).device);
+    });
+    getWebHid()?.addEventListener("connect", (event) => {
+      this.emit("onDeviceAttached", this.toUsbDevice(this.register({ kind: "hid", device: (event as WebHidConnectionEvent).device })));
+    });
+    getWebHid()?.addEventListener("disconnect", (event) => {
+      this.unregister((event as WebHidConnectionEvent).device);
+    });
+  }
+
+  // ========== DISPOSITIVOS Y PERMISOS ==========
+
+  async scanDevices(): Promise<UsbDevice[]> {
+    const usbDevices = (await getWebUsb()?.getDevices()) ?? [];
+    const hidDevices = (await getWebHid()?.getDevices()) ?? [];
+
+    return [
+      ...usbDevices.map((device) => this.register({ kind: "usb", device })),
+      ...hidDevices.map((device) => this.register({ kind: "hid", device })),
+    ].map((name) => this.toUsbDevice(name));
+  }
+
+  // En web el permiso se concede desde el selector del navegador, que sólo puede
+  // abrirse en respuesta a un gesto del usuario (pulsar un botón)
+  async requestPermission(deviceName: string): Promise<boolean> {
+    if (this.devices.has(deviceName)) {
+      return true;
+    }
+
+    const [kind, vendorId, productId] = deviceName.split(":");
+    const filters =
+      vendorId && productId ? [{ vendorId: parseInt(vendorId, 16), productId: parseInt(productId, 16) }] : [];
+
+    try {
+      let name: string | null = null;
+      const webHid = getWebHid();
+      const webUsb = getWebUsb();
+
+      if ((kind === "hid" || !webUsb) && webHid) {
+        const [device] = await webHid.requestDevice({ filters });
+        name = device ? this.register({ kind: "hid", device }) : null;
+      } else if (webUsb) {
+        name = this.register({ kind: "usb", device: await webUsb.requestDevice({ filters }) });
+      } else {
+        throw new UsbError(UsbErrorCode.NOT_SUPPORTED, "El navegador no soporta WebUSB ni WebHID", { deviceName });
+      }
+
+      if (!name) {
+        return false;
+      }
+      this.emit("onPermissionChanged", this.toUsbDevice(name));
+      return true;
+    } catch (error) {
+      // NotFoundError: el usuario cerró el selector sin elegir dispositivo
+      if ((error as { name?: string } | null)?.name === "NotFoundError") {
+        return false;
+      }
+      throw this.toUsbError(error, deviceName, UsbErrorCode.NO_PERMISSION, "Error solicitando permisos");
+    }
+  }
+
+  // Los navegadores no permiten pedir permisos sin un gesto del usuario
+  async setAutoRequestPermissions(_enabled: boolean): Promise<void> {}
+
+  async clearPermissionRequests(): Promise<void> {}
+
+  async getDeviceDescriptor(deviceName: string): Promise<UsbDeviceDescriptor> {
+    const { entry } = this.requireDevice(deviceName);
+
+    if (entry.kind === "hid") {
+      return {
+        deviceName,
+        vendorId: entry.device.vendorId,
+        productId: entry.device.productId,
+        deviceClass: 0,
+        deviceSubclass: 0,
+        deviceProtocol: 0,
+        version: "",
+        configurations: [
+          {
+            configurationValue: 1,
+            maxPower: 0,
+            selfPowered: false,
+            remoteWakeup: false,
+            interfaces: [
+              {
+                interfaceNumber: 0,
+                alternates: [
+                  {
+                    alternateSetting: 0,
+                    interfaceClass: HID_INTERFACE_CLASS,
+                    interfaceSubclass: 0,
+                    interfaceProtocol: 0,
+                    endpoints: [
+                      { address: HID_IN_ENDPOINT, endpointNumber: 1, direction: "in", type: "interrupt", maxPacketSize: HID_PACKET_SIZE, interval: 0 },
+                      { address: HID_OUT_ENDPOINT, endpointNumber: 1, direction: "out", type: "interrupt", maxPacketSize: HID_PACKET_SIZE, interval: 0 },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      };
+    }
+
+    const device = entry.device;
+    return {
+      deviceName,
+      vendorId: device.vendorId,
+      productId: device.productId,
+      deviceClass: device.deviceClass,
+      deviceSubclass: device.deviceSubclass,
+      deviceProtocol: device.deviceProtocol,
+      version: `${device.deviceVersionMajor}.${device.deviceVersionMinor}${device.deviceVersionSubminor}`,
+      // WebUSB no expone maxPower ni los atributos de la configuración
+      configurations: device.configurations.map((configuration) => ({
+        configurationValue: configuration.configurationValue,
+        configurationName: configuration.configurationName ?? undefined,
+        maxPower: 0,
+        selfPowered: false,
+        remoteWakeup: false,
+        interfaces: configuration.interfaces.map((usbInterface) => ({
+          interfaceNumber: usbInterface.interfaceNumber,
+          alternates: usbInterface.alternates.map((alternate) => ({
+            alternateSetting: alternate.alternateSetting,
+            interfaceClass: alternate.interfaceClass,
+            interfaceSubclass: alternate.interfaceSubclass,
+            interfaceProtocol: alternate.interfaceProtocol,
+            interfaceName: alternate.interfaceName ?? undefined,
+            endpoints: alternate.endpoints.map((endpoint) => ({
+              address: endpointAddress(endpoint),
+              endpointNumber: endpoint.endpointNumber,
+              direction: endpoint.direction,
+              type: endpoint.type,
+              maxPacketSize: endpoint.packetSize,
+              interval: 0,
+            })),
+          })),
+        })),
+      })),
+    };
+  }
+
+  // ========== APERTURA E INTERFACES ==========
+
+  async openDevice(deviceName: string): Promise<boolean> {
+    const state = this.requireDevice(deviceName);
+
+    try {
+      if (state.entry.kind === "hid") {
+        const device = state.entry.device;
+        if (!device.opened) {
+          await device.open();
+        }
+        this.listenInputReports(deviceName, state, device);
+        return true;
+      }
+
+      const device = state.entry.device;
+      if (!device.opened) {
+        await device.open();
+      }
+      if (device.configuration === null) {
+        await device.selectConfiguration(1);
+      }
+      return true;
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.UNPLUG_AND_RETRY, `Error abriendo ${deviceName}`);
+    }
+  }
+
+  async closeDevice(deviceName: string): Promise<boolean> {
+    const state = this.devices.get(deviceName);
+    if (!state || !state.entry.device.opened) {
+      return false;
+    }
+
+    this.stopState(state);
+    try {
+      await state.entry.device.close();
+      return true;
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.UNKNOWN, `Error cerrando ${deviceName}`);
+    }
+  }
+
+  async claimInterface(deviceName: string, interfaceNumber: number): Promise<boolean> {
+    const state = this.requireOpen(deviceName);
+
+    if (state.entry.kind === "hid") {
+      if (interfaceNumber !== 0) {
+        throw new UsbError(UsbErrorCode.INTERFACE_NOT_FOUND, `Interfaz ${interfaceNumber} no existe en ${deviceName}`, { deviceName });
+      }
+      return true;
+    }
+
+    const usbInterface = state.entry.device.configuration?.interfaces.find((i) => i.interfaceNumber === interfaceNumber);
+    if (!usbInterface) {
+      throw new UsbError(UsbErrorCode.INTERFACE_NOT_FOUND, `Interfaz ${interfaceNumber} no existe en ${deviceName}`, { deviceName });
+    }
+
+    try {
+      await state.entry.device.claimInterface(interfaceNumber);
+      state.claimedInterface = usbInterface;
+      return true;
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.INTERFACE_BUSY, `No se pudo reclamar la interfaz ${interfaceNumber}`);
+    }
+  }
+
+  async releaseInterface(deviceName: string, interfaceNumber: number): Promise<boolean> {
+    const state = this.requireOpen(deviceName);
+    if (state.entry.kind === "hid") {
+      return true;
+    }
+
+    try {
+      await state.entry.device.releaseInterface(interfaceNumber);
+      if (state.claimedInterface?.interfaceNumber === interfaceNumber) {
+        state.claimedInterface = null;
+      }
+      return true;
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.INTERFACE_NOT_FOUND, `Error liberando la interfaz ${interfaceNumber}`);
+    }
+  }
+
+  // ========== LECTURA/ESCRITURA ==========
+
+  async writeData(deviceName: string, data: Uint8Array): Promise<number> {
+    const state = this.requireOpen(deviceName);
+
+    if (state.entry.kind === "hid") {
+      await this.sendHidOutputReport(deviceName, state.entry.device, data);
+      return data.length;
+    }
+
+    const endpoint = this.requireClaimedEndpoint(deviceName, state, "out");
+    const result = await this.transferOut(deviceName, endpoint.endpointNumber, data, 5000);
+    if (result.status === "stall") {
+      throw new UsbError(UsbErrorCode.STALL, "Endpoint OUT en STALL", { deviceName });
+    }
+    return result.bytesTransferred;
+  }
+
+  async readData(deviceName: string, timeout: number = 5000, transferId?: string): Promise<Uint8Array> {
+    const state = this.requireOpen(deviceName);
+
+    if (state.entry.kind === "hid") {
+      return await this.nextInputReport(deviceName, state, timeout, transferId);
+    }
+
+    const endpoint = this.requireClaimedEndpoint(deviceName, state, "in");
+    const result = await this.transferIn(deviceName, endpointAddress(endpoint), endpoint.packetSize, timeout);
+    if (result.status === "stall") {
+      throw new UsbError(UsbErrorCode.STALL, "Endpoint IN en STALL", { deviceName });
+    }
+    return result.data;
+  }
+
+  // Mismo protocolo que Android: comando terminado en \r\n y respuesta hasta "CMD OK" o "CMD Fail!"
+  async sendTextCommand(deviceName: string, command: string, transferId?: string): Promise<string> {
+    const { cancelGeneration } = this.requireOpen(deviceName);
+    const running = { cancelled: false };
+    if (transferId !== undefined) {
+      this.textCommands.set(transferId, running);
+    }
+
+    try {
+      const fullCommand = command.endsWith("\r\n") ? command : `${command}\r\n`;
+      await this.writeData(deviceName, new Uint8Array(Array.from(fullCommand, (c) => c.charCodeAt(0) & 0x7f)));
+
+      let response = "";
+      for (let attempt = 0; attempt < 50; attempt++) {
+        if (running.cancelled || this.requireOpen(deviceName).cancelGeneration !== cancelGeneration) {
+          throw new UsbError(UsbErrorCode.ABORTED, `Comando ${command} cancelado`, { deviceName });
+        }
+
+        let chunk: Uint8Array;
+        try {
+          chunk = await this.readData(deviceName, 2000, transferId);
+        } catch (error) {
+          if (error instanceof UsbError && error.code === UsbErrorCode.TIMEOUT) {
+            continue;
+          }
+          throw error;
+        }
+
+        response += String.fromCharCode(...chunk);
+        if (response.includes("CMD OK") || response.includes("CMD Fail!")) {
+          return response;
+        }
+      }
+
+      throw new UsbError(UsbErrorCode.TIMEOUT, `Sin respuesta completa al comando ${command}`, { deviceName });
+    } finally {
+      if (transferId !== undefined) {
+        this.textCommands.delete(transferId);
+      }
+    }
+  }
+
+  async transferIn(
+    deviceName: string,
+    endpointAddress: number,
+    length: number,
+    timeout: number,
+    transferId?: string
+  ): Promise<UsbTransferResult> {
+    const state = this.requireOpen(deviceName);
+
+    if (state.entry.kind === "hid") {
+      const data = await this.nextInputReport(deviceName, state, timeout, transferId);
+      return { status: "ok", bytesTransferred: data.length, data };
+    }
+
+    const device = state.entry.device;
+    const endpointNumber = endpointAddress & 0x0f;
+    let pending = state.pendingIn.get(endpointNumber);
+    if (pending && (pending.waiters > 0 || pending.length !== length)) {
+      // Otra llamada la está esperando o pidió otra longitud: reutilizarla duplicaría
+      // los datos o devolvería más de `length` bytes
+      throw new UsbError(UsbErrorCode.BUSY, `Ya hay una transferencia IN en curso en 0x${endpointAddress.toString(16)}`, {
+        deviceName,
+      });
+    }
+    if (!pending) {
+      const created: PendingInTransfer = { transfer: device.transferIn(endpointNumber, length), length, waiters: 0, settled: false };
+      created.transfer.then(
+        () => (created.settled = true),
+        () => (created.settled = true)
+      );
+      pending = created;
+      state.pendingIn.set(endpointNumber, pending);
+    }
+
+    const current = pending;
+    current.waiters++;
+    try {
+      const result = await this.withTimeout(deviceName, pending.transfer, timeout);
+      const data = toBytes(result.data);
+      return { status: result.status, bytesTransferred: data.length, data };
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.TRANSFER_FAILED, `Error en transferIn 0x${endpointAddress.toString(16)}`);
+    } finally {
+      current.waiters--;
+      // Entregada (o fallida): la siguiente lectura empieza otra. Si venció el timeout
+      // sigue en pendingIn, aunque el navegador la complete antes de esa lectura
+      if (current.settled && state.pendingIn.get(endpointNumber) === current) {
+        state.pendingIn.delete(endpointNumber);
+      }
+    }
+  }
+
+  async transferOut(deviceName: string, endpointAddress: number, data: Uint8Array, timeout: number): Promise<UsbTransferResult> {
+    const state = this.requireOpen(deviceName);
+
+    if (state.entry.kind === "hid") {
+      await this.sendHidOutputReport(deviceName, state.entry.device, data);
+      return { status: "ok", bytesTransferred: data.length, data: new Uint8Array(0) };
+    }
+
+    try {
+      const result = await this.withTimeout(deviceName, state.entry.device.transferOut(endpointAddress & 0x0f, data), timeout);
+      return { status: result.status, bytesTransferred: result.bytesWritten, data: new Uint8Array(0) };
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.TRANSFER_FAILED, `Error en transferOut 0x${endpointAddress.toString(16)}`);
+    }
+  }
+
+  async clearHalt(deviceName: string, endpointAddress: number): Promise<boolean> {
+    const state = this.requireOpen(deviceName);
+    if (state.entry.kind === "hid") {
+      throw new UsbError(UsbErrorCode.NOT_SUPPORTED, "WebHID no permite limpiar el STALL de un endpoint", { deviceName });
+    }
+
+    try {
+      await state.entry.device.clearHalt(endpointAddress & 0x80 ? "in" : "out", endpointAddress & 0x0f);
+      return true;
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.TRANSFER_FAILED, `Error limpiando STALL de 0x${endpointAddress.toString(16)}`);
+    }
+  }
+
+  // ========== LECTURA CONTINUA ==========
+
+  async startReading(deviceName: string, endpointAddress: number): Promise<boolean> {
+    const state = this.requireOpen(deviceName);
+    if (state.readingEndpoint !== null) {
+      return true;
+    }
+    state.readingEndpoint = endpointAddress;
+
+    // En HID los reports ya llegan por evento (listenInputReports); en USB se encadenan transferIn
+    if (state.entry.kind === "usb") {
+      const device = state.entry.device;
+      const endpoint = this.findEndpoint(state, endpointAddress);
+      const length = endpoint?.packetSize ?? HID_PACKET_SIZE;
+
+      void (async () => {
+        while (state.readingEndpoint === endpointAddress && device.opened) {
+          try {
+            const result = await device.transferIn(endpointAddress & 0x0f, length);
+            const data = toBytes(result.data);
+            if (state.readingEndpoint === endpointAddress && data.length > 0) {
+              this.emit("onData", { deviceName, endpointAddress, data, timestamp: performance.now() });
+            }
+          } catch {
+            // Dispositivo cerrado o desconectado: termina la lectura
+            state.readingEndpoint = null;
+          }
+        }
+      })();
+    }
+    return true;
+  }
+
+  async stopReading(deviceName: string): Promise<boolean> {
+    const state = this.devices.get(deviceName);
+    if (!state || state.readingEndpoint === null) {
+      return false;
+    }
+    state.readingEndpoint = null;
+    return true;
+  }
+
+  // ========== REPORTS HID ==========
+
+  async sendReport(deviceName: string, reportId: number, data: Uint8Array): Promise<number> {
+    const device = this.requireHid(deviceName);
+    try {
+      await device.sendReport(reportId, data);
+      return data.length;
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.TRANSFER_FAILED, `Error enviando report ${reportId}`);
+    }
+  }
+
+  async sendFeatureReport(deviceName: string, reportId: number, data: Uint8Array): Promise<number> {
+    const device = this.requireHid(deviceName);
+    try {
+      await device.sendFeatureReport(reportId, data);
+      return data.length;
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.STALL, `Error enviando feature report ${reportId}`);
+    }
+  }
+
+  // Chrome incluye el report ID como primer byte, igual que GET_REPORT en Android
+  async receiveFeatureReport(deviceName: string, reportId: number, length: number): Promise<Uint8Array> {
+    const device = this.requireHid(deviceName);
+    try {
+      return toBytes(await device.receiveFeatureReport(reportId)).subarray(0, length);
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.STALL, `Error leyendo feature report ${reportId}`);
+    }
+  }
+
+  async getHidReportDescriptor(deviceName: string): Promise<HidRawReportDescriptor> {
+    const device = this.requireHid(deviceName);
+    return { interfaceNumber: 0, data: buildHidReportDescriptor(device.collections) };
+  }
+
+  // ========== TRANSFERENCIAS DE CONTROL ==========
+
+  async controlTransferIn(
+    deviceName: string,
+    setup: UsbControlTransferParameters,
+    length: number,
+    timeout: number
+  ): Promise<UsbTransferResult> {
+    const device = this.requireUsb(deviceName);
+    try {
+      const result = await this.withTimeout(deviceName, device.controlTransferIn(setup, length), timeout);
+      const data = toBytes(result.data);
+      return { status: result.status, bytesTransferred: data.length, data };
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.TRANSFER_FAILED, "Error en controlTransferIn");
+    }
+  }
+
+  async controlTransferOut(
+    deviceName: string,
+    setup: UsbControlTransferParameters,
+    data: Uint8Array,
+    timeout: number
+  ): Promise<UsbTransferResult> {
+    const device = this.requireUsb(deviceName);
+    try {
+      const result = await this.withTimeout(deviceName, device.controlTransferOut(setup, data), timeout);
+      return { status: result.status, bytesTransferred: result.bytesWritten, data: new Uint8Array(0) };
+    } catch (error) {
+      throw this.toUsbError(error, deviceName, UsbErrorCode.TRANSFER_FAILED, "Error en controlTransferOut");
+    }
+  }
+
+  // ========== PUERTO SERIE ==========
+
+  // En el navegador los puentes USB-serie se usan con Web Serial (navigator.serial),
+  // que ya implementa cada chip: serialDevice.js del ejemplo lo usa directamente
+  async openSerial(deviceName: string, _options: UsbSerialOptions): Promise<UsbSerialDriver> {
+    throw this.serialNotSupported(deviceName);
+  }
+
+  async closeSerial(_deviceName: string): Promise<boolean> {
+    return false;
+  }
+
+  async writeSerial(deviceName: string, _data: Uint8Array, _timeout: number): Promise<number> {
+    throw this.serialNotSupported(deviceName);
+  }
+
+  async readSerial(deviceName: string, _length: number, _timeout: number): Promise<Uint8Array> {
+    throw this.serialNotSupported(deviceName);
+  }
+
+  async setSerialSignals(deviceName: string, _signals: UsbSerialSignals): Promise<void> {
+    throw this.serialNotSupported(deviceName);
+  }
+
+  // ========== CANCELACIÓN ==========
+
+  // WebUSB no cancela una transferencia sin resetear el dispositivo: las IN pendientes
+  // siguen en pendingIn para la próxima lectura del mismo endpoint y longitud. Las lecturas HID en espera rechazan
+  // con E_ABORTED (el siguiente report queda en cola) y sendTextCommand se detiene
+  async cancelTransfers(deviceName: string): Promise<boolean> {
+    const state = this.devices.get(deviceName);
+    if (!state) {
+      return false;
+    }
+
+    state.cancelGeneration++;
+    state.hidWaiters
+      .splice(0)
+      .forEach((waiter) => waiter.reject(new UsbError(UsbErrorCode.ABORTED, "Lectura cancelada", { deviceName })));
+    return true;
+  }
+
+  // Lo mismo para una sola llamada: su lectura HID en espera y su sendTextCommand
+  async cancelTransfer(transferId: string): Promise<boolean> {
+    const command = this.textCommands.get(transferId);
+    if (command) {
+      command.cancelled = true;
+    }
+
+    for (const [deviceName, state] of this.devices) {
+      const index = state.hidWaiters.findIndex((waiter) => waiter.transferId === transferId);
+      if (index >= 0) {
+        const [waiter] = state.hidWaiters.splice(index, 1);
+        waiter.reject(new UsbError(UsbErrorCode.ABORTED, "Lectura cancelada", { deviceName }));
+        return true;
+      }
+    }
+    return command !== undefined;
+  }
+
+  // En web no hay puente que medir: sólo la copia
+  async loopback(data: Uint8Array): Promise<Uint8Array> {
+    return Uint8Array.from(data);
+  }
+
+  async loopbackNumbers(data: number[]): Promise<number[]> {
+    return [...data];
+  }
+
+  // ========== FUNCIONES AUXILIARES ==========
+
+  private register(entry: WebDeviceEntry): string {
+    const existing = this.names.get(entry.device);
+    if (existing) {
+      return existing;
+    }
+
+    const serial = entry.kind === "usb" ? entry.device.serialNumber : null;
+    const base = `${entry.kind}:${hex16(entry.device.vendorId)}:${hex16(entry.device.productId)}${serial ? `:${serial}` : ""}`;
+    let name = base;
+    for (let n = 2; this.devices.has(name); n++) {
+      name = `${base}#${n}`;
+    }
+
+    this.names.set(entry.device, name);
+    this.devices.set(name, {
+      entry,
+      claimedInterface: null,
+      pendingIn: new Map(),
+      hidReports: [],
+      hidWaiters: [],
+      hidListener: null,
+      readingEndpoint: null,
+      cancelGeneration: 0,
+    });
+    return name;
+  }
+
+  private serialNotSupported(deviceName: string): UsbError {
+    return new UsbError(UsbErrorCode.NOT_SUPPORTED, "En web los puertos serie se abren con Web Serial", { deviceName });
+  }
+
+  private unregister(device: WebUsbDevice | WebHidDevice) {
+    const name = this.names.get(device);
+    if (!name) {
+      return;
+    }
+
+    const state = this.devices.get(name);
+    const detached = this.toUsbDevice(name);
+    if (state) {
+      this.stopState(state);
+    }
+    this.devices.delete(name);
+    this.names.delete(device);
+    this.emit("onDeviceDetached", { ...detached, hasPermission: false });
+  }
+
+  private toUsbDevice(deviceName: string): UsbDevice {
+    const { entry } = this.requireDevice(deviceName);
+    return {
+      deviceName,
+      vendorId: entry.device.vendorId,
+      productId: entry.device.productId,
+      manufacturerName: entry.kind === "usb" ? (entry.device.manufacturerName ?? undefined) : undefined,
+      productName: entry.device.productName ?? undefined,
+      serialNumber: entry.kind === "usb" ? (entry.device.serialNumber ?? undefined) : undefined,
+      // getDevices/requestDevice sólo devuelven dispositivos ya autorizados
+      hasPermission: true,
+    };
+  }
+
+  private stopState(state: DeviceState) {
+    state.readingEndpoint = null;
+    state.claimedInterface = null;
+    state.pendingIn.clear();
+    state.hidReports = [];
+    if (state.entry.kind === "hid" && state.hidListener) {
+      state.entry.device.removeEventListener("inputreport", state.hidListener);
+      state.hidListener = null;
+    }
+  }
+
+  private listenInputReports(deviceName: string, state: DeviceState, device: WebHidDevice) {
+    if (state.hidListener) {
+      return;
+    }
+
+    state.hidListener = (event: Event) => {
+      const { reportId, data } = event as WebHidInputReportEvent;
+      const frame = withReportId(reportId, toBytes(data));
+
+      if (state.readingEndpoint !== null) {
+        this.emit("onData", { deviceName, endpointAddress: state.readingEndpoint, data: frame, timestamp: performance.now() });
+        return;
+      }
+
+      const waiter = state.hidWaiters.shift();
+      if (waiter) {
+        waiter.resolve(frame);
+      } else {
+        state.hidReports.push(frame);
+      }
+    };
+    device.addEventListener("inputreport", state.hidListener);
+  }
+
+  private nextInputReport(
+    deviceName: string,
+    state: DeviceState,
+    timeout: number,
+    transferId?: string
+  ): Promise<Uint8Array> {
+    const queued = state.hidReports.shift();
+    if (queued) {
+      return Promise.resolve(queued);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        transferId,
+        resolve: (report: Uint8Array) => {
+          clearTimeout(timer);
+          resolve(report);
+        },
+        reject: (error: UsbError) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+      const timer = setTimeout(() => {
+        const index = state.hidWaiters.indexOf(waiter);
+        if (index >= 0) {
+          state.hidWaiters.splice(index, 1);
+        }
+        reject(new UsbError(UsbErrorCode.TIMEOUT, `Sin input report en ${timeout} ms`, { deviceName }));
+      }, timeout);
+      state.hidWaiters.push(waiter);
+    });
+  }
+
+  private async sendHidOutputReport(deviceName: string, device: WebHidDevice, bytes: Uint8Array) {
+    const { reportId, data } = splitOutputReport(outputReportIds(device), bytes);
+    await this.sendReport(deviceName, reportId, data);
+  }
+
+  // WebUSB no admite timeout: la transferencia sigue pendiente, pero la llamada rechaza con E_TIMEOUT
+  private withTimeout<T>(deviceName: string, promise: Promise<T>, timeout: number): Promise<T> {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new UsbError(UsbErrorCode.TIMEOUT, `Sin respuesta en ${timeout} ms`, { deviceName })),
+        timeout
+      );
+      promise.then(
+        (value) => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  private findEndpoint(state: DeviceState, address: number): WebUsbEndpoint | undefined {
+    return state.claimedInterface?.alternate.endpoints.find((endpoint) => endpointAddress(endpoint) === address);
+  }
+
+  private requireDevice(deviceName: string): DeviceState {
+    const state = this.devices.get(deviceName);
+    if (!state) {
+      throw new UsbError(UsbErrorCode.DEVICE_NOT_FOUND, `Dispositivo no encontrado: ${deviceName}`, { deviceName });
+    }
+    return state;
+  }
+
+  private requireOpen(deviceName: string): DeviceState {
+    const state = this.requireDevice(deviceName);
+    if (!state.entry.device.opened) {
+      throw new UsbError(UsbErrorCode.DEVICE_NOT_OPEN, `Dispositivo no abierto: ${deviceName}`, { deviceName });
+    }
+    return state;
+  }
+
+  private requireHid(deviceName: string): WebHidDevice {
+    const { entry } = this.requireOpen(deviceName);
+    if (entry.kind !== "hid") {
+      // Chrome bloquea las interfaces HID por WebUSB (clase protegida)
+      throw new UsbError(UsbErrorCode.NOT_SUPPORTED, `${deviceName} no es un dispositivo WebHID`, { deviceName });
+    }
+    return entry.device;
+  }
+
+  private requireUsb(deviceName: string): WebUsbDevice {
+    const { entry } = this.requireOpen(deviceName);
+    if (entry.kind !== "usb") {
+      throw new UsbError(UsbErrorCode.NOT_SUPPORTED, "WebHID no permite transferencias de control", { deviceName });
+    }
+    return entry.device;
+  }
+
+  private requireClaimedEndpoint(deviceName: string, state: DeviceState, direction: "in" | "out"): WebUsbEndpoint {
+    if (!state.claimedInterface) {
+      throw new UsbError(UsbErrorCode.INTERFACE_NOT_FOUND, `No hay interfaz reclamada en ${deviceName}`, { deviceName });
+    }
+
+    const endpoint = state.claimedInterface.alternate.endpoints.find((e) => e.direction === direction);
+    if (!endpoint) {
+      throw new UsbError(UsbErrorCode.ENDPOINT_NOT_FOUND, `No se encontró endpoint ${direction.toUpperCase()}`, { deviceName });
+    }
+    return endpoint;
+  }
+
+  // Traduce los DOMException de WebUSB/WebHID a los mismos códigos que usa Android
+  private toUsbError(error: unknown, deviceName: string, fallbackCode: UsbErrorCode, message: string): UsbError {
+    if (error instanceof UsbError) {
+      return error;
+    }
+
+    const name = (error as { name?: string } | null)?.name;
+    let code = fallbackCode;
+    if (!this.devices.has(deviceName) && fallbackCode !== UsbErrorCode.NO_PERMISSION) {
+      code = UsbErrorCode.DEVICE_DETACHED;
+    } else if (name === "SecurityError" || name === "NotAllowedError") {
+      code = UsbErrorCode.NO_PERMISSION;
+    } else if (name === "InvalidStateError") {
+      code = UsbErrorCode.DEVICE_NOT_OPEN;
+    } else if (name === "NotSupportedError") {
+      code = UsbErrorCode.NOT_SUPPORTED;
+    }
+
+    const detail = error instanceof Error ? error.message : String(error);
+    return new UsbError(code, `${message}: ${detail}`, { deviceName, cause: error });
+  }
+}
+
+export default registerWebModule(ExpoUsbConectedModule, "ExpoUsbConected");
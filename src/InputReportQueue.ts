@@ -0,0 +1,110 @@
+import type { EventSubscription } from "expo-modules-core";
+
+import type { ExpoUsbModule, UsbDataEvent } from "./ExpoUsbConectedModule";
+import { callNative } from "./UsbError";
+
+// Cola de frames sobre la lectura continua nativa (onData). Expone el mismo contrato
+// receive/receiveTimeout que example/lib/hidDevice.js para que los drivers estilo
+// Tidepool funcionen sin cambios: receive entrega el frame por callback y
+// receiveTimeout resuelve con number[] (o [] si vence el timeout).
+export interface InputReportQueue {
+  readonly size: number;
+  start(): Promise<boolean>;
+  stop(): Promise<void>;
+  clear(): void;
+  receive(cb: (error: Error | null, packet: Uint8Array) => void): Promise<void>;
+  receiveTimeout(timeout: number): Promise<number[]>;
+  // Igual que receiveTimeout pero conservando la marca de tiempo monotónica del frame
+  receiveFrame(timeout: number): Promise<UsbDataEvent | null>;
+}
+
+export function createInputReportQueue(
+  deviceName: string,
+  endpointAddress: number,
+  module: ExpoUsbModule
+): InputReportQueue {
+  const frames: UsbDataEvent[] = [];
+  // Lectores esperando un frame, en orden de llegada
+  const waiters: ((frame: UsbDataEvent) => void)[] = [];
+  let subscription: EventSubscription | null = null;
+
+  const onData = (event: UsbDataEvent) => {
+    if (event.deviceName !== deviceName || event.endpointAddress !== endpointAddress) {
+      return;
+    }
+
+    const waiter = waiters.shift();
+    if (waiter) {
+      waiter(event);
+    } else {
+      frames.push(event);
+    }
+  };
+
+  const nextFrame = (timeout?: number): Promise<UsbDataEvent | null> => {
+    const queued = frames.shift();
+    if (queued) {
+      return Promise.resolve(queued);
+    }
+
+    return new Promise((resolve) => {
+      let timer: ReturnType<typeof setTimeout> | null = null;
+
+      const waiter = (frame: UsbDataEvent) => {
+        if (timer) {
+          clearTimeout(timer);
+        }
+        resolve(frame);
+      };
+
+      if (timeout !== undefined) {
+        timer = setTimeout(() => {
+          const index = waiters.indexOf(waiter);
+          if (index >= 0) {
+            waiters.splice(index, 1);
+          }
+          resolve(null);
+        }, timeout);
+      }
+
+      waiters.push(waiter);
+    });
+  };
+
+  return {
+    get size() {
+      return frames.length;
+    },
+
+    async start() {
+      if (!subscription) {
+        subscription = module.addListener("onData", onData);
+      }
+      return await callNative(() => module.startReading(deviceName, endpointAddress), deviceName);
+    },
+
+    async stop() {
+      subscription?.remove();
+      subscription = null;
+      await callNative(() => module.stopReading(deviceName), deviceName);
+    },
+
+    clear() {
+      frames.length = 0;
+    },
+
+    async receive(cb) {
+      const frame = await nextFrame();
+      cb(null, frame ? frame.data : new Uint8Array(0));
+    },
+
+    async receiveTimeout(timeout) {
+      const frame = await nextFrame(timeout);
+      return frame ? Array.from(frame.data) : [];
+    },
+
+    async receiveFrame(timeout) {
+      return await nextFrame(timeout);
+    },
+  };
+}
@@ -0,0 +1,614 @@
+import type { EventSubscription } from "expo-modules-core";
+
+import type {
+  ExpoUsbModule,
+  ExpoUsbModuleEvents,
+  HidRawReportDescriptor,
+  UsbConfigurationDescriptor,
+  UsbControlTransferParameters,
+  UsbDevice,
+  UsbDeviceDescriptor,
+  UsbSerialDriver,
+  UsbSerialOptions,
+  UsbSerialSignals,
+  UsbTransferResult,
+} from "./ExpoUsbConectedModule";
+import { UsbError, UsbErrorCode } from "./UsbError";
+import { toUint8Array, type UsbBytes } from "./bytes";
+
+// Backend USB en memoria que implementa ExpoUsbModule en JS puro, para ejecutar los
+// drivers en Jest (Linux/CI) sin teléfono ni glucómetro:
+//
+//   const mock = createMockUsbModule({ devices: [freeStyleNeo] });
+//   const driver = createAbbottDriver({ driverId }, createUsbApi(mock));
+//
+// Los dispositivos responden a lo que se escribe según `exchanges`; las respuestas se
+// encolan en el endpoint IN y se leen con readData/transferIn o llegan por onData.
+
+// Intercambio petición→respuesta. `request` se compara como prefijo de lo escrito
+// (los frames HID van rellenados a 64 bytes) o con una función
+export interface MockUsbExchange {
+  request: UsbBytes | ((data: Uint8Array) => boolean);
+  // Frames que el dispositivo devuelve, en orden
+  response?: UsbBytes | UsbBytes[];
+  // Latencia antes de que la respuesta esté disponible (por defecto la del dispositivo)
+  delayMs?: number;
+  // Sólo responde la primera vez que coincide
+  once?: boolean;
+  // El dispositivo se desconecta tras recibir la petición
+  disconnect?: boolean;
+}
+
+export interface MockUsbDeviceSpec {
+  deviceName: string;
+  vendorId: number;
+  productId: number;
+  manufacturerName?: string;
+  productName?: string;
+  serialNumber?: string;
+  hasPermission?: boolean;
+  // Resultado de requestPermission si el dispositivo no tiene permisos
+  grantPermission?: boolean;
+  // Por defecto una interfaz HID con endpoints interrupt 0x81/0x01 de 64 bytes
+  configurations?: UsbConfigurationDescriptor[];
+  hidReportDescriptor?: UsbBytes;
+  featureReports?: Record<number, UsbBytes>;
+  exchanges?: MockUsbExchange[];
+  // Latencia por defecto de las respuestas
+  delayMs?: number;
+  // Qué hacer con una escritura que no coincide con ningún intercambio
+  onUnmatchedWrite?: "ignore" | "stall";
+  // Driver que devuelve openSerial si no se fuerza uno (por defecto "cdc-acm")
+  serialDriver?: UsbSerialDriver;
+}
+
+export interface MockUsbModuleOptions {
+  devices?: MockUsbDeviceSpec[];
+}
+
+export interface MockUsbModule extends ExpoUsbModule {
+  // Conecta un dispositivo (emite onDeviceAttached)
+  attach(spec: MockUsbDeviceSpec): void;
+  // Desconecta un dispositivo (emite onDeviceDetached y rechaza las lecturas pendientes)
+  detach(deviceName: string): void;
+  setPermission(deviceName: string, granted: boolean): void;
+  // Frame no solicitado en el endpoint IN, p. ej. un report espontáneo del dispositivo
+  injectInput(deviceName: string, data: UsbBytes, delayMs?: number): void;
+  // Todo lo escrito al dispositivo, en orden
+  getWrites(deviceName: string): Uint8Array[];
+  // Opciones y señales del puerto serie abierto, o null
+  getSerialState(deviceName: string): MockSerialState | null;
+}
+
+export interface MockSerialState {
+  options: UsbSerialOptions;
+  signals: Required<UsbSerialSignals>;
+}
+
+const DEFAULT_CONFIGURATIONS: UsbConfigurationDescriptor[] = [
+  {
+    configurationValue: 1,
+    maxPower: 100,
+    selfPowered: false,
+    remoteWakeup: false,
+    interfaces: [
+      {
+        interfaceNumber: 0,
+        alternates: [
+          {
+            alternateSetting: 0,
+            interfaceClass: 3,
+            interfaceSubclass: 0,
+            interfaceProtocol: 0,
+            endpoints: [
+              { address: 0x81, endpointNumber: 1, direction: "in", type: "interrupt", maxPacketSize: 64, interval: 1 },
+              { address: 0x01, endpointNumber: 1, direction: "out", type: "interrupt", maxPacketSize: 64, interval: 1 },
+            ],
+          },
+        ],
+      },
+    ],
+  },
+];
+
+interface MockDeviceState {
+  spec: MockUsbDeviceSpec;
+  hasPermission: boolean;
+  opened: boolean;
+  claimed: Set<number>;
+  exchanges: MockUsbExchange[];
+  input: Uint8Array[];
+  waiters: { transferId?: string; resolve: (frame: Uint8Array) => void; reject: (error: UsbError) => void }[];
+  writes: Uint8Array[];
+  readingEndpoint: number | null;
+  serial: MockSerialState | null;
+  timers: Set<ReturnType<typeof setTimeout>>;
+}
+
+function startsWith(data: Uint8Array, prefix: Uint8Array): boolean {
+  return prefix.length <= data.length && prefix.every((byte, i) => data[i] === byte);
+}
+
+function asFrames(response: MockUsbExchange["response"]): Uint8Array[] {
+  if (response === undefined) {
+    return [];
+  }
+  // Una lista de frames (no una lista de bytes)
+  if (Array.isArray(response) && response.some((item) => typeof item !== "number")) {
+    return (response as UsbBytes[]).map(toUint8Array);
+  }
+  return [toUint8Array(response as UsbBytes)];
+}
+
+export function createMockUsbModule(options: MockUsbModuleOptions = {}): MockUsbModule {
+  const devices = new Map<string, MockDeviceState>();
+  // Igual que Android: operar sobre un dispositivo que se desconectó es E_DEVICE_DETACHED
+  const detached = new Set<string>();
+  const listeners = new Map<keyof ExpoUsbModuleEvents, Set<(...args: any[]) => void>>();
+
+  const emit = <E extends keyof ExpoUsbModuleEvents>(event: E, ...args: Parameters<ExpoUsbModuleEvents[E]>) => {
+    listeners.get(event)?.forEach((listener) => listener(...args));
+  };
+
+  const toUsbDevice = (state: MockDeviceState): UsbDevice => ({
+    deviceName: state.spec.deviceName,
+    vendorId: state.spec.vendorId,
+    productId: state.spec.productId,
+    manufacturerName: state.spec.manufacturerName,
+    productName: state.spec.productName,
+    serialNumber: state.spec.serialNumber,
+    hasPermission: state.hasPermission,
+  });
+
+  const requireDevice = (deviceName: string): MockDeviceState => {
+    const state = devices.get(deviceName);
+    if (!state) {
+      throw detached.has(deviceName)
+        ? new UsbError(UsbErrorCode.DEVICE_DETACHED, `Dispositivo desconectado: ${deviceName}`, { deviceName })
+        : new UsbError(UsbErrorCode.DEVICE_NOT_FOUND, `Dispositivo no encontrado: ${deviceName}`, { deviceName });
+    }
+    return state;
+  };
+
+  const requireOpen = (deviceName: string): MockDeviceState => {
+    const state = requireDevice(deviceName);
+    if (!state.opened) {
+      throw new UsbError(UsbErrorCode.DEVICE_NOT_OPEN, `Dispositivo no abierto: ${deviceName}`, { deviceName });
+    }
+    return state;
+  };
+
+  const requireClaimed = (deviceName: string): MockDeviceState => {
+    const state = requireOpen(deviceName);
+    if (state.claimed.size === 0) {
+      throw new UsbError(UsbErrorCode.INTERFACE_NOT_FOUND, `No hay interfaz reclamada en ${deviceName}`, { deviceName });
+    }
+    return state;
+  };
+
+  const requireSerial = (deviceName: string): MockDeviceState => {
+    const state = requireDevice(deviceName);
+    if (!state.serial) {
+      throw new UsbError(UsbErrorCode.DEVICE_NOT_OPEN, `No hay puerto serie abierto en ${deviceName}`, { deviceName });
+    }
+    return state;
+  };
+
+  const later = (state: MockDeviceState, delayMs: number, fn: () => void) => {
+    const timer = setTimeout(() => {
+      state.timers.delete(timer);
+      fn();
+    }, delayMs);
+    state.timers.add(timer);
+  };
+
+  const pushInput = (state: MockDeviceState, frame: Uint8Array) => {
+    if (state.readingEndpoint !== null) {
+      emit("onData", {
+        deviceName: state.spec.deviceName,
+        endpointAddress: state.readingEndpoint,
+        data: frame,
+        timestamp: Date.now(),
+      });
+      return;
+    }
+
+    const waiter = state.waiters.shift();
+    if (waiter) {
+      waiter.resolve(frame);
+    } else {
+      state.input.push(frame);
+    }
+  };
+
+  const nextInput = (state: MockDeviceState, timeout: number, transferId?: string): Promise<Uint8Array> => {
+    const queued = state.input.shift();
+    if (queued) {
+      return Promise.resolve(queued);
+    }
+
+    const deviceName = state.spec.deviceName;
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        transferId,
+        resolve: (frame: Uint8Array) => {
+          clearTimeout(timer);
+          resolve(frame);
+        },
+        reject: (error: UsbError) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+      const timer = setTimeout(() => {
+        state.waiters.splice(state.waiters.indexOf(waiter), 1);
+        reject(new UsbError(UsbErrorCode.TIMEOUT, `Timeout leyendo de ${deviceName}`, { deviceName }));
+      }, timeout);
+      state.waiters.push(waiter);
+    });
+  };
+
+  // Registra la escritura y programa la respuesta del intercambio que coincida
+  const write = (state: MockDeviceState, data: Uint8Array): number => {
+    const deviceName = state.spec.deviceName;
+    state.writes.push(data.slice());
+
+    const exchange = state.exchanges.find((candidate) =>
+      typeof candidate.request === "function"
+        ? candidate.request(data)
+        : startsWith(data, toUint8Array(candidate.request))
+    );
+
+    if (!exchange) {
+      if (state.spec.onUnmatchedWrite === "stall") {
+        throw new UsbError(UsbErrorCode.STALL, `Escritura no esperada en ${deviceName}`, { deviceName });
+      }
+      return data.length;
+    }
+
+    if (exchange.once) {
+      state.exchanges.splice(state.exchanges.indexOf(exchange), 1);
+    }
+
+    const delayMs = exchange.delayMs ?? state.spec.delayMs ?? 0;
+    later(state, delayMs, () => {
+      asFrames(exchange.response).forEach((frame) => pushInput(state, frame));
+      if (exchange.disconnect) {
+        mock.detach(deviceName);
+      }
+    });
+    return data.length;
+  };
+
+  const mock: MockUsbModule = {
+    addListener(eventName, listener): EventSubscription {
+      const set = listeners.get(eventName) ?? new Set();
+      set.add(listener);
+      listeners.set(eventName, set);
+      return { remove: () => set.delete(listener) };
+    },
+
+    // ========== CONTROL DEL MOCK ==========
+
+    attach(spec) {
+      const state: MockDeviceState = {
+        spec,
+        hasPermission: spec.hasPermission ?? true,
+        opened: false,
+        claimed: new Set(),
+        exchanges: [...(spec.exchanges ?? [])],
+        input: [],
+        waiters: [],
+        writes: [],
+        readingEndpoint: null,
+        serial: null,
+        timers: new Set(),
+      };
+      devices.set(spec.deviceName, state);
+      detached.delete(spec.deviceName);
+      emit("onDeviceAttached", toUsbDevice(state));
+    },
+
+    detach(deviceName) {
+      const state = devices.get(deviceName);
+      if (!state) {
+        return;
+      }
+
+      devices.delete(deviceName);
+      detached.add(deviceName);
+      state.timers.forEach(clearTimeout);
+      state.timers.clear();
+      state.waiters
+        .splice(0)
+        .forEach((waiter) =>
+          waiter.reject(new UsbError(UsbErrorCode.DEVICE_DETACHED, `Dispositivo desconectado: ${deviceName}`, { deviceName }))
+        );
+      emit("onDeviceDetached", { ...toUsbDevice(state), hasPermission: false });
+    },
+
+    setPermission(deviceName, granted) {
+      const state = requireDevice(deviceName);
+      state.hasPermission = granted;
+      emit("onPermissionChanged", toUsbDevice(state));
+    },
+
+    injectInput(deviceName, data, delayMs = 0) {
+      const state = requireDevice(deviceName);
+      later(state, delayMs, () => pushInput(state, toUint8Array(data)));
+    },
+
+    getWrites(deviceName) {
+      return devices.get(deviceName)?.writes ?? [];
+    },
+
+    getSerialState(deviceName) {
+      return devices.get(deviceName)?.serial ?? null;
+    },
+
+    // ========== ExpoUsbModule ==========
+
+    async scanDevices() {
+      return Array.from(devices.values(), toUsbDevice);
+    },
+
+    async requestPermission(deviceName) {
+      const state = requireDevice(deviceName);
+      if (!state.hasPermission && (state.spec.grantPermission ?? true)) {
+        mock.setPermission(deviceName, true);
+      }
+      return state.hasPermission;
+    },
+
+    async setAutoRequestPermissions() {},
+
+    async clearPermissionRequests() {},
+
+    async getDeviceDescriptor(deviceName): Promise<UsbDeviceDescriptor> {
+      const { spec } = requireDevice(deviceName);
+      return {
+        deviceName,
+        vendorId: spec.vendorId,
+        productId: spec.productId,
+        deviceClass: 0,
+        deviceSubclass: 0,
+        deviceProtocol: 0,
+        version: "1.00",
+        configurations: spec.configurations ?? DEFAULT_CONFIGURATIONS,
+      };
+    },
+
+    async openDevice(deviceName) {
+      const state = requireDevice(deviceName);
+      if (!state.hasPermission) {
+        throw new UsbError(UsbErrorCode.NO_PERMISSION, `Sin permisos para ${deviceName}`, { deviceName });
+      }
+      state.opened = true;
+      return true;
+    },
+
+    async closeDevice(deviceName) {
+      const state = devices.get(deviceName);
+      if (!state || !state.opened) {
+        return false;
+      }
+      state.opened = false;
+      state.claimed.clear();
+      state.readingEndpoint = null;
+      state.serial = null;
+      return true;
+    },
+
+    async claimInterface(deviceName, interfaceNumber) {
+      const state = requireOpen(deviceName);
+      const configuration = (state.spec.configurations ?? DEFAULT_CONFIGURATIONS)[0];
+      if (!configuration?.interfaces.some((i) => i.interfaceNumber === interfaceNumber)) {
+        throw new UsbError(UsbErrorCode.INTERFACE_NOT_FOUND, `Interfaz ${interfaceNumber} no existe`, { deviceName });
+      }
+      state.claimed.add(interfaceNumber);
+      return true;
+    },
+
+    async releaseInterface(deviceName, interfaceNumber) {
+      return requireOpen(deviceName).claimed.delete(interfaceNumber);
+    },
+
+    async writeData(deviceName, data) {
+      return write(requireClaimed(deviceName), data);
+    },
+
+    async readData(deviceName, timeout = 5000, transferId) {
+      return await nextInput(requireClaimed(deviceName), timeout, transferId);
+    },
+
+    // Mismo protocolo que Android: respuesta hasta "CMD OK" o "CMD Fail!"
+    async sendTextCommand(deviceName, command, transferId) {
+      const state = requireClaimed(deviceName);
+      const fullCommand = command.endsWith("\r\n") ? command : `${command}\r\n`;
+      write(state, new Uint8Array(Array.from(fullCommand, (c) => c.charCodeAt(0))));
+
+      let response = "";
+      while (!response.includes("CMD OK") && !response.includes("CMD Fail!")) {
+        response += String.fromCharCode(...(await nextInput(state, 5000, transferId)));
+      }
+      return response;
+    },
+
+    async transferIn(deviceName, _endpointAddress, length, timeout, transferId): Promise<UsbTransferResult> {
+      const frame = await nextInput(requireClaimed(deviceName), timeout, transferId);
+      if (frame.length > length) {
+        return { status: "babble", bytesTransferred: length, data: frame.subarray(0, length) };
+      }
+      return { status: "ok", bytesTransferred: frame.length, data: frame };
+    },
+
+    async transferOut(deviceName, _endpointAddress, data): Promise<UsbTransferResult> {
+      const state = requireClaimed(deviceName);
+      try {
+        return { status: "ok", bytesTransferred: write(state, data), data: new Uint8Array(0) };
+      } catch (error) {
+        if (error instanceof UsbError && error.code === UsbErrorCode.STALL) {
+          return { status: "stall", bytesTransferred: 0, data: new Uint8Array(0) };
+        }
+        throw error;
+      }
+    },
+
+    async clearHalt(deviceName) {
+      requireOpen(deviceName);
+      return true;
+    },
+
+    async startReading(deviceName, endpointAddress) {
+      const state = requireClaimed(deviceName);
+      state.readingEndpoint = endpointAddress;
+      state.input.splice(0).forEach((frame) => pushInput(state, frame));
+      return true;
+    },
+
+    async stopReading(deviceName) {
+      const state = devices.get(deviceName);
+      if (!state || state.readingEndpoint === null) {
+        return false;
+      }
+      state.readingEndpoint = null;
+      return true;
+    },
+
+    async sendReport(deviceName, reportId, data) {
+      const frame = reportId !== 0 ? new Uint8Array([reportId, ...data]) : data;
+      write(requireClaimed(deviceName), frame);
+      return data.length;
+    },
+
+    async sendFeatureReport(deviceName, reportId, data) {
+      const state = requireClaimed(deviceName);
+      state.spec.featureReports = { ...state.spec.featureReports, [reportId]: data.slice() };
+      return data.length;
+    },
+
+    async receiveFeatureReport(deviceName, reportId, length) {
+      const state = requireClaimed(deviceName);
+      const report = state.spec.featureReports?.[reportId];
+      if (report === undefined) {
+        throw new UsbError(UsbErrorCode.STALL, `Feature report ${reportId} no disponible`, { deviceName });
+      }
+      return toUint8Array(report).subarray(0, length);
+    },
+
+    async getHidReportDescriptor(deviceName): Promise<HidRawReportDescriptor> {
+      const state = requireClaimed(deviceName);
+      if (!state.spec.hidReportDescriptor) {
+        throw new UsbError(UsbErrorCode.INTERFACE_NOT_FOUND, `${deviceName} no declara descriptor HID`, { deviceName });
+      }
+      return { interfaceNumber: 0, data: toUint8Array(state.spec.hidReportDescriptor) };
+    },
+
+    // Las transferencias de control no se simulan: el dispositivo responde con STALL
+    async controlTransferIn(deviceName, _setup: UsbControlTransferParameters): Promise<UsbTransferResult> {
+      requireOpen(deviceName);
+      return { status: "stall", bytesTransferred: 0, data: new Uint8Array(0) };
+    },
+
+    async controlTransferOut(deviceName, _setup: UsbControlTransferParameters): Promise<UsbTransferResult> {
+      requireOpen(deviceName);
+      return { status: "stall", bytesTransferred: 0, data: new Uint8Array(0) };
+    },
+
+    // ========== PUERTO SERIE ==========
+    // Los bytes escritos pasan por `exchanges` igual que writeData; las respuestas se
+    // leen con readSerial, partidas al tamaño pedido como en un puerto real
+
+    async openSerial(deviceName, serialOptions) {
+      const state = requireDevice(deviceName);
+      if (!state.hasPermission) {
+        throw new UsbError(UsbErrorCode.NO_PERMISSION, `Sin permisos para ${deviceName}`, { deviceName });
+      }
+      state.opened = true;
+      state.serial = {
+        options: { ...serialOptions },
+        signals: { dataTerminalReady: false, requestToSend: false },
+      };
+      return serialOptions.driver ?? state.spec.serialDriver ?? "cdc-acm";
+    },
+
+    async closeSerial(deviceName) {
+      const state = devices.get(deviceName);
+      if (!state?.serial) {
+        return false;
+      }
+      return mock.closeDevice(deviceName);
+    },
+
+    async writeSerial(deviceName, data) {
+      return write(requireSerial(deviceName), data);
+    },
+
+    async readSerial(deviceName, length, timeout, transferId) {
+      const state = requireSerial(deviceName);
+      let frame: Uint8Array;
+      try {
+        frame = await nextInput(state, timeout, transferId);
+      } catch (error) {
+        if (error instanceof UsbError && error.code === UsbErrorCode.TIMEOUT) {
+          return new Uint8Array(0);
+        }
+        throw error;
+      }
+      if (frame.length > length) {
+        state.input.unshift(frame.slice(length));
+        return frame.slice(0, length);
+      }
+      return frame;
+    },
+
+    async setSerialSignals(deviceName, signals) {
+      const state = requireSerial(deviceName);
+      state.serial!.signals = {
+        dataTerminalReady: signals.dataTerminalReady ?? state.serial!.signals.dataTerminalReady,
+        requestToSend: signals.requestToSend ?? state.serial!.signals.requestToSend,
+      };
+    },
+
+    // ========== CANCELACIÓN ==========
+
+    // Las lecturas pendientes rechazan con E_ABORTED; lo ya recibido sigue en cola
+    async cancelTransfers(deviceName) {
+      const state = devices.get(deviceName);
+      if (!state) {
+        return false;
+      }
+      state.waiters
+        .splice(0)
+        .forEach((waiter) =>
+          waiter.reject(new UsbError(UsbErrorCode.ABORTED, `Lectura cancelada en ${deviceName}`, { deviceName }))
+        );
+      return true;
+    },
+
+    // Sólo la lectura pendiente de esa llamada; las escrituras del mock no esperan
+    async cancelTransfer(transferId) {
+      for (const [deviceName, state] of devices) {
+        const waiter = state.waiters.find((candidate) => candidate.transferId === transferId);
+        if (waiter) {
+          state.waiters.splice(state.waiters.indexOf(waiter), 1);
+          waiter.reject(new UsbError(UsbErrorCode.ABORTED, `Lectura cancelada en ${deviceName}`, { deviceName }));
+          return true;
+        }
+      }
+      return false;
+    },
+
+    // Copia, como el puente nativo
+    async loopback(data) {
+      return Uint8Array.from(data);
+    },
+
+    async loopbackNumbers(data) {
+      return [...data];
+    },
+  };
+
+  options.devices?.forEach((spec) => mock.attach(spec));
+  return mock;
+}
@@ -0,0 +1,254 @@
+import type { EventSubscription } from "expo-modules-core";
+
+import type { ExpoUsbModule, UsbDevice } from "./ExpoUsbConectedModule";
+import { UsbConnection } from "./UsbConnection";
+import { UsbError, UsbErrorCode, abortedError, callNative, isUsbError } from "./UsbError";
+
+// Errores con los que una operación se da por interrumpida por una desconexión
+const DETACH_ERRORS: UsbErrorCode[] = [UsbErrorCode.DEVICE_DETACHED, UsbErrorCode.DEVICE_NOT_FOUND];
+
+// Errores al reconectar que no se arreglan esperando: se propagan sin más intentos
+const FATAL_RECONNECT_ERRORS: UsbErrorCode[] = [UsbErrorCode.NO_PERMISSION, UsbErrorCode.ABORTED];
+
+export interface ReconnectPolicy {
+  // Reconexiones permitidas en toda la operación (0 = no reconectar)
+  retries?: number;
+  // Espera antes de cada intento: initialDelayMs * backoffFactor^(intento - 1), hasta maxDelayMs
+  initialDelayMs?: number;
+  backoffFactor?: number;
+  maxDelayMs?: number;
+  // Cuánto esperar en cada intento a que el dispositivo vuelva a aparecer
+  reattachTimeoutMs?: number;
+  // Interfaces que se vuelven a reclamar al reabrir
+  interfaces?: number[];
+  // Tras reabrir y reclamar, antes de repetir la operación: aquí el driver vuelve a
+  // inicializar el protocolo (p. ej. initCommunication) con la nueva conexión
+  onReconnected?: (connection: UsbConnection, attempt: number) => Promise<void>;
+  onEvent?: (event: ReconnectEvent) => void;
+  signal?: AbortSignal;
+}
+
+export interface ReconnectEvent {
+  type: "detached" | "reconnecting" | "reconnected" | "failed";
+  deviceName: string;
+  attempt: number;
+  retries: number;
+  // Espera antes del intento (sólo en "reconnecting")
+  delayMs?: number;
+  error?: unknown;
+}
+
+export interface ReconnectContext {
+  // 0 en la primera ejecución, n tras la n-ésima reconexión
+  attempt: number;
+  signal?: AbortSignal;
+}
+
+const sleep = (ms: number, signal?: AbortSignal): Promise<void> =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortedError(undefined, signal.reason));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortedError(undefined, signal!.reason));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// Al volver a enchufarlo Android le asigna otro deviceName: se reconoce por
+// vendorId/productId y, si ambos lo tienen, por número de serie
+const isSameDevice = (device: UsbDevice, candidate: UsbDevice): boolean =>
+  device.vendorId === candidate.vendorId &&
+  device.productId === candidate.productId &&
+  (!device.serialNumber || !candidate.serialNumber || device.serialNumber === candidate.serialNumber);
+
+function waitForDevice(
+  module: ExpoUsbModule,
+  device: UsbDevice,
+  timeoutMs: number,
+  signal?: AbortSignal
+): Promise<UsbDevice> {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (finish: () => void) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      subscription.remove();
+      signal?.removeEventListener("abort", onAbort);
+      finish();
+    };
+
+    const onAbort = () => settle(() => reject(abortedError(device.deviceName, signal!.reason)));
+    const timer = setTimeout(() => {
+      settle(() =>
+        reject(
+          new UsbError(UsbErrorCode.TIMEOUT, `El dispositivo no volvió a conectarse en ${timeoutMs} ms`, {
+            deviceName: device.deviceName,
+          })
+        )
+      );
+    }, timeoutMs);
+
+    // Primero el listener y después el escaneo, así no se pierde una conexión entre ambos
+    const subscription = module.addListener("onDeviceAttached", (attached) => {
+      if (isSameDevice(device, attached)) {
+        settle(() => resolve(attached));
+      }
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    // El escaneo puede listar todavía el dispositivo que se acaba de desconectar: con su
+    // deviceName no se vuelve a abrir, así que sólo cuentan las entradas con otro nombre
+    callNative(() => module.scanDevices()).then(
+      (devices) => {
+        const found = devices.find(
+          (candidate) => candidate.deviceName !== device.deviceName && isSameDevice(device, candidate)
+        );
+        if (found) {
+          settle(() => resolve(found));
+        }
+      },
+      (error) => settle(() => reject(error))
+    );
+  });
+}
+
+function watchDetach(module: ExpoUsbModule, deviceName: string): { readonly detached: boolean } & EventSubscription {
+  let detached = false;
+  const subscription = module.addListener("onDeviceDetached", (device) => {
+    if (device.deviceName === deviceName) {
+      detached = true;
+    }
+  });
+
+  return {
+    get detached() {
+      return detached;
+    },
+    remove: () => subscription.remove(),
+  };
+}
+
+// Ejecuta `operation` sobre la conexión y, si el dispositivo se desconecta a mitad
+// (cable flojo), espera a que vuelva, lo reabre, reclama las interfaces, llama a
+// onReconnected y repite `operation` con la nueva conexión. La operación decide qué
+// rehacer: lo que ya guardó en sus checkpoints no lo vuelve a pedir. Desde la API
+// (sin el argumento `module`):
+//
+//   const records = await runWithReconnect(connection, async (current, { attempt }) => {
+//     return await driver.fetchData(); // continúa desde el último registro recibido
+//   }, { retries: 3, interfaces: [0], onReconnected: (reopened) => driver.resume(reopened) });
+//
+// El resto de errores, y el de desconexión cuando se agotan los reintentos, se propagan.
+export async function runWithReconnect<T>(
+  module: ExpoUsbModule,
+  connection: UsbConnection,
+  operation: (connection: UsbConnection, context: ReconnectContext) => Promise<T>,
+  policy: ReconnectPolicy = {}
+): Promise<T> {
+  const {
+    retries = 3,
+    initialDelayMs = 500,
+    backoffFactor = 2,
+    maxDelayMs = 8000,
+    reattachTimeoutMs = 15000,
+    interfaces = [],
+    onReconnected,
+    onEvent,
+    signal,
+  } = policy;
+
+  const device = (await callNative(() => module.scanDevices(), connection.deviceName)).find(
+    (candidate) => candidate.deviceName === connection.deviceName
+  );
+  if (!device) {
+    throw new UsbError(UsbErrorCode.DEVICE_NOT_FOUND, `Dispositivo no encontrado: ${connection.deviceName}`, {
+      deviceName: connection.deviceName,
+    });
+  }
+
+  let current = connection;
+  let attempt = 0;
+
+  const emit = (type: ReconnectEvent["type"], details: Partial<ReconnectEvent> = {}) => {
+    onEvent?.({ type, deviceName: current.deviceName, attempt, retries, ...details });
+  };
+
+  const reopen = async (): Promise<UsbConnection> => {
+    const found = await waitForDevice(module, device, reattachTimeoutMs, signal);
+    if (!found.hasPermission) {
+      const granted = await callNative(() => module.requestPermission(found.deviceName), found.deviceName);
+      if (!granted) {
+        throw new UsbError(UsbErrorCode.NO_PERMISSION, `Permiso denegado al reconectar ${found.deviceName}`, {
+          deviceName: found.deviceName,
+        });
+      }
+    }
+
+    await callNative(() => module.openDevice(found.deviceName), found.deviceName, { signal });
+    const reopened = new UsbConnection(found.deviceName, module);
+    try {
+      for (const interfaceNumber of interfaces) {
+        await reopened.claimInterface(interfaceNumber, { signal });
+      }
+      await onReconnected?.(reopened, attempt);
+    } catch (error) {
+      await reopened.close().catch(() => undefined);
+      throw error;
+    }
+    return reopened;
+  };
+
+  for (;;) {
+    const detach = watchDetach(module, current.deviceName);
+    let failure: unknown;
+    try {
+      return await operation(current, { attempt, signal });
+    } catch (error) {
+      const detached = detach.detached || DETACH_ERRORS.some((code) => isUsbError(error, code));
+      if (!detached || signal?.aborted) {
+        throw error;
+      }
+      failure = error;
+    } finally {
+      detach.remove();
+    }
+
+    emit("detached", { error: failure });
+    // La conexión anterior ya no sirve (el módulo nativo la cierra al desconectarse)
+    await current.close().catch(() => undefined);
+
+    for (;;) {
+      if (attempt >= retries) {
+        emit("failed", { error: failure });
+        throw failure;
+      }
+
+      attempt += 1;
+      const delayMs = Math.min(initialDelayMs * backoffFactor ** (attempt - 1), maxDelayMs);
+      emit("reconnecting", { delayMs, error: failure });
+
+      try {
+        await sleep(delayMs, signal);
+        current = await reopen();
+        emit("reconnected");
+        break;
+      } catch (error) {
+        if (signal?.aborted || FATAL_RECONNECT_ERRORS.some((code) => isUsbError(error, code))) {
+          emit("failed", { error });
+          throw error;
+        }
+        failure = error;
+      }
+    }
+  }
+}
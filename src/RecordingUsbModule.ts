@@ -0,0 +1,103 @@
+import type { ExpoUsbModule } from "./ExpoUsbConectedModule";
+import { UsbError } from "./UsbError";
+import {
+  USB_MODULE_EVENTS,
+  USB_MODULE_METHODS,
+  USB_TRACE_FORMAT,
+  USB_TRACE_VERSION,
+  cloneTraceValue,
+  withoutTransferId,
+  type UsbTrace,
+  type UsbTraceCall,
+  type UsbTraceEntry,
+} from "./usbTrace";
+
+// Envuelve un ExpoUsbModule y graba cada llamada (argumentos, bytes, tiempos y
+// resultado o error) y cada evento en una traza reproducible con createReplayUsbModule:
+//
+//   const recorder = createRecordingUsbModule(ExpoUsbConectedModule, { driverId });
+//   const driver = createAbbottDriver(config, createUsbApi(recorder));
+//   ...
+//   const trace = recorder.getTrace();
+export interface RecordingUsbModule extends ExpoUsbModule {
+  getTrace(): UsbTrace;
+  // Deja de grabar eventos del módulo envuelto
+  stopRecording(): void;
+}
+
+const now = (): number => globalThis.performance?.now() ?? Date.now();
+
+export function createRecordingUsbModule(
+  module: ExpoUsbModule,
+  metadata: Record<string, unknown> = {}
+): RecordingUsbModule {
+  const origin = now();
+  // Hora real del origen: los tiempos de la traza son relativos a ella (pcapng los necesita absolutos)
+  const createdAt = new Date().toISOString();
+  const entries: UsbTraceEntry[] = [];
+  let seq = 0;
+  let lastCompletedCall: number | null = null;
+
+  // Los eventos se graban aunque nadie los escuche todavía: en replay pueden hacer falta
+  const subscriptions = USB_MODULE_EVENTS.map((event) =>
+    module.addListener(event, (payload: unknown) => {
+      entries.push({
+        type: "event",
+        seq: seq++,
+        event,
+        payload: cloneTraceValue(payload),
+        at: now() - origin,
+        afterCall: lastCompletedCall,
+      });
+    })
+  );
+
+  const recording = {
+    addListener: module.addListener.bind(module),
+
+    getTrace(): UsbTrace {
+      return {
+        format: USB_TRACE_FORMAT,
+        version: USB_TRACE_VERSION,
+        createdAt,
+        metadata,
+        entries: entries.map(cloneTraceValue),
+      };
+    },
+
+    stopRecording() {
+      subscriptions.splice(0).forEach((subscription) => subscription.remove());
+    },
+  } as RecordingUsbModule;
+
+  for (const method of USB_MODULE_METHODS) {
+    const target = module[method] as (...args: unknown[]) => Promise<unknown>;
+
+    (recording as unknown as Record<string, unknown>)[method] = async (...args: unknown[]) => {
+      const entry: UsbTraceCall = {
+        type: "call",
+        seq: seq++,
+        method,
+        args: cloneTraceValue(withoutTransferId(method, args)),
+        startedAt: now() - origin,
+        durationMs: 0,
+      };
+      entries.push(entry);
+
+      try {
+        const result = await target.apply(module, args);
+        entry.result = cloneTraceValue(result);
+        return result;
+      } catch (error) {
+        const usbError = UsbError.from(error);
+        entry.error = { code: usbError.code, message: usbError.message };
+        throw error;
+      } finally {
+        entry.durationMs = now() - origin - entry.startedAt;
+        lastCompletedCall = entry.seq;
+      }
+    };
+  }
+
+  return recording;
+}
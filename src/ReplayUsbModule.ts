@@ -0,0 +1,150 @@
+import type { EventSubscription } from "expo-modules-core";
+
+import type { ExpoUsbModule, ExpoUsbModuleEvents } from "./ExpoUsbConectedModule";
+import { UsbError, UsbErrorCode } from "./UsbError";
+import {
+  USB_MODULE_METHODS,
+  cloneTraceValue,
+  withoutTransferId,
+  type UsbTrace,
+  type UsbTraceCall,
+  type UsbTraceEvent,
+} from "./usbTrace";
+
+// Backend que reproduce una traza grabada con createRecordingUsbModule. El driver
+// recibe exactamente los mismos resultados, errores y eventos que en la sesión real,
+// así un fallo de campo se depura en Jest o en el CLI sin el glucómetro:
+//
+//   const replay = createReplayUsbModule(parseUsbTrace(json), { strict: true });
+//   const driver = createAbbottDriver(config, createUsbApi(replay));
+export interface ReplayUsbModuleOptions {
+  // Con strict, los argumentos deben coincidir con los grabados (bytes incluidos)
+  // y una llamada que no está en la traza rechaza con E_REPLAY_MISMATCH.
+  // Sin strict, se sirve la siguiente respuesta grabada de ese método
+  strict?: boolean;
+  // "instant" (por defecto) responde enseguida; "recorded" respeta la duración grabada
+  timing?: "instant" | "recorded";
+}
+
+export interface ReplayUsbModule extends ExpoUsbModule {
+  // Llamadas de la traza que el driver todavía no ha hecho
+  getPendingCalls(): UsbTraceCall[];
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  // JSON guarda los undefined de un array como null
+  if (a == null || b == null) {
+    return a == b;
+  }
+  if (a instanceof Uint8Array || b instanceof Uint8Array) {
+    return (
+      a instanceof Uint8Array &&
+      b instanceof Uint8Array &&
+      a.length === b.length &&
+      a.every((byte, i) => byte === b[i])
+    );
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => sameValue(v, b[i]));
+  }
+  if (a !== null && b !== null && typeof a === "object" && typeof b === "object") {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => sameValue((a as Record<string, unknown>)[key], (b as Record<string, unknown>)[key]))
+    );
+  }
+  return a === b;
+}
+
+// Los argumentos opcionales omitidos llegan como undefined y se pierden en JSON
+function sameArgs(recorded: unknown[], actual: unknown[]): boolean {
+  const trimmed = [...actual];
+  while (trimmed.length > recorded.length && trimmed[trimmed.length - 1] === undefined) {
+    trimmed.pop();
+  }
+  return sameValue(recorded, trimmed);
+}
+
+const delay = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+export function createReplayUsbModule(trace: UsbTrace, options: ReplayUsbModuleOptions = {}): ReplayUsbModule {
+  const { strict = false, timing = "instant" } = options;
+  const listeners = new Map<keyof ExpoUsbModuleEvents, Set<(...args: any[]) => void>>();
+
+  // Cola FIFO de llamadas por método y eventos agrupados por la llamada tras la que llegaron
+  const calls = new Map<string, UsbTraceCall[]>();
+  const eventsAfter = new Map<number | null, UsbTraceEvent[]>();
+  for (const entry of trace.entries) {
+    if (entry.type === "call") {
+      calls.set(entry.method, [...(calls.get(entry.method) ?? []), entry]);
+    } else {
+      eventsAfter.set(entry.afterCall, [...(eventsAfter.get(entry.afterCall) ?? []), entry]);
+    }
+  }
+
+  const emitEventsAfter = (seq: number | null) => {
+    const events = eventsAfter.get(seq);
+    if (!events) {
+      return;
+    }
+    eventsAfter.delete(seq);
+    // Asíncrono, como los eventos nativos: la promesa de la llamada se resuelve antes
+    setTimeout(() => {
+      for (const { event, payload } of events) {
+        listeners.get(event)?.forEach((listener) => listener(cloneTraceValue(payload)));
+      }
+    }, 0);
+  };
+
+  const mismatch = (method: string, message: string) =>
+    new UsbError(UsbErrorCode.REPLAY_MISMATCH, `Replay ${method}: ${message}`);
+
+  const replay = {
+    addListener(eventName, listener): EventSubscription {
+      const set = listeners.get(eventName) ?? new Set();
+      set.add(listener);
+      listeners.set(eventName, set);
+      // Eventos grabados antes de la primera llamada (p. ej. onDeviceAttached)
+      emitEventsAfter(null);
+      return { remove: () => set.delete(listener) };
+    },
+
+    getPendingCalls() {
+      return [...calls.values()].flat().sort((a, b) => a.seq - b.seq);
+    },
+  } as ReplayUsbModule;
+
+  for (const method of USB_MODULE_METHODS) {
+    (replay as unknown as Record<string, unknown>)[method] = async (...callArgs: unknown[]) => {
+      const args = withoutTransferId(method, callArgs);
+      const queue = calls.get(method) ?? [];
+      if (queue.length === 0) {
+        throw mismatch(method, "la traza no tiene más llamadas a este método");
+      }
+
+      let index = 0;
+      if (strict) {
+        if (!sameArgs(queue[0].args, args)) {
+          throw mismatch(method, `argumentos distintos a los grabados (seq ${queue[0].seq})`);
+        }
+      } else {
+        // Preferimos la llamada con los mismos argumentos; si no hay, la siguiente
+        index = Math.max(0, queue.findIndex((entry) => sameArgs(entry.args, args)));
+      }
+
+      const [entry] = queue.splice(index, 1);
+      if (timing === "recorded" && entry.durationMs > 0) {
+        await delay(entry.durationMs);
+      }
+      emitEventsAfter(entry.seq);
+
+      if (entry.error) {
+        throw new UsbError(entry.error.code as UsbErrorCode, entry.error.message);
+      }
+      return cloneTraceValue(entry.result);
+    };
+  }
+
+  return replay;
+}
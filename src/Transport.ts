@@ -0,0 +1,258 @@
+import type { EventSubscription } from "expo-modules-core";
+
+import type {
+  ExpoUsbModule,
+  UsbAlternateInterface,
+  UsbDataEvent,
+  UsbDeviceDescriptor,
+  UsbDirection,
+  UsbEndpointDescriptor,
+} from "./ExpoUsbConectedModule";
+import { UsbConnection } from "./UsbConnection";
+import { UsbError, UsbErrorCode, callNative } from "./UsbError";
+import type { UsbBytes } from "./bytes";
+
+// Contrato común de HID, serie, USB, BLE y el módulo nativo: los drivers escriben
+// bytes y leen los trozos que llegan sin saber por dónde viajan.
+//
+//   await transport.open();
+//   await transport.write([0x02, 0x30]);
+//   const chunk = await transport.read(1000); // vacío si vence el timeout
+//   await transport.close();
+export interface Transport {
+  readonly opened: boolean;
+  open(): Promise<void>;
+  // Idempotente: cerrar dos veces no es un error
+  close(): Promise<void>;
+  write(data: UsbBytes): Promise<void>;
+  // Siguiente trozo recibido; un array vacío si no llega nada antes del timeout
+  read(timeout: number): Promise<Uint8Array>;
+  // Cada trozo llega a los listeners y además queda en la cola de read()
+  onData(listener: (data: Uint8Array) => void): EventSubscription;
+  // Descarta lo recibido que todavía no se ha leído
+  flush(): void;
+}
+
+export interface TransportQueue {
+  readonly size: number;
+  push(data: Uint8Array): void;
+  read(timeout: number): Promise<Uint8Array>;
+  onData(listener: (data: Uint8Array) => void): EventSubscription;
+  flush(): void;
+  // Despierta a los lectores pendientes con un array vacío (al cerrar)
+  release(): void;
+}
+
+// Cola de trozos recibidos sobre la que se construye cada adaptador: el origen
+// (inputreport, onData, un bucle de lectura...) hace push y el driver lee con timeout
+export function createTransportQueue(): TransportQueue {
+  const chunks: Uint8Array[] = [];
+  // Lectores esperando un trozo, en orden de llegada
+  const waiters: ((data: Uint8Array) => void)[] = [];
+  const listeners = new Set<(data: Uint8Array) => void>();
+
+  return {
+    get size() {
+      return chunks.length;
+    },
+
+    push(data) {
+      listeners.forEach((listener) => listener(data));
+
+      const waiter = waiters.shift();
+      if (waiter) {
+        waiter(data);
+      } else {
+        chunks.push(data);
+      }
+    },
+
+    read(timeout) {
+      const queued = chunks.shift();
+      if (queued) {
+        return Promise.resolve(queued);
+      }
+
+      return new Promise((resolve) => {
+        const waiter = (data: Uint8Array) => {
+          clearTimeout(timer);
+          resolve(data);
+        };
+
+        const timer = setTimeout(() => {
+          const index = waiters.indexOf(waiter);
+          if (index >= 0) {
+            waiters.splice(index, 1);
+          }
+          resolve(new Uint8Array(0));
+        }, timeout);
+
+        waiters.push(waiter);
+      });
+    },
+
+    onData(listener) {
+      listeners.add(listener);
+      return { remove: () => listeners.delete(listener) };
+    },
+
+    flush() {
+      chunks.length = 0;
+    },
+
+    release() {
+      waiters.splice(0).forEach((waiter) => waiter(new Uint8Array(0)));
+    },
+  };
+}
+
+export interface NativeTransportOptions {
+  // Interfaz a reclamar; por defecto la primera con un endpoint IN bulk o interrupt
+  interfaceNumber?: number;
+  // Direcciones completas (p. ej. 0x81); por defecto las de la interfaz elegida
+  inEndpoint?: number;
+  outEndpoint?: number;
+  // Timeout de cada transferOut
+  writeTimeout?: number;
+}
+
+const isDataEndpoint = (endpoint: UsbEndpointDescriptor, direction: UsbDirection) =>
+  endpoint.direction === direction && (endpoint.type === "bulk" || endpoint.type === "interrupt");
+
+function findDataInterface(
+  descriptor: UsbDeviceDescriptor,
+  interfaceNumber: number | undefined
+): { interfaceNumber: number; alternate: UsbAlternateInterface } | null {
+  for (const configuration of descriptor.configurations) {
+    for (const usbInterface of configuration.interfaces) {
+      if (interfaceNumber !== undefined && usbInterface.interfaceNumber !== interfaceNumber) {
+        continue;
+      }
+      const alternate = usbInterface.alternates[0];
+      if (alternate && alternate.endpoints.some((endpoint) => isDataEndpoint(endpoint, "in"))) {
+        return { interfaceNumber: usbInterface.interfaceNumber, alternate };
+      }
+    }
+  }
+  return null;
+}
+
+// Transporte sobre cualquier ExpoUsbModule: reclama la interfaz, lee en continuo el
+// endpoint IN (startReading/onData) y escribe con transferOut en el endpoint OUT
+export function createNativeTransport(
+  module: ExpoUsbModule,
+  deviceName: string,
+  options: NativeTransportOptions = {}
+): Transport {
+  const queue = createTransportQueue();
+  let connection: UsbConnection | null = null;
+  let subscription: EventSubscription | null = null;
+  let interfaceNumber: number | null = null;
+  let inEndpoint: number | null = null;
+  let outEndpoint: number | null = null;
+
+  const requireOpen = (): UsbConnection => {
+    if (!connection) {
+      throw new UsbError(UsbErrorCode.DEVICE_NOT_OPEN, `El transporte de ${deviceName} está cerrado`, {
+        deviceName,
+      });
+    }
+    return connection;
+  };
+
+  const onData = (event: UsbDataEvent) => {
+    if (event.deviceName === deviceName && event.endpointAddress === inEndpoint) {
+      queue.push(event.data);
+    }
+  };
+
+  async function resolveEndpoints(opened: UsbConnection) {
+    const descriptor = await opened.getDeviceDescriptor();
+    const found = findDataInterface(descriptor, options.interfaceNumber);
+    if (!found) {
+      throw new UsbError(UsbErrorCode.ENDPOINT_NOT_FOUND, `No hay endpoint IN de datos en ${deviceName}`, {
+        deviceName,
+      });
+    }
+
+    const endpoints = found.alternate.endpoints;
+    const input = options.inEndpoint ?? endpoints.find((endpoint) => isDataEndpoint(endpoint, "in"))?.address;
+    const output = options.outEndpoint ?? endpoints.find((endpoint) => isDataEndpoint(endpoint, "out"))?.address;
+
+    interfaceNumber = found.interfaceNumber;
+    inEndpoint = input ?? null;
+    outEndpoint = output ?? null;
+  }
+
+  return {
+    get opened() {
+      return connection !== null;
+    },
+
+    async open() {
+      if (connection) {
+        return;
+      }
+
+      await callNative(() => module.openDevice(deviceName), deviceName);
+      const opened = new UsbConnection(deviceName, module);
+      try {
+        await resolveEndpoints(opened);
+        await opened.claimInterface(interfaceNumber!);
+        subscription = module.addListener("onData", onData);
+        await callNative(() => module.startReading(deviceName, inEndpoint!), deviceName);
+      } catch (error) {
+        subscription?.remove();
+        subscription = null;
+        await opened.close().catch(() => undefined);
+        throw error;
+      }
+      connection = opened;
+    },
+
+    async close() {
+      if (!connection) {
+        return;
+      }
+      const opened = connection;
+      connection = null;
+
+      subscription?.remove();
+      subscription = null;
+      queue.release();
+      try {
+        await callNative(() => module.stopReading(deviceName), deviceName);
+      } finally {
+        await opened.close();
+      }
+    },
+
+    async write(data) {
+      const opened = requireOpen();
+      // Sin endpoint OUT (p. ej. HID que solo recibe por interrupt) se usa writeData
+      if (outEndpoint === null) {
+        await opened.write(data);
+        return;
+      }
+      const result = await opened.transferOut(outEndpoint, data, options.writeTimeout ?? 5000);
+      if (result.status !== "ok") {
+        throw new UsbError(UsbErrorCode.STALL, `transferOut en ${deviceName} terminó con ${result.status}`, {
+          deviceName,
+        });
+      }
+    },
+
+    async read(timeout) {
+      requireOpen();
+      return await queue.read(timeout);
+    },
+
+    onData(listener) {
+      return queue.onData(listener);
+    },
+
+    flush() {
+      queue.flush();
+    },
+  };
+}
@@ -0,0 +1,229 @@
+import type {
+  ExpoUsbModule,
+  UsbControlTransferParameters,
+  UsbDeviceDescriptor,
+  UsbTransferResult,
+} from "./ExpoUsbConectedModule";
+import { createInputReportQueue, type InputReportQueue } from "./InputReportQueue";
+import { UsbError, UsbErrorCode, callNative, type UsbCallOptions } from "./UsbError";
+import { toUint8Array, type UsbBytes } from "./bytes";
+import {
+  featureReportLength,
+  parseHidReportDescriptor,
+  type HidReportDescriptor,
+} from "./hidReportDescriptor";
+
+// Hermes todavía no define Symbol.asyncDispose; se usa el símbolo registrado que
+// emplean TypeScript y Babel al transpilar `await using`
+if (typeof Symbol.asyncDispose !== "symbol") {
+  Object.defineProperty(Symbol, "asyncDispose", { value: Symbol.for("Symbol.asyncDispose") });
+}
+
+const REQUEST_TYPES = new Set<string>(["standard", "class", "vendor"]);
+const RECIPIENTS = new Set<string>(["device", "interface", "endpoint", "other"]);
+
+// Comprueba el paquete SETUP antes de llamar al módulo: Android convierte un requestType o
+// recipient desconocido en "standard"/"device" y trunca los números a su tamaño en el paquete
+export function validateControlSetup(deviceName: string, setup: UsbControlTransferParameters, length: number): void {
+  const invalid = (message: string) =>
+    new UsbError(UsbErrorCode.INVALID_ARGUMENT, `Transferencia de control en ${deviceName}: ${message}`, {
+      deviceName,
+    });
+  const inRange = (value: number, max: number) => Number.isInteger(value) && value >= 0 && value <= max;
+
+  if (!REQUEST_TYPES.has(setup.requestType)) {
+    throw invalid(`requestType "${setup.requestType}" no válido`);
+  }
+  if (!RECIPIENTS.has(setup.recipient)) {
+    throw invalid(`recipient "${setup.recipient}" no válido`);
+  }
+  if (!inRange(setup.request, 0xff)) {
+    throw invalid(`request ${setup.request} fuera de 0-255`);
+  }
+  for (const field of ["value", "index"] as const) {
+    if (!inRange(setup[field], 0xffff)) {
+      throw invalid(`${field} ${setup[field]} fuera de 0-65535`);
+    }
+  }
+  if (!inRange(length, 0xffff)) {
+    throw invalid(`longitud ${length} fuera de 0-65535`);
+  }
+}
+
+// Conexión abierta con un dispositivo. La devuelve openDevice() y evita pasar
+// `deviceName` en cada llamada; tras close() cualquier operación rechaza con
+// E_DEVICE_NOT_OPEN. Cada método acepta como último argumento { signal, timeoutMs }.
+//
+//   await using connection = await openDevice(device.deviceName);
+//   await connection.claimInterface(0);
+//   const result = await connection.transferIn(0x81, 64);
+export class UsbConnection {
+  readonly deviceName: string;
+  private readonly module: ExpoUsbModule;
+  private closed = false;
+
+  constructor(deviceName: string, module: ExpoUsbModule) {
+    this.deviceName = deviceName;
+    this.module = module;
+  }
+
+  get opened(): boolean {
+    return !this.closed;
+  }
+
+  async getDeviceDescriptor(options: UsbCallOptions = {}): Promise<UsbDeviceDescriptor> {
+    return await this.call(() => this.module.getDeviceDescriptor(this.deviceName), options);
+  }
+
+  async claimInterface(interfaceNumber: number, options: UsbCallOptions = {}): Promise<void> {
+    await this.call(() => this.module.claimInterface(this.deviceName, interfaceNumber), options, () =>
+      this.module.releaseInterface(this.deviceName, interfaceNumber)
+    );
+  }
+
+  async releaseInterface(interfaceNumber: number, options: UsbCallOptions = {}): Promise<boolean> {
+    return await this.call(() => this.module.releaseInterface(this.deviceName, interfaceNumber), options);
+  }
+
+  async transferIn(
+    endpointAddress: number,
+    length: number,
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<UsbTransferResult> {
+    return await this.call((transferId) =>
+      this.module.transferIn(this.deviceName, endpointAddress, length, timeout, transferId),
+      options
+    );
+  }
+
+  async transferOut(
+    endpointAddress: number,
+    data: UsbBytes,
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<UsbTransferResult> {
+    return await this.call((transferId) =>
+      this.module.transferOut(this.deviceName, endpointAddress, toUint8Array(data), timeout, transferId),
+      options
+    );
+  }
+
+  async controlTransferIn(
+    setup: UsbControlTransferParameters,
+    length: number,
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<UsbTransferResult> {
+    validateControlSetup(this.deviceName, setup, length);
+    return await this.call((transferId) =>
+      this.module.controlTransferIn(this.deviceName, setup, length, timeout, transferId),
+      options
+    );
+  }
+
+  async controlTransferOut(
+    setup: UsbControlTransferParameters,
+    data: UsbBytes = new Uint8Array(0),
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<UsbTransferResult> {
+    const payload = toUint8Array(data);
+    validateControlSetup(this.deviceName, setup, payload.length);
+    return await this.call((transferId) =>
+      this.module.controlTransferOut(this.deviceName, setup, payload, timeout, transferId),
+      options
+    );
+  }
+
+  async clearHalt(endpointAddress: number, options: UsbCallOptions = {}): Promise<boolean> {
+    return await this.call(() => this.module.clearHalt(this.deviceName, endpointAddress), options);
+  }
+
+  // Lectura/escritura sobre los endpoints de la interfaz reclamada (HID o bulk)
+  async write(data: UsbBytes, options: UsbCallOptions = {}): Promise<number> {
+    return await this.call((transferId) =>
+      this.module.writeData(this.deviceName, toUint8Array(data), transferId),
+      options
+    );
+  }
+
+  async read(timeout: number = 5000, options: UsbCallOptions = {}): Promise<Uint8Array> {
+    return await this.call((transferId) => this.module.readData(this.deviceName, timeout, transferId), options);
+  }
+
+  async sendReport(reportId: number, data: UsbBytes, options: UsbCallOptions = {}): Promise<number> {
+    return await this.call((transferId) =>
+      this.module.sendReport(this.deviceName, reportId, toUint8Array(data), transferId),
+      options
+    );
+  }
+
+  async sendFeatureReport(reportId: number, data: UsbBytes, options: UsbCallOptions = {}): Promise<number> {
+    return await this.call(() =>
+      this.module.sendFeatureReport(this.deviceName, reportId, toUint8Array(data)),
+      options
+    );
+  }
+
+  async receiveFeatureReport(reportId: number, length?: number, options: UsbCallOptions = {}): Promise<Uint8Array> {
+    const reportLength = length ?? featureReportLength(await this.getHidReportDescriptor(options), reportId);
+    if (reportLength === null) {
+      throw new UsbError(
+        UsbErrorCode.NOT_SUPPORTED,
+        `Feature report ${reportId} no declarado en el descriptor HID de ${this.deviceName}`,
+        { deviceName: this.deviceName }
+      );
+    }
+
+    return await this.call(() =>
+      this.module.receiveFeatureReport(this.deviceName, reportId, reportLength),
+      options
+    );
+  }
+
+  async getHidReportDescriptor(options: UsbCallOptions = {}): Promise<HidReportDescriptor> {
+    const raw = await this.call(() => this.module.getHidReportDescriptor(this.deviceName), options);
+    return parseHidReportDescriptor(raw.data, raw.interfaceNumber);
+  }
+
+  createInputReportQueue(endpointAddress: number): InputReportQueue {
+    this.assertOpen();
+    return createInputReportQueue(this.deviceName, endpointAddress, this.module);
+  }
+
+  // Idempotente: cerrar dos veces (o tras desconectar el dispositivo) no es un error
+  async close(): Promise<void> {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    await callNative(() => this.module.closeDevice(this.deviceName), this.deviceName);
+  }
+
+  async [Symbol.asyncDispose](): Promise<void> {
+    await this.close();
+  }
+
+  private assertOpen() {
+    if (this.closed) {
+      throw new UsbError(UsbErrorCode.DEVICE_NOT_OPEN, `La conexión con ${this.deviceName} está cerrada`, {
+        deviceName: this.deviceName,
+      });
+    }
+  }
+
+  // Con signal/timeoutMs, abortar o vencer el plazo cancela la transferencia nativa
+  // de esta llamada y `release` deshace lo que termine después
+  private async call<T>(
+    operation: (transferId?: string) => Promise<T>,
+    options: UsbCallOptions = {},
+    release?: (value: T) => unknown
+  ): Promise<T> {
+    this.assertOpen();
+    return await callNative(operation, this.deviceName, options, {
+      cancel: (transferId) => this.module.cancelTransfer(transferId),
+      release,
+    });
+  }
+}
@@ -0,0 +1,165 @@
+// Códigos estables de error. Los mismos códigos los lanza el módulo nativo
+// (UsbException.kt) y se usan desde los drivers, así la UI puede distinguir
+// "sin permisos" de "dispositivo desconectado" de "interfaz ocupada".
+export const UsbErrorCode = {
+  NO_PERMISSION: "E_NO_PERMISSION",
+  DEVICE_NOT_FOUND: "E_DEVICE_NOT_FOUND",
+  DEVICE_DETACHED: "E_DEVICE_DETACHED",
+  DEVICE_NOT_OPEN: "E_DEVICE_NOT_OPEN",
+  INTERFACE_NOT_FOUND: "E_INTERFACE_NOT_FOUND",
+  INTERFACE_BUSY: "E_INTERFACE_BUSY",
+  ENDPOINT_NOT_FOUND: "E_ENDPOINT_NOT_FOUND",
+  TIMEOUT: "E_TIMEOUT",
+  STALL: "E_STALL",
+  TRANSFER_FAILED: "E_TRANSFER_FAILED",
+  UNPLUG_AND_RETRY: "E_UNPLUG_AND_RETRY",
+  NOT_SUPPORTED: "E_NOT_SUPPORTED",
+  // La operación se canceló con su AbortSignal (en la cola, en JS o en la transferencia nativa)
+  ABORTED: "E_ABORTED",
+  // Sólo web: el endpoint ya tiene una transferencia IN en curso que WebUSB no puede cancelar
+  BUSY: "E_BUSY",
+  // Sólo JS: parámetros que no caben en la petición USB, p. ej. un paquete SETUP mal formado
+  INVALID_ARGUMENT: "E_INVALID_ARGUMENT",
+  // Sólo JS: la llamada no coincide con la traza que reproduce createReplayUsbModule
+  REPLAY_MISMATCH: "E_REPLAY_MISMATCH",
+  UNKNOWN: "E_UNKNOWN",
+} as const;
+
+export type UsbErrorCode = (typeof UsbErrorCode)[keyof typeof UsbErrorCode];
+
+const KNOWN_CODES = new Set<string>(Object.values(UsbErrorCode));
+
+export class UsbError extends Error {
+  readonly code: UsbErrorCode;
+  readonly deviceName?: string;
+  readonly cause?: unknown;
+
+  constructor(code: UsbErrorCode, message: string, options: { deviceName?: string; cause?: unknown } = {}) {
+    super(message);
+    this.name = "UsbError";
+    this.code = code;
+    this.deviceName = options.deviceName;
+    this.cause = options.cause;
+  }
+
+  // Convierte cualquier error (rechazo nativo con `code`, Error de un driver...) en UsbError.
+  // Los códigos desconocidos se sustituyen por `fallbackCode`
+  static from(error: unknown, fallbackCode: UsbErrorCode = UsbErrorCode.UNKNOWN, deviceName?: string): UsbError {
+    if (error instanceof UsbError) {
+      return error;
+    }
+
+    const rawCode = (error as { code?: unknown } | null)?.code;
+    const code = typeof rawCode === "string" && KNOWN_CODES.has(rawCode) ? (rawCode as UsbErrorCode) : fallbackCode;
+    const message = error instanceof Error ? error.message : String(error);
+
+    return new UsbError(code, message, { deviceName, cause: error });
+  }
+}
+
+export function isUsbError(error: unknown, code?: UsbErrorCode): error is UsbError {
+  return error instanceof UsbError && (code === undefined || error.code === code);
+}
+
+// Opciones comunes a todas las llamadas de la API. `timeoutMs` es el plazo total de
+// la llamada en JS, independiente del `timeout` nativo de cada transferencia
+export interface UsbCallOptions {
+  signal?: AbortSignal;
+  timeoutMs?: number;
+}
+
+export function abortedError(deviceName?: string, reason?: unknown): UsbError {
+  return new UsbError(UsbErrorCode.ABORTED, "Operación cancelada", { deviceName, cause: reason });
+}
+
+// Qué hacer con la llamada nativa cuando JS deja de esperarla (abort o timeoutMs)
+export interface NativeCallHooks<T> {
+  // Cancela la transferencia `transferId`, el que recibió `call`
+  cancel?: (transferId: string) => unknown;
+  // Libera un resultado que llega tarde, p. ej. cierra el dispositivo de un openDevice
+  // que terminó después de vencer el plazo
+  release?: (value: T) => unknown;
+}
+
+let lastTransferId = 0;
+
+// Sin esperar ni propagar errores: la llamada ya se rechazó
+function quietly(action: () => unknown) {
+  Promise.resolve()
+    .then(action)
+    .catch(() => undefined);
+}
+
+// Ejecuta una llamada al módulo nativo y rechaza siempre con UsbError. Con `signal`
+// rechaza con E_ABORTED al abortar y con `timeoutMs` con E_TIMEOUT al vencer el plazo.
+// Cada llamada así recibe su propio `transferId`: se cancela esa transferencia y no
+// las demás del dispositivo, y lo que devuelva después se entrega a `release`. En
+// Android las transferencias corren en un hilo por dispositivo, así que una llamada
+// abandonada no retiene la cola del módulo (ver UsbTransferExecutor.kt)
+export async function callNative<T>(
+  call: (transferId?: string) => Promise<T>,
+  deviceName?: string,
+  options: UsbCallOptions = {},
+  hooks: NativeCallHooks<T> = {}
+): Promise<T> {
+  const { signal, timeoutMs } = options;
+
+  if (!signal && timeoutMs === undefined) {
+    try {
+      return await call();
+    } catch (error) {
+      throw UsbError.from(error, UsbErrorCode.UNKNOWN, deviceName);
+    }
+  }
+
+  if (signal?.aborted) {
+    throw abortedError(deviceName, signal.reason);
+  }
+
+  const transferId = `t${++lastTransferId}`;
+
+  return await new Promise<T>((resolve, reject) => {
+    let settled = false;
+
+    const settle = (finish: () => void) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      finish();
+    };
+
+    const interrupt = (error: UsbError) =>
+      settle(() => {
+        if (hooks.cancel) {
+          quietly(() => hooks.cancel!(transferId));
+        }
+        reject(error);
+      });
+
+    const onAbort = () => interrupt(abortedError(deviceName, signal?.reason));
+    const timer =
+      timeoutMs === undefined
+        ? undefined
+        : setTimeout(
+            () => interrupt(new UsbError(UsbErrorCode.TIMEOUT, `Sin respuesta en ${timeoutMs} ms`, { deviceName })),
+            timeoutMs
+          );
+    signal?.addEventListener("abort", onAbort);
+
+    call(transferId).then(
+      (value) => {
+        if (settled) {
+          if (hooks.release) {
+            quietly(() => hooks.release!(value));
+          }
+          return;
+        }
+        settle(() => resolve(value));
+      },
+      (error) => settle(() => reject(UsbError.from(error, UsbErrorCode.UNKNOWN, deviceName)))
+    );
+  });
+}
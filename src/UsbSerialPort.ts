@@ -0,0 +1,70 @@
+import type { ExpoUsbModule, UsbSerialDriver, UsbSerialSignals } from "./ExpoUsbConectedModule";
+// Define el polyfill de Symbol.asyncDispose
+import "./UsbConnection";
+import { UsbError, UsbErrorCode, callNative, type UsbCallOptions } from "./UsbError";
+import { toUint8Array, type UsbBytes } from "./bytes";
+
+// Puerto serie abierto sobre un puente USB-serie (FTDI, CP210x, PL2303, CH34x o
+// CDC-ACM). Lo devuelve openSerial(); el chip se configura en el módulo nativo.
+//
+//   await using port = await openSerial(device.deviceName, { baudRate: 9600 });
+//   await port.setSignals({ dataTerminalReady: true });
+//   await port.write([0x02, 0x30]);
+//   const bytes = await port.read(64, 1000);
+export class UsbSerialPort {
+  readonly deviceName: string;
+  // Driver que eligió el módulo nativo para el chip
+  readonly driver: UsbSerialDriver;
+  private readonly module: ExpoUsbModule;
+  private closed = false;
+
+  constructor(deviceName: string, driver: UsbSerialDriver, module: ExpoUsbModule) {
+    this.deviceName = deviceName;
+    this.driver = driver;
+    this.module = module;
+  }
+
+  get opened(): boolean {
+    return !this.closed;
+  }
+
+  async write(data: UsbBytes, timeout: number = 5000, options: UsbCallOptions = {}): Promise<number> {
+    return await this.call(
+      (transferId) => this.module.writeSerial(this.deviceName, toUint8Array(data), timeout, transferId),
+      options
+    );
+  }
+
+  // Hasta `length` bytes; un timeout sin datos devuelve un array vacío
+  async read(length: number = 4096, timeout: number = 1000, options: UsbCallOptions = {}): Promise<Uint8Array> {
+    return await this.call((transferId) => this.module.readSerial(this.deviceName, length, timeout, transferId), options);
+  }
+
+  async setSignals(signals: UsbSerialSignals, options: UsbCallOptions = {}): Promise<void> {
+    await this.call(() => this.module.setSerialSignals(this.deviceName, signals), options);
+  }
+
+  // Idempotente, como UsbConnection.close(): también cierra la conexión USB
+  async close(): Promise<void> {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    await callNative(() => this.module.closeSerial(this.deviceName), this.deviceName);
+  }
+
+  async [Symbol.asyncDispose](): Promise<void> {
+    await this.close();
+  }
+
+  private async call<T>(operation: (transferId?: string) => Promise<T>, options: UsbCallOptions = {}): Promise<T> {
+    if (this.closed) {
+      throw new UsbError(UsbErrorCode.DEVICE_NOT_OPEN, `El puerto serie de ${this.deviceName} está cerrado`, {
+        deviceName: this.deviceName,
+      });
+    }
+    return await callNative(operation, this.deviceName, options, {
+      cancel: (transferId) => this.module.cancelTransfer(transferId),
+    });
+  }
+}
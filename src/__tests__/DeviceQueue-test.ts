@@ -0,0 +1,138 @@
+import { DeviceQueuePriority, createDeviceQueue, type DeviceQueueEvent } from "../DeviceQueue";
+import { UsbErrorCode } from "../UsbError";
+
+// Promesa que el test resuelve cuando quiere liberar el turno
+const deferred = () => {
+  let resolve!: () => void;
+  const promise = new Promise<void>((done) => (resolve = done));
+  return { promise, resolve };
+};
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("createDeviceQueue", () => {
+  it("runs one operation per device at a time, in order", async () => {
+    const queue = createDeviceQueue();
+    const order: string[] = [];
+    const first = deferred();
+
+    const a = queue.run("dev", async () => {
+      order.push("a:start");
+      await first.promise;
+      order.push("a:end");
+      return "a";
+    });
+    const b = queue.run("dev", async () => {
+      order.push("b");
+      return "b";
+    });
+
+    await flush();
+    expect(order).toEqual(["a:start"]);
+    expect(queue.getStats("dev")).toMatchObject({ depth: 1, running: "operation" });
+
+    first.resolve();
+    await expect(Promise.all([a, b])).resolves.toEqual(["a", "b"]);
+    expect(order).toEqual(["a:start", "a:end", "b"]);
+  });
+
+  it("runs different devices in parallel", async () => {
+    const queue = createDeviceQueue();
+    const blocker = deferred();
+
+    const a = queue.run("dev-a", () => blocker.promise);
+    await expect(queue.run("dev-b", async () => "b")).resolves.toBe("b");
+
+    blocker.resolve();
+    await a;
+  });
+
+  it("serves higher priorities first and keeps FIFO within a priority", async () => {
+    const queue = createDeviceQueue();
+    const blocker = deferred();
+    const order: string[] = [];
+    const push = (label: string) => async () => {
+      order.push(label);
+    };
+
+    const running = queue.run("dev", () => blocker.promise);
+    const queued = [
+      queue.run("dev", push("normal-1")),
+      queue.run("dev", push("background"), { priority: DeviceQueuePriority.BACKGROUND }),
+      queue.run("dev", push("normal-2")),
+      queue.run("dev", push("high"), { priority: DeviceQueuePriority.HIGH }),
+    ];
+
+    blocker.resolve();
+    await Promise.all([running, ...queued]);
+    expect(order).toEqual(["high", "normal-1", "normal-2", "background"]);
+  });
+
+  it("releases the turn when an operation throws", async () => {
+    const queue = createDeviceQueue();
+
+    const failing = queue.run("dev", () => {
+      throw new Error("boom");
+    });
+    const next = queue.run("dev", async () => "next");
+
+    await expect(failing).rejects.toThrow("boom");
+    await expect(next).resolves.toBe("next");
+    expect(queue.getStats("dev")).toMatchObject({ depth: 0, running: null });
+  });
+
+  it("cancels a waiting operation with E_ABORTED without running it", async () => {
+    const queue = createDeviceQueue();
+    const blocker = deferred();
+    const controller = new AbortController();
+    const operation = jest.fn(async () => "never");
+    const events: DeviceQueueEvent[] = [];
+    queue.addListener((event) => events.push(event));
+
+    const running = queue.run("dev", () => blocker.promise);
+    const waiting = queue.run("dev", operation, { signal: controller.signal, label: "upload" });
+
+    controller.abort();
+    await expect(waiting).rejects.toMatchObject({ code: UsbErrorCode.ABORTED, deviceName: "dev" });
+    expect(events.map((event) => `${event.type}:${event.label}`)).toContain("cancelled:upload");
+
+    blocker.resolve();
+    await running;
+    expect(operation).not.toHaveBeenCalled();
+  });
+
+  it("rejects an already aborted signal before queueing", async () => {
+    const queue = createDeviceQueue();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(queue.run("dev", async () => "x", { signal: controller.signal })).rejects.toMatchObject({
+      code: UsbErrorCode.ABORTED,
+    });
+    expect(queue.getStats("dev").depth).toBe(0);
+  });
+
+  it("hands the signal to the running operation", async () => {
+    const queue = createDeviceQueue();
+    const controller = new AbortController();
+
+    const signal = await queue.run("dev", async (received) => received, { signal: controller.signal });
+
+    expect(signal).toBe(controller.signal);
+  });
+
+  it("emits the lifecycle of each operation", async () => {
+    const queue = createDeviceQueue();
+    const events: DeviceQueueEvent[] = [];
+    const subscription = queue.addListener((event) => events.push(event));
+
+    await queue.run("dev", async () => undefined, { label: "diagnose" });
+    // "finished" se emite al liberar el turno, después de resolver la operación
+    await flush();
+    subscription.remove();
+    await queue.run("dev", async () => undefined);
+
+    expect(events.map((event) => event.type)).toEqual(["enqueued", "started", "finished"]);
+    expect(events.every((event) => event.label === "diagnose" && event.deviceName === "dev")).toBe(true);
+  });
+});
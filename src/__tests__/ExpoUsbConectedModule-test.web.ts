@@ -0,0 +1,399 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import type { ExpoUsbModule } from "../ExpoUsbConectedModule";
+import { UsbErrorCode } from "../UsbError";
+import type { WebUsbConfiguration, WebUsbInTransferResult } from "../webUsb.types";
+
+const USB_NAME = "usb:173a:1903:SERIE1";
+const HID_NAME = "hid:1a61:3850";
+
+const CONFIGURATION: WebUsbConfiguration = {
+  configurationValue: 1,
+  interfaces: [
+    {
+      interfaceNumber: 0,
+      claimed: false,
+      alternate: {
+        alternateSetting: 0,
+        interfaceClass: 0x0f,
+        interfaceSubclass: 0,
+        interfaceProtocol: 0,
+        endpoints: [
+          { endpointNumber: 1, direction: "in", type: "bulk", packetSize: 64 },
+          { endpointNumber: 2, direction: "out", type: "bulk", packetSize: 64 },
+        ],
+      },
+      alternates: [],
+    },
+  ],
+};
+CONFIGURATION.interfaces[0].alternates = [CONFIGURATION.interfaces[0].alternate];
+
+// Lo mínimo de expo-modules-core que usa el módulo web: eventos y registro
+jest.mock("expo-modules-core", () => {
+  class NativeModule {
+    private listeners = new Map<string, Set<(...args: unknown[]) => void>>();
+
+    addListener(eventName: string, listener: (...args: unknown[]) => void) {
+      const set = this.listeners.get(eventName) ?? new Set();
+      set.add(listener);
+      this.listeners.set(eventName, set);
+      return { remove: () => set.delete(listener) };
+    }
+
+    emit(eventName: string, ...args: unknown[]) {
+      this.listeners.get(eventName)?.forEach((listener) => listener(...args));
+    }
+  }
+  return { NativeModule, registerWebModule: (Module: new () => unknown) => new Module() };
+});
+
+const view = (bytes: number[]) => new DataView(Uint8Array.from(bytes).buffer);
+
+// Dispositivo WebUSB: las transferencias IN quedan pendientes hasta completeIn()
+class FakeUsbDevice {
+  vendorId = 0x173a;
+  productId = 0x1903;
+  deviceClass = 0;
+  deviceSubclass = 0;
+  deviceProtocol = 0;
+  deviceVersionMajor = 1;
+  deviceVersionMinor = 0;
+  deviceVersionSubminor = 0;
+  manufacturerName = "Roche";
+  productName = "Accu-Chek Guide";
+  serialNumber = "SERIE1";
+  opened = false;
+  configuration: WebUsbConfiguration | null = null;
+  configurations = [CONFIGURATION];
+  pendingIn: { endpointNumber: number; length: number; resolve: (result: WebUsbInTransferResult) => void }[] = [];
+
+  open = jest.fn(async () => {
+    this.opened = true;
+  });
+  close = jest.fn(async () => {
+    this.opened = false;
+  });
+  selectConfiguration = jest.fn(async () => {
+    this.configuration = CONFIGURATION;
+  });
+  claimInterface = jest.fn(async (_interfaceNumber: number) => {});
+  releaseInterface = jest.fn(async (_interfaceNumber: number) => {});
+  clearHalt = jest.fn(async () => {});
+  transferIn = jest.fn(
+    (endpointNumber: number, length: number) =>
+      new Promise<WebUsbInTransferResult>((resolve) => this.pendingIn.push({ endpointNumber, length, resolve }))
+  );
+  transferOut = jest.fn(async (_endpointNumber: number, data: Uint8Array) => ({
+    status: "ok" as const,
+    bytesWritten: data.length,
+  }));
+  controlTransferIn = jest.fn(async () => ({ status: "ok" as const, data: view([0x01, 0x00]) }));
+  controlTransferOut = jest.fn(async (_setup: unknown, data?: Uint8Array) => ({
+    status: "ok" as const,
+    bytesWritten: data?.length ?? 0,
+  }));
+
+  completeIn(bytes: number[]) {
+    this.pendingIn.shift()!.resolve({ status: "ok", data: view(bytes) });
+  }
+}
+
+// Dispositivo WebHID: los input reports se emiten con inputReport()
+class FakeHidDevice extends EventTarget {
+  vendorId = 0x1a61;
+  productId = 0x3850;
+  productName = "FreeStyle Optium Neo";
+  opened = false;
+  collections = [
+    { usagePage: 0xff00, usage: 1, type: 1, inputReports: [], outputReports: [{ reportId: 0, items: [] }], featureReports: [] },
+  ];
+
+  open = jest.fn(async () => {
+    this.opened = true;
+  });
+  close = jest.fn(async () => {
+    this.opened = false;
+  });
+  sendReport = jest.fn(async (_reportId: number, _data: Uint8Array) => {});
+  sendFeatureReport = jest.fn(async () => {});
+  receiveFeatureReport = jest.fn(async () => view([0x02, 0x10]));
+
+  inputReport(reportId: number, bytes: number[]) {
+    this.dispatchEvent(Object.assign(new Event("inputreport"), { reportId, data: view(bytes) }));
+  }
+}
+
+class FakeNavigatorApi<D> extends EventTarget {
+  constructor(public devices: D[]) {
+    super();
+  }
+  getDevices = jest.fn(async () => this.devices);
+  requestDevice = jest.fn();
+
+  connection(type: "connect" | "disconnect", device: D) {
+    this.dispatchEvent(Object.assign(new Event(type), { device }));
+  }
+}
+
+const domException = (name: string) => new DOMException(`${name} del navegador`, name);
+
+// El módulo se instancia al importarlo: se carga de nuevo en cada test sobre los
+// navigator.usb/navigator.hid simulados
+const setup = async () => {
+  const usbDevice = new FakeUsbDevice();
+  const hidDevice = new FakeHidDevice();
+  const usb = new FakeNavigatorApi([usbDevice]);
+  const hid = new FakeNavigatorApi([hidDevice]);
+  Object.defineProperty(navigator, "usb", { value: usb, configurable: true });
+  Object.defineProperty(navigator, "hid", { value: hid, configurable: true });
+
+  let module!: ExpoUsbModule;
+  jest.isolateModules(() => {
+    module = require("../ExpoUsbConectedModule.web").default;
+  });
+  await module.scanDevices();
+  return { module, usb, hid, usbDevice, hidDevice };
+};
+
+describe("ExpoUsbConectedModule (web)", () => {
+  describe("devices and permissions", () => {
+    it("lists WebUSB and WebHID devices under synthetic names", async () => {
+      const { module } = await setup();
+
+      expect(await module.scanDevices()).toEqual([
+        expect.objectContaining({ deviceName: USB_NAME, serialNumber: "SERIE1", hasPermission: true }),
+        expect.objectContaining({ deviceName: HID_NAME, productName: "FreeStyle Optium Neo" }),
+      ]);
+    });
+
+    it("asks the browser picker for a device it does not know yet", async () => {
+      const { module, usb } = await setup();
+      const other = Object.assign(new FakeUsbDevice(), { productId: 0x1904, serialNumber: "SERIE2" });
+      usb.requestDevice.mockResolvedValue(other);
+      const onPermissionChanged = jest.fn();
+      module.addListener("onPermissionChanged", onPermissionChanged);
+
+      await expect(module.requestPermission("usb:173a:1904")).resolves.toBe(true);
+
+      expect(usb.requestDevice).toHaveBeenCalledWith({ filters: [{ vendorId: 0x173a, productId: 0x1904 }] });
+      expect(onPermissionChanged).toHaveBeenCalledWith(
+        expect.objectContaining({ deviceName: "usb:173a:1904:SERIE2" })
+      );
+    });
+
+    it("returns false when the picker is closed and maps a blocked picker to E_NO_PERMISSION", async () => {
+      const { module, usb, hid } = await setup();
+      usb.requestDevice.mockRejectedValue(domException("NotFoundError"));
+      hid.requestDevice.mockRejectedValue(domException("SecurityError"));
+
+      await expect(module.requestPermission("usb:173a:1904")).resolves.toBe(false);
+      await expect(module.requestPermission("hid:1a61:3851")).rejects.toMatchObject({
+        code: UsbErrorCode.NO_PERMISSION,
+      });
+    });
+
+    it("emits attach and detach events from the browser", async () => {
+      const { module, usb } = await setup();
+      const attached = jest.fn();
+      const detached = jest.fn();
+      module.addListener("onDeviceAttached", attached);
+      module.addListener("onDeviceDetached", detached);
+      const other = Object.assign(new FakeUsbDevice(), { serialNumber: "SERIE2" });
+
+      usb.connection("connect", other);
+      usb.connection("disconnect", other);
+
+      expect(attached).toHaveBeenCalledWith(expect.objectContaining({ deviceName: "usb:173a:1903:SERIE2" }));
+      expect(detached).toHaveBeenCalledWith(
+        expect.objectContaining({ deviceName: "usb:173a:1903:SERIE2", hasPermission: false })
+      );
+    });
+  });
+
+  describe("WebUSB", () => {
+    const open = async () => {
+      const context = await setup();
+      await context.module.openDevice(USB_NAME);
+      await context.module.claimInterface(USB_NAME, 0);
+      return context;
+    };
+
+    it("opens, selects the first configuration and claims the interface", async () => {
+      const { module, usbDevice } = await open();
+
+      expect(usbDevice.open).toHaveBeenCalled();
+      expect(usbDevice.selectConfiguration).toHaveBeenCalledWith(1);
+      expect(usbDevice.claimInterface).toHaveBeenCalledWith(0);
+      await expect(module.claimInterface(USB_NAME, 3)).rejects.toMatchObject({
+        code: UsbErrorCode.INTERFACE_NOT_FOUND,
+      });
+    });
+
+    it("describes the device with endpoint addresses", async () => {
+      const { module } = await setup();
+
+      const descriptor = await module.getDeviceDescriptor(USB_NAME);
+
+      expect(descriptor).toMatchObject({ vendorId: 0x173a, productId: 0x1903, version: "1.00" });
+      expect(descriptor.configurations[0].interfaces[0].alternates[0].endpoints.map((e) => e.address)).toEqual([
+        0x81, 0x02,
+      ]);
+    });
+
+    it("writes to the OUT endpoint and reads from the IN endpoint of the claimed interface", async () => {
+      const { module, usbDevice } = await open();
+
+      await expect(module.writeData(USB_NAME, Uint8Array.from([0xe2, 0x00]))).resolves.toBe(2);
+      const reading = module.readData(USB_NAME, 1000);
+      usbDevice.completeIn([0xe3, 0x00]);
+
+      expect(Array.from(await reading)).toEqual([0xe3, 0x00]);
+      expect(usbDevice.transferOut).toHaveBeenCalledWith(2, Uint8Array.from([0xe2, 0x00]));
+      expect(usbDevice.transferIn).toHaveBeenCalledWith(1, 64);
+    });
+
+    it("sends control transfers with the setup packet", async () => {
+      const { module, usbDevice } = await open();
+      const setupPacket = { requestType: "standard" as const, recipient: "device" as const, request: 0, value: 0, index: 0 };
+
+      const result = await module.controlTransferIn(USB_NAME, setupPacket, 2, 1000);
+
+      expect(Array.from(result.data)).toEqual([0x01, 0x00]);
+      expect(usbDevice.controlTransferIn).toHaveBeenCalledWith(setupPacket, 2);
+    });
+
+    it("keeps a timed-out IN transfer for the next read of the same length", async () => {
+      const { module, usbDevice } = await open();
+
+      await expect(module.transferIn(USB_NAME, 0x81, 64, 10)).rejects.toMatchObject({ code: UsbErrorCode.TIMEOUT });
+      // El navegador la completa antes de la siguiente lectura: los datos no se pierden
+      usbDevice.completeIn([0x01]);
+      const result = await module.transferIn(USB_NAME, 0x81, 64, 1000);
+
+      expect(Array.from(result.data)).toEqual([0x01]);
+      expect(usbDevice.transferIn).toHaveBeenCalledTimes(1);
+
+      // Entregada: la siguiente lectura empieza otra transferencia
+      const next = module.transferIn(USB_NAME, 0x81, 64, 1000);
+      usbDevice.completeIn([0x02]);
+      expect(Array.from((await next).data)).toEqual([0x02]);
+      expect(usbDevice.transferIn).toHaveBeenCalledTimes(2);
+    });
+
+    it("rejects a concurrent read or another length with E_BUSY instead of sharing the transfer", async () => {
+      const { module, usbDevice } = await open();
+
+      const first = module.transferIn(USB_NAME, 0x81, 64, 1000);
+      await expect(module.transferIn(USB_NAME, 0x81, 64, 1000)).rejects.toMatchObject({ code: UsbErrorCode.BUSY });
+      usbDevice.completeIn([0x01]);
+      expect(Array.from((await first).data)).toEqual([0x01]);
+
+      await expect(module.transferIn(USB_NAME, 0x81, 8, 10)).rejects.toMatchObject({ code: UsbErrorCode.TIMEOUT });
+      await expect(module.transferIn(USB_NAME, 0x81, 64, 1000)).rejects.toMatchObject({ code: UsbErrorCode.BUSY });
+      expect(usbDevice.transferIn).toHaveBeenCalledTimes(2);
+    });
+
+    it("maps DOMExceptions to the Android error codes", async () => {
+      const { module, usb, usbDevice } = await setup();
+
+      usbDevice.open.mockRejectedValueOnce(domException("SecurityError"));
+      await expect(module.openDevice(USB_NAME)).rejects.toMatchObject({ code: UsbErrorCode.NO_PERMISSION });
+
+      usbDevice.open.mockRejectedValueOnce(domException("NetworkError"));
+      await expect(module.openDevice(USB_NAME)).rejects.toMatchObject({ code: UsbErrorCode.UNPLUG_AND_RETRY });
+
+      await module.openDevice(USB_NAME);
+      usbDevice.claimInterface.mockRejectedValueOnce(domException("NetworkError"));
+      await expect(module.claimInterface(USB_NAME, 0)).rejects.toMatchObject({ code: UsbErrorCode.INTERFACE_BUSY });
+
+      usbDevice.controlTransferOut.mockRejectedValueOnce(domException("InvalidStateError"));
+      await expect(
+        module.controlTransferOut(USB_NAME, { requestType: "class", recipient: "interface", request: 1, value: 0, index: 0 }, new Uint8Array(1), 1000)
+      ).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_NOT_OPEN });
+
+      usbDevice.controlTransferIn.mockRejectedValueOnce(domException("NotSupportedError"));
+      await expect(
+        module.controlTransferIn(USB_NAME, { requestType: "vendor", recipient: "device", request: 1, value: 0, index: 0 }, 1, 1000)
+      ).rejects.toMatchObject({ code: UsbErrorCode.NOT_SUPPORTED });
+
+      // Tras el evento disconnect el dispositivo ya no está registrado
+      usbDevice.transferOut.mockRejectedValueOnce(domException("NetworkError"));
+      const writing = module.transferOut(USB_NAME, 0x02, new Uint8Array(1), 1000);
+      usb.connection("disconnect", usbDevice);
+      await expect(writing).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_DETACHED });
+    });
+  });
+
+  describe("WebHID", () => {
+    const open = async () => {
+      const context = await setup();
+      await context.module.openDevice(HID_NAME);
+      await context.module.claimInterface(HID_NAME, 0);
+      return context;
+    };
+
+    it("queues input reports and prefixes the report ID", async () => {
+      const { module, hidDevice } = await open();
+
+      hidDevice.inputReport(0, [0x34, 0x00]);
+      hidDevice.inputReport(5, [0x01]);
+
+      expect(Array.from(await module.readData(HID_NAME, 100))).toEqual([0x34, 0x00]);
+      expect(Array.from(await module.readData(HID_NAME, 100))).toEqual([0x05, 0x01]);
+    });
+
+    it("sends output reports with the report ID the collections declare", async () => {
+      const { module, hidDevice } = await open();
+
+      await expect(module.writeData(HID_NAME, Uint8Array.from([0x04, 0x00]))).resolves.toBe(2);
+
+      expect(hidDevice.sendReport).toHaveBeenCalledWith(0, Uint8Array.from([0x04, 0x00]));
+    });
+
+    it("emits onData while reading continuously", async () => {
+      const { module, hidDevice } = await open();
+      const onData = jest.fn();
+      module.addListener("onData", onData);
+
+      await module.startReading(HID_NAME, 0x81);
+      hidDevice.inputReport(0, [0x60]);
+
+      expect(onData).toHaveBeenCalledWith(
+        expect.objectContaining({ deviceName: HID_NAME, endpointAddress: 0x81, data: Uint8Array.from([0x60]) })
+      );
+    });
+
+    it("times out a read without input reports", async () => {
+      const { module } = await open();
+
+      await expect(module.readData(HID_NAME, 10)).rejects.toMatchObject({ code: UsbErrorCode.TIMEOUT });
+    });
+
+    it("cancels one waiting read by transferId, or all of them", async () => {
+      const { module, hidDevice } = await open();
+
+      const one = module.readData(HID_NAME, 1000, "t1");
+      const other = module.readData(HID_NAME, 1000, "t2");
+      await expect(module.cancelTransfer("t1")).resolves.toBe(true);
+      await expect(one).rejects.toMatchObject({ code: UsbErrorCode.ABORTED });
+
+      await module.cancelTransfers(HID_NAME);
+      await expect(other).rejects.toMatchObject({ code: UsbErrorCode.ABORTED });
+
+      // El siguiente report queda en cola para la próxima lectura
+      hidDevice.inputReport(0, [0x01]);
+      expect(Array.from(await module.readData(HID_NAME, 100))).toEqual([0x01]);
+    });
+
+    it("does not allow control transfers", async () => {
+      const { module } = await open();
+
+      await expect(
+        module.controlTransferIn(HID_NAME, { requestType: "standard", recipient: "device", request: 0, value: 0, index: 0 }, 2, 100)
+      ).rejects.toMatchObject({ code: UsbErrorCode.NOT_SUPPORTED });
+    });
+  });
+});
@@ -0,0 +1,280 @@
+import type { UsbControlTransferParameters } from "../ExpoUsbConectedModule";
+import { createMockUsbModule, type MockUsbDeviceSpec } from "../MockUsbModule";
+import { UsbErrorCode } from "../UsbError";
+import { createUsbApi } from "../usbApi";
+
+const DEVICE_NAME = "/dev/bus/usb/001/002";
+
+const device = (spec: Partial<MockUsbDeviceSpec> = {}): MockUsbDeviceSpec => ({
+  deviceName: DEVICE_NAME,
+  vendorId: 0x1a61,
+  productId: 0x3850,
+  exchanges: [{ request: [0x05], response: [[0x06, 0x01], [0x06, 0x02]] }],
+  ...spec,
+});
+
+const setup = async (spec?: Partial<MockUsbDeviceSpec>) => {
+  const mock = createMockUsbModule({ devices: [device(spec)] });
+  const usb = createUsbApi(mock);
+  const connection = await usb.openDevice(DEVICE_NAME);
+  await connection.claimInterface(0);
+  return { mock, usb, connection };
+};
+
+describe("createMockUsbModule", () => {
+  it("lists attached devices and follows attach/detach", async () => {
+    const mock = createMockUsbModule({ devices: [device()] });
+    const usb = createUsbApi(mock);
+    const detached = jest.fn();
+    usb.addDeviceDetachedListener(detached);
+
+    expect(await usb.scanDevices()).toEqual([expect.objectContaining({ deviceName: DEVICE_NAME, hasPermission: true })]);
+
+    mock.detach(DEVICE_NAME);
+
+    expect(await usb.scanDevices()).toEqual([]);
+    expect(detached).toHaveBeenCalledWith(expect.objectContaining({ deviceName: DEVICE_NAME }));
+  });
+
+  it("requires permission to open the device", async () => {
+    const usb = createUsbApi(createMockUsbModule({ devices: [device({ hasPermission: false, grantPermission: false })] }));
+
+    await expect(usb.openDevice(DEVICE_NAME)).rejects.toMatchObject({ code: UsbErrorCode.NO_PERMISSION });
+    expect(await usb.requestPermission(DEVICE_NAME)).toBe(false);
+  });
+
+  it("answers writes that match an exchange, in order", async () => {
+    const { mock, connection } = await setup();
+
+    await connection.write([0x05, 0x00]);
+
+    expect(Array.from(await connection.read(100))).toEqual([0x06, 0x01]);
+    expect(Array.from(await connection.read(100))).toEqual([0x06, 0x02]);
+    expect(mock.getWrites(DEVICE_NAME)).toEqual([new Uint8Array([0x05, 0x00])]);
+  });
+
+  it("times out reads with nothing queued", async () => {
+    const { connection } = await setup();
+
+    await connection.write([0x99]);
+
+    await expect(connection.read(20)).rejects.toMatchObject({ code: UsbErrorCode.TIMEOUT });
+  });
+
+  it("stalls unmatched writes when asked to", async () => {
+    const { connection } = await setup({ onUnmatchedWrite: "stall" });
+
+    await expect(connection.write([0x99])).rejects.toMatchObject({ code: UsbErrorCode.STALL });
+    await expect(connection.transferOut(0x01, [0x99])).resolves.toMatchObject({ status: "stall" });
+  });
+
+  it("rejects pending reads when the device is detached", async () => {
+    const { mock, connection } = await setup();
+
+    const read = connection.read(1000);
+    mock.detach(DEVICE_NAME);
+
+    await expect(read).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_DETACHED });
+    await expect(connection.write([0x05])).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_DETACHED });
+  });
+
+  it("delivers responses through onData once reading has started", async () => {
+    const { mock, connection } = await setup();
+    const queue = connection.createInputReportQueue(0x81);
+    await queue.start();
+
+    mock.injectInput(DEVICE_NAME, [0x01, 0x02]);
+    await connection.write([0x05]);
+
+    expect(await queue.receiveTimeout(100)).toEqual([0x01, 0x02]);
+    expect(await queue.receiveTimeout(100)).toEqual([0x06, 0x01]);
+    expect(await queue.receiveTimeout(100)).toEqual([0x06, 0x02]);
+    expect(await queue.receiveTimeout(20)).toEqual([]);
+    await queue.stop();
+  });
+
+  it("disconnects after an exchange marked with disconnect", async () => {
+    const { usb, connection } = await setup({
+      exchanges: [{ request: [0x05], response: [0x06], disconnect: true }],
+    });
+
+    await connection.write([0x05]);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(await usb.scanDevices()).toEqual([]);
+    await expect(connection.read(100)).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_DETACHED });
+  });
+
+  it("aborts pending reads on cancelTransfers", async () => {
+    const { usb, connection } = await setup();
+
+    const read = connection.read(1000);
+    await usb.cancelTransfers(DEVICE_NAME);
+
+    await expect(read).rejects.toMatchObject({ code: UsbErrorCode.ABORTED });
+  });
+
+  it("opens serial ports with the requested line settings", async () => {
+    const mock = createMockUsbModule({ devices: [device({ serialDriver: "ftdi" })] });
+    const usb = createUsbApi(mock);
+
+    const port = await usb.openSerial(DEVICE_NAME, { baudRate: 9600, dataBits: 8, stopBits: 1, parity: "none" });
+    await port.setSignals({ dataTerminalReady: true });
+    await port.write([0x05]);
+
+    expect(port.driver).toBe("ftdi");
+    expect(mock.getSerialState(DEVICE_NAME)).toEqual({
+      options: { baudRate: 9600, dataBits: 8, stopBits: 1, parity: "none" },
+      signals: { dataTerminalReady: true, requestToSend: false },
+    });
+    // Las respuestas se parten al tamaño pedido
+    expect(Array.from(await port.read(1, 100))).toEqual([0x06]);
+    expect(Array.from(await port.read(1, 100))).toEqual([0x01]);
+    await port.close();
+    expect(mock.getSerialState(DEVICE_NAME)).toBeNull();
+  });
+
+  it("describes the configurations, interfaces and endpoints of the device", async () => {
+    const { usb, connection } = await setup();
+
+    const descriptor = await usb.getDeviceDescriptor(DEVICE_NAME);
+
+    expect(descriptor).toMatchObject({ deviceName: DEVICE_NAME, vendorId: 0x1a61, productId: 0x3850 });
+    expect(descriptor.configurations).toHaveLength(1);
+    expect(descriptor.configurations[0].interfaces[0]).toEqual({
+      interfaceNumber: 0,
+      alternates: [
+        {
+          alternateSetting: 0,
+          interfaceClass: 3,
+          interfaceSubclass: 0,
+          interfaceProtocol: 0,
+          endpoints: [
+            { address: 0x81, endpointNumber: 1, direction: "in", type: "interrupt", maxPacketSize: 64, interval: 1 },
+            { address: 0x01, endpointNumber: 1, direction: "out", type: "interrupt", maxPacketSize: 64, interval: 1 },
+          ],
+        },
+      ],
+    });
+    expect(await connection.getDeviceDescriptor()).toEqual(descriptor);
+    await expect(usb.getDeviceDescriptor("/dev/bus/usb/009/009")).rejects.toMatchObject({
+      code: UsbErrorCode.DEVICE_NOT_FOUND,
+    });
+  });
+
+  it("picks the endpoints of a transport from the descriptor", async () => {
+    // Puente CDC: la interfaz 0 sólo notifica, los datos van por los endpoints bulk de la 1
+    const endpoint = (address: number, type: "bulk" | "interrupt") => ({
+      address,
+      endpointNumber: address & 0x0f,
+      direction: address & 0x80 ? ("in" as const) : ("out" as const),
+      type,
+      maxPacketSize: 64,
+      interval: type === "interrupt" ? 16 : 0,
+    });
+    const alternate = (interfaceClass: number, endpoints: ReturnType<typeof endpoint>[]) => ({
+      alternateSetting: 0,
+      interfaceClass,
+      interfaceSubclass: 0,
+      interfaceProtocol: 0,
+      endpoints,
+    });
+    const mock = createMockUsbModule({
+      devices: [
+        device({
+          configurations: [
+            {
+              configurationValue: 1,
+              maxPower: 100,
+              selfPowered: false,
+              remoteWakeup: false,
+              interfaces: [
+                { interfaceNumber: 0, alternates: [alternate(0x02, [endpoint(0x83, "interrupt")])] },
+                { interfaceNumber: 1, alternates: [alternate(0x0a, [endpoint(0x82, "bulk"), endpoint(0x02, "bulk")])] },
+              ],
+            },
+          ],
+        }),
+      ],
+    });
+    const claimInterface = jest.spyOn(mock, "claimInterface");
+    const startReading = jest.spyOn(mock, "startReading");
+    const transferOut = jest.spyOn(mock, "transferOut");
+    const transport = createUsbApi(mock).createTransport(DEVICE_NAME, { interfaceNumber: 1 });
+
+    await transport.open();
+    await transport.write([0x05]);
+
+    expect(claimInterface).toHaveBeenCalledWith(DEVICE_NAME, 1);
+    expect(startReading).toHaveBeenCalledWith(DEVICE_NAME, 0x82);
+    expect(transferOut).toHaveBeenCalledWith(DEVICE_NAME, 0x02, new Uint8Array([0x05]), 5000, undefined);
+    expect(Array.from(await transport.read(100))).toEqual([0x06, 0x01]);
+    await transport.close();
+  });
+
+  it("sends well-formed control transfers to the module", async () => {
+    const { mock, usb, connection } = await setup();
+    const controlTransferIn = jest.spyOn(mock, "controlTransferIn");
+    const controlTransferOut = jest.spyOn(mock, "controlTransferOut");
+    // GET_STATUS del dispositivo y SET_LINE_CODING de CDC
+    const getStatus = { requestType: "standard", recipient: "device", request: 0x00, value: 0, index: 0 } as const;
+    const setLineCoding = {
+      requestType: "class",
+      recipient: "interface",
+      request: 0x20,
+      value: 0,
+      index: 0xffff,
+    } as const;
+
+    // El mock no simula transferencias de control: responde con STALL
+    await expect(usb.controlTransferIn(DEVICE_NAME, getStatus, 2)).resolves.toMatchObject({ status: "stall" });
+    await expect(connection.controlTransferOut(setLineCoding, [0x80, 0x25, 0, 0, 0, 0, 8])).resolves.toMatchObject({
+      status: "stall",
+    });
+
+    expect(controlTransferIn).toHaveBeenCalledWith(DEVICE_NAME, getStatus, 2, 5000, undefined);
+    expect(controlTransferOut).toHaveBeenCalledWith(
+      DEVICE_NAME,
+      setLineCoding,
+      new Uint8Array([0x80, 0x25, 0, 0, 0, 0, 8]),
+      5000,
+      undefined
+    );
+  });
+
+  it.each([
+    ["an unknown requestType", { requestType: "reserved" }, 2, /requestType "reserved"/],
+    ["an unknown recipient", { recipient: "port" }, 2, /recipient "port"/],
+    ["a request above 255", { request: 0x100 }, 2, /request 256/],
+    ["a negative value", { value: -1 }, 2, /value -1/],
+    ["an index above 65535", { index: 0x10000 }, 2, /index 65536/],
+    ["a fractional value", { value: 1.5 }, 2, /value 1.5/],
+    ["a length above 65535", {}, 0x10000, /longitud 65536/],
+  ])("rejects control transfers with %s", async (_name, override, length, message) => {
+    const { mock, usb, connection } = await setup();
+    const controlTransferIn = jest.spyOn(mock, "controlTransferIn");
+    const controlTransferOut = jest.spyOn(mock, "controlTransferOut");
+    const parameters = {
+      requestType: "vendor",
+      recipient: "device",
+      request: 0x01,
+      value: 0,
+      index: 0,
+      ...override,
+    } as UsbControlTransferParameters;
+    const invalid = {
+      code: UsbErrorCode.INVALID_ARGUMENT,
+      deviceName: DEVICE_NAME,
+      message: expect.stringMatching(message),
+    };
+
+    await expect(usb.controlTransferIn(DEVICE_NAME, parameters, length)).rejects.toMatchObject(invalid);
+    await expect(connection.controlTransferIn(parameters, length)).rejects.toMatchObject(invalid);
+    await expect(usb.controlTransferOut(DEVICE_NAME, parameters, new Uint8Array(length))).rejects.toMatchObject(
+      invalid
+    );
+    await expect(connection.controlTransferOut(parameters, new Uint8Array(length))).rejects.toMatchObject(invalid);
+    expect(controlTransferIn).not.toHaveBeenCalled();
+    expect(controlTransferOut).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,253 @@
+import { createMockUsbModule, type MockUsbDeviceSpec, type MockUsbModule } from "../MockUsbModule";
+import { runWithReconnect, type ReconnectEvent, type ReconnectPolicy } from "../Reconnect";
+import type { UsbConnection } from "../UsbConnection";
+import { UsbError, UsbErrorCode } from "../UsbError";
+import { createUsbApi } from "../usbApi";
+
+const DEVICE_NAME = "/dev/bus/usb/001/002";
+// Android le asigna otro deviceName al volver a enchufarlo
+const REATTACHED_NAME = "/dev/bus/usb/001/003";
+
+const device = (spec: Partial<MockUsbDeviceSpec> = {}): MockUsbDeviceSpec => ({
+  deviceName: DEVICE_NAME,
+  vendorId: 0x1a61,
+  productId: 0x3850,
+  serialNumber: "JGGR123",
+  ...spec,
+});
+
+const setup = async () => {
+  const mock = createMockUsbModule({ devices: [device()] });
+  const connection = await createUsbApi(mock).openDevice(DEVICE_NAME);
+  await connection.claimInterface(0);
+  return { mock, connection };
+};
+
+// Sin esperas entre intentos, para que los tests no dependan del backoff
+const FAST: ReconnectPolicy = { initialDelayMs: 1, reattachTimeoutMs: 50 };
+
+const reattachLater = (mock: MockUsbModule, spec: Partial<MockUsbDeviceSpec> = {}, delayMs = 5) => {
+  setTimeout(() => mock.attach(device({ deviceName: REATTACHED_NAME, ...spec })), delayMs);
+};
+
+const detachedError = () =>
+  new UsbError(UsbErrorCode.DEVICE_DETACHED, "Dispositivo desconectado", { deviceName: DEVICE_NAME });
+
+describe("runWithReconnect", () => {
+  it("returns the result without reconnecting when the operation succeeds", async () => {
+    const { mock, connection } = await setup();
+    const operation = jest.fn(async () => "ok");
+
+    await expect(runWithReconnect(mock, connection, operation, FAST)).resolves.toBe("ok");
+    expect(operation).toHaveBeenCalledWith(connection, { attempt: 0, signal: undefined });
+  });
+
+  it("reconnects after a detach event, re-claims the interfaces and repeats the operation", async () => {
+    const { mock, connection } = await setup();
+    const claimInterface = jest.spyOn(mock, "claimInterface");
+    const onReconnected = jest.fn(async (_connection: UsbConnection, _attempt: number) => {});
+
+    const result = await runWithReconnect(
+      mock,
+      connection,
+      async (current, { attempt }) => {
+        if (attempt === 0) {
+          mock.detach(DEVICE_NAME);
+          reattachLater(mock);
+          // Cualquier error cuenta como desconexión si llegó el evento
+          throw new Error("Lectura interrumpida");
+        }
+        return { deviceName: current.deviceName, attempt };
+      },
+      { ...FAST, interfaces: [0], onReconnected }
+    );
+
+    expect(result).toEqual({ deviceName: REATTACHED_NAME, attempt: 1 });
+    expect(claimInterface).toHaveBeenLastCalledWith(REATTACHED_NAME, 0);
+    expect(onReconnected).toHaveBeenCalledWith(expect.objectContaining({ deviceName: REATTACHED_NAME }), 1);
+  });
+
+  it("treats DEVICE_DETACHED as a detach and skips the stale entry the scan still lists", async () => {
+    const { mock, connection } = await setup();
+    const openDevice = jest.spyOn(mock, "openDevice");
+
+    // Sin evento: el dispositivo sigue en el escaneo con su deviceName anterior
+    const result = await runWithReconnect(
+      mock,
+      connection,
+      async (current, { attempt }) => {
+        if (attempt === 0) {
+          reattachLater(mock);
+          throw detachedError();
+        }
+        return current.deviceName;
+      },
+      FAST
+    );
+
+    expect(result).toBe(REATTACHED_NAME);
+    expect(openDevice).toHaveBeenCalledTimes(1);
+    expect(openDevice).toHaveBeenCalledWith(REATTACHED_NAME);
+  });
+
+  it("propagates errors that are not a detach without reconnecting", async () => {
+    const { mock, connection } = await setup();
+    const operation = jest.fn(async () => {
+      throw new UsbError(UsbErrorCode.STALL, "Endpoint bloqueado");
+    });
+
+    await expect(runWithReconnect(mock, connection, operation, FAST)).rejects.toMatchObject({
+      code: UsbErrorCode.STALL,
+    });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it("backs off up to maxDelayMs and fails after the last retry", async () => {
+    const { mock, connection } = await setup();
+    const delays: (number | undefined)[] = [];
+    const onEvent = jest.fn((event: ReconnectEvent) => {
+      if (event.type === "reconnecting") {
+        delays.push(event.delayMs);
+      }
+    });
+
+    const error = await runWithReconnect(
+      mock,
+      connection,
+      async () => {
+        mock.detach(DEVICE_NAME);
+        throw detachedError();
+      },
+      { initialDelayMs: 1, backoffFactor: 2, maxDelayMs: 5, retries: 4, reattachTimeoutMs: 5, onEvent }
+    ).catch((caught) => caught);
+
+    expect(delays).toEqual([1, 2, 4, 5]);
+    // El último error es el de la espera del dispositivo
+    expect(error).toMatchObject({ code: UsbErrorCode.TIMEOUT });
+    expect(onEvent).toHaveBeenLastCalledWith(
+      expect.objectContaining({ type: "failed", attempt: 4, retries: 4, error })
+    );
+  });
+
+  it("does not reconnect with retries: 0", async () => {
+    const { mock, connection } = await setup();
+    const scanDevices = jest.spyOn(mock, "scanDevices");
+
+    await expect(
+      runWithReconnect(
+        mock,
+        connection,
+        async () => {
+          throw detachedError();
+        },
+        { ...FAST, retries: 0 }
+      )
+    ).rejects.toMatchObject({ code: UsbErrorCode.DEVICE_DETACHED });
+    // Sólo el escaneo inicial
+    expect(scanDevices).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops at the first fatal error while reconnecting", async () => {
+    const { mock, connection } = await setup();
+    const operation = jest.fn(async () => {
+      mock.detach(DEVICE_NAME);
+      reattachLater(mock, { hasPermission: false, grantPermission: false });
+      throw detachedError();
+    });
+
+    await expect(runWithReconnect(mock, connection, operation, FAST)).rejects.toMatchObject({
+      code: UsbErrorCode.NO_PERMISSION,
+    });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it("closes the reopened connection when onReconnected fails", async () => {
+    const { mock, connection } = await setup();
+    const closeDevice = jest.spyOn(mock, "closeDevice");
+
+    const error = await runWithReconnect(
+      mock,
+      connection,
+      async () => {
+        mock.detach(DEVICE_NAME);
+        reattachLater(mock);
+        throw detachedError();
+      },
+      {
+        ...FAST,
+        retries: 1,
+        onReconnected: async () => {
+          throw new Error("Falló la inicialización del protocolo");
+        },
+      }
+    ).catch((caught) => caught);
+
+    expect(error).toEqual(new Error("Falló la inicialización del protocolo"));
+    expect(closeDevice).toHaveBeenCalledWith(REATTACHED_NAME);
+  });
+
+  it("only accepts a re-attached device with the same vendorId, productId and serial number", async () => {
+    const { mock, connection } = await setup();
+
+    const result = await runWithReconnect(
+      mock,
+      connection,
+      async (current, { attempt }) => {
+        if (attempt === 0) {
+          mock.detach(DEVICE_NAME);
+          setTimeout(() => {
+            mock.attach(device({ deviceName: "/dev/bus/usb/001/010", serialNumber: "OTRO" }));
+            mock.attach(device({ deviceName: "/dev/bus/usb/001/011", productId: 0x3851 }));
+            mock.attach(device({ deviceName: REATTACHED_NAME }));
+          }, 5);
+          throw detachedError();
+        }
+        return current.deviceName;
+      },
+      FAST
+    );
+
+    expect(result).toBe(REATTACHED_NAME);
+  });
+
+  it("aborts while waiting before a retry", async () => {
+    const { mock, connection } = await setup();
+    const controller = new AbortController();
+
+    const running = runWithReconnect(
+      mock,
+      connection,
+      async () => {
+        mock.detach(DEVICE_NAME);
+        throw detachedError();
+      },
+      { initialDelayMs: 10000, signal: controller.signal }
+    );
+    setTimeout(() => controller.abort(), 5);
+
+    await expect(running).rejects.toMatchObject({ code: UsbErrorCode.ABORTED });
+  });
+
+  it("aborts while waiting for the device to come back", async () => {
+    const { mock, connection } = await setup();
+    const controller = new AbortController();
+    const onEvent = jest.fn((event: ReconnectEvent) => {
+      if (event.type === "reconnecting") {
+        setTimeout(() => controller.abort(), 5);
+      }
+    });
+
+    const running = runWithReconnect(
+      mock,
+      connection,
+      async () => {
+        mock.detach(DEVICE_NAME);
+        throw detachedError();
+      },
+      { initialDelayMs: 1, reattachTimeoutMs: 10000, signal: controller.signal, onEvent }
+    );
+
+    await expect(running).rejects.toMatchObject({ code: UsbErrorCode.ABORTED });
+    expect(onEvent).toHaveBeenLastCalledWith(expect.objectContaining({ type: "failed" }));
+  });
+});
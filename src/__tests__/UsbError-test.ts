@@ -0,0 +1,105 @@
+import type { ExpoUsbModule } from "../ExpoUsbConectedModule";
+import { createMockUsbModule } from "../MockUsbModule";
+import { UsbError, UsbErrorCode, callNative, isUsbError } from "../UsbError";
+import { createUsbApi } from "../usbApi";
+
+const DEVICE_NAME = "/dev/bus/usb/001/002";
+
+const delay = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms));
+
+const createMock = () =>
+  createMockUsbModule({ devices: [{ deviceName: DEVICE_NAME, vendorId: 0x1a61, productId: 0x3850 }] });
+
+describe("UsbError", () => {
+  it("keeps known native codes and falls back for the rest", () => {
+    const native = Object.assign(new Error("sin permisos"), { code: "E_NO_PERMISSION" });
+
+    expect(UsbError.from(native)).toMatchObject({ code: UsbErrorCode.NO_PERMISSION, message: "sin permisos", cause: native });
+    expect(UsbError.from({ code: "E_OTHER" }, UsbErrorCode.TRANSFER_FAILED).code).toBe(UsbErrorCode.TRANSFER_FAILED);
+    expect(isUsbError(UsbError.from("boom"), UsbErrorCode.UNKNOWN)).toBe(true);
+  });
+});
+
+describe("callNative", () => {
+  it("hands a transferId only to calls that can be interrupted", async () => {
+    const call = jest.fn(async (transferId?: string) => transferId);
+
+    await expect(callNative(call)).resolves.toBeUndefined();
+    await expect(callNative(call, DEVICE_NAME, { timeoutMs: 100 })).resolves.toMatch(/^t\d+$/);
+  });
+
+  it("cancels only the transfer of the call that timed out", async () => {
+    const mock = createMock();
+    const cancelTransfer = jest.spyOn(mock, "cancelTransfer");
+    const usb = createUsbApi(mock);
+    const connection = await usb.openDevice(DEVICE_NAME);
+    await connection.claimInterface(0);
+
+    const other = connection.read(1000);
+    await expect(connection.read(1000, { timeoutMs: 20 })).rejects.toMatchObject({ code: UsbErrorCode.TIMEOUT });
+    mock.injectInput(DEVICE_NAME, [0x06, 0x01]);
+
+    await expect(other).resolves.toEqual(new Uint8Array([0x06, 0x01]));
+    expect(cancelTransfer).toHaveBeenCalledTimes(1);
+  });
+
+  it("cancels the transfer with the id the native call received", async () => {
+    const mock = createMock();
+    const readData = jest.spyOn(mock, "readData");
+    const cancelTransfer = jest.spyOn(mock, "cancelTransfer");
+    const usb = createUsbApi(mock);
+    const connection = await usb.openDevice(DEVICE_NAME);
+    await connection.claimInterface(0);
+    const controller = new AbortController();
+
+    const read = connection.read(1000, { signal: controller.signal });
+    controller.abort();
+
+    await expect(read).rejects.toMatchObject({ code: UsbErrorCode.ABORTED });
+    await delay(0);
+    const transferId = readData.mock.calls[0][2];
+    expect(transferId).toEqual(expect.any(String));
+    expect(cancelTransfer).toHaveBeenCalledWith(transferId);
+  });
+
+  it("closes a device whose openDevice succeeds after the timeout", async () => {
+    const mock = createMock();
+    const slow: ExpoUsbModule = {
+      ...mock,
+      openDevice: async (deviceName) => {
+        await delay(30);
+        return await mock.openDevice(deviceName);
+      },
+    };
+    const closeDevice = jest.spyOn(slow, "closeDevice");
+
+    await expect(createUsbApi(slow).openDevice(DEVICE_NAME, { timeoutMs: 10 })).rejects.toMatchObject({
+      code: UsbErrorCode.TIMEOUT,
+    });
+    expect(closeDevice).not.toHaveBeenCalled();
+
+    await delay(40);
+    expect(closeDevice).toHaveBeenCalledWith(DEVICE_NAME);
+  });
+
+  it("releases an interface claimed after the call was aborted", async () => {
+    const mock = createMock();
+    const slow: ExpoUsbModule = {
+      ...mock,
+      claimInterface: async (deviceName, interfaceNumber) => {
+        await delay(30);
+        return await mock.claimInterface(deviceName, interfaceNumber);
+      },
+    };
+    const releaseInterface = jest.spyOn(slow, "releaseInterface");
+    const connection = await createUsbApi(slow).openDevice(DEVICE_NAME);
+    const controller = new AbortController();
+
+    const claim = connection.claimInterface(0, { signal: controller.signal });
+    controller.abort();
+    await expect(claim).rejects.toMatchObject({ code: UsbErrorCode.ABORTED });
+
+    await delay(40);
+    expect(releaseInterface).toHaveBeenCalledWith(DEVICE_NAME, 0);
+  });
+});
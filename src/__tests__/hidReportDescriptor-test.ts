@@ -0,0 +1,141 @@
+import {
+  buildHidReportDescriptor,
+  featureReportLength,
+  parseHidReportDescriptor,
+  splitOutputReport,
+} from "../hidReportDescriptor";
+
+// Colección vendor-defined con un input y un output de 64 bytes sin report IDs,
+// como la de los glucómetros FreeStyle
+const VENDOR_64 = new Uint8Array([
+  0x06, 0x00, 0xff, // Usage Page (0xFF00)
+  0x09, 0x01, // Usage (1)
+  0xa1, 0x01, // Collection (Application)
+  0x15, 0x00, // Logical Minimum (0)
+  0x26, 0xff, 0x00, // Logical Maximum (255)
+  0x75, 0x08, // Report Size (8)
+  0x95, 0x40, // Report Count (64)
+  0x09, 0x01, // Usage (1)
+  0x81, 0x02, // Input (Data, Variable, Absolute)
+  0x95, 0x40, // Report Count (64)
+  0x09, 0x01, // Usage (1)
+  0x91, 0x02, // Output (Data, Variable, Absolute)
+  0xc0, // End Collection
+]);
+
+// Varios report IDs de salida y un feature, como un puente serie sobre HID (CP2110)
+const MULTI_ID = new Uint8Array([
+  0x06, 0x00, 0xff, // Usage Page (0xFF00)
+  0x09, 0x01, // Usage (1)
+  0xa1, 0x01, // Collection (Application)
+  0x75, 0x08, // Report Size (8)
+  0x85, 0x01, // Report ID (1)
+  0x95, 0x01, // Report Count (1)
+  0x81, 0x02, // Input
+  0x95, 0x02, // Report Count (2): los bits se acumulan por ID
+  0x81, 0x02, // Input
+  0x85, 0x01, // Report ID (1)
+  0x95, 0x3f, // Report Count (63)
+  0x91, 0x02, // Output
+  0x85, 0x02, // Report ID (2)
+  0x91, 0x02, // Output
+  0xa4, // Push
+  0x85, 0x50, // Report ID (0x50)
+  0x95, 0x08, // Report Count (8)
+  0xb1, 0x02, // Feature
+  0xb4, // Pop: vuelve el Report ID 2 y el Report Count 63
+  0xfe, 0x02, 0x10, 0xaa, 0xbb, // Item largo (se ignora)
+  0x91, 0x02, // Output
+  0xc0, // End Collection
+]);
+
+describe("parseHidReportDescriptor", () => {
+  it("reads the application collection and the report sizes", () => {
+    const descriptor = parseHidReportDescriptor(VENDOR_64, 2);
+
+    expect(descriptor).toMatchObject({
+      interfaceNumber: 2,
+      raw: VENDOR_64,
+      usagePage: 0xff00,
+      usage: 0x01,
+      usesReportIds: false,
+    });
+    expect(descriptor.reports).toEqual([
+      { reportId: 0, type: "input", size: 64 },
+      { reportId: 0, type: "output", size: 64 },
+    ]);
+  });
+
+  it("accumulates bits per report ID and type, with push/pop and long items", () => {
+    const descriptor = parseHidReportDescriptor(MULTI_ID);
+
+    expect(descriptor.usesReportIds).toBe(true);
+    expect(descriptor.reports).toEqual([
+      { reportId: 1, type: "input", size: 3 },
+      { reportId: 1, type: "output", size: 63 },
+      { reportId: 2, type: "output", size: 126 },
+      { reportId: 0x50, type: "feature", size: 8 },
+    ]);
+  });
+
+  it("rounds sizes up to whole bytes", () => {
+    // Report Size (1), Report Count (3), Input
+    const descriptor = parseHidReportDescriptor(new Uint8Array([0x75, 0x01, 0x95, 0x03, 0x81, 0x02]));
+
+    expect(descriptor.reports).toEqual([{ reportId: 0, type: "input", size: 1 }]);
+    expect(descriptor.usagePage).toBeNull();
+  });
+});
+
+describe("featureReportLength", () => {
+  it("adds the report ID byte when the report has one", () => {
+    const descriptor = parseHidReportDescriptor(MULTI_ID);
+
+    expect(featureReportLength(descriptor, 0x50)).toBe(9);
+    expect(featureReportLength(descriptor, 0x01)).toBeNull();
+  });
+});
+
+describe("splitOutputReport", () => {
+  const bytes = new Uint8Array([0x02, 0xaa, 0xbb]);
+
+  it("sends the data as is without report IDs or with a single one", () => {
+    expect(splitOutputReport([], bytes)).toEqual({ reportId: 0, data: bytes });
+    expect(splitOutputReport([0, 1], bytes)).toEqual({ reportId: 1, data: bytes });
+  });
+
+  it("takes the report ID from the first byte with several IDs", () => {
+    expect(splitOutputReport([1, 2], bytes)).toEqual({ reportId: 2, data: new Uint8Array([0xaa, 0xbb]) });
+  });
+});
+
+describe("buildHidReportDescriptor", () => {
+  it("rebuilds a descriptor that parses to the WebHID collections", () => {
+    const raw = buildHidReportDescriptor([
+      {
+        usagePage: 0xff00,
+        usage: 0x01,
+        type: 1,
+        inputReports: [{ reportId: 0, items: [{ reportSize: 8, reportCount: 64 }] }],
+        outputReports: [{ reportId: 0, items: [{ reportSize: 8, reportCount: 64 }] }],
+        featureReports: [{ reportId: 0x50, items: [{ reportSize: 8, reportCount: 4 }, { reportSize: 1, reportCount: 8 }] }],
+      },
+    ]);
+    const descriptor = parseHidReportDescriptor(raw);
+
+    expect(descriptor).toMatchObject({ usagePage: 0xff00, usage: 0x01, usesReportIds: true });
+    expect(descriptor.reports).toEqual([
+      { reportId: 0, type: "input", size: 64 },
+      { reportId: 0, type: "output", size: 64 },
+      { reportId: 0x50, type: "feature", size: 5 },
+    ]);
+  });
+
+  it("encodes each item with the smallest data size", () => {
+    const raw = buildHidReportDescriptor([
+      { usagePage: 0x1, usage: 0x10000, type: 1, inputReports: [], outputReports: [], featureReports: [] },
+    ]);
+
+    expect(Array.from(raw)).toEqual([0x05, 0x01, 0x0b, 0x00, 0x00, 0x01, 0x00, 0xa1, 0x01, 0xc0]);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * @jest-environment node
+ */
+// usbPcapng usa TextEncoder, que jsdom (proyecto Web) no define
+import type { UsbDeviceDescriptor } from "../ExpoUsbConectedModule";
+import { UsbErrorCode } from "../UsbError";
+import { LINKTYPE_USB_LINUX_MMAPPED, exportUsbTraceToPcapng } from "../usbPcapng";
+import { USB_TRACE_FORMAT, USB_TRACE_VERSION, type UsbTrace, type UsbTraceEntry } from "../usbTrace";
+
+const DEVICE_NAME = "/dev/bus/usb/001/005";
+const CREATED_AT = "2026-10-19T10:00:00.000Z";
+
+const DESCRIPTOR: UsbDeviceDescriptor = {
+  deviceName: DEVICE_NAME,
+  vendorId: 0x1a61,
+  productId: 0x3850,
+  deviceClass: 0,
+  deviceSubclass: 0,
+  deviceProtocol: 0,
+  version: "1.00",
+  configurations: [
+    {
+      configurationValue: 1,
+      maxPower: 100,
+      selfPowered: false,
+      remoteWakeup: false,
+      interfaces: [
+        {
+          interfaceNumber: 0,
+          alternates: [
+            {
+              alternateSetting: 0,
+              interfaceClass: 3,
+              interfaceSubclass: 0,
+              interfaceProtocol: 0,
+              endpoints: [
+                { address: 0x81, endpointNumber: 1, direction: "in", type: "interrupt", maxPacketSize: 64, interval: 1 },
+                { address: 0x01, endpointNumber: 1, direction: "out", type: "interrupt", maxPacketSize: 64, interval: 1 },
+              ],
+            },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+let seq = 0;
+const call = (method: string, args: unknown[], startedAt: number, extra: Partial<UsbTraceEntry> = {}): UsbTraceEntry => ({
+  type: "call",
+  seq: seq++,
+  method,
+  args,
+  startedAt,
+  durationMs: 2,
+  ...extra,
+} as UsbTraceEntry);
+
+const trace = (entries: UsbTraceEntry[]): UsbTrace => ({
+  format: USB_TRACE_FORMAT,
+  version: USB_TRACE_VERSION,
+  createdAt: CREATED_AT,
+  metadata: {},
+  entries,
+});
+
+interface Block {
+  type: number;
+  body: DataView;
+}
+
+// Bloques pcapng: tipo, longitud total, cuerpo y la longitud repetida al final
+const readBlocks = (bytes: Uint8Array): Block[] => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const blocks: Block[] = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const type = view.getUint32(offset, true);
+    const length = view.getUint32(offset + 4, true);
+    expect(length % 4).toBe(0);
+    expect(view.getUint32(offset + length - 4, true)).toBe(length);
+    blocks.push({ type, body: new DataView(bytes.buffer, bytes.byteOffset + offset + 8, length - 12) });
+    offset += length;
+  }
+  expect(offset).toBe(bytes.length);
+  return blocks;
+};
+
+// Cabecera usbmon de 64 bytes y datos capturados de un Enhanced Packet Block
+const readPacket = ({ body }: Block) => {
+  const capturedLength = body.getUint32(12, true);
+  const frame = new DataView(body.buffer, body.byteOffset + 20, capturedLength);
+  const u8 = (offset: number) => frame.getUint8(offset);
+  return {
+    timestampUs: body.getUint32(4, true) * 2 ** 32 + body.getUint32(8, true),
+    urbId: frame.getUint32(0, true),
+    type: String.fromCharCode(u8(8)),
+    xferType: u8(9),
+    endpoint: u8(10),
+    devnum: u8(11),
+    busnum: frame.getUint16(12, true),
+    flagSetup: u8(14),
+    flagData: u8(15),
+    seconds: frame.getUint32(16, true),
+    status: frame.getInt32(28, true),
+    length: frame.getUint32(32, true),
+    captured: frame.getUint32(36, true),
+    setup: Array.from({ length: 8 }, (_, i) => u8(40 + i)),
+    interval: frame.getInt32(48, true),
+    data: Array.from({ length: capturedLength - 64 }, (_, i) => u8(64 + i)),
+  };
+};
+
+const packetsOf = (bytes: Uint8Array) => readBlocks(bytes).filter((block) => block.type === 6).map(readPacket);
+
+describe("exportUsbTraceToPcapng", () => {
+  it("starts with a section header and a usbmon interface", () => {
+    const blocks = readBlocks(exportUsbTraceToPcapng(trace([])));
+
+    expect(blocks.map((block) => block.type)).toEqual([0x0a0d0d0a, 0x00000001]);
+    const [section, iface] = blocks;
+    expect(section.body.getUint32(0, true)).toBe(0x1a2b3c4d);
+    expect([section.body.getUint16(4, true), section.body.getUint16(6, true)]).toEqual([1, 0]);
+    expect(iface.body.getUint16(0, true)).toBe(LINKTYPE_USB_LINUX_MMAPPED);
+  });
+
+  it("writes a submit/complete pair per transfer with the usbmon header layout", () => {
+    const bytes = exportUsbTraceToPcapng(
+      trace([
+        call("getDeviceDescriptor", [DEVICE_NAME], 0, { result: DESCRIPTOR }),
+        call("claimInterface", [DEVICE_NAME, 0], 1, { result: true }),
+        call("writeData", [DEVICE_NAME, new Uint8Array([0x04, 0x00])], 10, { result: 2 }),
+        call("readData", [DEVICE_NAME, 5000], 20, { result: new Uint8Array([0x34, 0x01]) }),
+      ])
+    );
+    const [submit, complete, readSubmit, readComplete] = packetsOf(bytes).filter(
+      (packet) => packet.xferType !== 2
+    );
+
+    expect(submit).toMatchObject({
+      type: "S",
+      xferType: 1, // interrupt
+      endpoint: 0x01,
+      busnum: 1,
+      devnum: 5,
+      flagSetup: "-".charCodeAt(0),
+      flagData: 0,
+      status: -115,
+      length: 2,
+      captured: 2,
+      interval: 1,
+      data: [0x04, 0x00],
+      timestampUs: Date.parse(CREATED_AT) * 1000 + 10_000,
+      seconds: Date.parse(CREATED_AT) / 1000,
+    });
+    expect(complete).toMatchObject({ type: "C", urbId: submit.urbId, status: 0, length: 2, captured: 0 });
+    expect(complete.flagData).toBe(">".charCodeAt(0));
+    expect(readSubmit).toMatchObject({ type: "S", endpoint: 0x81, length: 64, captured: 0 });
+    expect(readSubmit.flagData).toBe("<".charCodeAt(0));
+    expect(readComplete).toMatchObject({ type: "C", status: 0, length: 2, data: [0x34, 0x01] });
+  });
+
+  it("maps errors to Linux errno in the status field", () => {
+    const bytes = exportUsbTraceToPcapng(
+      trace([
+        call("readData", [DEVICE_NAME, 100], 0, { error: { code: UsbErrorCode.TIMEOUT, message: "timeout" } }),
+        call("readData", [DEVICE_NAME, 100], 5, { error: { code: UsbErrorCode.ABORTED, message: "abort" } }),
+        call("transferOut", [DEVICE_NAME, 0x02, new Uint8Array([1])], 10, {
+          result: { status: "stall", bytesTransferred: 0, data: new Uint8Array(0) },
+        }),
+      ])
+    );
+
+    const completes = packetsOf(bytes).filter((packet) => packet.type === "C");
+    expect(completes.map((packet) => packet.status)).toEqual([-110, -104, -32]);
+  });
+
+  it("puts the setup packet of control transfers in the header", () => {
+    const bytes = exportUsbTraceToPcapng(
+      trace([
+        call(
+          "controlTransferIn",
+          [DEVICE_NAME, { requestType: "class", recipient: "interface", request: 0x01, value: 0x0301, index: 0 }, 8],
+          0,
+          { result: { status: "ok", bytesTransferred: 2, data: new Uint8Array([0x03, 0x7f]) } }
+        ),
+      ])
+    );
+    const [submit, complete] = packetsOf(bytes);
+
+    expect(submit).toMatchObject({ type: "S", xferType: 2, endpoint: 0x80, flagSetup: 0, length: 8 });
+    expect(submit.setup).toEqual([0xa1, 0x01, 0x01, 0x03, 0x00, 0x00, 0x08, 0x00]);
+    expect(complete).toMatchObject({ type: "C", length: 2, data: [0x03, 0x7f] });
+  });
+
+  it("emits the recorded descriptors as synthetic GET_DESCRIPTOR transfers", () => {
+    const bytes = exportUsbTraceToPcapng(trace([call("getDeviceDescriptor", [DEVICE_NAME], 0, { result: DESCRIPTOR })]));
+    const completes = packetsOf(bytes).filter((packet) => packet.type === "C");
+
+    const [device, configuration] = completes.map((packet) => packet.data);
+    expect(device).toHaveLength(18);
+    expect(device.slice(8, 12)).toEqual([0x61, 0x1a, 0x50, 0x38]);
+    // Configuración + interfaz + HID + dos endpoints
+    expect(configuration).toHaveLength(9 + 9 + 9 + 7 + 7);
+    expect(configuration.slice(2, 4)).toEqual([41, 0]);
+    expect(configuration.slice(18, 20)).toEqual([9, 0x21]);
+  });
+
+  it("writes onData events as complete-only packets", () => {
+    const bytes = exportUsbTraceToPcapng(
+      trace([
+        call("getDeviceDescriptor", [DEVICE_NAME], 0, { result: DESCRIPTOR }),
+        {
+          type: "event",
+          seq: seq++,
+          event: "onData",
+          payload: { deviceName: DEVICE_NAME, endpointAddress: 0x81, data: new Uint8Array([0x60, 0x00]), timestamp: 0 },
+          at: 30,
+          afterCall: null,
+        },
+      ])
+    );
+
+    const [event] = packetsOf(bytes).filter((packet) => packet.xferType !== 2);
+    expect(event).toMatchObject({ type: "C", xferType: 1, endpoint: 0x81, interval: 1, data: [0x60, 0x00] });
+  });
+});
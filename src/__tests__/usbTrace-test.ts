@@ -0,0 +1,116 @@
+import { createMockUsbModule } from "../MockUsbModule";
+import { createRecordingUsbModule } from "../RecordingUsbModule";
+import { createReplayUsbModule } from "../ReplayUsbModule";
+import { UsbErrorCode } from "../UsbError";
+import { createUsbApi } from "../usbApi";
+import { USB_TRACE_FORMAT, USB_TRACE_VERSION, parseUsbTrace, serializeUsbTrace } from "../usbTrace";
+
+const DEVICE_NAME = "/dev/bus/usb/001/002";
+
+// Sesión típica de un driver: abrir, escribir un comando, leer la respuesta por
+// readData (con timeoutMs: lleva un transferId distinto en cada sesión) y por la
+// lectura continua, y un timeout
+const runSession = async (usb: ReturnType<typeof createUsbApi>) => {
+  const connection = await usb.openDevice(DEVICE_NAME);
+  await connection.claimInterface(0);
+  await connection.write([0x05, 0x00]);
+  const reply = await connection.read(100, { timeoutMs: 1000 });
+  const timeout = await connection.read(20).catch((error) => error.code);
+
+  const queue = connection.createInputReportQueue(0x81);
+  await queue.start();
+  await connection.write([0x05, 0x01]);
+  const streamed = await queue.receiveTimeout(100);
+  await queue.stop();
+  await connection.close();
+
+  return { reply: Array.from(reply), timeout, streamed };
+};
+
+const record = async () => {
+  const mock = createMockUsbModule({
+    devices: [
+      {
+        deviceName: DEVICE_NAME,
+        vendorId: 0x1a61,
+        productId: 0x3850,
+        exchanges: [{ request: [0x05], response: [0x06, 0x42] }],
+      },
+    ],
+  });
+  const recorder = createRecordingUsbModule(mock, { driverId: "test" });
+  const result = await runSession(createUsbApi(recorder));
+  recorder.stopRecording();
+  return { result, trace: recorder.getTrace() };
+};
+
+describe("USB traces", () => {
+  it("records calls, bytes, errors and events", async () => {
+    const { result, trace } = await record();
+
+    expect(result).toEqual({ reply: [0x06, 0x42], timeout: UsbErrorCode.TIMEOUT, streamed: [0x06, 0x42] });
+    expect(trace).toMatchObject({ format: USB_TRACE_FORMAT, version: USB_TRACE_VERSION, metadata: { driverId: "test" } });
+
+    const calls = trace.entries.filter((entry) => entry.type === "call");
+    expect(calls.map((entry) => entry.method)).toEqual([
+      "openDevice",
+      "claimInterface",
+      "writeData",
+      "readData",
+      "readData",
+      "startReading",
+      "writeData",
+      "stopReading",
+      "closeDevice",
+    ]);
+    expect(calls[2]).toMatchObject({ args: [DEVICE_NAME, new Uint8Array([0x05, 0x00])], result: 2 });
+    // El transferId no se graba
+    expect(calls[3].args).toEqual([DEVICE_NAME, 100]);
+    expect(calls[4]).toMatchObject({ error: { code: UsbErrorCode.TIMEOUT } });
+    expect(trace.entries).toContainEqual(
+      expect.objectContaining({ type: "event", event: "onData", afterCall: calls[6].seq })
+    );
+  });
+
+  it("survives a JSON round trip with bytes as hex", async () => {
+    const { trace } = await record();
+
+    const json = serializeUsbTrace(trace);
+
+    expect(json).toContain('{"$hex":"0500"}');
+    expect(parseUsbTrace(json)).toEqual(trace);
+  });
+
+  it("rejects files that are not traces or come from a newer version", () => {
+    expect(() => parseUsbTrace('{"format":"other"}')).toThrow("no es una traza USB");
+    expect(() => parseUsbTrace(JSON.stringify({ format: USB_TRACE_FORMAT, version: USB_TRACE_VERSION + 1 }))).toThrow(
+      "Versión de traza no soportada"
+    );
+  });
+
+  it("replays the session with the same results, errors and events", async () => {
+    const { result, trace } = await record();
+    const replay = createReplayUsbModule(parseUsbTrace(serializeUsbTrace(trace)), { strict: true });
+
+    await expect(runSession(createUsbApi(replay))).resolves.toEqual(result);
+    expect(replay.getPendingCalls()).toEqual([]);
+  });
+
+  it("fails a strict replay when the driver writes other bytes", async () => {
+    const { trace } = await record();
+    const usb = createUsbApi(createReplayUsbModule(trace, { strict: true }));
+    const connection = await usb.openDevice(DEVICE_NAME);
+    await connection.claimInterface(0);
+
+    await expect(connection.write([0x05, 0xff])).rejects.toMatchObject({ code: UsbErrorCode.REPLAY_MISMATCH });
+    await expect(usb.scanDevices()).rejects.toMatchObject({ code: UsbErrorCode.REPLAY_MISMATCH });
+  });
+
+  it("serves the next recorded result per method without strict", async () => {
+    const { trace } = await record();
+    const usb = createUsbApi(createReplayUsbModule(trace));
+
+    await expect(usb.writeData(DEVICE_NAME, [0x99])).resolves.toBe(2);
+    await expect(usb.readData(DEVICE_NAME)).resolves.toEqual(new Uint8Array([0x06, 0x42]));
+  });
+});
@@ -0,0 +1,97 @@
+/** @jest-environment node */
+
+import { act, renderHook, waitFor } from "@testing-library/react-native";
+
+import ExpoUsbConectedModule, { type UsbDevice } from "../ExpoUsbConectedModule";
+import type { MockUsbDeviceSpec, MockUsbModule } from "../MockUsbModule";
+import { useUsbDevices } from "../index";
+
+// El hook usa el módulo por defecto: aquí es el backend en memoria
+jest.mock("../ExpoUsbConectedModule", () => {
+  const { createMockUsbModule } = jest.requireActual("../MockUsbModule");
+  return { __esModule: true, default: createMockUsbModule() };
+});
+
+const mock = ExpoUsbConectedModule as unknown as MockUsbModule;
+
+const METER: MockUsbDeviceSpec = { deviceName: "/dev/bus/usb/001/002", vendorId: 0x1a61, productId: 0x3850 };
+const PUMP: MockUsbDeviceSpec = { deviceName: "/dev/bus/usb/001/003", vendorId: 0x0a21, productId: 0x8001 };
+const CGM: MockUsbDeviceSpec = { deviceName: "/dev/bus/usb/001/004", vendorId: 0x22a3, productId: 0x0047 };
+
+const names = (devices: UsbDevice[]) => devices.map((device) => device.deviceName);
+
+// Escaneo que no termina hasta que el test lo suelta, con lo conectado en ese momento
+const holdScan = async () => {
+  const initial = await mock.scanDevices();
+  let release!: () => void;
+  const released = new Promise<UsbDevice[]>((resolve) => {
+    release = () => resolve(initial);
+  });
+  jest.spyOn(mock, "scanDevices").mockImplementationOnce(() => released);
+  return release;
+};
+
+describe("useUsbDevices", () => {
+  beforeEach(async () => {
+    (await mock.scanDevices()).forEach((device) => mock.detach(device.deviceName));
+    mock.attach(METER);
+    mock.attach(PUMP);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lists the devices found by the initial scan", async () => {
+    const { result } = renderHook(() => useUsbDevices());
+
+    await waitFor(() => expect(names(result.current)).toEqual([METER.deviceName, PUMP.deviceName]));
+  });
+
+  it("merges attach, detach and permission events with the scanned devices", async () => {
+    const { result } = renderHook(() => useUsbDevices());
+    await waitFor(() => expect(result.current).toHaveLength(2));
+
+    act(() => mock.attach(CGM));
+    act(() => mock.detach(METER.deviceName));
+    act(() => mock.setPermission(PUMP.deviceName, false));
+
+    expect(names(result.current)).toEqual([CGM.deviceName, PUMP.deviceName]);
+    expect(result.current[1]).toMatchObject({ deviceName: PUMP.deviceName, hasPermission: false });
+  });
+
+  it("keeps the state of the events for devices that changed during the scan", async () => {
+    const release = await holdScan();
+    const { result } = renderHook(() => useUsbDevices());
+
+    // El escaneo sigue listando METER y PUMP como estaban al empezar
+    act(() => mock.detach(METER.deviceName));
+    act(() => mock.setPermission(PUMP.deviceName, false));
+    act(() => mock.attach(CGM));
+    await act(async () => release());
+
+    expect(names(result.current)).toEqual([PUMP.deviceName, CGM.deviceName]);
+    expect(result.current[0]).toMatchObject({ hasPermission: false });
+  });
+
+  it("removes its listeners and ignores the scan after unmounting", async () => {
+    const addListener = mock.addListener.bind(mock);
+    const removes: jest.Mock[] = [];
+    jest.spyOn(mock, "addListener").mockImplementation(((eventName: any, listener: any) => {
+      const subscription = addListener(eventName, listener);
+      const remove = jest.fn(() => subscription.remove());
+      removes.push(remove);
+      return { remove };
+    }) as typeof mock.addListener);
+    const release = await holdScan();
+
+    const { result, unmount } = renderHook(() => useUsbDevices());
+    unmount();
+    mock.attach(CGM);
+    await act(async () => release());
+
+    expect(removes).toHaveLength(3);
+    removes.forEach((remove) => expect(remove).toHaveBeenCalledTimes(1));
+    expect(result.current).toEqual([]);
+  });
+});
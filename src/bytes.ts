@@ -0,0 +1,17 @@
+// Representaciones de bytes aceptadas por la API. Internamente todo cruza el puente
+// como Uint8Array; number[] se mantiene por compatibilidad con los drivers existentes.
+export type UsbBytes = Uint8Array | ArrayBuffer | ArrayBufferView | number[];
+
+// Normaliza cualquier entrada a Uint8Array sin copiar cuando ya lo es
+export function toUint8Array(data: UsbBytes): Uint8Array {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return Uint8Array.from(data);
+}
@@ -0,0 +1,221 @@
+// Parser mínimo de descriptores de reports HID (HID 1.11, sección 6.2.2).
+// Sólo extrae lo necesario para enviar y recibir: qué report IDs existen, de qué tipo
+// son y cuántos bytes ocupan, además del usage de la colección de aplicación.
+
+import type { WebHidCollectionInfo, WebHidReportInfo } from "./webUsb.types";
+
+export type HidReportType = "input" | "output" | "feature";
+
+export interface HidReportInfo {
+  reportId: number;
+  type: HidReportType;
+  // Tamaño en bytes sin contar el byte de report ID
+  size: number;
+}
+
+export interface HidReportDescriptor {
+  interfaceNumber: number;
+  raw: Uint8Array;
+  usagePage: number | null;
+  usage: number | null;
+  usesReportIds: boolean;
+  reports: HidReportInfo[];
+}
+
+// Tipos de item y tags de los items cortos que interesan
+const ITEM_TYPE_MAIN = 0;
+const ITEM_TYPE_GLOBAL = 1;
+const ITEM_TYPE_LOCAL = 2;
+
+const MAIN_INPUT = 0x8;
+const MAIN_OUTPUT = 0x9;
+const MAIN_COLLECTION = 0xa;
+const MAIN_FEATURE = 0xb;
+
+const GLOBAL_USAGE_PAGE = 0x0;
+const GLOBAL_REPORT_SIZE = 0x7;
+const GLOBAL_REPORT_ID = 0x8;
+const GLOBAL_REPORT_COUNT = 0x9;
+const GLOBAL_PUSH = 0xa;
+const GLOBAL_POP = 0xb;
+
+const LOCAL_USAGE = 0x0;
+
+const LONG_ITEM_PREFIX = 0xfe;
+const COLLECTION_APPLICATION = 0x01;
+const END_COLLECTION = 0xc0;
+// Data, Variable, Absolute
+const MAIN_ITEM_DATA = 0x02;
+
+interface GlobalState {
+  usagePage: number;
+  reportSize: number;
+  reportId: number;
+  reportCount: number;
+}
+
+const MAIN_TAG_TO_TYPE: Record<number, HidReportType> = {
+  [MAIN_INPUT]: "input",
+  [MAIN_OUTPUT]: "output",
+  [MAIN_FEATURE]: "feature",
+};
+
+export function parseHidReportDescriptor(raw: Uint8Array, interfaceNumber: number = 0): HidReportDescriptor {
+  let state: GlobalState = { usagePage: 0, reportSize: 0, reportId: 0, reportCount: 0 };
+  const stack: GlobalState[] = [];
+  let usage: number | null = null;
+  let applicationUsagePage: number | null = null;
+  let applicationUsage: number | null = null;
+  // Bits acumulados por tipo y report ID
+  const bits = new Map<string, { reportId: number; type: HidReportType; bits: number }>();
+
+  let offset = 0;
+  while (offset < raw.length) {
+    const prefix = raw[offset];
+
+    if (prefix === LONG_ITEM_PREFIX) {
+      // Item largo: [0xFE, bDataSize, bLongItemTag, datos...]; no se usan en la práctica
+      offset += 3 + (raw[offset + 1] ?? 0);
+      continue;
+    }
+
+    const sizeCode = prefix & 0x03;
+    const size = sizeCode === 3 ? 4 : sizeCode;
+    const type = (prefix >> 2) & 0x03;
+    const tag = (prefix >> 4) & 0x0f;
+
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+      value |= (raw[offset + 1 + i] ?? 0) << (8 * i);
+    }
+    value >>>= 0;
+    offset += 1 + size;
+
+    if (type === ITEM_TYPE_GLOBAL) {
+      switch (tag) {
+        case GLOBAL_USAGE_PAGE:
+          state.usagePage = value;
+          break;
+        case GLOBAL_REPORT_SIZE:
+          state.reportSize = value;
+          break;
+        case GLOBAL_REPORT_ID:
+          state.reportId = value;
+          break;
+        case GLOBAL_REPORT_COUNT:
+          state.reportCount = value;
+          break;
+        case GLOBAL_PUSH:
+          stack.push({ ...state });
+          break;
+        case GLOBAL_POP:
+          state = stack.pop() ?? state;
+          break;
+      }
+    } else if (type === ITEM_TYPE_LOCAL) {
+      if (tag === LOCAL_USAGE && usage === null) {
+        usage = value;
+      }
+    } else if (type === ITEM_TYPE_MAIN) {
+      const reportType = MAIN_TAG_TO_TYPE[tag];
+      if (reportType) {
+        const key = `${reportType}:${state.reportId}`;
+        const entry = bits.get(key) ?? { reportId: state.reportId, type: reportType, bits: 0 };
+        entry.bits += state.reportSize * state.reportCount;
+        bits.set(key, entry);
+      } else if (tag === MAIN_COLLECTION && value === COLLECTION_APPLICATION && applicationUsage === null) {
+        applicationUsagePage = state.usagePage;
+        applicationUsage = usage;
+      }
+      // Los items locales sólo aplican al siguiente item main
+      usage = null;
+    }
+  }
+
+  const reports = Array.from(bits.values()).map(({ reportId, type, bits: total }) => ({
+    reportId,
+    type,
+    size: Math.ceil(total / 8),
+  }));
+
+  return {
+    interfaceNumber,
+    raw,
+    usagePage: applicationUsagePage,
+    usage: applicationUsage,
+    usesReportIds: reports.some((report) => report.reportId !== 0),
+    reports,
+  };
+}
+
+// Decide el report ID de un output report a partir de los IDs declarados:
+// - sin report IDs: ID 0 y los datos completos
+// - un único ID: ese ID y los datos completos
+// - varios IDs (p. ej. serie sobre HID con CP2110): el primer byte de los datos es el ID
+export function splitOutputReport(
+  outputReportIds: number[],
+  bytes: Uint8Array
+): { reportId: number; data: Uint8Array } {
+  const ids = outputReportIds.filter((id) => id !== 0);
+
+  if (ids.length === 0) {
+    return { reportId: 0, data: bytes };
+  }
+  if (ids.length === 1) {
+    return { reportId: ids[0], data: bytes };
+  }
+  return { reportId: bytes[0], data: bytes.subarray(1) };
+}
+
+// Longitud a pedir en GET_REPORT para un feature report (+1 byte si hay report ID),
+// o null si el descriptor no lo declara
+export function featureReportLength(descriptor: HidReportDescriptor, reportId: number): number | null {
+  const report = descriptor.reports.find((r) => r.type === "feature" && r.reportId === reportId);
+  if (!report) {
+    return null;
+  }
+  return report.size + (reportId !== 0 ? 1 : 0);
+}
+
+// Item corto con el menor tamaño de datos posible (0, 1, 2 o 4 bytes)
+function shortItem(type: number, tag: number, value: number): number[] {
+  const bytes = value > 0xffff ? 4 : value > 0xff ? 2 : 1;
+  const sizeCode = bytes === 4 ? 3 : bytes;
+  const item = [(tag << 4) | (type << 2) | sizeCode];
+  for (let i = 0; i < bytes; i++) {
+    item.push((value >>> (8 * i)) & 0xff);
+  }
+  return item;
+}
+
+// WebHID no expone el descriptor en bruto, sólo HIDDevice.collections. Se reconstruye
+// un descriptor equivalente (mismos report IDs, tipos y tamaños) para que
+// parseHidReportDescriptor funcione igual en web que en Android
+export function buildHidReportDescriptor(collections: WebHidCollectionInfo[]): Uint8Array {
+  const bytes: number[] = [];
+
+  const pushReports = (reports: WebHidReportInfo[], mainTag: number) => {
+    for (const report of reports) {
+      if (report.reportId !== 0) {
+        bytes.push(...shortItem(ITEM_TYPE_GLOBAL, GLOBAL_REPORT_ID, report.reportId));
+      }
+      for (const item of report.items) {
+        bytes.push(...shortItem(ITEM_TYPE_GLOBAL, GLOBAL_REPORT_SIZE, item.reportSize));
+        bytes.push(...shortItem(ITEM_TYPE_GLOBAL, GLOBAL_REPORT_COUNT, item.reportCount));
+        bytes.push(...shortItem(ITEM_TYPE_MAIN, mainTag, MAIN_ITEM_DATA));
+      }
+    }
+  };
+
+  for (const collection of collections) {
+    bytes.push(...shortItem(ITEM_TYPE_GLOBAL, GLOBAL_USAGE_PAGE, collection.usagePage));
+    bytes.push(...shortItem(ITEM_TYPE_LOCAL, LOCAL_USAGE, collection.usage));
+    bytes.push(...shortItem(ITEM_TYPE_MAIN, MAIN_COLLECTION, COLLECTION_APPLICATION));
+    pushReports(collection.inputReports ?? [], MAIN_INPUT);
+    pushReports(collection.outputReports ?? [], MAIN_OUTPUT);
+    pushReports(collection.featureReports ?? [], MAIN_FEATURE);
+    bytes.push(END_COLLECTION);
+  }
+
+  return new Uint8Array(bytes);
+}
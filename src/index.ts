@@ -1,62 +1,161 @@
-import { requireNativeModule } from "expo-modules-core";
-
-const ExpoUsb = requireNativeModule("ExpoUsbConected");
-
-export async function scanDevices() {
-  return await ExpoUsb.scanDevices();
-}
-
-export async function requestPermission(deviceName: string) {
-  return await ExpoUsb.requestPermission(deviceName);
-}
-
-// Funciones USB de lectura/escritura
-export async function openDevice(deviceName: string) {
-  return await ExpoUsb.openDevice(deviceName);
-}
-
-export async function closeDevice(deviceName: string) {
-  return await ExpoUsb.closeDevice(deviceName);
-}
-
-export async function writeData(deviceName: string, data: number[]) {
-  return await ExpoUsb.writeData(deviceName, data);
-}
-
-export async function readData(deviceName: string, timeout: number = 5000) {
-  return await ExpoUsb.readData(deviceName, timeout);
-}
-
-export async function claimInterface(deviceName: string, interfaceNumber: number) {
-  return await ExpoUsb.claimInterface(deviceName, interfaceNumber);
-}
-
-export async function releaseInterface(deviceName: string, interfaceNumber: number) {
-  return await ExpoUsb.releaseInterface(deviceName, interfaceNumber);
-}
-
-// Funciones adicionales (opcionales por ahora)
-export async function setAutoRequestPermissions(enabled: boolean) {
-  try {
-    return await ExpoUsb.setAutoRequestPermissions(enabled);
-  } catch (error) {
-    console.warn('setAutoRequestPermissions no disponible:', error);
-  }
-}
-
-export async function clearPermissionRequests() {
-  try {
-    return await ExpoUsb.clearPermissionRequests();
-  } catch (error) {
-    console.warn('clearPermissionRequests no disponible:', error);
-  }
-}
-
-export async function sendTextCommand(deviceName: string, command: string): Promise<string> {
-  try {
-    return await ExpoUsb.sendTextCommand(deviceName, command);
-  } catch (error) {
-    console.error('[ExpoUsbConected] Error en sendTextCommand:', error);
-    throw error;
-  }
+import { useEffect, useState } from "react";
+
+import ExpoUsbConectedModule, { type UsbDevice } from "./ExpoUsbConectedModule";
+import { createUsbApi } from "./usbApi";
+
+export { UsbError, UsbErrorCode, isUsbError } from "./UsbError";
+export type { UsbCallOptions } from "./UsbError";
+export { toUint8Array } from "./bytes";
+export type { UsbBytes } from "./bytes";
+export { featureReportLength, parseHidReportDescriptor, splitOutputReport } from "./hidReportDescriptor";
+export type { HidReportDescriptor, HidReportInfo, HidReportType } from "./hidReportDescriptor";
+export type {
+  UsbDevice,
+  UsbDeviceDescriptor,
+  UsbConfigurationDescriptor,
+  UsbInterfaceDescriptor,
+  UsbAlternateInterface,
+  UsbEndpointDescriptor,
+  UsbDirection,
+  UsbEndpointType,
+  UsbRequestType,
+  UsbRecipient,
+  UsbControlTransferParameters,
+  UsbTransferStatus,
+  UsbTransferResult,
+  UsbDataEvent,
+  HidRawReportDescriptor,
+  ExpoUsbModuleEvents,
+  ExpoUsbModule,
+  UsbSerialDriver,
+  UsbSerialParity,
+  UsbSerialOptions,
+  UsbSerialSignals,
+} from "./ExpoUsbConectedModule";
+export { UsbConnection } from "./UsbConnection";
+export { UsbSerialPort } from "./UsbSerialPort";
+export { createNativeTransport, createTransportQueue } from "./Transport";
+export type { Transport, TransportQueue, NativeTransportOptions } from "./Transport";
+export type { InputReportQueue } from "./InputReportQueue";
+export { createDeviceQueue, DeviceQueuePriority } from "./DeviceQueue";
+export type { DeviceQueue, DeviceQueueOptions, DeviceQueueStats, DeviceQueueEvent } from "./DeviceQueue";
+export type { ReconnectPolicy, ReconnectEvent, ReconnectContext } from "./Reconnect";
+export { createUsbApi } from "./usbApi";
+export type { UsbApi } from "./usbApi";
+export { createMockUsbModule } from "./MockUsbModule";
+export type { MockUsbModule, MockUsbModuleOptions, MockUsbDeviceSpec, MockUsbExchange, MockSerialState } from "./MockUsbModule";
+export { createRecordingUsbModule } from "./RecordingUsbModule";
+export type { RecordingUsbModule } from "./RecordingUsbModule";
+export { createReplayUsbModule } from "./ReplayUsbModule";
+export type { ReplayUsbModule, ReplayUsbModuleOptions } from "./ReplayUsbModule";
+export { USB_TRACE_FORMAT, USB_TRACE_VERSION, serializeUsbTrace, parseUsbTrace } from "./usbTrace";
+export type { UsbTrace, UsbTraceEntry, UsbTraceCall, UsbTraceEvent } from "./usbTrace";
+export { exportUsbTraceToPcapng, LINKTYPE_USB_LINUX_MMAPPED } from "./usbPcapng";
+
+// Módulo sin envolver, para componerlo con createRecordingUsbModule + createUsbApi
+export { ExpoUsbConectedModule };
+
+// En web se resuelve ExpoUsbConectedModule.web.ts (WebUSB/WebHID)
+const usb = createUsbApi(ExpoUsbConectedModule);
+
+export const {
+  scanDevices,
+  requestPermission,
+  getDeviceDescriptor,
+  openDevice,
+  closeDevice,
+  writeData,
+  readData,
+  claimInterface,
+  releaseInterface,
+  transferIn,
+  transferOut,
+  clearHalt,
+  startReading,
+  stopReading,
+  sendReport,
+  sendFeatureReport,
+  receiveFeatureReport,
+  getHidReportDescriptor,
+  controlTransferIn,
+  controlTransferOut,
+  openSerial,
+  closeSerial,
+  writeSerial,
+  readSerial,
+  setSerialSignals,
+  setAutoRequestPermissions,
+  clearPermissionRequests,
+  sendTextCommand,
+  addDeviceAttachedListener,
+  addDeviceDetachedListener,
+  addPermissionChangedListener,
+  addDataListener,
+  createInputReportQueue,
+  createTransport,
+  cancelTransfers,
+  runExclusive,
+  getQueueStats,
+  addQueueListener,
+  runWithReconnect,
+} = usb;
+
+// Hook que mantiene la lista de dispositivos actualizada sin volver a escanear
+export function useUsbDevices(): UsbDevice[] {
+  const [devices, setDevices] = useState<UsbDevice[]>([]);
+
+  useEffect(() => {
+    let mounted = true;
+    // Dispositivos con algún evento mientras el escaneo inicial está en curso: su estado
+    // en el evento es más reciente que el del escaneo
+    let scanning = true;
+    const changedDuringScan = new Set<string>();
+
+    const track = (device: UsbDevice) => {
+      if (scanning) {
+        changedDuringScan.add(device.deviceName);
+      }
+    };
+
+    const upsert = (device: UsbDevice) => {
+      track(device);
+      setDevices((prev) => [...prev.filter((d) => d.deviceName !== device.deviceName), device]);
+    };
+
+    const subscriptions = [
+      addDeviceAttachedListener(upsert),
+      addPermissionChangedListener(upsert),
+      addDeviceDetachedListener((device) => {
+        track(device);
+        setDevices((prev) => prev.filter((d) => d.deviceName !== device.deviceName));
+      }),
+    ];
+
+    // Escaneo inicial para poblar la lista con lo que ya está conectado. Se mezcla con lo
+    // recibido por eventos: un dispositivo desconectado durante el escaneo no vuelve a aparecer
+    scanDevices()
+      .then((initial: UsbDevice[]) => {
+        if (mounted) {
+          const scanned = initial.filter((device) => !changedDuringScan.has(device.deviceName));
+          setDevices((prev) => [
+            ...prev,
+            ...scanned.filter((device) => !prev.some((d) => d.deviceName === device.deviceName)),
+          ]);
+        }
+      })
+      .catch((error: unknown) => {
+        console.warn('[ExpoUsbConected] Error en el escaneo inicial:', error);
+      })
+      .finally(() => {
+        scanning = false;
+        changedDuringScan.clear();
+      });
+
+    return () => {
+      mounted = false;
+      subscriptions.forEach((subscription) => subscription.remove());
+    };
+  }, []);
+
+  return devices;
 }
\ No newline at end of file
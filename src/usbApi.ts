@@ -0,0 +1,421 @@
+import type { EventSubscription } from "expo-modules-core";
+
+import type {
+  ExpoUsbModule,
+  UsbControlTransferParameters,
+  UsbDataEvent,
+  UsbDevice,
+  UsbDeviceDescriptor,
+  UsbSerialOptions,
+  UsbSerialSignals,
+  UsbTransferResult,
+} from "./ExpoUsbConectedModule";
+import { createDeviceQueue, type DeviceQueueEvent, type DeviceQueueOptions, type DeviceQueueStats } from "./DeviceQueue";
+import { createInputReportQueue as createQueue, type InputReportQueue } from "./InputReportQueue";
+import { runWithReconnect as runReconnecting, type ReconnectContext, type ReconnectPolicy } from "./Reconnect";
+import { createNativeTransport, type NativeTransportOptions, type Transport } from "./Transport";
+import { UsbConnection, validateControlSetup } from "./UsbConnection";
+import { UsbSerialPort } from "./UsbSerialPort";
+import { UsbError, UsbErrorCode, callNative, type UsbCallOptions } from "./UsbError";
+import { toUint8Array, type UsbBytes } from "./bytes";
+import {
+  featureReportLength,
+  parseHidReportDescriptor,
+  type HidReportDescriptor,
+} from "./hidReportDescriptor";
+
+// API de alto nivel (la que exporta index.ts) sobre cualquier implementación de
+// ExpoUsbModule: el módulo nativo, el web o createMockUsbModule() en los tests.
+// No importa el módulo nativo, así que se puede usar en Jest sin dispositivo
+export function createUsbApi(module: ExpoUsbModule) {
+  // Llamada a un método del dispositivo: si se aborta o vence timeoutMs se cancela
+  // también su transferencia nativa y `release` deshace lo que termine después
+  const call = <T>(
+    deviceName: string,
+    operation: (transferId?: string) => Promise<T>,
+    options: UsbCallOptions,
+    release?: (value: T) => unknown
+  ): Promise<T> =>
+    callNative(operation, deviceName, options, {
+      cancel: (transferId) => module.cancelTransfer(transferId),
+      release,
+    });
+
+  // Una cola por API: las operaciones de runExclusive() sobre el mismo dispositivo no se intercalan
+  const deviceQueue = createDeviceQueue();
+
+  async function scanDevices(options: UsbCallOptions = {}): Promise<UsbDevice[]> {
+    return await callNative(() => module.scanDevices(), undefined, options);
+  }
+
+  async function requestPermission(deviceName: string, options: UsbCallOptions = {}): Promise<boolean> {
+    return await call(deviceName, () => module.requestPermission(deviceName), options);
+  }
+
+  // Descriptores completos: configuraciones, interfaces (con alternativas) y endpoints
+  async function getDeviceDescriptor(
+    deviceName: string,
+    options: UsbCallOptions = {}
+  ): Promise<UsbDeviceDescriptor> {
+    return await call(deviceName, () => module.getDeviceDescriptor(deviceName), options);
+  }
+
+  // Funciones USB de lectura/escritura
+  // Abre el dispositivo y devuelve la conexión con la que operar sobre él
+  async function openDevice(deviceName: string, options: UsbCallOptions = {}): Promise<UsbConnection> {
+    await call(deviceName, () => module.openDevice(deviceName), options, () => module.closeDevice(deviceName));
+    return new UsbConnection(deviceName, module);
+  }
+
+  async function closeDevice(deviceName: string, options: UsbCallOptions = {}): Promise<boolean> {
+    return await call(deviceName, () => module.closeDevice(deviceName), options);
+  }
+
+  async function writeData(
+    deviceName: string,
+    data: UsbBytes,
+    options: UsbCallOptions = {}
+  ): Promise<number> {
+    return await call(deviceName, (transferId) => module.writeData(deviceName, toUint8Array(data), transferId), options);
+  }
+
+  async function readData(
+    deviceName: string,
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<Uint8Array> {
+    return await call(deviceName, (transferId) => module.readData(deviceName, timeout, transferId), options);
+  }
+
+  async function claimInterface(
+    deviceName: string,
+    interfaceNumber: number,
+    options: UsbCallOptions = {}
+  ): Promise<boolean> {
+    return await call(deviceName, () => module.claimInterface(deviceName, interfaceNumber), options, () =>
+      module.releaseInterface(deviceName, interfaceNumber)
+    );
+  }
+
+  async function releaseInterface(
+    deviceName: string,
+    interfaceNumber: number,
+    options: UsbCallOptions = {}
+  ): Promise<boolean> {
+    return await call(deviceName, () => module.releaseInterface(deviceName, interfaceNumber), options);
+  }
+
+  // Transferencias bulk/interrupt dirigidas a un endpoint (dirección completa, p. ej. 0x81)
+  async function transferIn(
+    deviceName: string,
+    endpointAddress: number,
+    length: number,
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<UsbTransferResult> {
+    return await call(
+      deviceName,
+      (transferId) => module.transferIn(deviceName, endpointAddress, length, timeout, transferId),
+      options
+    );
+  }
+
+  async function transferOut(
+    deviceName: string,
+    endpointAddress: number,
+    data: UsbBytes,
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<UsbTransferResult> {
+    return await call(
+      deviceName,
+      (transferId) => module.transferOut(deviceName, endpointAddress, toUint8Array(data), timeout, transferId),
+      options
+    );
+  }
+
+  async function clearHalt(
+    deviceName: string,
+    endpointAddress: number,
+    options: UsbCallOptions = {}
+  ): Promise<boolean> {
+    return await call(deviceName, () => module.clearHalt(deviceName, endpointAddress), options);
+  }
+
+  // Lectura continua: el módulo nativo lee el endpoint IN en bucle y emite onData por frame
+  async function startReading(
+    deviceName: string,
+    endpointAddress: number,
+    options: UsbCallOptions = {}
+  ): Promise<boolean> {
+    return await call(deviceName, () => module.startReading(deviceName, endpointAddress), options, () =>
+      module.stopReading(deviceName)
+    );
+  }
+
+  async function stopReading(deviceName: string, options: UsbCallOptions = {}): Promise<boolean> {
+    return await call(deviceName, () => module.stopReading(deviceName), options);
+  }
+
+  // Reports HID con report ID explícito (0 = el dispositivo no usa report IDs)
+  async function sendReport(
+    deviceName: string,
+    reportId: number,
+    data: UsbBytes,
+    options: UsbCallOptions = {}
+  ): Promise<number> {
+    return await call(
+      deviceName,
+      (transferId) => module.sendReport(deviceName, reportId, toUint8Array(data), transferId),
+      options
+    );
+  }
+
+  async function sendFeatureReport(
+    deviceName: string,
+    reportId: number,
+    data: UsbBytes,
+    options: UsbCallOptions = {}
+  ): Promise<number> {
+    return await call(deviceName, () => module.sendFeatureReport(deviceName, reportId, toUint8Array(data)), options);
+  }
+
+  // Si no se indica la longitud se toma del descriptor de reports (+1 byte si hay report ID)
+  async function receiveFeatureReport(
+    deviceName: string,
+    reportId: number,
+    length?: number,
+    options: UsbCallOptions = {}
+  ): Promise<Uint8Array> {
+    const reportLength = length ?? featureReportLength(await getHidReportDescriptor(deviceName, options), reportId);
+    if (reportLength === null) {
+      throw new UsbError(
+        UsbErrorCode.NOT_SUPPORTED,
+        `Feature report ${reportId} no declarado en el descriptor HID de ${deviceName}`,
+        { deviceName }
+      );
+    }
+
+    return await call(deviceName, () => module.receiveFeatureReport(deviceName, reportId, reportLength), options);
+  }
+
+  // Descriptor de reports HID parseado: report IDs, tipos y tamaños declarados por el dispositivo
+  async function getHidReportDescriptor(
+    deviceName: string,
+    options: UsbCallOptions = {}
+  ): Promise<HidReportDescriptor> {
+    const raw = await call(deviceName, () => module.getHidReportDescriptor(deviceName), options);
+    return parseHidReportDescriptor(raw.data, raw.interfaceNumber);
+  }
+
+  // Transferencias de control (equivalentes a controlTransferIn/controlTransferOut de WebUSB)
+  async function controlTransferIn(
+    deviceName: string,
+    setup: UsbControlTransferParameters,
+    length: number,
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<UsbTransferResult> {
+    validateControlSetup(deviceName, setup, length);
+    return await call(
+      deviceName,
+      (transferId) => module.controlTransferIn(deviceName, setup, length, timeout, transferId),
+      options
+    );
+  }
+
+  async function controlTransferOut(
+    deviceName: string,
+    setup: UsbControlTransferParameters,
+    data: UsbBytes = new Uint8Array(0),
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<UsbTransferResult> {
+    const payload = toUint8Array(data);
+    validateControlSetup(deviceName, setup, payload.length);
+    return await call(
+      deviceName,
+      (transferId) => module.controlTransferOut(deviceName, setup, payload, timeout, transferId),
+      options
+    );
+  }
+
+  // Puerto serie sobre un puente USB-serie: el módulo nativo detecta el chip y lo configura.
+  // Abre el dispositivo (no hace falta openDevice) y devuelve el puerto
+  async function openSerial(
+    deviceName: string,
+    serialOptions: UsbSerialOptions,
+    options: UsbCallOptions = {}
+  ): Promise<UsbSerialPort> {
+    const driver = await call(deviceName, () => module.openSerial(deviceName, serialOptions), options, () =>
+      module.closeSerial(deviceName)
+    );
+    return new UsbSerialPort(deviceName, driver, module);
+  }
+
+  async function closeSerial(deviceName: string, options: UsbCallOptions = {}): Promise<boolean> {
+    return await call(deviceName, () => module.closeSerial(deviceName), options);
+  }
+
+  async function writeSerial(
+    deviceName: string,
+    data: UsbBytes,
+    timeout: number = 5000,
+    options: UsbCallOptions = {}
+  ): Promise<number> {
+    return await call(
+      deviceName,
+      (transferId) => module.writeSerial(deviceName, toUint8Array(data), timeout, transferId),
+      options
+    );
+  }
+
+  async function readSerial(
+    deviceName: string,
+    length: number = 4096,
+    timeout: number = 1000,
+    options: UsbCallOptions = {}
+  ): Promise<Uint8Array> {
+    return await call(deviceName, (transferId) => module.readSerial(deviceName, length, timeout, transferId), options);
+  }
+
+  async function setSerialSignals(
+    deviceName: string,
+    signals: UsbSerialSignals,
+    options: UsbCallOptions = {}
+  ): Promise<void> {
+    await call(deviceName, () => module.setSerialSignals(deviceName, signals), options);
+  }
+
+  // Solicitud automática de permisos al conectar un dispositivo compatible
+  async function setAutoRequestPermissions(enabled: boolean, options: UsbCallOptions = {}): Promise<void> {
+    await callNative(() => module.setAutoRequestPermissions(enabled), undefined, options);
+  }
+
+  async function clearPermissionRequests(options: UsbCallOptions = {}): Promise<void> {
+    await callNative(() => module.clearPermissionRequests(), undefined, options);
+  }
+
+  async function sendTextCommand(
+    deviceName: string,
+    command: string,
+    options: UsbCallOptions = {}
+  ): Promise<string> {
+    try {
+      return await call(deviceName, (transferId) => module.sendTextCommand(deviceName, command, transferId), options);
+    } catch (error) {
+      console.error('[ExpoUsbConected] Error en sendTextCommand:', error);
+      throw error;
+    }
+  }
+
+  // Eventos de conexión/desconexión y permisos
+  function addDeviceAttachedListener(listener: (device: UsbDevice) => void): EventSubscription {
+    return module.addListener('onDeviceAttached', listener);
+  }
+
+  function addDeviceDetachedListener(listener: (device: UsbDevice) => void): EventSubscription {
+    return module.addListener('onDeviceDetached', listener);
+  }
+
+  function addPermissionChangedListener(listener: (device: UsbDevice) => void): EventSubscription {
+    return module.addListener('onPermissionChanged', listener);
+  }
+
+  function addDataListener(listener: (event: UsbDataEvent) => void): EventSubscription {
+    return module.addListener('onData', listener);
+  }
+
+  // Cola de input reports sobre la lectura continua (startReading/onData)
+  function createInputReportQueue(deviceName: string, endpointAddress: number): InputReportQueue {
+    return createQueue(deviceName, endpointAddress, module);
+  }
+
+  // Transporte genérico (open/close/write/read/onData/flush) sobre el dispositivo
+  function createTransport(deviceName: string, options: NativeTransportOptions = {}): Transport {
+    return createNativeTransport(module, deviceName, options);
+  }
+
+  // Cancela todo lo que esté en curso en el dispositivo, p. ej. al pulsar "Cancelar
+  // subida". Para cancelar una sola llamada se le pasa { signal } o { timeoutMs }
+  async function cancelTransfers(deviceName: string): Promise<boolean> {
+    return await callNative(async () => await module.cancelTransfers(deviceName), deviceName);
+  }
+
+  // Acceso exclusivo al dispositivo durante `operation` (una secuencia de escrituras y
+  // lecturas). La serialización es cooperativa: las llamadas sueltas (openDevice,
+  // writeData, readData, claimInterface, close...) no pasan por la cola, así que todo
+  // flujo que comparta el dispositivo con otro debe hacer dentro de runExclusive desde
+  // abrirlo hasta cerrarlo. La cola no es reentrante: dentro de `operation` se llama a
+  // la API directamente, nunca a runExclusive para el mismo dispositivo
+  async function runExclusive<T>(
+    deviceName: string,
+    operation: (signal: AbortSignal | undefined) => Promise<T>,
+    options: DeviceQueueOptions = {}
+  ): Promise<T> {
+    return await deviceQueue.run(deviceName, operation, options);
+  }
+
+  // Repite `operation` con una conexión nueva si el dispositivo se desconecta a mitad
+  // (ver ReconnectPolicy: reintentos, backoff, interfaces y re-inicialización)
+  async function runWithReconnect<T>(
+    connection: UsbConnection,
+    operation: (connection: UsbConnection, context: ReconnectContext) => Promise<T>,
+    policy: ReconnectPolicy = {}
+  ): Promise<T> {
+    return await runReconnecting(module, connection, operation, policy);
+  }
+
+  // Profundidad de la cola y tiempos de espera, para depurar
+  function getQueueStats(deviceName: string): DeviceQueueStats {
+    return deviceQueue.getStats(deviceName);
+  }
+
+  function addQueueListener(listener: (event: DeviceQueueEvent) => void): EventSubscription {
+    return deviceQueue.addListener(listener);
+  }
+
+  return {
+    scanDevices,
+    requestPermission,
+    getDeviceDescriptor,
+    openDevice,
+    closeDevice,
+    writeData,
+    readData,
+    claimInterface,
+    releaseInterface,
+    transferIn,
+    transferOut,
+    clearHalt,
+    startReading,
+    stopReading,
+    sendReport,
+    sendFeatureReport,
+    receiveFeatureReport,
+    getHidReportDescriptor,
+    controlTransferIn,
+    controlTransferOut,
+    openSerial,
+    closeSerial,
+    writeSerial,
+    readSerial,
+    setSerialSignals,
+    setAutoRequestPermissions,
+    clearPermissionRequests,
+    sendTextCommand,
+    addDeviceAttachedListener,
+    addDeviceDetachedListener,
+    addPermissionChangedListener,
+    addDataListener,
+    createInputReportQueue,
+    createTransport,
+    cancelTransfers,
+    runExclusive,
+    getQueueStats,
+    addQueueListener,
+    runWithReconnect,
+  };
+}
+
+export type UsbApi = ReturnType<typeof createUsbApi>;
@@ -0,0 +1,557 @@
+import type {
+  UsbControlTransferParameters,
+  UsbDataEvent,
+  UsbDeviceDescriptor,
+  UsbEndpointDescriptor,
+  UsbEndpointType,
+  HidRawReportDescriptor,
+  UsbTransferResult,
+} from "./ExpoUsbConectedModule";
+import { UsbErrorCode } from "./UsbError";
+import type { UsbTrace, UsbTraceCall } from "./usbTrace";
+
+// Exporta una traza de createRecordingUsbModule a pcapng con el link type de Linux usbmon
+// (LINKTYPE_USB_LINUX_MMAPPED), que Wireshark abre con los disectores USB y HID:
+//
+//   const bytes = exportUsbTraceToPcapng(recorder.getTrace());
+//
+// Cada transferencia genera un par submit/complete como en usbmon. Los descriptores que
+// devolvió getDeviceDescriptor/getHidReportDescriptor se emiten como GET_DESCRIPTOR
+// sintéticos, así Wireshark sabe qué interfaz es HID y decodifica los reports.
+
+export const LINKTYPE_USB_LINUX_MMAPPED = 220;
+
+const USBMON_HEADER_LENGTH = 64;
+
+// Tipos de transferencia de usbmon
+const XFER_TYPE: Record<UsbEndpointType, number> = {
+  isochronous: 0,
+  interrupt: 1,
+  control: 2,
+  bulk: 3,
+};
+
+// bmAttributes de los descriptores de endpoint
+const ENDPOINT_ATTRIBUTES: Record<UsbEndpointType, number> = {
+  control: 0,
+  isochronous: 1,
+  bulk: 2,
+  interrupt: 3,
+};
+
+// errno de Linux que usbmon pone en `status`
+const ERRNO = {
+  EPIPE: -32,
+  ENODEV: -19,
+  EPROTO: -71,
+  EOVERFLOW: -75,
+  ECONNRESET: -104,
+  ETIMEDOUT: -110,
+};
+
+interface UsbmonPacket {
+  time: number;
+  urbId: number;
+  type: "S" | "C";
+  xferType: number;
+  endpoint: number;
+  devnum: number;
+  busnum: number;
+  setup?: Uint8Array;
+  // Longitud pedida (submit) o transferida (complete)
+  length: number;
+  data?: Uint8Array;
+  status: number;
+  interval: number;
+}
+
+interface Transfer {
+  deviceName: string;
+  endpoint: number;
+  xferType: number;
+  setup?: Uint8Array;
+  requested: number;
+  out?: Uint8Array;
+  in?: Uint8Array;
+  status: number;
+  start: number;
+  end: number;
+  // Los eventos onData sólo tienen la mitad "complete"
+  completeOnly?: boolean;
+}
+
+interface DeviceContext {
+  descriptor?: UsbDeviceDescriptor;
+  interfaceNumber?: number;
+  reportDescriptors: Map<number, Uint8Array>;
+}
+
+const textEncoder = new TextEncoder();
+
+function statusOf(call: UsbTraceCall): number {
+  const status = (call.result as UsbTransferResult | undefined)?.status;
+  if (status === "stall") return ERRNO.EPIPE;
+  if (status === "babble") return ERRNO.EOVERFLOW;
+  switch (call.error?.code) {
+    case undefined:
+      return 0;
+    case UsbErrorCode.TIMEOUT:
+      return ERRNO.ETIMEDOUT;
+    case UsbErrorCode.STALL:
+      return ERRNO.EPIPE;
+    case UsbErrorCode.DEVICE_DETACHED:
+      return ERRNO.ENODEV;
+    // Como una URB desenlazada con usb_unlink_urb
+    case UsbErrorCode.ABORTED:
+      return ERRNO.ECONNRESET;
+    default:
+      return ERRNO.EPROTO;
+  }
+}
+
+function setupPacket(
+  setup: UsbControlTransferParameters,
+  directionIn: boolean,
+  length: number
+): Uint8Array {
+  const requestType = { standard: 0, class: 1, vendor: 2 }[setup.requestType];
+  const recipient = { device: 0, interface: 1, endpoint: 2, other: 3 }[setup.recipient];
+  return rawSetup((directionIn ? 0x80 : 0) | (requestType << 5) | recipient, setup.request, setup.value, setup.index, length);
+}
+
+function rawSetup(bmRequestType: number, request: number, value: number, index: number, length: number): Uint8Array {
+  return new Uint8Array([
+    bmRequestType,
+    request,
+    value & 0xff,
+    value >> 8,
+    index & 0xff,
+    index >> 8,
+    length & 0xff,
+    length >> 8,
+  ]);
+}
+
+// "1.00" -> 0x0100 (bcdDevice)
+function versionToBcd(version: string): number {
+  const [major = "0", minor = "0"] = version.split(".");
+  return ((parseInt(major, 16) || 0) << 8) | (parseInt(minor.padEnd(2, "0").slice(0, 2), 16) || 0);
+}
+
+function buildDeviceDescriptor(descriptor: UsbDeviceDescriptor): Uint8Array {
+  const bcdDevice = versionToBcd(descriptor.version);
+  return new Uint8Array([
+    18, 0x01, 0x00, 0x02,
+    descriptor.deviceClass, descriptor.deviceSubclass, descriptor.deviceProtocol, 64,
+    descriptor.vendorId & 0xff, descriptor.vendorId >> 8,
+    descriptor.productId & 0xff, descriptor.productId >> 8,
+    bcdDevice & 0xff, bcdDevice >> 8,
+    0, 0, 0, descriptor.configurations.length,
+  ]);
+}
+
+function buildConfigurationDescriptor(context: DeviceContext, index: number): Uint8Array {
+  const configuration = context.descriptor!.configurations[index];
+  const body: number[] = [];
+
+  for (const usbInterface of configuration.interfaces) {
+    for (const alternate of usbInterface.alternates) {
+      body.push(
+        9, 0x04, usbInterface.interfaceNumber, alternate.alternateSetting, alternate.endpoints.length,
+        alternate.interfaceClass, alternate.interfaceSubclass, alternate.interfaceProtocol, 0
+      );
+      if (alternate.interfaceClass === 0x03) {
+        // Descriptor HID: Wireshark lo usa para asociar la interfaz al disector HID
+        const reportLength = context.reportDescriptors.get(usbInterface.interfaceNumber)?.length ?? 0;
+        body.push(9, 0x21, 0x11, 0x01, 0, 1, 0x22, reportLength & 0xff, reportLength >> 8);
+      }
+      for (const endpoint of alternate.endpoints) {
+        body.push(
+          7, 0x05, endpoint.address, ENDPOINT_ATTRIBUTES[endpoint.type],
+          endpoint.maxPacketSize & 0xff, endpoint.maxPacketSize >> 8, endpoint.interval
+        );
+      }
+    }
+  }
+
+  const total = 9 + body.length;
+  const attributes = 0x80 | (configuration.selfPowered ? 0x40 : 0) | (configuration.remoteWakeup ? 0x20 : 0);
+  return new Uint8Array([
+    9, 0x02, total & 0xff, total >> 8, configuration.interfaces.length,
+    configuration.configurationValue, 0, attributes, Math.min(Math.floor(configuration.maxPower / 2), 0xff),
+    ...body,
+  ]);
+}
+
+// Endpoints que usan writeData/readData/sendReport en el módulo nativo:
+// los primeros IN/OUT de la interfaz reclamada (o de la primera que tenga)
+function defaultEndpoint(context: DeviceContext, direction: "in" | "out"): UsbEndpointDescriptor | undefined {
+  const interfaces = context.descriptor?.configurations[0]?.interfaces ?? [];
+  const candidates = context.interfaceNumber === undefined
+    ? interfaces
+    : interfaces.filter((usbInterface) => usbInterface.interfaceNumber === context.interfaceNumber);
+
+  for (const usbInterface of candidates) {
+    const endpoint = usbInterface.alternates[0]?.endpoints.find(
+      (candidate) => candidate.direction === direction && candidate.type !== "control"
+    );
+    if (endpoint) {
+      return endpoint;
+    }
+  }
+  return undefined;
+}
+
+function endpointByAddress(context: DeviceContext, address: number): UsbEndpointDescriptor | undefined {
+  for (const configuration of context.descriptor?.configurations ?? []) {
+    for (const usbInterface of configuration.interfaces) {
+      for (const alternate of usbInterface.alternates) {
+        const endpoint = alternate.endpoints.find((candidate) => candidate.address === address);
+        if (endpoint) {
+          return endpoint;
+        }
+      }
+    }
+  }
+  return undefined;
+}
+
+function toTransfers(call: UsbTraceCall, context: DeviceContext): Transfer[] {
+  const [deviceName, ...args] = call.args as [string, ...unknown[]];
+  const base = {
+    deviceName,
+    status: statusOf(call),
+    start: call.startedAt,
+    end: call.startedAt + call.durationMs,
+  };
+  const hidInterface = context.interfaceNumber ?? 0;
+
+  const dataTransfer = (endpoint: UsbEndpointDescriptor | undefined, fallback: number) => ({
+    ...base,
+    endpoint: endpoint?.address ?? fallback,
+    xferType: endpoint ? XFER_TYPE[endpoint.type] : XFER_TYPE.interrupt,
+  });
+
+  const control = (setup: Uint8Array, out?: Uint8Array, input?: Uint8Array): Transfer => ({
+    ...base,
+    endpoint: setup[0] & 0x80 ? 0x80 : 0x00,
+    xferType: XFER_TYPE.control,
+    setup,
+    requested: setup[6] | (setup[7] << 8),
+    out,
+    in: input,
+  });
+
+  switch (call.method) {
+    // Los datos de un puerto serie viajan por el par bulk del puente; las peticiones
+    // de configuración del chip las hace el módulo nativo y no quedan en la traza
+    case "writeSerial":
+    case "writeData": {
+      const data = args[0] as Uint8Array;
+      return [{ ...dataTransfer(defaultEndpoint(context, "out"), 0x01), requested: data.length, out: data }];
+    }
+    case "readData": {
+      const endpoint = defaultEndpoint(context, "in");
+      const data = call.result as Uint8Array | undefined;
+      return [{ ...dataTransfer(endpoint, 0x81), requested: endpoint?.maxPacketSize ?? 64, in: data }];
+    }
+    case "readSerial": {
+      const data = call.result as Uint8Array | undefined;
+      return [{ ...dataTransfer(defaultEndpoint(context, "in"), 0x81), requested: args[0] as number, in: data }];
+    }
+    case "sendTextCommand": {
+      const out = dataTransfer(defaultEndpoint(context, "out"), 0x01);
+      const input = dataTransfer(defaultEndpoint(context, "in"), 0x81);
+      const command = textEncoder.encode(args[0] as string);
+      const response = typeof call.result === "string" ? textEncoder.encode(call.result) : undefined;
+      return [
+        { ...out, requested: command.length, out: command, status: 0, end: base.start },
+        { ...input, requested: response?.length ?? 64, in: response, start: base.start },
+      ];
+    }
+    case "transferIn":
+    case "transferOut": {
+      const address = args[0] as number;
+      const endpoint = endpointByAddress(context, address);
+      const result = call.result as UsbTransferResult | undefined;
+      return [
+        {
+          ...base,
+          endpoint: address,
+          xferType: endpoint ? XFER_TYPE[endpoint.type] : XFER_TYPE.bulk,
+          requested: call.method === "transferIn" ? (args[1] as number) : (args[1] as Uint8Array).length,
+          out: call.method === "transferOut" ? (args[1] as Uint8Array) : undefined,
+          in: call.method === "transferIn" ? result?.data : undefined,
+        },
+      ];
+    }
+    case "controlTransferIn":
+      return [
+        control(
+          setupPacket(args[0] as UsbControlTransferParameters, true, args[1] as number),
+          undefined,
+          (call.result as UsbTransferResult | undefined)?.data
+        ),
+      ];
+    case "controlTransferOut": {
+      const data = args[1] as Uint8Array;
+      return [control(setupPacket(args[0] as UsbControlTransferParameters, false, data.length), data)];
+    }
+    case "sendReport": {
+      const [reportId, data] = args as [number, Uint8Array];
+      const report = reportId === 0 ? data : new Uint8Array([reportId, ...data]);
+      const endpoint = defaultEndpoint(context, "out");
+      if (endpoint) {
+        return [{ ...dataTransfer(endpoint, 0x01), requested: report.length, out: report }];
+      }
+      // Sin endpoint OUT el report va por SET_REPORT(Output)
+      return [control(rawSetup(0x21, 0x09, 0x0200 | reportId, hidInterface, report.length), report)];
+    }
+    case "sendFeatureReport": {
+      const [reportId, data] = args as [number, Uint8Array];
+      const report = reportId === 0 ? data : new Uint8Array([reportId, ...data]);
+      return [control(rawSetup(0x21, 0x09, 0x0300 | reportId, hidInterface, report.length), report)];
+    }
+    case "receiveFeatureReport": {
+      const [reportId, length] = args as [number, number];
+      return [control(rawSetup(0xa1, 0x01, 0x0300 | reportId, hidInterface, length), undefined, call.result as Uint8Array)];
+    }
+    case "clearHalt":
+      // CLEAR_FEATURE(ENDPOINT_HALT)
+      return [control(rawSetup(0x02, 0x01, 0, args[0] as number, 0))];
+    case "getDeviceDescriptor": {
+      if (!context.descriptor) {
+        return [];
+      }
+      const device = buildDeviceDescriptor(context.descriptor);
+      // Varias peticiones en una sola llamada: se colocan al final, una tras otra
+      return [
+        control(rawSetup(0x80, 0x06, 0x0100, 0, device.length), undefined, device),
+        ...context.descriptor.configurations.map((_configuration, index) => {
+          const configuration = buildConfigurationDescriptor(context, index);
+          return control(rawSetup(0x80, 0x06, 0x0200 | index, 0, configuration.length), undefined, configuration);
+        }),
+      ].map((transfer) => ({ ...transfer, start: base.end }));
+    }
+    case "getHidReportDescriptor": {
+      const report = call.result as HidRawReportDescriptor | undefined;
+      if (!report) {
+        return [];
+      }
+      return [control(rawSetup(0x81, 0x06, 0x2200, report.interfaceNumber, report.data.length), undefined, report.data)];
+    }
+    default:
+      // scanDevices, openDevice, permisos... no generan tráfico USB visible
+      return [];
+  }
+}
+
+// ========== ESCRITURA PCAPNG ==========
+
+function usbmonHeader(packet: UsbmonPacket, captured: number, timestampUs: number): Uint8Array {
+  const header = new Uint8Array(USBMON_HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+
+  view.setUint32(0, packet.urbId, true);
+  header[8] = packet.type.charCodeAt(0);
+  header[9] = packet.xferType;
+  header[10] = packet.endpoint;
+  header[11] = packet.devnum;
+  view.setUint16(12, packet.busnum, true);
+  // flag_setup: 0 si hay setup; flag_data: 0 si hay datos, '<' o '>' si no
+  header[14] = packet.setup ? 0 : "-".charCodeAt(0);
+  header[15] = captured > 0 ? 0 : (packet.endpoint & 0x80 ? "<" : ">").charCodeAt(0);
+  const seconds = Math.floor(timestampUs / 1e6);
+  view.setUint32(16, seconds % 2 ** 32, true);
+  view.setUint32(20, Math.floor(seconds / 2 ** 32), true);
+  view.setInt32(24, timestampUs % 1e6, true);
+  view.setInt32(28, packet.status, true);
+  view.setUint32(32, packet.length, true);
+  view.setUint32(36, captured, true);
+  if (packet.setup) {
+    header.set(packet.setup, 40);
+  }
+  view.setInt32(48, packet.interval, true);
+  return header;
+}
+
+function pad4(length: number): number {
+  return (length + 3) & ~3;
+}
+
+function block(type: number, body: Uint8Array): Uint8Array {
+  const total = 12 + pad4(body.length);
+  const bytes = new Uint8Array(total);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, type, true);
+  view.setUint32(4, total, true);
+  bytes.set(body, 8);
+  view.setUint32(total - 4, total, true);
+  return bytes;
+}
+
+function option(code: number, value: string): Uint8Array {
+  const data = textEncoder.encode(value);
+  const bytes = new Uint8Array(4 + pad4(data.length));
+  const view = new DataView(bytes.buffer);
+  view.setUint16(0, code, true);
+  view.setUint16(2, data.length, true);
+  bytes.set(data, 4);
+  return bytes;
+}
+
+function concat(chunks: Uint8Array[]): Uint8Array<ArrayBuffer> {
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+function sectionHeaderBlock(): Uint8Array {
+  const fixed = new Uint8Array(16);
+  const view = new DataView(fixed.buffer);
+  view.setUint32(0, 0x1a2b3c4d, true);
+  view.setUint16(4, 1, true);
+  view.setUint16(6, 0, true);
+  // Longitud de sección desconocida (-1)
+  view.setInt32(8, -1, true);
+  view.setInt32(12, -1, true);
+  return block(0x0a0d0d0a, concat([fixed, option(4, "expo-usb-conected"), new Uint8Array(4)]));
+}
+
+function interfaceDescriptionBlock(): Uint8Array {
+  const fixed = new Uint8Array(8);
+  const view = new DataView(fixed.buffer);
+  view.setUint16(0, LINKTYPE_USB_LINUX_MMAPPED, true);
+  // snaplen 0: sin límite
+  view.setUint32(4, 0, true);
+  return block(0x00000001, concat([fixed, option(2, "usbmon0"), new Uint8Array(4)]));
+}
+
+function enhancedPacketBlock(packet: UsbmonPacket, origin: number): Uint8Array {
+  // Resolución por defecto de pcapng: microsegundos
+  const timestampUs = Math.max(0, Math.round((origin + packet.time) * 1000));
+  const data = packet.data ?? new Uint8Array(0);
+  const frame = concat([usbmonHeader(packet, data.length, timestampUs), data]);
+
+  const fixed = new Uint8Array(20);
+  const view = new DataView(fixed.buffer);
+  view.setUint32(0, 0, true);
+  view.setUint32(4, Math.floor(timestampUs / 2 ** 32), true);
+  view.setUint32(8, timestampUs % 2 ** 32, true);
+  view.setUint32(12, frame.length, true);
+  view.setUint32(16, frame.length, true);
+  return block(0x00000006, concat([fixed, frame, new Uint8Array(pad4(frame.length) - frame.length)]));
+}
+
+export function exportUsbTraceToPcapng(trace: UsbTrace): Uint8Array<ArrayBuffer> {
+  const origin = Date.parse(trace.createdAt) || 0;
+  const contexts = new Map<string, DeviceContext>();
+  const addresses = new Map<string, { busnum: number; devnum: number }>();
+
+  const contextOf = (deviceName: string) => {
+    let context = contexts.get(deviceName);
+    if (!context) {
+      context = { reportDescriptors: new Map() };
+      contexts.set(deviceName, context);
+    }
+    return context;
+  };
+
+  // Android: /dev/bus/usb/001/005 -> bus 1, dispositivo 5. En web los nombres son sintéticos
+  const addressOf = (deviceName: string) => {
+    let address = addresses.get(deviceName);
+    if (!address) {
+      const match = /(\d+)\/(\d+)$/.exec(deviceName);
+      address = match
+        ? { busnum: parseInt(match[1], 10), devnum: parseInt(match[2], 10) }
+        : { busnum: 1, devnum: addresses.size + 1 };
+      addresses.set(deviceName, address);
+    }
+    return address;
+  };
+
+  // Primera pasada: descriptores, para conocer endpoints y el tamaño de los report descriptors
+  for (const entry of trace.entries) {
+    if (entry.type !== "call" || entry.error || entry.result == null) continue;
+    const context = contextOf(entry.args[0] as string);
+    if (entry.method === "getDeviceDescriptor") {
+      context.descriptor ??= entry.result as UsbDeviceDescriptor;
+    } else if (entry.method === "getHidReportDescriptor") {
+      const report = entry.result as HidRawReportDescriptor;
+      context.reportDescriptors.set(report.interfaceNumber, report.data);
+    }
+  }
+
+  const packets: UsbmonPacket[] = [];
+  let urbId = 1;
+
+  const addTransfer = (transfer: Transfer) => {
+    const { busnum, devnum } = addressOf(transfer.deviceName);
+    const endpoint = endpointByAddress(contextOf(transfer.deviceName), transfer.endpoint);
+    const common = {
+      urbId: urbId++,
+      xferType: transfer.xferType,
+      endpoint: transfer.endpoint,
+      busnum,
+      devnum,
+      interval: transfer.xferType === XFER_TYPE.interrupt ? endpoint?.interval ?? 1 : 0,
+    };
+
+    if (!transfer.completeOnly) {
+      packets.push({
+        ...common,
+        time: transfer.start,
+        type: "S",
+        setup: transfer.setup,
+        length: transfer.requested,
+        data: transfer.out,
+        status: -115, // -EINPROGRESS, como usbmon en los submit
+      });
+    }
+    packets.push({
+      ...common,
+      time: transfer.end,
+      type: "C",
+      length: transfer.in?.length ?? (transfer.status === 0 ? transfer.out?.length ?? 0 : 0),
+      data: transfer.in,
+      status: transfer.status,
+    });
+  };
+
+  for (const entry of trace.entries) {
+    if (entry.type === "call") {
+      const context = contextOf(entry.args[0] as string);
+      if (entry.method === "claimInterface" && !entry.error) {
+        context.interfaceNumber = entry.args[1] as number;
+      }
+      toTransfers(entry, context).forEach(addTransfer);
+    } else if (entry.event === "onData") {
+      const event = entry.payload as UsbDataEvent;
+      const endpoint = endpointByAddress(contextOf(event.deviceName), event.endpointAddress);
+      addTransfer({
+        deviceName: event.deviceName,
+        endpoint: event.endpointAddress,
+        xferType: endpoint ? XFER_TYPE[endpoint.type] : XFER_TYPE.interrupt,
+        requested: event.data.length,
+        in: event.data,
+        status: 0,
+        start: entry.at,
+        end: entry.at,
+        completeOnly: true,
+      });
+    }
+  }
+
+  // sort es estable: a igual tiempo se mantiene el orden submit -> complete
+  packets.sort((a, b) => a.time - b.time);
+
+  return concat([
+    sectionHeaderBlock(),
+    interfaceDescriptionBlock(),
+    ...packets.map((packet) => enhancedPacketBlock(packet, origin)),
+  ]);
+}
@@ -0,0 +1,157 @@
+import type { ExpoUsbModule, ExpoUsbModuleEvents } from "./ExpoUsbConectedModule";
+
+// Formato de las trazas de sesiones USB (createRecordingUsbModule / createReplayUsbModule).
+// En memoria los bytes son Uint8Array; en JSON se guardan como { "$hex": "0400..." }.
+// Comprimida con gzip (pako en el ejemplo) es lo que se adjunta a un reporte de fallo.
+
+export const USB_TRACE_FORMAT = "expo-usb-conected/trace";
+export const USB_TRACE_VERSION = 1;
+
+export type UsbModuleMethod = Exclude<keyof ExpoUsbModule, "addListener">;
+
+// Record en lugar de array para que TypeScript avise si la interfaz gana un método
+const TRACED_METHODS: Record<UsbModuleMethod, true> = {
+  scanDevices: true,
+  requestPermission: true,
+  setAutoRequestPermissions: true,
+  clearPermissionRequests: true,
+  getDeviceDescriptor: true,
+  openDevice: true,
+  closeDevice: true,
+  claimInterface: true,
+  releaseInterface: true,
+  writeData: true,
+  readData: true,
+  sendTextCommand: true,
+  transferIn: true,
+  transferOut: true,
+  clearHalt: true,
+  startReading: true,
+  stopReading: true,
+  sendReport: true,
+  sendFeatureReport: true,
+  receiveFeatureReport: true,
+  getHidReportDescriptor: true,
+  controlTransferIn: true,
+  controlTransferOut: true,
+  openSerial: true,
+  closeSerial: true,
+  writeSerial: true,
+  readSerial: true,
+  setSerialSignals: true,
+  cancelTransfers: true,
+  cancelTransfer: true,
+  loopback: true,
+  loopbackNumbers: true,
+};
+
+const TRACED_EVENTS: Record<keyof ExpoUsbModuleEvents, true> = {
+  onDeviceAttached: true,
+  onDeviceDetached: true,
+  onPermissionChanged: true,
+  onData: true,
+};
+
+export const USB_MODULE_METHODS = Object.keys(TRACED_METHODS) as UsbModuleMethod[];
+
+// Posición del transferId (siempre el último argumento) en las llamadas cancelables.
+// Cambia en cada sesión, así que ni se graba ni cuenta al comparar en replay
+const TRANSFER_ID_ARGUMENT: Partial<Record<UsbModuleMethod, number>> = {
+  writeData: 2,
+  readData: 2,
+  sendTextCommand: 2,
+  transferIn: 4,
+  transferOut: 4,
+  sendReport: 3,
+  controlTransferIn: 4,
+  controlTransferOut: 4,
+  writeSerial: 3,
+  readSerial: 3,
+  cancelTransfer: 0,
+};
+
+export function withoutTransferId(method: string, args: unknown[]): unknown[] {
+  const index = TRANSFER_ID_ARGUMENT[method as UsbModuleMethod];
+  return index === undefined ? args : args.slice(0, index);
+}
+export const USB_MODULE_EVENTS = Object.keys(TRACED_EVENTS) as (keyof ExpoUsbModuleEvents)[];
+
+export interface UsbTraceCall {
+  type: "call";
+  seq: number;
+  method: string;
+  args: unknown[];
+  // ms desde el inicio de la grabación (reloj monotónico)
+  startedAt: number;
+  durationMs: number;
+  result?: unknown;
+  error?: { code: string; message: string };
+}
+
+export interface UsbTraceEvent {
+  type: "event";
+  seq: number;
+  event: keyof ExpoUsbModuleEvents;
+  payload: unknown;
+  at: number;
+  // Última llamada completada cuando llegó el evento; en replay se emite tras servirla
+  afterCall: number | null;
+}
+
+export type UsbTraceEntry = UsbTraceCall | UsbTraceEvent;
+
+export interface UsbTrace {
+  format: typeof USB_TRACE_FORMAT;
+  version: number;
+  // Inicio de la grabación; startedAt/at de las entradas son ms desde aquí
+  createdAt: string;
+  metadata: Record<string, unknown>;
+  entries: UsbTraceEntry[];
+}
+
+function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function fromHex(hex: string): Uint8Array {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+// Copia profunda de argumentos y resultados: los Uint8Array se copian para que
+// el llamante pueda reutilizar sus buffers sin alterar la traza
+export function cloneTraceValue<T>(value: T): T {
+  if (value instanceof Uint8Array) {
+    return value.slice() as T;
+  }
+  if (Array.isArray(value)) {
+    return value.map(cloneTraceValue) as T;
+  }
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, cloneTraceValue(v)])) as T;
+  }
+  return value;
+}
+
+export function serializeUsbTrace(trace: UsbTrace): string {
+  return JSON.stringify(trace, (_key, value) => (value instanceof Uint8Array ? { $hex: toHex(value) } : value));
+}
+
+export function parseUsbTrace(json: string): UsbTrace {
+  const trace = JSON.parse(json, (_key, value) =>
+    value !== null && typeof value === "object" && typeof value.$hex === "string" && Object.keys(value).length === 1
+      ? fromHex(value.$hex)
+      : value
+  );
+
+  if (trace?.format !== USB_TRACE_FORMAT) {
+    throw new Error("El archivo no es una traza USB de expo-usb-conected");
+  }
+  if (trace.version > USB_TRACE_VERSION) {
+    throw new Error(`Versión de traza no soportada: ${trace.version} (máxima ${USB_TRACE_VERSION})`);
+  }
+  return trace as UsbTrace;
+}
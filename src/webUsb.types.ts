@@ -0,0 +1,130 @@
+// Declaraciones mínimas de WebUSB y WebHID (no forman parte de lib.dom de TypeScript).
+// Sólo lo que usa ExpoUsbConectedModule.web.ts
+
+export interface WebUsbEndpoint {
+  endpointNumber: number;
+  direction: "in" | "out";
+  type: "bulk" | "interrupt" | "isochronous";
+  packetSize: number;
+}
+
+export interface WebUsbAlternateInterface {
+  alternateSetting: number;
+  interfaceClass: number;
+  interfaceSubclass: number;
+  interfaceProtocol: number;
+  interfaceName?: string | null;
+  endpoints: WebUsbEndpoint[];
+}
+
+export interface WebUsbInterface {
+  interfaceNumber: number;
+  alternate: WebUsbAlternateInterface;
+  alternates: WebUsbAlternateInterface[];
+  claimed: boolean;
+}
+
+export interface WebUsbConfiguration {
+  configurationValue: number;
+  configurationName?: string | null;
+  interfaces: WebUsbInterface[];
+}
+
+export interface WebUsbInTransferResult {
+  data?: DataView;
+  status: "ok" | "stall" | "babble";
+}
+
+export interface WebUsbOutTransferResult {
+  bytesWritten: number;
+  status: "ok" | "stall";
+}
+
+export interface WebUsbDevice {
+  vendorId: number;
+  productId: number;
+  deviceClass: number;
+  deviceSubclass: number;
+  deviceProtocol: number;
+  deviceVersionMajor: number;
+  deviceVersionMinor: number;
+  deviceVersionSubminor: number;
+  manufacturerName?: string | null;
+  productName?: string | null;
+  serialNumber?: string | null;
+  opened: boolean;
+  configuration: WebUsbConfiguration | null;
+  configurations: WebUsbConfiguration[];
+  open(): Promise<void>;
+  close(): Promise<void>;
+  selectConfiguration(configurationValue: number): Promise<void>;
+  claimInterface(interfaceNumber: number): Promise<void>;
+  releaseInterface(interfaceNumber: number): Promise<void>;
+  clearHalt(direction: "in" | "out", endpointNumber: number): Promise<void>;
+  transferIn(endpointNumber: number, length: number): Promise<WebUsbInTransferResult>;
+  transferOut(endpointNumber: number, data: Uint8Array): Promise<WebUsbOutTransferResult>;
+  controlTransferIn(
+    setup: { requestType: string; recipient: string; request: number; value: number; index: number },
+    length: number
+  ): Promise<WebUsbInTransferResult>;
+  controlTransferOut(
+    setup: { requestType: string; recipient: string; request: number; value: number; index: number },
+    data?: Uint8Array
+  ): Promise<WebUsbOutTransferResult>;
+}
+
+export interface WebUsbConnectionEvent extends Event {
+  device: WebUsbDevice;
+}
+
+export interface WebUsb extends EventTarget {
+  getDevices(): Promise<WebUsbDevice[]>;
+  requestDevice(options: { filters: { vendorId?: number; productId?: number }[] }): Promise<WebUsbDevice>;
+}
+
+export interface WebHidReportItem {
+  reportSize: number;
+  reportCount: number;
+}
+
+export interface WebHidReportInfo {
+  reportId: number;
+  items: WebHidReportItem[];
+}
+
+export interface WebHidCollectionInfo {
+  usagePage: number;
+  usage: number;
+  type: number;
+  inputReports: WebHidReportInfo[];
+  outputReports: WebHidReportInfo[];
+  featureReports: WebHidReportInfo[];
+}
+
+export interface WebHidInputReportEvent extends Event {
+  device: WebHidDevice;
+  reportId: number;
+  data: DataView;
+}
+
+export interface WebHidDevice extends EventTarget {
+  vendorId: number;
+  productId: number;
+  productName: string;
+  opened: boolean;
+  collections: WebHidCollectionInfo[];
+  open(): Promise<void>;
+  close(): Promise<void>;
+  sendReport(reportId: number, data: Uint8Array): Promise<void>;
+  sendFeatureReport(reportId: number, data: Uint8Array): Promise<void>;
+  receiveFeatureReport(reportId: number): Promise<DataView>;
+}
+
+export interface WebHidConnectionEvent extends Event {
+  device: WebHidDevice;
+}
+
+export interface WebHid extends EventTarget {
+  getDevices(): Promise<WebHidDevice[]>;
+  requestDevice(options: { filters: { vendorId?: number; productId?: number }[] }): Promise<WebHidDevice[]>;
+}
@@ -1,19 +1,3 @@
-import { NativeModule, requireNativeModule } from 'expo';
-
-declare class ExpoUsbConectedModule extends NativeModule<any> {
-  scanDevices(): Promise<
-    {
-      deviceName: string;
-      vendorId: number;
-      productId: number;
-      manufacturerName?: string;
-      productName?: string;
-      serialNumber?: string;
-      hasPermission: boolean;
-    }[]
-  >;
-
-  requestPermission(deviceName: string): Promise<boolean>;
-}
-
-export default requireNativeModule<ExpoUsbConectedModule>('ExpoUsbConected');
+// La implementación web (WebUSB/WebHID) vive en src/ExpoUsbConectedModule.web.ts,
+// que es la que resuelve el bundler al importar el paquete en web
+export { default } from '../src/ExpoUsbConectedModule.web';